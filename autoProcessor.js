@@ -3,6 +3,8 @@ const path = require('path');
 const chokidar = require('chokidar');
 const EventEmitter = require('events');
 const WorkerPool = require('./workerPool');
+const RetryPolicy = require('./services/retryPolicy');
+const { resolveTileSettings } = require('./services/tileFormat');
 
 class AutoProcessor extends EventEmitter {
   constructor(slidesDir, convertFunction, options = {}) {
@@ -11,9 +13,14 @@ class AutoProcessor extends EventEmitter {
     this.slidesDir = slidesDir;
     this.convertFunction = convertFunction;
     this.isEnabled = options.enabled !== false; // Default to enabled
-    this.maxRetries = options.maxRetries || 3;
-    this.retryDelay = options.retryDelay || 5000; // 5 seconds
+    // Shared conversion retry policy; maxRetries/retryDelay are still accepted for older callers
+    this.retryPolicy = new RetryPolicy(options.retry || {
+      maxAttempts: (options.maxRetries || 3) + 1,
+      baseDelayMs: options.retryDelay || 5000
+    });
     this.maxConcurrent = options.maxConcurrent || 6; // Increased to 6 parallel conversions
+    // Tile encoding from conversion.dzi, passed to every worker
+    this.tileSettings = resolveTileSettings(options.tiles || {});
     this.supportedFormats = ['.svs', '.ndpi', '.tif', '.tiff', '.jp2', '.vms', '.vmu', '.scn'];
     this.processedFiles = new Set();
     this.processingQueue = [];
@@ -42,8 +49,8 @@ class AutoProcessor extends EventEmitter {
     console.log(`\n=== AUTO PROCESSOR INITIALIZED ===`);
     console.log(`Monitoring directory: ${this.slidesDir}`);
     console.log(`Supported formats: ${this.supportedFormats.join(', ')}`);
-    console.log(`Max retries: ${this.maxRetries}`);
-    console.log(`Retry delay: ${this.retryDelay}ms`);
+    console.log(`Max attempts: ${this.retryPolicy.maxAttempts}`);
+    console.log(`Retry backoff: ${this.retryPolicy.baseDelayMs}ms x${this.retryPolicy.factor}`);
     console.log(`Max concurrent: ${this.maxConcurrent}`);
     console.log(`=====================================\n`);
 
@@ -249,28 +256,18 @@ class AutoProcessor extends EventEmitter {
           fileInfo,
           {
             slidesDir: this.slidesDir,
-            dziDir: path.join(path.dirname(this.slidesDir), 'dzi')
+            dziDir: path.join(path.dirname(this.slidesDir), 'dzi'),
+            tiles: this.tileSettings
           },
           {} // vips config passed to worker
         ).then(result => {
           console.log(`Worker completed for ${fileInfo.fileName}:`, result.success ? 'SUCCESS' : 'FAILED');
-          if (!result.success && !result.cancelled && fileInfo.retryCount < this.maxRetries) {
-            // Retry logic
-            fileInfo.retryCount++;
-            console.log(`Scheduling retry ${fileInfo.retryCount}/${this.maxRetries} for ${fileInfo.fileName}`);
-            setTimeout(() => {
-              this.addToQueue(fileInfo);
-            }, this.retryDelay);
+          if (!result.success && !result.cancelled) {
+            this.scheduleRetry(fileInfo, result.error || 'Conversion failed');
           }
         }).catch(error => {
           console.error(`Worker error for ${fileInfo.fileName}:`, error.message);
-          if (fileInfo.retryCount < this.maxRetries) {
-            fileInfo.retryCount++;
-            console.log(`Scheduling retry ${fileInfo.retryCount}/${this.maxRetries} for ${fileInfo.fileName}`);
-            setTimeout(() => {
-              this.addToQueue(fileInfo);
-            }, this.retryDelay);
-          }
+          this.scheduleRetry(fileInfo, error);
         });
         
       } catch (error) {
@@ -283,6 +280,21 @@ class AutoProcessor extends EventEmitter {
     }
   }
 
+  // Retry transient failures with backoff; corrupt input and the like are not retried
+  scheduleRetry(fileInfo, error) {
+    const decision = this.retryPolicy.decide(error, fileInfo.retryCount + 1);
+    if (!decision.retry) {
+      console.log(`Not retrying ${fileInfo.fileName}: ${decision.errorClass} failure`);
+      return;
+    }
+    fileInfo.retryCount++;
+    console.log(`Scheduling retry ${fileInfo.retryCount}/${this.retryPolicy.maxAttempts - 1} for ${fileInfo.fileName} in ${decision.delayMs}ms`);
+    this.emit('fileRetry', { fileInfo, retryCount: fileInfo.retryCount, maxRetries: this.retryPolicy.maxAttempts - 1 });
+    setTimeout(() => {
+      this.addToQueue(fileInfo);
+    }, decision.delayMs);
+  }
+
   // Cancel conversion for a specific file
   cancelConversion(filename) {
     return this.workerPool.cancelConversion(filename);
@@ -90,7 +90,8 @@ class Config {
         slidesDir: "public/slides",
         dziDir: "public/dzi", 
         tempDir: "temp",
-        uploadsDir: "uploads"
+        uploadsDir: "uploads",
+        dataDir: "data"
       },
       conversion: {
         autoProcessor: { enabled: true, maxParallelSlides: 6 },
@@ -117,6 +118,8 @@ class Config {
     this.dziDir = process.env.DZI_DIR || this.getAbsolutePath(this.appConfig.storage.dziDir);
     this.uploadsDir = this.getAbsolutePath(this.appConfig.storage.uploadsDir);
     this.tempDir = process.env.TEMP_DIR || this.getAbsolutePath(this.appConfig.storage.tempDir);
+    // Server-side state (slide catalog etc.), kept apart from the slide and tile trees
+    this.dataDir = process.env.DATA_DIR || this.getAbsolutePath(this.appConfig.storage.dataDir || 'data');
     
     // Auto-processor settings
     this.autoProcessorEnabled = this.appConfig.conversion.autoProcessor.enabled;
@@ -203,6 +206,7 @@ class Config {
       slidesDir: this.slidesDir,
       dziDir: this.dziDir,
       tempDir: this.tempDir,
+      dataDir: this.dataDir,
       autoProcessor: this.autoProcessorEnabled,
       vipsOptimization: this.enableVipsOptimization,
       services: {
@@ -15,6 +15,8 @@ class ConversionClient extends EventEmitter {
     this.activePolling = new Map(); // Track active polling for conversions
     this.activeConversions = new Map(); // Track conversion metadata
     this.timeout = options.timeout || 30000; // 30 second timeout for requests
+    // Consecutive failed polls tolerated (e.g. while the conversion server restarts) before giving up
+    this.maxPollFailures = options.maxPollFailures || 60;
     
     // Create axios instance with timeout
     this.client = axios.create({
@@ -24,6 +26,14 @@ class ConversionClient extends EventEmitter {
         'Content-Type': 'application/json'
       }
     });
+
+    // Conversion servers require a service sign-in (AuthService.forService); tokens are short-lived,
+    // so headers are made fresh for each request
+    this.auth = options.auth || null;
+    this.client.interceptors.request.use(request => {
+      if (this.auth) Object.assign(request.headers, this.auth.serviceHeaders('main-server'));
+      return request;
+    });
   }
 
   /**
@@ -52,14 +62,18 @@ class ConversionClient extends EventEmitter {
 
   /**
    * Start a new conversion
+   * @param {string} priority - stat | routine | backfill
+   * @param {Object} tiles - Resolved tile settings (format, quality, tileSize, overlap); null for the configured default
    */
-  async startConversion(inputPath, outputBaseName, slidesDir, dziDir) {
+  async startConversion(inputPath, outputBaseName, slidesDir, dziDir, priority = 'routine', tiles = null) {
     try {
       const response = await this.client.post('/convert', {
         inputPath,
         outputBaseName,
         slidesDir,
-        dziDir
+        dziDir,
+        priority,
+        ...(tiles ? { tiles } : {})
       });
       
       if (response.data.success) {
@@ -85,7 +99,11 @@ class ConversionClient extends EventEmitter {
       }
     } catch (error) {
       if (error.response) {
-        throw new Error(error.response.data.error || 'Conversion server error');
+        const serverError = new Error(error.response.data.error || 'Conversion server error');
+        // 409: a job for this slide is already running, queued or paused; callers follow it instead
+        serverError.status = error.response.status;
+        serverError.jobId = error.response.data.jobId;
+        throw serverError;
       } else {
         throw new Error(`Failed to start conversion: ${error.message}`);
       }
@@ -137,9 +155,11 @@ class ConversionClient extends EventEmitter {
 
     console.log(`Starting progress polling for: ${basename}`);
     
+    let failures = 0;
     const pollFunction = async () => {
       try {
         const status = await this.getConversionStatus(basename);
+        failures = 0;
         
         // Emit progress event
         this.emit('conversionProgress', {
@@ -171,7 +191,9 @@ class ConversionClient extends EventEmitter {
           console.log(`Conversion ${status.status}: ${basename}`);
           this.emit('conversionError', {
             filename: basename,
-            error: status.error || `Conversion ${status.status}`
+            error: status.error || `Conversion ${status.status}`,
+            errorClass: status.errorClass,
+            jobId: status.jobId
           });
           this.stopProgressPolling(basename);
           // Clean up conversion tracking
@@ -187,6 +209,13 @@ class ConversionClient extends EventEmitter {
         
       } catch (error) {
         console.error(`Error polling conversion status for ${basename}:`, error.message);
+
+        // The job is persisted on the conversion server, so keep polling through a restart
+        if (++failures < this.maxPollFailures) {
+          const timeoutId = setTimeout(pollFunction, this.pollInterval * 5);
+          this.activePolling.set(basename, timeoutId);
+          return;
+        }
         
         // Emit error and stop polling
         this.emit('conversionError', {
@@ -202,6 +231,114 @@ class ConversionClient extends EventEmitter {
     this.activePolling.set(basename, timeoutId);
   }
 
+  /**
+   * Pick up tracking of a conversion started before this process (re)started, so completion
+   * and error events still fire for it
+   */
+  resumeTracking(outputBaseName, info = {}) {
+    if (!this.activeConversions.has(outputBaseName)) {
+      this.activeConversions.set(outputBaseName, { outputBaseName, filePath: info.inputPath, ...info });
+    }
+    this.startProgressPolling(outputBaseName);
+  }
+
+  /**
+   * List jobs recorded by the conversion server
+   * @param {Object} filter - states: array of job states; type; key; limit
+   */
+  async listJobs(filter = {}) {
+    try {
+      const params = {};
+      if (filter.states && filter.states.length > 0) params.state = filter.states.join(',');
+      if (filter.type) params.type = filter.type;
+      if (filter.key) params.key = filter.key;
+      if (filter.limit) params.limit = filter.limit;
+      const response = await this.client.get('/jobs', { params });
+      return response.data.jobs;
+    } catch (error) {
+      throw new Error(`Failed to list conversion jobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the conversion server queue in run order (and the jobs running now)
+   */
+  async getQueue() {
+    try {
+      const response = await this.client.get('/queue');
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to get conversion queue: ${error.message}`);
+    }
+  }
+
+  /**
+   * Dead-letter list: conversions whose last run failed for good
+   * @returns {Promise<Object>} { retryPolicy, jobs }
+   */
+  async getFailedJobs() {
+    try {
+      const response = await this.client.get('/failed');
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to get failed conversions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Conversion attempt history with throughput stats
+   * @param {Object} params - slide, jobId, status, serverId, sha256, since, until, limit, offset
+   */
+  async getHistory(params = {}) {
+    try {
+      const response = await this.client.get('/history', { params });
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        const failure = new Error(error.response.data.error || 'Failed to get conversion history');
+        failure.status = error.response.status;
+        failure.errors = error.response.data.errors;
+        throw failure;
+      }
+      throw new Error(`Failed to get conversion history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run a failed or cancelled job again
+   */
+  async retryJob(jobId) {
+    try {
+      const response = await this.client.post(`/jobs/${encodeURIComponent(jobId)}/retry`);
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        const failure = new Error(error.response.data.error || 'Failed to retry job');
+        failure.status = error.response.status;
+        throw failure;
+      }
+      throw new Error(`Failed to retry job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reorder a queued job
+   * @param {string} action - bump | move ({ position }) | pause | resume | priority ({ priority })
+   */
+  async updateQueuedJob(jobId, action, body = {}) {
+    try {
+      const response = await this.client.post(`/jobs/${encodeURIComponent(jobId)}/${action}`, body);
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        const failure = new Error(error.response.data.error || `Failed to ${action} job`);
+        failure.status = error.response.status;
+        throw failure;
+      }
+      throw new Error(`Failed to ${action} job: ${error.message}`);
+    }
+  }
+
   /**
    * Stop polling for conversion progress
    */
@@ -297,6 +434,63 @@ class ConversionClient extends EventEmitter {
       checkStatus();
     });
   }
+
+  /**
+   * Queue a registration job between two converted slides
+   */
+  async startRegistration(job) {
+    try {
+      const response = await this.client.post('/register', job);
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        throw new Error(error.response.data.error || 'Conversion server error');
+      } else {
+        throw new Error(`Failed to start registration: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Get registration job status (includes the result once completed)
+   */
+  async getRegistrationStatus(jobId) {
+    try {
+      const response = await this.client.get(`/register/${jobId}`);
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return { status: 'not_found' };
+      }
+      throw new Error(`Failed to get registration status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Wait for a registration job and return its result. There is no time limit: the job shares the
+   * conversion queue, so it can sit behind hours of conversions. Transient errors are retried as
+   * in startProgressPolling, since the job survives a conversion server restart.
+   */
+  async waitForRegistration(jobId) {
+    let failures = 0;
+    for (;;) {
+      let status;
+      try {
+        status = await this.getRegistrationStatus(jobId);
+        failures = 0;
+      } catch (error) {
+        if (++failures >= this.maxPollFailures) throw error;
+        console.error(`Error polling registration status for ${jobId}:`, error.message);
+        await new Promise(resolve => setTimeout(resolve, this.pollInterval * 5));
+        continue;
+      }
+      if (status.status === 'completed') return status.result;
+      if (status.status === 'failed' || status.status === 'cancelled' || status.status === 'not_found') {
+        throw new Error(status.error || `Registration ${status.status}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+  }
 }
 
 module.exports = ConversionClient;
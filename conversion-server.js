@@ -13,6 +13,16 @@ const os = require('os');
 const { spawn } = require('child_process');
 const EventEmitter = require('events');
 const fetch = require('node-fetch');
+const { registerDziSlides } = require('./services/slideRegistration');
+const ConversionJobStore = require('./services/conversionJobStore');
+const RetryPolicy = require('./services/retryPolicy');
+const ConversionHistoryStore = require('./services/conversionHistoryStore');
+const { watchPeakMemory } = require('./services/processMemory');
+const { validateTileSettings, resolveTileSettings, buildDzsaveArgs } = require('./services/tileFormat');
+const { CONTAINER_EXTENSION, slideOutputPaths } = require('./services/tileContainer');
+const AuthService = require('./services/authService');
+
+const { PRIORITIES } = ConversionJobStore;
 
 class ConversionServer extends EventEmitter {
   constructor(options = {}) {
@@ -26,6 +36,25 @@ class ConversionServer extends EventEmitter {
     this.activeConversions = new Map();
     this.conversionQueue = [];
     this.completedConversions = new Set();
+
+    // Replaced by the main server's conversion.retry settings once they are fetched
+    this.retryPolicy = new RetryPolicy(options.retry || {});
+    this.retryWakeup = null;
+
+    // Durable job records; the queue and active map above are rebuilt from them on startup.
+    // One file per port so several conversion servers can share a data directory.
+    const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+    this.jobStore = new ConversionJobStore({
+      path: options.jobStorePath || path.join(dataDir, `conversion-jobs-${this.port}.json`),
+      workerId: this.serverId
+    });
+    // Audit trail of every attempt
+    this.historyStore = new ConversionHistoryStore({
+      path: options.historyPath || path.join(dataDir, `conversion-history-${this.port}.jsonl`)
+    });
+    // The main server's API needs a sign-in: a service token from the secret it shares in dataDir,
+    // or its security.apiKey.key (MAIN_SERVER_API_KEY) when running on another machine
+    this.mainServerAuth = AuthService.forService({ dataDir, apiKey: options.mainServerApiKey || process.env.MAIN_SERVER_API_KEY });
     
     // Configuration from main server
     this.centralConfig = null;
@@ -81,7 +110,9 @@ class ConversionServer extends EventEmitter {
   async fetchCentralConfig() {
     try {
       console.log(`📡 Fetching configuration from main server: ${this.mainServerUrl}/api/conversion-config`);
-      const response = await fetch(`${this.mainServerUrl}/api/conversion-config`);
+      const response = await fetch(`${this.mainServerUrl}/api/conversion-config`, {
+        headers: this.mainServerAuth.serviceHeaders('conversion-server')
+      });
       
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -134,6 +165,9 @@ class ConversionServer extends EventEmitter {
     if (conversionSettings) {
       this.maxConcurrent = Math.min(conversionSettings.maxConcurrent || this.maxConcurrent, os.cpus().length);
     }
+    if (this.centralConfig.conversion?.retry) {
+      this.retryPolicy = new RetryPolicy(this.centralConfig.conversion.retry);
+    }
     
     // CRITICAL: Store the full conversion config (including ICC settings) for use in conversions
     // This was missing and causing ICC config to fall back to defaults!
@@ -149,6 +183,14 @@ class ConversionServer extends EventEmitter {
     console.log(`   └─ VIPS Disc Threshold: ${this.vipsConfig.VIPS_DISC_THRESHOLD} (${Math.round(parseInt(this.vipsConfig.VIPS_DISC_THRESHOLD) / 1024 / 1024 / 1024)}GB)`);
     console.log(`   └─ Max Concurrent: ${this.maxConcurrent}`);
     console.log(`   └─ ICC Format: ${this.centralConfig.conversion?.icc?.intermediateFormat || 'default'}`);
+    console.log(`   └─ Retry: ${this.retryPolicy.maxAttempts} attempts, backoff from ${this.retryPolicy.baseDelayMs / 1000}s`);
+    const tileErrors = validateTileSettings(this.centralConfig.conversion.dzi || {});
+    if (tileErrors.length > 0) {
+      console.warn(`⚠️  Ignoring invalid conversion.dzi settings: ${tileErrors.join('; ')}`);
+      this.centralConfig.conversion.dzi = {};
+    }
+    const tiles = resolveTileSettings(this.centralConfig.conversion.dzi || {});
+    console.log(`   └─ Tiles: ${tiles.format} Q${tiles.quality}, ${tiles.tileSize}px, overlap ${tiles.overlap}`);
   }
 
   // Register with main server
@@ -161,12 +203,12 @@ class ConversionServer extends EventEmitter {
         host: this.host,
         port: this.port,
         maxConcurrent: this.maxConcurrent,
-        capabilities: ['icc-transform', 'dzi-generation', 'bigtiff']
+        capabilities: ['icc-transform', 'dzi-generation', 'bigtiff', 'registration']
       };
       
       const response = await fetch(`${this.mainServerUrl}/api/conversion-servers/register`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...this.mainServerAuth.serviceHeaders('conversion-server') },
         body: JSON.stringify(registrationData)
       });
       
@@ -199,7 +241,7 @@ class ConversionServer extends EventEmitter {
       try {
         await fetch(`${this.mainServerUrl}/api/conversion-servers/${this.serverId}/heartbeat`, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: { 'Content-Type': 'application/json', ...this.mainServerAuth.serviceHeaders('conversion-server') },
           body: JSON.stringify({
             activeConversions: this.activeConversions.size,
             totalConversions: this.completedConversions.size,
@@ -228,14 +270,30 @@ class ConversionServer extends EventEmitter {
       });
     });
 
+    // Everything past the health check controls conversions and reads paths on disk: only the main
+    // server (a service token from the shared secret, or MAIN_SERVER_API_KEY as X-API-Key) and admins may call it
+    this.app.use(this.mainServerAuth.requireRole('admin'));
+
     // Start conversion
     this.app.post('/convert', (req, res) => {
-      const { inputPath, outputBaseName, slidesDir, dziDir } = req.body;
+      const { inputPath, outputBaseName, slidesDir, dziDir, priority = 'routine', tiles } = req.body;
       
       if (!inputPath || !outputBaseName || !slidesDir || !dziDir) {
         return res.status(400).json({ error: 'Missing required parameters' });
       }
 
+      if (!PRIORITIES.includes(priority)) {
+        return res.status(400).json({ error: `priority must be one of: ${PRIORITIES.join(', ')}` });
+      }
+
+      // Concrete tile settings (profiles are resolved by the main server); omitted fields use conversion.dzi
+      if (tiles !== undefined) {
+        const tileErrors = tiles && typeof tiles === 'object' ? validateTileSettings(tiles) : ['tiles must be an object'];
+        if (tileErrors.length > 0) {
+          return res.status(400).json({ error: 'Invalid tile settings', errors: tileErrors });
+        }
+      }
+
       if (!fs.existsSync(inputPath)) {
         return res.status(404).json({ error: 'Input file not found' });
       }
@@ -249,6 +307,18 @@ class ConversionServer extends EventEmitter {
         });
       }
 
+      // Queued, paused and retry-pending jobs are in the job store, including ones from a previous
+      // run that haven't been resumed into the queue yet
+      const pendingJob = this.jobStore.list({ type: 'conversion', key: outputBaseName, states: ['queued', 'running'] })[0];
+      if (pendingJob) {
+        console.log(`Conversion blocked for ${outputBaseName}: job ${pendingJob.id} already ${pendingJob.paused ? 'paused' : pendingJob.state}`);
+        return res.status(409).json({
+          error: 'Conversion already queued',
+          details: `File is already ${pendingJob.paused ? 'paused' : 'waiting'} in the conversion queue`,
+          jobId: pendingJob.id
+        });
+      }
+
       // If file was previously completed, remove it from completed set to allow re-conversion
       if (this.completedConversions.has(outputBaseName)) {
         console.log(`Allowing re-conversion of previously completed file: ${outputBaseName}`);
@@ -260,14 +330,17 @@ class ConversionServer extends EventEmitter {
         outputBaseName,
         slidesDir,
         dziDir,
+        priority,
+        ...(tiles ? { tiles } : {}),
         requestedAt: new Date()
       });
 
       res.json({
         success: true,
         conversionId,
+        priority,
         message: 'Conversion queued',
-        queuePosition: this.conversionQueue.length
+        queuePosition: this.conversionQueue.findIndex(item => item.id === conversionId) + 1
       });
     });
 
@@ -301,8 +374,16 @@ class ConversionServer extends EventEmitter {
       
       const queuePosition = this.conversionQueue.findIndex(item => item.outputBaseName === basename);
       if (queuePosition !== -1) {
+        const queued = this.conversionQueue[queuePosition];
+        const job = this.jobStore.get(queued.id);
         return res.json({
           status: 'queued',
+          jobId: queued.id,
+          priority: queued.priority,
+          paused: queued.paused,
+          attempts: job?.attempts || 0,
+          retryAt: queued.retryAt || null,
+          lastError: queued.retryAt ? job?.error : undefined,
           queuePosition: queuePosition + 1,
           estimatedStart: 'Calculating...'
         });
@@ -336,6 +417,19 @@ class ConversionServer extends EventEmitter {
         this.completedConversions.add(basename);
         return res.json({ status: 'completed', progress: 100 });
       }
+
+      // Failures and cancellations are remembered across restarts
+      const lastJob = this.jobStore.latestForKey(basename);
+      if (lastJob && (lastJob.state === 'failed' || lastJob.state === 'cancelled')) {
+        return res.json({
+          status: lastJob.state,
+          error: lastJob.error,
+          errorClass: lastJob.errorClass,
+          jobId: lastJob.id,
+          attempts: lastJob.attempts,
+          finishedAt: lastJob.finishedAt
+        });
+      }
       
       res.status(404).json({ status: 'not_found', error: 'Conversion not found' });
     });
@@ -347,13 +441,15 @@ class ConversionServer extends EventEmitter {
       // Remove from queue if queued
       const queueIndex = this.conversionQueue.findIndex(c => c.outputBaseName === basename);
       if (queueIndex !== -1) {
-        this.conversionQueue.splice(queueIndex, 1);
+        const [removed] = this.conversionQueue.splice(queueIndex, 1);
+        this.jobStore.markCancelled(removed.id, 'Cancelled while queued');
         return res.json({ success: true, message: 'Conversion removed from queue' });
       }
       
       // Cancel active conversion
       const active = this.activeConversions.get(basename);
       if (active && active.process) {
+        this.jobStore.markCancelled(active.id, 'Cancelled while running');
         active.process.kill('SIGTERM');
         this.activeConversions.delete(basename);
         return res.json({ success: true, message: 'Conversion cancelled' });
@@ -362,6 +458,190 @@ class ConversionServer extends EventEmitter {
       res.status(404).json({ error: 'Conversion not found' });
     });
 
+    // Queue a slide registration job (shares the conversion queue and concurrency limit)
+    this.app.post('/register', (req, res) => {
+      const { jobId, fixedDziPath, movingDziPath, fixedMpp, movingMpp, method } = req.body;
+
+      if (!jobId || !fixedDziPath || !movingDziPath) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+      }
+      // Only slides under the main server's DZI directory, so the answer says nothing about other paths
+      const dziDir = this.centralConfig?.storage?.dziDir;
+      if (!dziDir) {
+        return res.status(503).json({ error: 'DZI directory unknown until the main server configuration is fetched' });
+      }
+      const insideDziDir = dziPath => path.resolve(dziPath).startsWith(path.resolve(dziDir) + path.sep);
+      if (!insideDziDir(fixedDziPath) || !insideDziDir(movingDziPath)) {
+        return res.status(400).json({ error: 'DZI paths must be inside the DZI directory' });
+      }
+      if (!fs.existsSync(fixedDziPath) || !fs.existsSync(movingDziPath)) {
+        return res.status(404).json({ error: 'DZI not found' });
+      }
+      if (this.jobStore.get(jobId)) {
+        return res.status(409).json({ error: 'Registration job already exists' });
+      }
+
+      const queuedId = this.queueConversion({
+        type: 'registration',
+        outputBaseName: jobId,
+        fixedDziPath,
+        movingDziPath,
+        fixedMpp,
+        movingMpp,
+        method: method || 'rigid',
+        requestedAt: new Date()
+      });
+
+      res.json({
+        success: true,
+        jobId,
+        message: 'Registration queued',
+        queuePosition: this.conversionQueue.findIndex(item => item.id === queuedId) + 1
+      });
+    });
+
+    // Get registration job status/result
+    this.app.get('/register/:jobId', (req, res) => {
+      const job = this.jobStore.get(req.params.jobId);
+      if (!job || job.type !== 'registration') {
+        return res.status(404).json({ status: 'not_found', error: 'Registration job not found' });
+      }
+
+      switch (job.state) {
+        case 'succeeded':
+          return res.json({ status: 'completed', result: job.result, completedAt: job.finishedAt });
+        case 'failed':
+        case 'cancelled':
+          return res.json({ status: job.state, error: job.error, completedAt: job.finishedAt });
+        case 'running':
+          return res.json({ status: 'processing', phase: job.phase, startedAt: job.startedAt });
+        default: {
+          const queuePosition = this.conversionQueue.findIndex(item => item.id === job.id);
+          return res.json({ status: 'queued', queuePosition: queuePosition + 1 });
+        }
+      }
+    });
+
+    // Job records (?state=queued,running &type= &key= &limit=)
+    this.app.get('/jobs', (req, res) => {
+      const states = req.query.state ? String(req.query.state).split(',') : [];
+      const invalid = states.filter(state => !ConversionJobStore.JOB_STATES.includes(state));
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: `Unknown job state: ${invalid.join(', ')}` });
+      }
+      const jobs = this.jobStore.list({
+        states,
+        type: req.query.type,
+        key: req.query.key,
+        limit: parseInt(req.query.limit) || 200
+      });
+      res.json({ workerId: this.serverId, jobs });
+    });
+
+    this.app.get('/jobs/:id', (req, res) => {
+      const job = this.jobStore.get(req.params.id);
+      if (!job) return res.status(404).json({ error: 'Job not found' });
+      res.json(job);
+    });
+
+    // Conversion attempt history (?slide= &jobId= &status= &serverId= &sha256= &since= &until= &limit= &offset=)
+    this.app.get('/history', async (req, res) => {
+      const errors = this.historyStore.validateQuery(req.query);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid history query', errors });
+      }
+      try {
+        res.json(await this.historyStore.query(req.query));
+      } catch (error) {
+        console.error('Failed to query conversion history:', error);
+        res.status(500).json({ error: 'Failed to query conversion history', details: error.message });
+      }
+    });
+
+    // Dead-letter list: conversions whose last run failed for good
+    this.app.get('/failed', (req, res) => {
+      res.json({ retryPolicy: this.retryPolicy, jobs: this.jobStore.listDeadLetters() });
+    });
+
+    // Run a failed or cancelled job again with a fresh set of attempts
+    this.app.post('/jobs/:id/retry', (req, res) => {
+      const job = this.jobStore.get(req.params.id);
+      if (!job) return res.status(404).json({ error: 'Job not found' });
+      if (job.state !== 'failed' && job.state !== 'cancelled') {
+        return res.status(409).json({ error: `Job is ${job.state}; only failed or cancelled jobs can be retried` });
+      }
+      if (this.activeConversions.has(job.key) || this.conversionQueue.some(item => item.outputBaseName === job.key)) {
+        return res.status(409).json({ error: 'Another job for this slide is already queued or running' });
+      }
+      if (job.type !== 'registration' && !fs.existsSync(job.payload.inputPath)) {
+        return res.status(409).json({ error: 'Input file no longer exists' });
+      }
+
+      // Staging output folders may have been cleaned up since the failure
+      if (job.payload.dziDir) fs.mkdirSync(job.payload.dziDir, { recursive: true });
+      this.jobStore.retry(job.id);
+      const { id, paused, retryAt, ...payload } = job.payload;
+      this.queueConversion(payload, job);
+      console.log(`🔁 Manual retry queued: ${job.key} (${job.id})`);
+      res.json({
+        success: true,
+        jobId: job.id,
+        key: job.key,
+        queuePosition: this.conversionQueue.findIndex(item => item.id === job.id) + 1
+      });
+    });
+
+    // Queue in run order, plus what is running now
+    this.app.get('/queue', (req, res) => {
+      res.json(this.describeQueue());
+    });
+
+    // Reorder queued jobs: bump (to the front), move { position } (1-based), pause, resume, priority { priority }
+    this.app.post('/jobs/:id/:action(bump|move|pause|resume|priority)', (req, res) => {
+      const index = this.conversionQueue.findIndex(item => item.id === req.params.id);
+      if (index === -1) {
+        const job = this.jobStore.get(req.params.id);
+        return res.status(job ? 409 : 404).json({ error: job ? `Job is ${job.state}, not queued` : 'Job not found' });
+      }
+      const item = this.conversionQueue[index];
+
+      switch (req.params.action) {
+        case 'bump':
+          this.moveQueued(index, 0);
+          break;
+        case 'move': {
+          const position = Number(req.body.position);
+          if (!Number.isInteger(position) || position < 1) {
+            return res.status(400).json({ error: 'position must be a positive integer' });
+          }
+          this.moveQueued(index, Math.min(position, this.conversionQueue.length) - 1);
+          break;
+        }
+        case 'pause':
+        case 'resume':
+          item.paused = req.params.action === 'pause';
+          this.jobStore.update(item.id, { paused: item.paused });
+          break;
+        case 'priority': {
+          const { priority } = req.body;
+          if (!PRIORITIES.includes(priority)) {
+            return res.status(400).json({ error: `priority must be one of: ${PRIORITIES.join(', ')}` });
+          }
+          // A new priority puts the job at the back of that priority's group
+          this.conversionQueue.splice(index, 1);
+          item.priority = priority;
+          this.jobStore.update(item.id, { priority });
+          this.conversionQueue.splice(this.priorityInsertIndex(priority), 0, item);
+          this.jobStore.setQueueOrder(this.conversionQueue.map(queued => queued.id));
+          break;
+        }
+      }
+
+      console.log(`🔀 Queue ${req.params.action}: ${item.outputBaseName} -> position ${this.conversionQueue.indexOf(item) + 1}${item.paused ? ' (paused)' : ''}`);
+      this.processQueue();
+      res.json({ success: true, jobId: item.id, ...this.describeQueue() });
+    });
+
     // Clear conversion tracking (for comprehensive deletion)
     this.app.delete('/clear/:basename', (req, res) => {
       const basename = req.params.basename;
@@ -369,6 +649,7 @@ class ConversionServer extends EventEmitter {
       // Remove from all tracking
       this.activeConversions.delete(basename);
       this.completedConversions.delete(basename);
+      this.jobStore.forgetKey(basename);
       
       // Remove from queue if present
       const queueIndex = this.conversionQueue.findIndex(c => c.outputBaseName === basename);
@@ -381,20 +662,149 @@ class ConversionServer extends EventEmitter {
     });
   }
 
-  queueConversion(conversionData) {
-    const conversionId = `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    conversionData.id = conversionId;
+  /**
+   * Queue a job, recording it in the job store first
+   * @param {Object|null} existingJob - Stored job being run again (resumed on startup or retried)
+   * @param {boolean} resumed - Keep the saved queue order instead of placing the job by priority
+   */
+  queueConversion(conversionData, existingJob = null, resumed = false) {
+    const type = conversionData.type || 'conversion';
+    // Registrations are quick and someone is waiting on them in the viewer
+    const job = existingJob || this.jobStore.create(
+      type,
+      conversionData.outputBaseName,
+      conversionData,
+      type === 'registration' ? conversionData.outputBaseName : null,
+      conversionData.priority || (type === 'registration' ? 'stat' : 'routine')
+    );
+    conversionData.id = job.id;
+    conversionData.priority = job.priority;
+    conversionData.paused = job.paused;
+    conversionData.retryAt = job.retryAt ? new Date(job.retryAt).getTime() : null;
     
-    this.conversionQueue.push(conversionData);
+    if (resumed) {
+      // Resumed jobs arrive in their saved order
+      this.conversionQueue.push(conversionData);
+    } else {
+      this.conversionQueue.splice(this.priorityInsertIndex(job.priority), 0, conversionData);
+    }
+    this.jobStore.setQueueOrder(this.conversionQueue.map(item => item.id));
     this.processQueue();
     
-    return conversionId;
+    return job.id;
+  }
+
+  // Behind everything of the same or higher priority, ahead of anything lower
+  priorityInsertIndex(priority) {
+    const rank = PRIORITIES.indexOf(priority);
+    const index = this.conversionQueue.findIndex(item => PRIORITIES.indexOf(item.priority) > rank);
+    return index === -1 ? this.conversionQueue.length : index;
+  }
+
+  // Manual moves may cross priority groups; the operator's order wins
+  moveQueued(fromIndex, toIndex) {
+    const [item] = this.conversionQueue.splice(fromIndex, 1);
+    this.conversionQueue.splice(toIndex, 0, item);
+    this.jobStore.setQueueOrder(this.conversionQueue.map(queued => queued.id));
+  }
+
+  describeQueue() {
+    return {
+      queue: this.conversionQueue.map((item, index) => ({
+        position: index + 1,
+        id: item.id,
+        type: item.type || 'conversion',
+        key: item.outputBaseName,
+        fileName: item.inputPath ? path.basename(item.inputPath) : null,
+        priority: item.priority,
+        paused: item.paused,
+        retryAt: item.retryAt || null,
+        queuedAt: this.jobStore.get(item.id)?.queuedAt
+      })),
+      active: [...this.activeConversions.values()].map(active => ({
+        id: active.id,
+        type: active.type || 'conversion',
+        key: active.outputBaseName,
+        fileName: active.inputPath ? path.basename(active.inputPath) : null,
+        priority: active.priority,
+        phase: active.phase,
+        progress: active.progress,
+        startedAt: active.startedAt
+      })),
+      maxConcurrent: this.maxConcurrent
+    };
+  }
+
+  /**
+   * Pick up jobs recorded by a previous run: interrupted ones are re-queued (after clearing their
+   * partial output) until they run out of attempts, queued ones go back in the queue in order.
+   */
+  resumeJobs() {
+    const { requeued, failed, queued } = this.jobStore.recover(this.retryPolicy.maxAttempts);
+    for (const job of [...requeued, ...failed]) {
+      if (job.type !== 'registration') this.recordInterruptedAttempt(job);
+    }
+    for (const job of requeued) {
+      console.log(`🔁 Re-queued interrupted ${job.type} job ${job.id}: ${job.key} (attempt ${job.attempts + 1}/${this.retryPolicy.maxAttempts})`);
+      if (job.type !== 'registration') this.cleanupInterruptedOutputs(job);
+    }
+    for (const job of failed) {
+      console.warn(`❌ Not resuming ${job.key}: ${job.error}`);
+    }
+
+    let resumed = 0;
+    for (const job of queued) {
+      if (job.type !== 'registration' && !fs.existsSync(job.payload.inputPath)) {
+        console.warn(`❌ Not resuming ${job.key}: input file no longer exists`);
+        this.jobStore.markFailed(job.id, 'Input file no longer exists', 'missing_input');
+        continue;
+      }
+      this.queueConversion({ ...job.payload }, job, true);
+      resumed++;
+    }
+    if (resumed > 0) {
+      console.log(`📋 Resumed ${resumed} queued job(s) from ${path.basename(this.jobStore.jobsPath)}`);
+    }
+  }
+
+  // Remove what an interrupted conversion left behind so the retry starts clean
+  cleanupInterruptedOutputs(job) {
+    const { outputBaseName, dziDir } = job.payload;
+    const tempDir = this.centralConfig?.storage?.tempDir || os.tmpdir();
+    const leftovers = [
+      path.join(tempDir, `${outputBaseName}_icc_temp.v`),
+      path.join(tempDir, `${outputBaseName}_icc_temp.tif`)
+    ];
+    if (job.phase === 'dzi' || job.phase === 'metadata') {
+      leftovers.push(...slideOutputPaths(dziDir, outputBaseName));
+    }
+    for (const leftover of leftovers) {
+      try {
+        if (fs.existsSync(leftover)) {
+          fs.rmSync(leftover, { recursive: true, force: true });
+          console.log(`🧹 Removed partial output: ${leftover}`);
+        }
+      } catch (error) {
+        console.warn(`Failed to remove partial output ${leftover}: ${error.message}`);
+      }
+    }
   }
 
   async processQueue() {
-    while (this.conversionQueue.length > 0 && this.activeConversions.size < this.maxConcurrent) {
-      const conversion = this.conversionQueue.shift();
-      await this.startConversion(conversion);
+    while (this.activeConversions.size < this.maxConcurrent) {
+      // Paused jobs and jobs waiting out a retry backoff keep their place but are passed over
+      const now = Date.now();
+      const index = this.conversionQueue.findIndex(item => !item.paused && !(item.retryAt > now));
+      if (index === -1) {
+        this.scheduleRetryWakeup();
+        break;
+      }
+      const [conversion] = this.conversionQueue.splice(index, 1);
+      if (conversion.type === 'registration') {
+        await this.startRegistration(conversion);
+      } else {
+        await this.startConversion(conversion);
+      }
     }
   }
 
@@ -411,24 +821,43 @@ class ConversionServer extends EventEmitter {
       ...conversionData,
       startedAt: new Date(),
       progress: 0,
-      phase: 'Starting'
+      phase: 'Starting',
+      phases: {},
+      commands: {}
     };
 
     this.activeConversions.set(outputBaseName, conversionState);
+    this.jobStore.markRunning(conversionData.id);
+    // Hashed alongside the conversion; awaited when the attempt is recorded
+    conversionState.inputHash = ConversionHistoryStore.hashSlideFile(inputPath);
+    conversionState.inputHash.catch(() => {});
+
+    const runPhase = async (phase, step) => {
+      this.jobStore.setPhase(conversionData.id, phase);
+      const started = Date.now();
+      conversionState.phases[phase] = { ...conversionState.phases[phase], startedAt: new Date(started).toISOString() };
+      try {
+        await step();
+      } finally {
+        conversionState.phases[phase].durationMs = Date.now() - started;
+      }
+    };
 
     try {
       // Step 1: ICC Color Transform (optimized)
-      await this.performICCTransform(conversionState);
+      await runPhase('icc', () => this.performICCTransform(conversionState));
       
       // Step 2: DZI Tile Generation (optimized)
-      await this.performDZIConversion(conversionState);
+      await runPhase('dzi', () => this.performDZIConversion(conversionState));
       
       // Step 3: Metadata Extraction (parallel)
-      await this.extractMetadata(conversionState);
+      await runPhase('metadata', () => this.extractMetadata(conversionState));
       
       // Mark as completed
       this.completedConversions.add(outputBaseName);
       this.activeConversions.delete(outputBaseName);
+      this.jobStore.markSucceeded(conversionData.id);
+      await this.recordAttempt(conversionState, { status: 'succeeded' });
       
       console.log(`✅ Conversion completed: ${outputBaseName}`);
       
@@ -438,12 +867,182 @@ class ConversionServer extends EventEmitter {
     } catch (error) {
       console.error(`❌ Conversion failed: ${outputBaseName}`, error);
       this.activeConversions.delete(outputBaseName);
+      const outcome = this.handleConversionFailure(conversionData, error);
+      await this.recordAttempt(conversionState, { ...outcome, error: error.message });
       
       // Process next in queue even if this one failed
       this.processQueue();
     }
   }
 
+  // Run processQueue again when the earliest backoff runs out
+  scheduleRetryWakeup() {
+    clearTimeout(this.retryWakeup);
+    const waiting = this.conversionQueue.filter(item => !item.paused && item.retryAt).map(item => item.retryAt);
+    if (waiting.length === 0) return;
+    this.retryWakeup = setTimeout(() => this.processQueue(), Math.max(0, Math.min(...waiting) - Date.now()) + 100);
+  }
+
+  /**
+   * Apply the retry policy to a failed conversion: back into the queue after a backoff, or onto
+   * the dead-letter list
+   */
+  handleConversionFailure(conversionData, error) {
+    const job = this.jobStore.get(conversionData.id);
+    // A cancelled job's process exits with an error too; keep it recorded as cancelled
+    if (!job || job.state === 'cancelled') return { status: 'cancelled' };
+
+    const decision = this.retryPolicy.decide(error, job.attempts);
+    if (!decision.retry) {
+      console.log(`☠️  ${conversionData.outputBaseName}: ${decision.errorClass} failure after ${job.attempts} attempt(s), moved to dead-letter list`);
+      this.jobStore.markFailed(job.id, error.message, decision.errorClass);
+      return { status: 'failed', errorClass: decision.errorClass, retryScheduled: false };
+    }
+
+    this.cleanupInterruptedOutputs(job);
+    const retryAt = new Date(Date.now() + decision.delayMs);
+    this.jobStore.scheduleRetry(job.id, error.message, decision.errorClass, retryAt);
+    console.log(`⏳ ${conversionData.outputBaseName}: ${decision.errorClass} failure, retry ${job.attempts + 1}/${this.retryPolicy.maxAttempts} in ${Math.round(decision.delayMs / 1000)}s`);
+
+    conversionData.retryAt = retryAt.getTime();
+    this.conversionQueue.splice(this.priorityInsertIndex(conversionData.priority), 0, conversionData);
+    this.jobStore.setQueueOrder(this.conversionQueue.map(item => item.id));
+    return { status: 'failed', errorClass: decision.errorClass, retryScheduled: true, retryAt: retryAt.toISOString() };
+  }
+
+  /**
+   * Watch a vips process for one phase: peak memory while it runs, exit code when it ends
+   * @returns {Function} Call with (code, signal) when the process closes
+   */
+  watchVipsProcess(conversionState, phase, proc, args) {
+    conversionState.commands[phase] = `vips ${args.join(' ')}`;
+    const stopSampling = watchPeakMemory(proc);
+    return (code, signal) => {
+      conversionState.phases[phase] = {
+        ...conversionState.phases[phase],
+        exitCode: code,
+        signal: signal || null,
+        peakMemoryBytes: stopSampling()
+      };
+    };
+  }
+
+  /**
+   * Append one attempt to the conversion history; never fails the conversion itself
+   * @param {Object} outcome - status, errorClass, retryScheduled, retryAt, error
+   */
+  async recordAttempt(conversionState, outcome) {
+    try {
+      const job = this.jobStore.get(conversionState.id);
+      const { inputPath, outputBaseName, dziDir } = conversionState;
+      const stats = fs.existsSync(inputPath) ? fs.statSync(inputPath) : null;
+      const sha256 = await conversionState.inputHash.catch(() => null);
+      const finishedAt = new Date();
+      const peaks = Object.values(conversionState.phases).map(phase => phase.peakMemoryBytes).filter(Number.isFinite);
+      // Exit status of the last vips process that ran
+      const lastProcess = ['dzi', 'icc'].map(phase => conversionState.phases[phase]).find(phase => phase && 'exitCode' in phase);
+
+      const record = this.historyStore.append({
+        jobId: conversionState.id,
+        attempt: job ? job.attempts : null,
+        slide: outputBaseName,
+        priority: conversionState.priority,
+        status: outcome.status,
+        input: {
+          path: inputPath,
+          fileName: path.basename(inputPath),
+          size: stats ? stats.size : null,
+          modifiedAt: stats ? stats.mtime.toISOString() : null,
+          sha256
+        },
+        output: {
+          dziDir,
+          dziPath: path.join(dziDir, `${outputBaseName}.dzi`),
+          containerPath: conversionState.tileSettings?.container === 'szi'
+            ? path.join(dziDir, `${outputBaseName}${CONTAINER_EXTENSION}`) : null
+        },
+        serverId: this.serverId,
+        hostname: os.hostname(),
+        vips: {
+          env: { ...this.vipsConfig },
+          icc: this.centralConfig?.conversion?.icc || null,
+          tiles: conversionState.tileSettings || null,
+          commands: conversionState.commands
+        },
+        phases: conversionState.phases,
+        peakMemoryBytes: peaks.length ? Math.max(...peaks) : null,
+        exit: {
+          code: lastProcess ? lastProcess.exitCode : null,
+          signal: lastProcess ? lastProcess.signal : null,
+          error: outcome.error || null,
+          errorClass: outcome.errorClass || null,
+          retryScheduled: outcome.retryScheduled || false,
+          retryAt: outcome.retryAt || null
+        },
+        startedAt: conversionState.startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - conversionState.startedAt
+      });
+      console.log(`🧾 Recorded ${record.status} attempt for ${outputBaseName} (${record.id})`);
+    } catch (error) {
+      console.warn(`Failed to record conversion history for ${conversionState.outputBaseName}: ${error.message}`);
+    }
+  }
+
+  // An attempt cut off by a restart leaves no outcome of its own; record what the job store knows
+  recordInterruptedAttempt(job) {
+    try {
+      this.historyStore.append({
+        jobId: job.id,
+        attempt: job.attempts,
+        slide: job.key,
+        priority: job.priority,
+        status: 'interrupted',
+        input: { path: job.payload.inputPath, fileName: path.basename(job.payload.inputPath) },
+        output: { dziDir: job.payload.dziDir, dziPath: path.join(job.payload.dziDir, `${job.key}.dzi`) },
+        serverId: job.workerId,
+        phases: job.phase ? { [job.phase]: { interrupted: true } } : {},
+        exit: { error: job.error, errorClass: 'transient', retryScheduled: job.state === 'queued', retryAt: null },
+        startedAt: job.startedAt,
+        finishedAt: null,
+        durationMs: null
+      });
+    } catch (error) {
+      console.warn(`Failed to record interrupted attempt for ${job.key}: ${error.message}`);
+    }
+  }
+
+  async startRegistration(job) {
+    const { outputBaseName: jobId, fixedDziPath, movingDziPath, method } = job;
+    console.log(`\n=== STARTING REGISTRATION ===`);
+    console.log(`Fixed: ${path.basename(fixedDziPath)}`);
+    console.log(`Moving: ${path.basename(movingDziPath)}`);
+    console.log(`Method: ${method}`);
+    console.log(`=============================\n`);
+
+    const state = { ...job, startedAt: new Date(), progress: 0, phase: 'Registering' };
+    this.activeConversions.set(jobId, state);
+    this.jobStore.markRunning(job.id);
+
+    try {
+      const t0 = Date.now();
+      const result = await registerDziSlides(fixedDziPath, movingDziPath, {
+        method,
+        fixedMpp: job.fixedMpp,
+        movingMpp: job.movingMpp
+      });
+      result.computeMs = Date.now() - t0;
+      this.jobStore.markSucceeded(job.id, result);
+      console.log(`✅ Registration completed: ${jobId} (rotation ${result.rotation}°, score ${result.score})`);
+    } catch (error) {
+      console.error(`❌ Registration failed: ${jobId}`, error);
+      this.jobStore.markFailed(job.id, error.message);
+    } finally {
+      this.activeConversions.delete(jobId);
+      this.processQueue();
+    }
+  }
+
   async performICCTransform(conversionState) {
     return new Promise((resolve, reject) => {
       const { inputPath, outputBaseName } = conversionState;
@@ -513,6 +1112,7 @@ class ConversionServer extends EventEmitter {
 
       const proc = spawn('vips', args, { env });
       conversionState.process = proc;
+      const finishWatch = this.watchVipsProcess(conversionState, 'icc', proc, args);
 
       let lastProgressTime = 0;
       const PROGRESS_THROTTLE = 500; // Update every 500ms
@@ -537,7 +1137,8 @@ class ConversionServer extends EventEmitter {
         console.error(`ICC Transform Error: ${data.toString()}`);
       });
 
-      proc.on('close', (code) => {
+      proc.on('close', (code, signal) => {
+        finishWatch(code, signal);
         const iccDuration = Date.now() - conversionState.iccStartTime;
         if (code === 0) {
           conversionState.tempPath = tempPath;
@@ -555,6 +1156,7 @@ class ConversionServer extends EventEmitter {
       });
 
       proc.on('error', (error) => {
+        finishWatch(null, null);
         reject(error);
       });
     });
@@ -572,16 +1174,17 @@ class ConversionServer extends EventEmitter {
       // Calculate optimal settings for DZI generation
       const optimalConcurrency = Math.max(1, Math.floor(this.vipsConfig.VIPS_CONCURRENCY / this.activeConversions.size));
       
-      console.log(`DZI Generation: temp -> ${outputBaseName}.dzi (concurrency: ${optimalConcurrency})`);
+      // Jobs queued before tile settings existed (or without overrides) use conversion.dzi as it is now
+      const tiles = resolveTileSettings(this.centralConfig?.conversion?.dzi || {}, conversionState.tiles);
+      conversionState.tileSettings = tiles;
+      const outputFile = tiles.container === 'szi' ? `${outputBaseName}${CONTAINER_EXTENSION}` : `${outputBaseName}.dzi`;
+      console.log(`DZI Generation: temp -> ${outputFile} (${tiles.format}, Q${tiles.quality}, ${tiles.tileSize}px, concurrency: ${optimalConcurrency})`);
       
       const args = [
         'dzsave',
         `${tempPath}[access=sequential,memory=true]`, // Unlimited memory for large files
         outputPath,
-        '--layout', 'dz',
-        '--suffix', '.jpg[Q=92,optimize_coding,strip]', // Slightly higher quality, optimized
-        '--overlap', '1',
-        '--tile-size', '256',
+        ...buildDzsaveArgs(tiles),
         `--vips-concurrency=${optimalConcurrency}`,
         '--vips-progress'
       ];
@@ -593,6 +1196,7 @@ class ConversionServer extends EventEmitter {
 
       const proc = spawn('vips', args, { env });
       conversionState.process = proc;
+      const finishWatch = this.watchVipsProcess(conversionState, 'dzi', proc, args);
 
       let lastProgressTime = 0;
       const PROGRESS_THROTTLE = 500;
@@ -610,11 +1214,15 @@ class ConversionServer extends EventEmitter {
         }
       });
 
+      // Keep the end of stderr; the failure reason decides whether the job is retried
+      let stderrTail = '';
       proc.stderr.on('data', (data) => {
         console.error(`DZI Generation Error: ${data.toString()}`);
+        stderrTail = (stderrTail + data.toString()).slice(-2000);
       });
 
-      proc.on('close', (code) => {
+      proc.on('close', (code, signal) => {
+        finishWatch(code, signal);
         // Clean up temp file
         try {
           if (fs.existsSync(tempPath)) {
@@ -628,11 +1236,12 @@ class ConversionServer extends EventEmitter {
         if (code === 0) {
           resolve();
         } else {
-          reject(new Error(`DZI generation failed with code ${code}`));
+          reject(new Error(`DZI generation failed with code ${code}${stderrTail.trim() ? `: ${stderrTail.trim()}` : ''}`));
         }
       });
 
       proc.on('error', (error) => {
+        finishWatch(null, null);
         reject(error);
       });
     });
@@ -647,7 +1256,8 @@ class ConversionServer extends EventEmitter {
       // Import metadata extractor if available
       const SlideMetadataExtractor = require('./slideMetadataExtractor');
       const extractor = new SlideMetadataExtractor({
-        dziDir: conversionState.dziDir
+        dziDir: conversionState.dziDir,
+        appConfig: { metadata: this.centralConfig?.metadata }
       });
       
       await extractor.extractMetadata(conversionState.inputPath, conversionState.outputBaseName);
@@ -670,7 +1280,10 @@ class ConversionServer extends EventEmitter {
         console.log(`🚀 Conversion Server: http://localhost:${this.port} ✅ RUNNING`);
         console.log(`📊 Ready to process ${this.maxConcurrent} concurrent conversions`);
         
-        // Step 3: Register with main server
+        // Step 3: Resume jobs left over from the previous run
+        this.resumeJobs();
+
+        // Step 4: Register with main server
         await this.registerWithMainServer();
         
         resolve();
@@ -3,6 +3,7 @@ const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { resolveTileSettings, buildDzsaveArgs } = require('./services/tileFormat');
 
 // Cleanup function for temporary files
 function cleanupTempFiles() {
@@ -38,6 +39,7 @@ class ConversionWorker {
     this.svsPath = this.slideInfo.filePath;
     this.baseName = this.slideInfo.baseName || path.parse(this.slideInfo.fileName).name;
     this.outputPath = path.join(this.config.dziDir, this.baseName);
+    this.tiles = this.config.tiles || resolveTileSettings();
     
     // Track active processes for cleanup
     this.activeProcesses = new Set();
@@ -256,10 +258,7 @@ class ConversionWorker {
         'dzsave',
         `${inputPath}[access=sequential,memory=true]`, // Unlimited memory for large files
         outputBasePath,
-        '--layout', 'dz',
-        '--suffix', '.jpg[Q=90,strip]',
-        '--overlap', '1',
-        '--tile-size', '256',
+        ...buildDzsaveArgs(this.tiles),
         `--vips-concurrency=${this.numWorkers || 4}`,
         '--vips-progress'
       ];
@@ -8,6 +8,10 @@ const { spawn, exec, execSync } = require('child_process');
 const WebSocket = require('ws');
 const fetch = require('node-fetch');
 const multer = require('multer');
+const ChunkedUploadStore = require('./services/chunkedUpload');
+const SlideFileValidator = require('./services/slideFileValidator');
+const UserStore = require('./services/userStore');
+const AuthService = require('./services/authService');
 
 const app = express();
 const PORT = 3003; // Different port from main server
@@ -70,29 +74,103 @@ let guiConfig = {
   autoStart: false
 };
 
-// Multer storage to write directly into sourceDir with sanitized filenames
+const SLIDE_EXTENSIONS = ['.svs', '.ndpi', '.tif', '.tiff', '.jp2', '.vms', '.vmu', '.scn'];
+const MAX_UPLOAD_BYTES = 1024 * 1024 * 1024 * 20; // up to 20GB per file
+
+let slideFileValidator = null;
+
+// Uploads are staged outside sourceDir and only moved in once validated, so the AutoProcessor
+// never picks up a file that is still arriving or turns out not to be a slide
+function getUploadStagingDir(name) {
+  const config = require('./config.js');
+  return path.join(config.uploadsDir, name);
+}
+
+function getSlideFileValidator() {
+  if (!slideFileValidator) {
+    const config = require('./config.js');
+    slideFileValidator = new SlideFileValidator(config.appConfig?.upload?.validation || {});
+  }
+  return slideFileValidator;
+}
+
+// Multer storage to write into the staging folder with sanitized, collision-free names
 const upload = multer({
   storage: multer.diskStorage({
     destination: (req, file, cb) => {
       try {
-        const destDir = guiConfig.sourceDir;
-        if (!destDir) return cb(new Error('Source folder not set in GUI config'));
-        fs.mkdirSync(destDir, { recursive: true });
-        cb(null, destDir);
+        const stagingDir = getUploadStagingDir('incoming');
+        fs.mkdirSync(stagingDir, { recursive: true });
+        cb(null, stagingDir);
       } catch (e) { cb(e); }
     },
     filename: (req, file, cb) => {
       const safeName = String(file.originalname || 'upload')
         .replace(/[\/\\:*?"<>|]/g, '_');
-      cb(null, safeName);
+      cb(null, `${Date.now()}_${Math.random().toString(36).substr(2, 9)}_${safeName}`);
     }
   }),
-  limits: { fileSize: 1024 * 1024 * 1024 * 20 } // up to 20GB per file
+  limits: { fileSize: MAX_UPLOAD_BYTES }
 });
 
+// Sign-in is shared with the backend: the same accounts (data/users.json) and token secret, so
+// sessions are checked here without a round trip. Logins themselves go through the backend.
+const authConfig = require('./config.js');
+const userStore = authConfig.isServerMode() ? new UserStore(authConfig) : null;
+const auth = new AuthService(authConfig, userStore);
+
+// Calls to the backend carry the caller's session, so the backend applies its own role checks
+function backendHeaders(req, headers = {}) {
+  const token = auth.tokenFromRequest(req);
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+}
+
+// Record what a console user did in the backend's audit log. Never throws: a backend that is down
+// is logged here and the request carries on, as auditLog.record does on the backend.
+function audit(req, action, target, details = null) {
+  const user = req.user || {};
+  fetch(`${getBackendBaseUrl()}/api/audit/events`, {
+    method: 'POST',
+    headers: { ...auth.serviceHeaders('gui-server'), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ action, target, details, user: { username: user.username || 'anonymous', role: user.role || null }, ip: req.ip }),
+    timeout: 5000
+  }).then(r => {
+    if (!r.ok) console.warn(`⚠️ Audit log refused ${action} ${target}: HTTP ${r.status}`);
+  }).catch(e => {
+    console.warn(`⚠️ Could not record ${action} ${target} in the audit log: ${e.message}`);
+  });
+}
+
 // Middleware
 app.use(express.json({ limit: '100mb' })); // Increased limit for large file operations
 app.use(express.static(path.join(__dirname, 'gui-web')));
+app.use((req, res, next) => {
+  // Accounts are edited through the backend; pick up its changes before checking the session
+  if (userStore) userStore.refresh();
+  next();
+});
+app.use(auth.authenticate());
+
+// Proxy: sign-in, user accounts, access rules, share links and the audit log (the backend owns them; its session cookie is passed back)
+app.all(/^\/api\/(auth|users|access-rules|share-links|audit)(\/.*)?$/, async (req, res) => {
+  try {
+    const hasBody = !['GET', 'HEAD', 'DELETE'].includes(req.method);
+    const r = await fetch(`${getBackendBaseUrl()}${req.originalUrl}`, {
+      method: req.method,
+      headers: backendHeaders(req, hasBody ? { 'Content-Type': 'application/json' } : {}),
+      body: hasBody ? JSON.stringify(req.body || {}) : undefined
+    });
+    const cookie = r.headers.get('set-cookie');
+    if (cookie) res.setHeader('Set-Cookie', cookie);
+    const text = await r.text();
+    res.status(r.status).type(r.headers.get('content-type') || 'application/json').send(text);
+  } catch (e) {
+    res.status(502).json({ error: 'Backend unavailable', details: e.message });
+  }
+});
+
+// The console is for technicians and admins; server control and configuration are admin-only
+app.use('/api', auth.requireRole('technician'));
 
 // Load/Save configuration - Updated to use unified config system
 function loadConfig() {
@@ -133,25 +211,205 @@ app.get('/api/config', (req, res) => {
   res.json(guiConfig);
 });
 
-// Import slides: accepts multipart form-data with field name 'slides'
+// Import slides: accepts multipart form-data with field name 'slides'.
+// Each file is content-checked; accepted files move into sourceDir, rejected ones are deleted and
+// reported with a structured reason ({ code, message, ... }).
 app.post('/api/import', upload.array('slides'), async (req, res) => {
+  const files = req.files || [];
   try {
-    const allowed = new Set(['.svs', '.ndpi', '.tif', '.tiff', '.jp2', '.vms', '.vmu', '.scn']);
-    const files = req.files || [];
     if (!files.length) return res.status(400).json({ error: 'No files uploaded' });
-    // Remove any files with unsupported extensions
+    const slidesDir = guiConfig.sourceDir;
+    if (!slidesDir) return res.status(400).json({ error: 'Source folder not set in GUI config' });
+
+    const imported = [];
+    const rejected = [];
     for (const f of files) {
-      const ext = (path.extname(f.originalname || f.filename) || '').toLowerCase();
-      if (!allowed.has(ext)) {
+      const safeName = String(f.originalname || 'upload').replace(/[\/\\:*?"<>|]/g, '_');
+      const ext = (path.extname(safeName) || '').toLowerCase();
+      const destination = path.join(slidesDir, safeName);
+      let validation;
+      if (!SLIDE_EXTENSIONS.includes(ext)) {
+        validation = { valid: false, reason: { code: 'unsupported_extension', message: `Unsupported file type ${ext || '(none)'}` } };
+      } else if (fs.existsSync(destination)) {
+        validation = { valid: false, reason: { code: 'already_exists', message: 'A slide with this name already exists' } };
+      } else {
+        validation = await getSlideFileValidator().validate(f.path, safeName);
+      }
+
+      if (!validation.valid) {
         try { fs.unlinkSync(f.path); } catch (_) {}
+        console.warn(`⛔ Rejected upload ${safeName}: ${validation.reason.message}`);
+        rejected.push({ file: safeName, reason: validation.reason });
+        continue;
       }
+      ChunkedUploadStore.moveIntoPlace(f.path, destination);
+      imported.push({ file: safeName, format: validation.format, vendor: validation.vendor || null });
     }
-    res.json({ success: true });
+
+    for (const item of imported) audit(req, 'slide.import', item.file, { via: 'import', format: item.format, vendor: item.vendor });
+    for (const item of rejected) audit(req, 'slide.import-rejected', item.file, { via: 'import', reason: item.reason.code });
+    res.status(imported.length ? 200 : 422).json({ success: rejected.length === 0, imported, rejected });
   } catch (e) {
+    for (const f of files) {
+      try { if (fs.existsSync(f.path)) fs.unlinkSync(f.path); } catch (_) {}
+    }
     res.status(500).json({ error: e.message });
   }
 });
 
+// ===== RESUMABLE UPLOADS =====
+// tus-style chunked uploads for multi-gigabyte slides over unreliable connections:
+//   POST   /api/uploads              { filename, size, checksum?, folder? } -> 201 + Location
+//   PATCH  /api/uploads/:id          body = raw chunk, Upload-Offset header (+ optional Upload-Checksum: sha256 <base64>)
+//   HEAD   /api/uploads/:id          Upload-Offset / Upload-Length headers, to resume after a failure
+//   POST   /api/uploads/:id/finalize { checksum? } -> checksum and content checked, moved into the slides folder
+//   DELETE /api/uploads/:id          abandon an upload
+let uploadStore = null;
+
+// Created on first use so the staging folder follows the unified config
+function getUploadStore() {
+  if (!uploadStore) {
+    uploadStore = new ChunkedUploadStore({
+      stagingDir: getUploadStagingDir('resumable'),
+      maxSize: MAX_UPLOAD_BYTES,
+      allowedExtensions: SLIDE_EXTENSIONS
+    });
+  }
+  return uploadStore;
+}
+
+function sendUploadError(res, error, fallbackMessage) {
+  if (error instanceof ChunkedUploadStore.UploadError) {
+    if (error.details.offset !== undefined) res.set('Upload-Offset', String(error.details.offset));
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage, details: error.message });
+}
+
+function describeUpload(session) {
+  return {
+    id: session.id,
+    filename: session.filename,
+    folder: session.folder,
+    size: session.size,
+    offset: session.offset,
+    complete: session.offset === session.size,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt
+  };
+}
+
+// List unfinished uploads (lets a client offer to resume them)
+app.get('/api/uploads', (req, res) => {
+  try {
+    res.json({ uploads: getUploadStore().list().map(describeUpload) });
+  } catch (error) {
+    sendUploadError(res, error, 'Failed to list uploads');
+  }
+});
+
+// Create an upload
+app.post('/api/uploads', (req, res) => {
+  try {
+    const store = getUploadStore();
+    const errors = store.validate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid upload', errors });
+    }
+    const session = store.create(req.body);
+    console.log(`⬆️ Upload started: ${session.filename} (${session.size} bytes) as ${session.id}`);
+    audit(req, 'upload.start', session.filename, { id: session.id, size: session.size, folder: session.folder || null });
+    res.status(201).set('Location', `/api/uploads/${session.id}`).json(describeUpload(session));
+  } catch (error) {
+    sendUploadError(res, error, 'Failed to create upload');
+  }
+});
+
+// Upload status as headers (tus HEAD)
+app.head('/api/uploads/:id', (req, res) => {
+  const session = getUploadStore().get(req.params.id);
+  res.set('Cache-Control', 'no-store');
+  if (!session) return res.sendStatus(404);
+  res.set({ 'Upload-Offset': String(session.offset), 'Upload-Length': String(session.size) }).sendStatus(200);
+});
+
+app.get('/api/uploads/:id', (req, res) => {
+  const session = getUploadStore().get(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Upload not found' });
+  res.set('Cache-Control', 'no-store').json(describeUpload(session));
+});
+
+// Append a chunk at Upload-Offset
+app.patch('/api/uploads/:id', async (req, res) => {
+  if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+    return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+  }
+  const offset = Number(req.get('Upload-Offset'));
+  if (!Number.isSafeInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: 'Upload-Offset header must be a non-negative integer' });
+  }
+
+  let chunkChecksum = null;
+  const checksumHeader = req.get('Upload-Checksum');
+  if (checksumHeader) {
+    const [algorithm, value] = checksumHeader.split(' ');
+    if (algorithm !== 'sha256' || !value) {
+      return res.status(400).json({ error: 'Upload-Checksum must be "sha256 <base64 digest>"' });
+    }
+    chunkChecksum = value;
+  }
+
+  try {
+    const session = await getUploadStore().appendChunk(req.params.id, offset, req, chunkChecksum);
+    res.set('Upload-Offset', String(session.offset)).status(204).end();
+  } catch (error) {
+    sendUploadError(res, error, 'Failed to write chunk');
+  }
+});
+
+// Verify the complete file and move it into the slides folder for the AutoProcessor
+app.post('/api/uploads/:id/finalize', async (req, res) => {
+  try {
+    const slidesDir = guiConfig.sourceDir;
+    if (!slidesDir) return res.status(400).json({ error: 'Source folder not set in GUI config' });
+    const checksum = req.body && req.body.checksum;
+    if (checksum && !/^[a-f0-9]{64}$/i.test(checksum)) {
+      return res.status(400).json({ error: 'Invalid upload', errors: ['checksum must be a hex SHA-256 digest'] });
+    }
+
+    const result = await getUploadStore().finalize(req.params.id, slidesDir, checksum, getSlideFileValidator());
+    const relativePath = path.relative(slidesDir, result.destination).replace(/\\/g, '/');
+    console.log(`✅ Upload complete: ${relativePath} (sha256 ${result.sha256})`);
+    audit(req, 'slide.import', relativePath, { via: 'upload', id: req.params.id, format: result.validation.format, size: result.session.size, sha256: result.sha256 });
+    broadcastToClients({ type: 'upload_complete', id: req.params.id, path: relativePath, size: result.session.size });
+    res.json({
+      success: true,
+      id: req.params.id,
+      path: relativePath,
+      size: result.session.size,
+      sha256: result.sha256,
+      format: result.validation.format,
+      vendor: result.validation.vendor || null
+    });
+  } catch (error) {
+    sendUploadError(res, error, 'Failed to finalize upload');
+  }
+});
+
+app.delete('/api/uploads/:id', (req, res) => {
+  try {
+    const session = getUploadStore().get(req.params.id);
+    if (!getUploadStore().remove(req.params.id)) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    audit(req, 'upload.cancel', session ? session.filename : null, { id: req.params.id });
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    sendUploadError(res, error, 'Failed to delete upload');
+  }
+});
+
 // Browse directories
 app.get('/api/browse', (req, res) => {
   const { path: dirPath } = req.query;
@@ -196,9 +454,16 @@ app.get('/api/browse', (req, res) => {
 });
 
 // Save configuration
-app.post('/api/config', (req, res) => {
+app.post('/api/config', auth.requireRole('admin'), (req, res) => {
+  const previous = guiConfig;
   guiConfig = { ...guiConfig, ...req.body };
   saveConfig();
+  const changed = Object.keys(req.body || {}).filter(key => JSON.stringify(previous[key]) !== JSON.stringify(guiConfig[key]));
+  audit(req, 'config.update', 'console-config', {
+    changed,
+    before: Object.fromEntries(changed.map(key => [key, previous[key]])),
+    after: Object.fromEntries(changed.map(key => [key, guiConfig[key]]))
+  });
   res.json({ success: true });
 });
 
@@ -216,7 +481,30 @@ function getBackendWsUrl() {
 // Proxy: scan slides
 app.get('/api/slides', async (req, res) => {
   try {
-    const r = await fetch(`${getBackendBaseUrl()}/api/slides`);
+    const r = await fetch(`${getBackendBaseUrl()}/api/slides`, { headers: backendHeaders(req) });
+    const text = await r.text();
+    res.status(r.status).type(r.headers.get('content-type') || 'application/json').send(text);
+  } catch (e) {
+    res.status(502).json({ error: 'Backend unavailable', details: e.message });
+  }
+});
+
+// Proxy: search slides (query string is forwarded unchanged)
+app.get('/api/slides/search', async (req, res) => {
+  try {
+    const query = new URLSearchParams(req.query).toString();
+    const r = await fetch(`${getBackendBaseUrl()}/api/slides/search${query ? `?${query}` : ''}`, { headers: backendHeaders(req) });
+    const text = await r.text();
+    res.status(r.status).type(r.headers.get('content-type') || 'application/json').send(text);
+  } catch (e) {
+    res.status(502).json({ error: 'Backend unavailable', details: e.message });
+  }
+});
+
+// Proxy: rebuild the backend slide catalog
+app.post('/api/slides/rescan', async (req, res) => {
+  try {
+    const r = await fetch(`${getBackendBaseUrl()}/api/slides/rescan`, { method: 'POST', headers: backendHeaders(req) });
     const text = await r.text();
     res.status(r.status).type(r.headers.get('content-type') || 'application/json').send(text);
   } catch (e) {
@@ -227,7 +515,7 @@ app.get('/api/slides', async (req, res) => {
 // Proxy: start conversion
 app.post('/api/convert/:filename', async (req, res) => {
   try {
-    const r = await fetch(`${getBackendBaseUrl()}/api/convert/${encodeURIComponent(req.params.filename)}`, { method: 'POST' });
+    const r = await fetch(`${getBackendBaseUrl()}/api/convert/${encodeURIComponent(req.params.filename)}`, { method: 'POST', headers: backendHeaders(req) });
     const text = await r.text();
     res.status(r.status).type(r.headers.get('content-type') || 'application/json').send(text);
   } catch (e) {
@@ -236,9 +524,9 @@ app.post('/api/convert/:filename', async (req, res) => {
 });
 
 // Proxy: delete slide
-app.delete('/api/slides/:filename', async (req, res) => {
+app.delete('/api/slides/:filename', auth.requireRole('admin'), async (req, res) => {
   try {
-    const r = await fetch(`${getBackendBaseUrl()}/api/slides/${encodeURIComponent(req.params.filename)}`, { method: 'DELETE' });
+    const r = await fetch(`${getBackendBaseUrl()}/api/slides/${encodeURIComponent(req.params.filename)}`, { method: 'DELETE', headers: backendHeaders(req) });
     const text = await r.text();
     res.status(r.status).type(r.headers.get('content-type') || 'application/json').send(text);
   } catch (e) {
@@ -252,9 +540,9 @@ app.put('/api/slides/:filename/rename', async (req, res) => {
   try {
     const r = await fetch(`${getBackendBaseUrl()}/api/slides/${encodeURIComponent(req.params.filename)}/rename`, {
       method: 'PUT',
-      headers: {
+      headers: backendHeaders(req, {
         'Content-Type': 'application/json'
-      },
+      }),
       body: JSON.stringify(req.body)
     });
     const text = await r.text();
@@ -265,14 +553,42 @@ app.put('/api/slides/:filename/rename', async (req, res) => {
   }
 });
 
+// Proxy: de-identify slide
+app.post('/api/slides/:filename/deidentify', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const r = await fetch(`${getBackendBaseUrl()}/api/slides/${encodeURIComponent(req.params.filename)}/deidentify`, { method: 'POST', headers: backendHeaders(req) });
+    const text = await r.text();
+    res.status(r.status).type(r.headers.get('content-type') || 'application/json').send(text);
+  } catch (e) {
+    console.error('Proxy error (de-identify slide):', e);
+    res.status(500).json({ error: 'Proxy error' });
+  }
+});
+
+// Proxy: cases, slide registrations and the conversion queue (all methods; path, query string and JSON body forwarded unchanged)
+app.all(/^\/api\/(cases|registrations|conversions)(\/.*)?$/, async (req, res) => {
+  try {
+    const hasBody = !['GET', 'HEAD', 'DELETE'].includes(req.method);
+    const r = await fetch(`${getBackendBaseUrl()}${req.originalUrl}`, {
+      method: req.method,
+      headers: backendHeaders(req, hasBody ? { 'Content-Type': 'application/json' } : {}),
+      body: hasBody ? JSON.stringify(req.body || {}) : undefined
+    });
+    const text = await r.text();
+    res.status(r.status).type(r.headers.get('content-type') || 'application/json').send(text);
+  } catch (e) {
+    res.status(502).json({ error: 'Backend unavailable', details: e.message });
+  }
+});
+
 // Proxy: generate thumbnail
 app.post('/api/slides/:filename/generate-thumbnail', async (req, res) => {
   try {
     const r = await fetch(`${getBackendBaseUrl()}/api/slides/${encodeURIComponent(req.params.filename)}/generate-thumbnail`, {
       method: 'POST',
-      headers: {
+      headers: backendHeaders(req, {
         'Content-Type': 'application/json'
-      }
+      })
     });
     const text = await r.text();
     res.status(r.status).type(r.headers.get('content-type') || 'application/json').send(text);
@@ -283,7 +599,7 @@ app.post('/api/slides/:filename/generate-thumbnail', async (req, res) => {
 });
 
 // Server management
-app.post('/api/server/start', (req, res) => {
+app.post('/api/server/start', auth.requireRole('admin'), (req, res) => {
   detectServiceMode();
   if (controlMode === 'service') {
     try {
@@ -328,7 +644,7 @@ app.post('/api/server/start', (req, res) => {
   }
 });
 
-app.post('/api/server/stop', (req, res) => {
+app.post('/api/server/stop', auth.requireRole('admin'), (req, res) => {
   detectServiceMode();
   if (controlMode === 'service') {
     try {
@@ -365,7 +681,7 @@ app.get('/api/server/status', async (req, res) => {
   if (!running) {
     try {
       const url = `http://localhost:${Number(guiConfig.serverPort) || 3102}/api/performance/status`;
-      const r = await fetch(url, { timeout: 2000 });
+      const r = await fetch(url, { timeout: 2000, headers: auth.serviceHeaders('gui-server') });
       running = r && r.ok;
     } catch (_) { /* ignore */ }
   }
@@ -427,7 +743,7 @@ function initLogWatcher(kind, filePath) {
 app.get('/api/backend/health', async (req, res) => {
   try {
     const url = `http://localhost:${guiConfig.serverPort}/api/performance/status`;
-    const r = await fetch(url, { timeout: 5000 });
+    const r = await fetch(url, { timeout: 5000, headers: auth.serviceHeaders('gui-server') });
     if (!r.ok) {
       return res.status(503).json({ ok: false, status: r.status, message: 'Backend responded with error' });
     }
@@ -463,7 +779,7 @@ app.get('/api/servers/status', async (req, res) => {
   // Check backend server
   try {
     const backendUrl = `http://localhost:${guiConfig.serverPort}/api/performance/status`;
-    const backendResponse = await fetch(backendUrl, { timeout: 3000 });
+    const backendResponse = await fetch(backendUrl, { timeout: 3000, headers: auth.serviceHeaders('gui-server') });
     if (backendResponse.ok) {
       status.backend.status = 'running';
       status.backend.connected = true;
@@ -561,7 +877,8 @@ app.post('/api/touch-file/:filename', async (req, res) => {
     try {
       const backendUrl = `http://localhost:${guiConfig.serverPort || 3102}`;
       await fetch(`${backendUrl}/api/clear-processed/${encodeURIComponent(filename)}`, { 
-        method: 'POST' 
+        method: 'POST',
+        headers: backendHeaders(req)
       });
     } catch (backendError) {
       console.warn('Could not notify backend to clear processed status:', backendError.message);
@@ -588,7 +905,8 @@ app.post('/api/cancel-conversion/:filename', async (req, res) => {
     // Forward cancel request to backend server
     const backendUrl = `http://localhost:${guiConfig.serverPort || 3102}`;
     const response = await fetch(`${backendUrl}/api/cancel-conversion/${encodeURIComponent(filename)}`, { 
-      method: 'POST' 
+      method: 'POST',
+      headers: backendHeaders(req)
     });
     
     if (!response.ok) {
@@ -632,7 +950,14 @@ const server = app.listen(PORT, () => {
   }, 3000);
 });
 
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({
+  server,
+  verifyClient: (info, done) => {
+    if (userStore) userStore.refresh();
+    if (auth.principalFor(info.req, { allowQuery: true })) return done(true);
+    done(false, 401, 'Authentication required');
+  }
+});
 
 wss.on('connection', (ws) => {
   console.log('GUI client connected');
@@ -657,7 +982,7 @@ function ensureBackendWs() {
     if (backendWs && backendWs.readyState === WebSocket.OPEN) return;
     const url = getBackendWsUrl();
     if (backendWs && backendWs.readyState === WebSocket.CONNECTING) return;
-    backendWs = new WebSocket(url);
+    backendWs = new WebSocket(url, { headers: auth.serviceHeaders('gui-server') });
     backendWs.on('open', () => {
       console.log('Connected to backend WS:', url);
       reconnectAttempts = 0; // Reset counter on successful connection
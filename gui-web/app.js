@@ -3,6 +3,10 @@
 
 let currentConfig = {};
 let slides = [];
+// Current page of the slide search (filters are read from the filter bar on each scan)
+const SLIDES_PAGE_SIZE = 48;
+let slidesPage = 1;
+let slidesTotalPages = 1;
 let ws = null;
 // DOM Elements - will be initialized after DOM loads
 let elements = {};
@@ -16,6 +20,102 @@ function setApiBase(newBase) {
     // No-op when using direct backend access
 }
 
+// Text from the server (case descriptions, slide names, decoded barcodes) going into innerHTML
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// ===== AUTHENTICATION =====
+// Session token from /api/auth/login (shared with the viewer's backend), sent as a Bearer header
+// on every API call and on the WebSocket URL. The console needs the technician role or higher.
+let authToken = localStorage.getItem('authToken');
+let currentUser = null;
+const CONSOLE_ROLES = ['technician', 'admin'];
+
+function authHeaders() {
+    return authToken ? { Authorization: `Bearer ${authToken}` } : {};
+}
+
+async function apiFetch(url, options = {}) {
+    const response = await fetch(url, { ...options, headers: { ...authHeaders(), ...(options.headers || {}) } });
+    if (response.status === 401 && currentUser) {
+        setSession(null, null);
+        showLogin('Your session has expired. Please sign in again.');
+    }
+    return response;
+}
+
+function setSession(token, user) {
+    authToken = token || null;
+    if (authToken) localStorage.setItem('authToken', authToken);
+    else localStorage.removeItem('authToken');
+    currentUser = user;
+    document.body.classList.toggle('role-technician', Boolean(user) && user.role === 'technician');
+    document.getElementById('userName').textContent = user ? `${user.displayName || user.username} (${user.role})` : '';
+    document.getElementById('logoutBtn').style.display = user && user.id !== 'anonymous' ? 'inline-block' : 'none';
+}
+
+function showLogin(message) {
+    document.getElementById('loginError').textContent = message || '';
+    document.getElementById('loginOverlay').style.display = 'flex';
+    document.getElementById('loginUsername').focus();
+}
+
+// Resolves once someone with a console role is signed in
+function ensureSignedIn() {
+    return new Promise(resolve => {
+        const form = document.getElementById('loginForm');
+        const accept = (token, user) => {
+            if (!CONSOLE_ROLES.includes(user.role)) {
+                setSession(null, null);
+                showLogin(`${user.username} is a ${user.role}; the management console needs the technician or admin role.`);
+                return;
+            }
+            setSession(token, user);
+            document.getElementById('loginOverlay').style.display = 'none';
+            // Signing in again after a logout or an expired session
+            if (ws && ws.readyState === WebSocket.CLOSED) setupWebSocket();
+            resolve(user);
+        };
+
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const password = document.getElementById('loginPassword');
+            try {
+                const response = await fetch('/api/auth/login', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ username: document.getElementById('loginUsername').value.trim(), password: password.value })
+                });
+                const result = await response.json();
+                if (!response.ok) {
+                    document.getElementById('loginError').textContent = result.message || result.error || `HTTP ${response.status}`;
+                    return;
+                }
+                password.value = '';
+                accept(result.token, result.user);
+            } catch (error) {
+                document.getElementById('loginError').textContent = `Sign-in failed: ${error.message}`;
+            }
+        });
+
+        document.getElementById('logoutBtn').addEventListener('click', async () => {
+            await fetch('/api/auth/logout', { method: 'POST' }).catch(() => {});
+            setSession(null, null);
+            if (ws) ws.close();
+            showLogin();
+        });
+
+        fetch('/api/auth/me', { headers: authHeaders() })
+            .then(response => response.json())
+            .then(result => {
+                if (result.user) accept(authToken, result.user);
+                else showLogin();
+            })
+            .catch(error => showLogin(`Cannot reach the server: ${error.message}`));
+    });
+}
+
 // Initialize DOM elements after DOM is loaded
 function initializeElements() {
     console.log('Initializing DOM elements...');
@@ -87,6 +187,34 @@ function initializeElements() {
         slidesGrid: document.getElementById('slidesGrid'),
         importSlidesBtn: document.getElementById('importSlidesBtn'),
         importSlidesInput: document.getElementById('importSlidesInput'),
+        slideSearchInput: document.getElementById('slideSearchInput'),
+        slideFormatFilter: document.getElementById('slideFormatFilter'),
+        slideStatusFilter: document.getElementById('slideStatusFilter'),
+        slideSortSelect: document.getElementById('slideSortSelect'),
+        tileProfileSelect: document.getElementById('tileProfileSelect'),
+        slidesPrevBtn: document.getElementById('slidesPrevBtn'),
+        slidesNextBtn: document.getElementById('slidesNextBtn'),
+        slidesPageInfo: document.getElementById('slidesPageInfo'),
+        
+        // Cases
+        casesBtn: document.getElementById('casesBtn'),
+        casesPanel: document.getElementById('casesPanel'),
+        caseSearchInput: document.getElementById('caseSearchInput'),
+        newCaseBtn: document.getElementById('newCaseBtn'),
+        casesList: document.getElementById('casesList'),
+        
+        // Conversion queue
+        queueBtn: document.getElementById('queueBtn'),
+        queuePanel: document.getElementById('queuePanel'),
+        refreshQueueBtn: document.getElementById('refreshQueueBtn'),
+        queueList: document.getElementById('queueList'),
+        
+        // Failed conversions
+        failedBtn: document.getElementById('failedBtn'),
+        failedPanel: document.getElementById('failedPanel'),
+        failedList: document.getElementById('failedList'),
+        retrySelectedFailedBtn: document.getElementById('retrySelectedFailedBtn'),
+        retryAllFailedBtn: document.getElementById('retryAllFailedBtn'),
         
         // VIPS Info
         getVipsInfoBtn: document.getElementById('getVipsInfoBtn'),
@@ -200,7 +328,7 @@ async function renameSlide(currentName, filename) {
     }
 
     try {
-        const response = await fetch(`/api/slides/${encodeURIComponent(currentName)}/rename`, {
+        const response = await apiFetch(`/api/slides/${encodeURIComponent(currentName)}/rename`, {
             method: 'PUT',
             headers: {
                 'Content-Type': 'application/json'
@@ -309,7 +437,7 @@ function startServerMonitoring() {
 // WebSocket connection
 function setupWebSocket() {
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const wsUrl = `${protocol}//${window.location.host}`;
+    const wsUrl = `${protocol}//${window.location.host}${authToken ? `/?token=${encodeURIComponent(authToken)}` : ''}`;
     
     ws = new WebSocket(wsUrl);
     
@@ -328,8 +456,8 @@ function setupWebSocket() {
     
     ws.onclose = () => {
         appendToConsole('Disconnected from GUI server\n', 'warning');
-        // Attempt to reconnect after 3 seconds
-        setTimeout(setupWebSocket, 3000);
+        // Attempt to reconnect after 3 seconds, unless signed out
+        if (currentUser) setTimeout(setupWebSocket, 3000);
     };
     
     ws.onerror = (error) => {
@@ -450,6 +578,21 @@ function handleWebSocketMessage(data) {
             // Stop timer for failed auto conversion
             stopConversionTimer(data.fileName);
             break;
+        case 'case_updated':
+        case 'case_deleted':
+            if (elements.casesPanel && elements.casesPanel.style.display !== 'none') {
+                loadCases();
+            }
+            break;
+        case 'conversion_queue_updated':
+            if (isQueuePanelOpen()) renderQueue(data);
+            break;
+    }
+
+    // Anything that starts or ends a conversion changes the queue
+    if (/^(auto_processing_started|conversion_(started|complete|cancelled|error|restored|retry_queued)|auto_conversion_(complete|error))$/.test(data.type)) {
+        scheduleQueueRefresh();
+        scheduleFailedRefresh();
     }
 }
 
@@ -974,7 +1117,7 @@ function forceResetAllCancelButtons() {
 async function loadConfig() {
     try {
         // Try to load legacy config first, but don't fail if it doesn't exist
-        const response = await fetch('/api/config');
+        const response = await apiFetch('/api/config');
         if (response.ok) {
             currentConfig = await response.json();
             updateUIFromConfig();
@@ -1079,7 +1222,7 @@ async function saveConfig() {
     };
     
     try {
-        const response = await fetch('http://localhost:3102/api/config', {
+        const response = await apiFetch('http://localhost:3102/api/config', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -1157,13 +1300,65 @@ function setupEventListeners() {
     // Main tab switching removed - now using sidebar configuration tabs only
     
     // Slides management
-    if (elements.scanSlidesBtn) elements.scanSlidesBtn.addEventListener('click', scanSlides);
+    if (elements.scanSlidesBtn) elements.scanSlidesBtn.addEventListener('click', rescanSlides);
     if (elements.refreshSlidesBtn) elements.refreshSlidesBtn.addEventListener('click', scanSlides);
     if (elements.importSlidesBtn && elements.importSlidesInput) {
         elements.importSlidesBtn.addEventListener('click', () => elements.importSlidesInput.click());
     }
     if (elements.importSlidesInput) elements.importSlidesInput.addEventListener('change', handleImportSlides);
     
+    // Slide search/filters - any change goes back to the first page
+    let slideSearchTimer = null;
+    const resetAndScan = () => {
+        slidesPage = 1;
+        scanSlides();
+    };
+    if (elements.slideSearchInput) {
+        elements.slideSearchInput.addEventListener('input', () => {
+            clearTimeout(slideSearchTimer);
+            slideSearchTimer = setTimeout(resetAndScan, 300);
+        });
+    }
+    [elements.slideFormatFilter, elements.slideStatusFilter, elements.slideSortSelect].forEach(el => {
+        if (el) el.addEventListener('change', resetAndScan);
+    });
+    if (elements.slidesPrevBtn) {
+        elements.slidesPrevBtn.addEventListener('click', () => {
+            if (slidesPage > 1) {
+                slidesPage--;
+                scanSlides();
+            }
+        });
+    }
+    if (elements.slidesNextBtn) {
+        elements.slidesNextBtn.addEventListener('click', () => {
+            if (slidesPage < slidesTotalPages) {
+                slidesPage++;
+                scanSlides();
+            }
+        });
+    }
+    
+    // Cases
+    if (elements.casesBtn) elements.casesBtn.addEventListener('click', toggleCasesPanel);
+    if (elements.newCaseBtn) elements.newCaseBtn.addEventListener('click', createCase);
+    
+    // Conversion queue
+    if (elements.queueBtn) elements.queueBtn.addEventListener('click', toggleQueuePanel);
+    if (elements.refreshQueueBtn) elements.refreshQueueBtn.addEventListener('click', loadQueue);
+    
+    // Failed conversions
+    if (elements.failedBtn) elements.failedBtn.addEventListener('click', toggleFailedPanel);
+    if (elements.retrySelectedFailedBtn) elements.retrySelectedFailedBtn.addEventListener('click', () => retryFailedConversions(false));
+    if (elements.retryAllFailedBtn) elements.retryAllFailedBtn.addEventListener('click', () => retryFailedConversions(true));
+    let caseSearchTimer = null;
+    if (elements.caseSearchInput) {
+        elements.caseSearchInput.addEventListener('input', () => {
+            clearTimeout(caseSearchTimer);
+            caseSearchTimer = setTimeout(loadCases, 300);
+        });
+    }
+    
     // VIPS Info
     if (elements.getVipsInfoBtn) elements.getVipsInfoBtn.addEventListener('click', getVipsInfo);
     
@@ -1175,7 +1370,7 @@ function setupEventListeners() {
 async function startServer() {
     try {
         await saveConfig(); // Ensure config is saved before starting
-        const response = await fetch('/api/server/start', { method: 'POST' });
+        const response = await apiFetch('/api/server/start', { method: 'POST' });
         const result = await response.json();
         
         if (result.success) {
@@ -1190,7 +1385,7 @@ async function startServer() {
 
 async function stopServer() {
     try {
-        const response = await fetch('/api/server/stop', { method: 'POST' });
+        const response = await apiFetch('/api/server/stop', { method: 'POST' });
         const result = await response.json();
         
         if (result.success) {
@@ -1209,7 +1404,7 @@ async function stopServer() {
 function startBackendHealthPolling() {
     const poll = async () => {
         try {
-            const res = await fetch('/api/slides');
+            const res = await apiFetch('/api/slides');
             const ok = res.ok;
             if (ok !== backendHealthy) {
                 backendHealthy = ok;
@@ -1232,11 +1427,48 @@ function startBackendHealthPolling() {
 }
 
 // Slides management
+// Ask the backend to rebuild its slide catalog from disk, then reload the list
+async function rescanSlides() {
+    try {
+        appendToConsole('Rescanning slide folders...\n', 'info');
+        const response = await apiFetch('/api/slides/rescan', { method: 'POST' });
+        const result = await response.json();
+        if (response.ok) {
+            appendToConsole(`Slide catalog rebuilt: ${result.slides} slides\n`, 'info');
+        } else {
+            appendToConsole(`Rescan failed: ${result.error}\n`, 'error');
+        }
+    } catch (error) {
+        appendToConsole(`Rescan failed: ${error.message}\n`, 'error');
+    }
+    await scanSlides();
+}
+
+// Build the /api/slides/search query from the filter bar
+function buildSlideSearchParams() {
+    const [sort, order] = (elements.slideSortSelect?.value || 'name:asc').split(':');
+    const params = new URLSearchParams({ sort, order, page: slidesPage, pageSize: SLIDES_PAGE_SIZE });
+    const q = elements.slideSearchInput?.value.trim();
+    if (q) params.set('q', q);
+    if (elements.slideFormatFilter?.value) params.set('format', elements.slideFormatFilter.value);
+    if (elements.slideStatusFilter?.value) params.set('converted', elements.slideStatusFilter.value);
+    return params;
+}
+
+function updateSlidesPager(result) {
+    slidesTotalPages = result.totalPages || 1;
+    if (elements.slidesPageInfo) {
+        elements.slidesPageInfo.textContent = `Page ${result.page} of ${slidesTotalPages} (${result.total} slides)`;
+    }
+    if (elements.slidesPrevBtn) elements.slidesPrevBtn.disabled = result.page <= 1;
+    if (elements.slidesNextBtn) elements.slidesNextBtn.disabled = result.page >= slidesTotalPages;
+}
+
 async function scanSlides() {
     console.log('🔍 scanSlides() called');
     try {
         console.log('📡 Fetching slides from backend...');
-        const response = await fetch('/api/slides');
+        const response = await apiFetch(`/api/slides/search?${buildSlideSearchParams()}`);
         console.log('📡 Response received:', response.status, response.statusText);
         
         if (!response.ok) {
@@ -1265,7 +1497,13 @@ async function scanSlides() {
             renderSlides();
         } else if (result && Array.isArray(result.slides)) {
             slides = result.slides;
-            console.log(`✅ Loaded ${slides.length} slides from .slides property, calling renderSlides()`);
+            // Deleting the last slide on a page can leave us past the end
+            if (slides.length === 0 && result.total > 0 && slidesPage > 1) {
+                slidesPage = result.totalPages;
+                return scanSlides();
+            }
+            updateSlidesPager(result);
+            console.log(`✅ Loaded ${slides.length} of ${result.total} slides, calling renderSlides()`);
             renderSlides();
         } else {
             console.error('❌ Unexpected response format:', result);
@@ -1330,7 +1568,10 @@ function renderSlides() {
     elements.slidesGrid.innerHTML = '';
     
     if (slides.length === 0) {
-        elements.slidesGrid.innerHTML = '<div style="grid-column: 1 / -1; text-align: center; color: #888; padding: 40px;">No slides found. Check your source folder path.</div>';
+        const filtered = buildSlideSearchParams().has('q') || elements.slideFormatFilter?.value || elements.slideStatusFilter?.value;
+        elements.slidesGrid.innerHTML = filtered
+            ? '<div style="grid-column: 1 / -1; text-align: center; color: #888; padding: 40px;">No slides match the current filters.</div>'
+            : '<div style="grid-column: 1 / -1; text-align: center; color: #888; padding: 40px;">No slides found. Check your source folder path.</div>';
         return;
     }
     
@@ -1351,6 +1592,9 @@ function renderSlides() {
             <div class="slide-info">
                 Format: ${slide.format.toUpperCase()}<br>
                 Size: ${sizeGB} GB<br>
+                ${slide.barcode ? `Barcode: ${escapeHtml(slide.barcode)}<br>` : ''}
+                ${slide.deidentifiedAt ? `De-identified: ${new Date(slide.deidentifiedAt).toLocaleDateString()}<br>` : ''}
+                ${slide.tileFormat ? `Tiles: ${slide.tileFormat.toUpperCase()}${slide.tileContainer === 'szi' ? ' (.szi)' : ''}<br>` : ''}
                 Status: <span class="converted-badge ${slide.converted ? 'yes' : 'no'}">
                     ${slide.converted ? 'Converted' : 'Not Converted'}
                 </span>
@@ -1369,6 +1613,15 @@ function renderSlides() {
                 <button class="btn btn-small rename-btn" data-slide-name="${slide.name}" data-filename="${filename}" style="background: #6c757d; color: white; margin-right: 4px;" title="Rename slide">
                     ✏️
                 </button>
+                <button class="btn btn-small" data-slide-name="${escapeHtml(slide.name)}" data-action="case" style="background: #6c757d; color: white; margin-right: 4px;" title="File into case">
+                    📁
+                </button>
+                <button class="btn btn-small" data-slide-name="${escapeHtml(slide.name)}" data-action="history" style="background: #6c757d; color: white; margin-right: 4px;" title="Conversion history">
+                    🕘
+                </button>
+                ${slide.deidentifiedAt ? '' : `<button class="btn btn-small" data-min-role="admin" data-slide-name="${escapeHtml(slide.name)}" data-action="deidentify" style="background: #6c757d; color: white; margin-right: 4px;" title="De-identify: remove label image and identifying metadata">
+                    🕶️
+                </button>`}
                 <button class="btn btn-small convert-btn-${filename.replace(/[^a-zA-Z0-9]/g, '_')}" onclick="convertSlide('${filename}')">
                     ${slide.converted ? 'Re-convert' : 'Convert'}
                 </button>
@@ -1383,9 +1636,17 @@ function renderSlides() {
                     Delete
                 </button>
             </div>
+            <div class="slide-history" id="history-${slide.name.replace(/[^a-zA-Z0-9]/g, '_')}" style="display: none;"></div>
         `;
         
+        // File names can hold quotes (O'Brien_H&E), so these read the name back from the attribute
+        const slideActions = { case: assignSlideToCase, history: toggleSlideHistory, deidentify: deidentifySlide };
+        card.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => slideActions[button.dataset.action](button.dataset.slideName));
+        });
+
         elements.slidesGrid.appendChild(card);
+        if (openSlideHistories.has(slide.name)) loadSlideHistory(slide.name);
         
         // Restore progress and button states after rendering
         const safeFilename = filename.replace(/[^a-zA-Z0-9]/g, '_');
@@ -1437,11 +1698,19 @@ function renderSlides() {
 // Slide actions
 async function convertSlide(filename) {
     try {
-        appendToConsole(`Starting conversion of ${filename}...\n`, 'info');
-        
-        // Send convert request directly to backend server instead of using GUI-server proxy
-        const backendUrl = `http://localhost:3102/api/touch-file/${encodeURIComponent(filename)}`;
-        const response = await fetch(backendUrl, { method: 'POST' });
+        const basename = filename.replace(/\.[^/.]+$/, ''); // Remove extension
+        const tileProfile = elements.tileProfileSelect?.value;
+        appendToConsole(`Starting conversion of ${filename}${tileProfile ? ` with ${tileProfile} tiles` : ''}...\n`, 'info');
+        
+        // Send convert request directly to backend server instead of using GUI-server proxy.
+        // A chosen tile profile needs an explicit (re)conversion; otherwise the autoprocessor picks the file up.
+        const response = tileProfile
+            ? await apiFetch(`http://localhost:3102/api/reconvert/${encodeURIComponent(basename)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ tiles: tileProfile })
+            })
+            : await apiFetch(`http://localhost:3102/api/touch-file/${encodeURIComponent(filename)}`, { method: 'POST' });
         
         if (!response.ok) {
             const txt = await response.text();
@@ -1449,10 +1718,11 @@ async function convertSlide(filename) {
             return;
         }
         const result = await response.json();
-        appendToConsole(`File touched, autoprocessor will detect and convert: ${result.status || 'triggered'}\n`, 'info');
+        appendToConsole(tileProfile
+            ? `Conversion queued with ${tileProfile} tiles: ${result.status || 'queued'}\n`
+            : `File touched, autoprocessor will detect and convert: ${result.status || 'triggered'}\n`, 'info');
         
         // Track this conversion for enhanced monitoring
-        const basename = filename.replace(/\.[^/.]+$/, ''); // Remove extension
         trackConversion(basename);
         
         // Update button states and show progress
@@ -1495,7 +1765,7 @@ async function cancelConversion(filename) {
         
         // Send cancel request directly to backend server instead of using GUI-server proxy
         const backendUrl = `http://localhost:3102/api/cancel-conversion/${encodeURIComponent(filename)}`;
-        const response = await fetch(backendUrl, { method: 'POST' });
+        const response = await apiFetch(backendUrl, { method: 'POST' });
         
         if (!response.ok) {
             const txt = await response.text();
@@ -1546,7 +1816,7 @@ async function deleteSlide(filename) {
         
         // Send delete request directly to backend server instead of using GUI-server proxy
         const backendUrl = `/api/slides/${encodeURIComponent(filename)}`;
-        const response = await fetch(backendUrl, {
+        const response = await apiFetch(backendUrl, {
             method: 'DELETE'
         });
         
@@ -1569,11 +1839,37 @@ async function deleteSlide(filename) {
     }
 }
 
+async function deidentifySlide(slideName) {
+    const confirmed = confirm(
+        `De-identify "${slideName}"?\n\n` +
+        `This will permanently:\n` +
+        `• Remove (or black out) the label image\n` +
+        `• Blank the label end of the macro image\n` +
+        `• Drop the barcode and identifying scanner properties\n\n` +
+        `This action cannot be undone.`
+    );
+    if (!confirmed) return;
+
+    try {
+        const response = await apiFetch(`/api/slides/${encodeURIComponent(slideName)}/deidentify`, { method: 'POST' });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            appendToConsole(`Failed to de-identify ${slideName}: ${result.details || result.message || result.error || response.status}\n`, 'error');
+            return;
+        }
+        appendToConsole(`De-identified ${slideName} as ${result.pseudonym}: label ${result.label || 'none'}, macro ${result.macro || 'none'}, ${result.removedProperties} properties removed\n`, 'info');
+        await scanSlides();
+    } catch (error) {
+        appendToConsole(`Error de-identifying slide: ${error.message}\n`, 'error');
+    }
+}
+
 // Make functions available globally for onclick handlers
 window.convertSlide = convertSlide;
 window.cancelConversion = cancelConversion;
 window.viewSlide = viewSlide;
 window.deleteSlide = deleteSlide;
+window.deidentifySlide = deidentifySlide;
 
 // Debug function to manually test slides loading
 window.debugScanSlides = async function() {
@@ -1584,7 +1880,7 @@ window.debugScanSlides = async function() {
 // Debug function to test backend connection
 window.debugBackend = async function() {
     try {
-        const response = await fetch('/api/slides');
+        const response = await apiFetch('/api/slides');
         console.log('Backend response:', response.status, response.statusText);
         if (response.ok) {
             const data = await response.json();
@@ -1739,13 +2035,511 @@ window.debugLayout = function() {
     }
 };
 
+// Cases (accession -> parts -> blocks -> slides)
+let expandedCaseId = null;
+
+async function caseRequest(path, options = {}) {
+    const response = await apiFetch(`/api/cases${path}`, {
+        ...options,
+        headers: options.body ? { 'Content-Type': 'application/json' } : undefined
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.errors ? result.errors.join(', ') : (result.message || result.error || `HTTP ${response.status}`));
+    }
+    return result;
+}
+
+function toggleCasesPanel() {
+    if (!elements.casesPanel) return;
+    const show = elements.casesPanel.style.display === 'none';
+    elements.casesPanel.style.display = show ? 'block' : 'none';
+    if (show) loadCases();
+}
+
+async function loadCases() {
+    if (!elements.casesList) return;
+    try {
+        const q = elements.caseSearchInput?.value.trim();
+        const { cases } = await caseRequest(q ? `?${new URLSearchParams({ q })}` : '');
+        renderCases(cases);
+    } catch (error) {
+        elements.casesList.innerHTML = `<div style="color: #dc3545;">Error loading cases: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function renderCases(cases) {
+    elements.casesList.innerHTML = '';
+    if (cases.length === 0) {
+        elements.casesList.innerHTML = '<div style="color: #888; padding: 10px;">No cases yet. Use 📁 on a slide or + New Case.</div>';
+        return;
+    }
+
+    cases.forEach(caseRecord => {
+        const row = document.createElement('div');
+        row.className = 'case-row';
+        const expanded = expandedCaseId === caseRecord.id;
+        row.innerHTML = `
+            <div class="case-row-header">
+                <span>${expanded ? '▾' : '▸'}</span>
+                <span class="case-accession">${escapeHtml(caseRecord.accession)}</span>
+                <span class="case-summary">
+                    ${caseRecord.caseId ? `${escapeHtml(caseRecord.caseId)} • ` : ''}${caseRecord.slides.length} slide(s) • ${caseRecord.parts.length} part(s)
+                </span>
+                <button class="btn btn-small case-edit-btn" title="Edit case">✏️</button>
+                <button class="btn btn-danger btn-small case-delete-btn">Delete</button>
+            </div>
+            <div class="case-details"></div>
+        `;
+        row.querySelector('.case-edit-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            editCase(caseRecord.id);
+        });
+        row.querySelector('.case-delete-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteCase(caseRecord.id, caseRecord.accession);
+        });
+        row.querySelector('.case-row-header').addEventListener('click', () => {
+            expandedCaseId = expanded ? null : caseRecord.id;
+            renderCases(cases);
+        });
+        elements.casesList.appendChild(row);
+        if (expanded) showCaseDetails(caseRecord.id, row.querySelector('.case-details'));
+    });
+}
+
+async function showCaseDetails(id, container) {
+    try {
+        const caseRecord = await caseRequest(`/${id}`);
+        const slideRow = (ref) => `
+            <div class="case-slide-row">
+                <span>${escapeHtml(ref.name)}${ref.stain ? ` (${escapeHtml(ref.stain)})` : ''}</span>
+                ${ref.slide ? '' : '<span style="color: #dc3545;">missing</span>'}
+                ${ref.slide && ref.slide.converted ? `<button class="btn btn-small" data-view-slide="${escapeHtml(ref.name)}">View</button>` : ''}
+                <button class="btn btn-small" data-detach-slide="${escapeHtml(ref.name)}" title="Remove from case">✕</button>
+            </div>
+        `;
+        const group = (title, refs) => (refs.length ? `<div class="case-group-title">${escapeHtml(title)}</div>${refs.map(slideRow).join('')}` : '');
+
+        let html = caseRecord.description ? `<div>${escapeHtml(caseRecord.description)}</div>` : '';
+        caseRecord.parts.forEach(part => {
+            part.blocks.forEach(block => {
+                html += group(`Part ${part.label} • Block ${block.label}`, caseRecord.slides.filter(s => s.blockId === block.id));
+            });
+            html += group(`Part ${part.label}`, caseRecord.slides.filter(s => s.partId === part.id && !s.blockId));
+        });
+        html += group('Unassigned', caseRecord.slides.filter(s => !s.partId));
+        container.innerHTML = html || '<div style="color: #888;">No slides in this case</div>';
+        container.querySelectorAll('[data-view-slide]').forEach(button => {
+            button.addEventListener('click', () => viewSlide(button.dataset.viewSlide));
+        });
+        container.querySelectorAll('[data-detach-slide]').forEach(button => {
+            button.addEventListener('click', () => detachSlideFromCase(caseRecord.id, button.dataset.detachSlide));
+        });
+    } catch (error) {
+        container.innerHTML = `<div style="color: #dc3545;">Error loading case: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+async function createCase() {
+    const accession = prompt('Accession number for the new case:', '');
+    if (!accession || !accession.trim()) return;
+    const caseId = prompt('Case reference (optional, no patient identifiers):', '') || '';
+    try {
+        const created = await caseRequest('', {
+            method: 'POST',
+            body: JSON.stringify({ accession: accession.trim(), caseId: caseId.trim() })
+        });
+        appendToConsole(`Case created: ${created.accession}\n`, 'info');
+        expandedCaseId = created.id;
+        await loadCases();
+    } catch (error) {
+        appendToConsole(`Failed to create case: ${error.message}\n`, 'error');
+        alert(`Failed to create case: ${error.message}`);
+    }
+}
+
+async function editCase(id) {
+    try {
+        const caseRecord = await caseRequest(`/${id}`);
+        const caseId = prompt(`Case reference for ${caseRecord.accession}:`, caseRecord.caseId || '');
+        if (caseId === null) return;
+        const description = prompt('Description:', caseRecord.description || '');
+        if (description === null) return;
+        await caseRequest(`/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify({ caseId: caseId.trim(), description: description.trim() })
+        });
+        await loadCases();
+    } catch (error) {
+        appendToConsole(`Failed to update case: ${error.message}\n`, 'error');
+        alert(`Failed to update case: ${error.message}`);
+    }
+}
+
+async function deleteCase(id, accession) {
+    if (!confirm(`Delete case ${accession}? The slides themselves are kept.`)) return;
+    try {
+        await caseRequest(`/${id}`, { method: 'DELETE' });
+        appendToConsole(`Case deleted: ${accession}\n`, 'info');
+        if (expandedCaseId === id) expandedCaseId = null;
+        await loadCases();
+    } catch (error) {
+        appendToConsole(`Failed to delete case: ${error.message}\n`, 'error');
+        alert(`Failed to delete case: ${error.message}`);
+    }
+}
+
+async function detachSlideFromCase(id, slideName) {
+    try {
+        await caseRequest(`/${id}/slides/${encodeURIComponent(slideName)}`, { method: 'DELETE' });
+        await loadCases();
+    } catch (error) {
+        appendToConsole(`Failed to remove ${slideName} from case: ${error.message}\n`, 'error');
+    }
+}
+
+// "S24-1234 A1" -> accession S24-1234, part A, block 1; an empty answer reads the slide label/barcode
+async function assignSlideToCase(slideName) {
+    const answer = prompt(
+        `File "${slideName}" into case.\nAccession, optionally with part and block (e.g. S24-1234 A1).\nLeave empty to read it from the slide label:`,
+        ''
+    );
+    if (answer === null) return;
+
+    try {
+        let result;
+        if (!answer.trim()) {
+            result = await caseRequest(`/from-slide/${encodeURIComponent(slideName)}`, { method: 'POST' });
+        } else {
+            const match = answer.trim().match(/^(\S+)(?:\s+([A-Za-z]+)(\d+)?)?$/);
+            if (!match) {
+                alert('Enter an accession, optionally followed by part and block, e.g. S24-1234 A1');
+                return;
+            }
+            const stain = prompt('Stain (optional, e.g. H&E):', '') || '';
+            result = await caseRequest('/assign', {
+                method: 'POST',
+                body: JSON.stringify({ accession: match[1], part: match[2], block: match[3], slide: slideName, stain: stain.trim() })
+            });
+        }
+        appendToConsole(`Filed ${slideName} into case ${result.accession}\n`, 'info');
+        expandedCaseId = result.id;
+        if (elements.casesPanel && elements.casesPanel.style.display !== 'none') await loadCases();
+    } catch (error) {
+        appendToConsole(`Failed to file ${slideName} into case: ${error.message}\n`, 'error');
+        alert(`Failed to file slide into case: ${error.message}`);
+    }
+}
+
+// Conversion queue
+const QUEUE_PRIORITIES = ['stat', 'routine', 'backfill'];
+let queueRefreshTimer = null;
+let draggedQueueJobId = null;
+
+async function queueRequest(path, options = {}) {
+    const response = await apiFetch(`/api/conversions/queue${path}`, {
+        ...options,
+        headers: options.body ? { 'Content-Type': 'application/json' } : undefined
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.details || result.error || `HTTP ${response.status}`);
+    }
+    return result;
+}
+
+function isQueuePanelOpen() {
+    return elements.queuePanel && elements.queuePanel.style.display !== 'none';
+}
+
+function toggleQueuePanel() {
+    if (!elements.queuePanel) return;
+    const show = !isQueuePanelOpen();
+    elements.queuePanel.style.display = show ? 'block' : 'none';
+    if (show) loadQueue();
+}
+
+// Conversion events arrive in bursts; refresh the open panel once they settle
+function scheduleQueueRefresh() {
+    if (!isQueuePanelOpen()) return;
+    clearTimeout(queueRefreshTimer);
+    queueRefreshTimer = setTimeout(loadQueue, 500);
+}
+
+async function loadQueue() {
+    if (!elements.queueList) return;
+    try {
+        renderQueue(await queueRequest(''));
+    } catch (error) {
+        elements.queueList.innerHTML = `<div style="color: #dc3545;">Error loading queue: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function renderQueue({ queue, active }) {
+    elements.queueList.innerHTML = '';
+    if (queue.length === 0 && active.length === 0) {
+        elements.queueList.innerHTML = '<div style="color: #888; padding: 10px;">Queue is empty.</div>';
+        return;
+    }
+
+    active.forEach(job => {
+        const row = document.createElement('div');
+        row.className = 'queue-row';
+        row.innerHTML = `
+            <span>▶</span>
+            <span class="queue-name">${escapeHtml(job.fileName || job.key)}</span>
+            <span class="priority-badge priority-${job.priority}">${job.priority}</span>
+            <span>${escapeHtml(job.phase || 'Running')}${job.progress ? ` ${job.progress}%` : ''}</span>
+        `;
+        elements.queueList.appendChild(row);
+    });
+
+    queue.forEach(job => {
+        const row = document.createElement('div');
+        row.className = `queue-row${job.paused ? ' paused' : ''}`;
+        row.draggable = true;
+        row.dataset.jobId = job.id;
+        row.innerHTML = `
+            <span title="Drag to reorder">☰</span>
+            <span>${job.position}.</span>
+            <span class="queue-name">${escapeHtml(job.fileName || job.key)}${job.type === 'registration' ? ' (registration)' : ''}</span>
+            <select class="form-control queue-priority" title="Priority">
+                ${QUEUE_PRIORITIES.map(p => `<option value="${p}"${p === job.priority ? ' selected' : ''}>${p.toUpperCase()}</option>`).join('')}
+            </select>
+            <button class="btn btn-small" data-action="bump" title="Move to the front of the queue">⏫</button>
+            <button class="btn btn-small" data-action="${job.paused ? 'resume' : 'pause'}">${job.paused ? '▶ Resume' : '⏸ Pause'}</button>
+        `;
+        row.querySelector('.queue-priority').addEventListener('change', (e) => {
+            updateQueuedJob(job.id, 'priority', { priority: e.target.value });
+        });
+        row.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => updateQueuedJob(job.id, button.dataset.action));
+        });
+
+        row.addEventListener('dragstart', (e) => {
+            draggedQueueJobId = job.id;
+            row.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        row.addEventListener('dragend', () => {
+            draggedQueueJobId = null;
+            row.classList.remove('dragging');
+        });
+        row.addEventListener('dragover', (e) => {
+            if (!draggedQueueJobId || draggedQueueJobId === job.id) return;
+            e.preventDefault();
+            row.classList.add('drop-target');
+        });
+        row.addEventListener('dragleave', () => row.classList.remove('drop-target'));
+        row.addEventListener('drop', (e) => {
+            e.preventDefault();
+            row.classList.remove('drop-target');
+            const dragged = queue.find(q => q.id === draggedQueueJobId);
+            if (!dragged || dragged.id === job.id) return;
+            // Dropping on a row puts the dragged job in that row's place
+            updateQueuedJob(dragged.id, 'move', { position: job.position });
+        });
+        elements.queueList.appendChild(row);
+    });
+}
+
+async function updateQueuedJob(jobId, action, body = null) {
+    try {
+        const result = await queueRequest(`/${encodeURIComponent(jobId)}/${action}`, {
+            method: 'POST',
+            body: JSON.stringify(body || {})
+        });
+        renderQueue(result);
+    } catch (error) {
+        appendToConsole(`Queue ${action} failed: ${error.message}\n`, 'error');
+        loadQueue();
+    }
+}
+
+// Failed conversions (dead-letter list)
+let failedRefreshTimer = null;
+
+function isFailedPanelOpen() {
+    return elements.failedPanel && elements.failedPanel.style.display !== 'none';
+}
+
+function toggleFailedPanel() {
+    if (!elements.failedPanel) return;
+    const show = !isFailedPanelOpen();
+    elements.failedPanel.style.display = show ? 'block' : 'none';
+    if (show) loadFailedConversions();
+}
+
+function scheduleFailedRefresh() {
+    if (!isFailedPanelOpen()) return;
+    clearTimeout(failedRefreshTimer);
+    failedRefreshTimer = setTimeout(loadFailedConversions, 500);
+}
+
+async function loadFailedConversions() {
+    if (!elements.failedList) return;
+    try {
+        const response = await apiFetch('/api/conversions/failed');
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(result.details || result.error || `HTTP ${response.status}`);
+        renderFailedConversions(result.failed);
+    } catch (error) {
+        elements.failedList.innerHTML = `<div style="color: #dc3545;">Error loading failed conversions: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function renderFailedConversions(failed) {
+    elements.failedList.innerHTML = '';
+    if (elements.retryAllFailedBtn) elements.retryAllFailedBtn.disabled = failed.length === 0;
+    if (failed.length === 0) {
+        elements.failedList.innerHTML = '<div style="color: #888; padding: 10px;">No failed conversions.</div>';
+        return;
+    }
+
+    failed.forEach(job => {
+        const row = document.createElement('div');
+        row.className = 'queue-row';
+        row.innerHTML = `
+            <input type="checkbox" class="failed-select" value="${escapeHtml(job.id)}">
+            <span class="queue-name" title="${escapeHtml(job.error || '')}">${escapeHtml(job.fileName || job.key)}</span>
+            <span class="priority-badge error-class-${escapeHtml(job.errorClass)}">${escapeHtml(job.errorClass.replace('_', ' '))}</span>
+            <span>${job.attempts} attempt(s)</span>
+            <span>${job.finishedAt ? new Date(job.finishedAt).toLocaleString() : ''}</span>
+        `;
+        const detail = document.createElement('div');
+        detail.className = 'failed-error';
+        detail.textContent = job.error || 'No error details';
+        elements.failedList.appendChild(row);
+        elements.failedList.appendChild(detail);
+    });
+}
+
+async function retryFailedConversions(all) {
+    const ids = all ? undefined : [...elements.failedList.querySelectorAll('.failed-select:checked')].map(box => box.value);
+    if (ids && ids.length === 0) {
+        alert('Select the conversions to retry first.');
+        return;
+    }
+
+    try {
+        const response = await apiFetch('/api/conversions/failed/retry', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(ids ? { ids } : {})
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(result.details || result.error || `HTTP ${response.status}`);
+        appendToConsole(`Retry queued for ${result.retried.length} conversion(s)\n`, 'info');
+        result.errors.forEach(failure => appendToConsole(`Could not retry ${failure.id}: ${failure.error}\n`, 'error'));
+    } catch (error) {
+        appendToConsole(`Retry failed: ${error.message}\n`, 'error');
+    }
+    loadFailedConversions();
+}
+
+// Tile profiles from conversion.dzi.profiles, offered for manual conversions
+async function loadTileProfiles() {
+    if (!elements.tileProfileSelect) return;
+    try {
+        const response = await apiFetch('/api/conversions/tile-profiles');
+        if (!response.ok) return;
+        const { default: defaults, profiles } = await response.json();
+        elements.tileProfileSelect.options[0].textContent = `Default tiles (${defaults.format.toUpperCase()} Q${defaults.quality})`;
+        Object.entries(profiles).forEach(([name, settings]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = `${name} (${settings.format.toUpperCase()}${settings.format === 'png' ? '' : ` Q${settings.quality}`})`;
+            elements.tileProfileSelect.appendChild(option);
+        });
+    } catch (error) {
+        console.warn('Could not load tile profiles:', error.message);
+    }
+}
+
+// Per-slide conversion history (kept open across slide list re-renders)
+const openSlideHistories = new Set();
+
+function formatDuration(ms) {
+    if (!Number.isFinite(ms)) return '-';
+    return ms < 60000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+}
+
+function toggleSlideHistory(slideName) {
+    const container = document.getElementById(`history-${slideName.replace(/[^a-zA-Z0-9]/g, '_')}`);
+    if (!container) return;
+    if (openSlideHistories.has(slideName)) {
+        openSlideHistories.delete(slideName);
+        container.style.display = 'none';
+        return;
+    }
+    openSlideHistories.add(slideName);
+    loadSlideHistory(slideName);
+}
+
+async function loadSlideHistory(slideName) {
+    const container = document.getElementById(`history-${slideName.replace(/[^a-zA-Z0-9]/g, '_')}`);
+    if (!container) return;
+    container.style.display = 'block';
+    if (!container.hasChildNodes()) container.innerHTML = '<div class="history-empty">Loading history...</div>';
+
+    try {
+        const response = await apiFetch(`/api/conversions/history?slide=${encodeURIComponent(slideName)}&limit=20`);
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(result.details || result.error || `HTTP ${response.status}`);
+        renderSlideHistory(container, result);
+    } catch (error) {
+        container.innerHTML = '';
+        const message = document.createElement('div');
+        message.className = 'history-empty';
+        message.textContent = `Could not load history: ${error.message}`;
+        container.appendChild(message);
+    }
+}
+
+function renderSlideHistory(container, { total, records }) {
+    container.innerHTML = '';
+    if (records.length === 0) {
+        container.innerHTML = '<div class="history-empty">No conversion attempts recorded.</div>';
+        return;
+    }
+
+    const header = document.createElement('div');
+    header.className = 'history-empty';
+    header.textContent = total > records.length ? `Latest ${records.length} of ${total} attempts` : `${total} attempt(s)`;
+    container.appendChild(header);
+
+    records.forEach(record => {
+        const phases = record.phases || {};
+        const peak = record.peakMemoryBytes ? `${(record.peakMemoryBytes / (1024 * 1024 * 1024)).toFixed(2)} GB` : '-';
+        const row = document.createElement('div');
+        row.className = 'history-row';
+        row.innerHTML = `
+            <div>
+                <span class="history-status history-${record.status}">${record.status}</span>
+                ${record.startedAt ? new Date(record.startedAt).toLocaleString() : ''}
+                ${record.attempt ? `• attempt ${record.attempt}` : ''}
+            </div>
+            <div>Total ${formatDuration(record.durationMs)} • ICC ${formatDuration(phases.icc?.durationMs)} • DZI ${formatDuration(phases.dzi?.durationMs)} • Peak ${peak}</div>
+            <div>Server ${record.serverId || '-'} • SHA-256 ${record.input?.sha256 ? record.input.sha256.slice(0, 12) : '-'}</div>
+        `;
+        if (record.exit?.error) {
+            const error = document.createElement('div');
+            error.className = 'failed-error';
+            error.textContent = `${record.exit.errorClass ? `[${record.exit.errorClass}] ` : ''}${record.exit.error}`;
+            row.appendChild(error);
+        }
+        container.appendChild(row);
+    });
+}
+
 // VIPS Info
 async function getVipsInfo() {
     try {
         elements.getVipsInfoBtn.disabled = true;
         elements.getVipsInfoBtn.textContent = 'Loading...';
         
-        const response = await fetch('/api/vips-info');
+        const response = await apiFetch('/api/vips-info');
         const result = await response.json();
         
         if (result.error) {
@@ -1776,7 +2570,7 @@ async function getVipsInfo() {
 // Kill hanging VIPS processes
 async function killVipsProcesses() {
     try {
-        const response = await fetch('/api/kill-vips-processes', {
+        const response = await apiFetch('/api/kill-vips-processes', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -1835,23 +2629,123 @@ function clearConsole() {
     }
 }
 
+// Chunked, resumable import: each file is sent in pieces so a dropped connection only costs the
+// current chunk. Upload IDs are remembered per file, so picking the same file again resumes it.
+const UPLOAD_CHUNK_BYTES = 16 * 1024 * 1024;
+const UPLOAD_CHUNK_RETRIES = 5;
+
+function formatGB(bytes) {
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+function uploadKey(file) {
+    return `upload:${file.name}:${file.size}:${file.lastModified}`;
+}
+
+async function uploadRequest(url, options = {}) {
+    const res = await apiFetch(url, options);
+    const result = res.status === 204 || options.method === 'HEAD' ? {} : await res.json().catch(() => ({}));
+    if (!res.ok) {
+        const message = result.errors ? result.errors.join(', ') : (result.error || `HTTP ${res.status}`);
+        const error = new Error(result.reason ? `${message}: ${result.reason.message}` : message);
+        error.status = res.status;
+        error.offset = res.headers.get('Upload-Offset');
+        throw error;
+    }
+    return { res, result };
+}
+
+// Returns the offset to continue from, or null when there is no upload to resume
+async function getUploadOffset(id) {
+    try {
+        const { res } = await uploadRequest(`/api/uploads/${id}`, { method: 'HEAD' });
+        return Number(res.headers.get('Upload-Offset'));
+    } catch (e) {
+        return null;
+    }
+}
+
+async function sha256Base64(blob) {
+    // SubtleCrypto only exists on secure origins (https or localhost); chunks go unchecked elsewhere
+    if (!window.crypto || !window.crypto.subtle) return null;
+    const digest = await window.crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return btoa(String.fromCharCode(...new Uint8Array(digest)));
+}
+
+async function uploadSlideFile(file) {
+    const key = uploadKey(file);
+    let id = localStorage.getItem(key);
+    let offset = id ? await getUploadOffset(id) : null;
+    if (offset === null) {
+        const { result } = await uploadRequest('/api/uploads', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ filename: file.name, size: file.size })
+        });
+        id = result.id;
+        offset = 0;
+        localStorage.setItem(key, id);
+    } else {
+        appendToConsole(`Resuming ${file.name} at ${formatGB(offset)}\n`, 'info');
+    }
+
+    let lastReported = -1;
+    let failures = 0;
+    while (offset < file.size) {
+        const chunk = file.slice(offset, Math.min(offset + UPLOAD_CHUNK_BYTES, file.size));
+        const headers = { 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': String(offset) };
+        const checksum = await sha256Base64(chunk);
+        if (checksum) headers['Upload-Checksum'] = `sha256 ${checksum}`;
+
+        try {
+            const { res } = await uploadRequest(`/api/uploads/${id}`, { method: 'PATCH', headers, body: chunk });
+            offset = Number(res.headers.get('Upload-Offset'));
+            failures = 0;
+        } catch (e) {
+            if (++failures > UPLOAD_CHUNK_RETRIES || e.status === 404 || e.status === 413) throw e;
+            const delay = Math.min(30000, 1000 * 2 ** (failures - 1));
+            appendToConsole(`${file.name}: chunk failed (${e.message}), retrying in ${delay / 1000}s...\n`, 'error');
+            await new Promise(resolve => setTimeout(resolve, delay));
+            const serverOffset = await getUploadOffset(id);
+            if (serverOffset !== null) offset = serverOffset;
+        }
+
+        const percent = Math.floor((offset / file.size) * 100);
+        if (percent >= lastReported + 10 || offset === file.size) {
+            appendToConsole(`${file.name}: ${percent}% (${formatGB(offset)} / ${formatGB(file.size)})\n`, 'info');
+            lastReported = percent;
+        }
+    }
+
+    appendToConsole(`${file.name}: verifying...\n`, 'info');
+    const { result } = await uploadRequest(`/api/uploads/${id}/finalize`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{}'
+    });
+    localStorage.removeItem(key);
+    return result;
+}
+
 async function handleImportSlides(evt) {
     const files = Array.from(evt.target.files || []);
     if (!files.length) return;
     appendToConsole(`Importing ${files.length} slide(s)...\n`, 'info');
+    let imported = 0;
     try {
-        const form = new FormData();
-        for (const f of files) form.append('slides', f, f.name);
-        const res = await fetch('/api/import', { method: 'POST', body: form });
-        if (!res.ok) {
-            const txt = await res.text();
-            appendToConsole(`Import failed: ${txt}\n`, 'error');
-        } else {
+        for (const file of files) {
+            try {
+                const result = await uploadSlideFile(file);
+                appendToConsole(`Imported ${result.path} (sha256 ${result.sha256.slice(0, 12)}...)\n`, 'info');
+                imported++;
+            } catch (e) {
+                appendToConsole(`Import failed for ${file.name}: ${e.message}\n`, 'error');
+            }
+        }
+        if (imported > 0) {
             appendToConsole('Import completed. Scanning...\n', 'info');
             await scanSlides();
         }
-    } catch (e) {
-        appendToConsole(`Import error: ${e.message}\n`, 'error');
     } finally {
         elements.importSlidesInput.value = '';
     }
@@ -1914,7 +2808,7 @@ function formatElapsed(ms) {
 async function updateServerStatus() {
     try {
         // Test backend connectivity
-        const response = await fetch('/api/slides');
+        const response = await apiFetch('/api/slides');
         if (response.ok) {
             console.log('Backend server is accessible');
             // Update any status indicators if they exist
@@ -1936,8 +2830,10 @@ async function updateServerStatus() {
 }
 
 // Initialize when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    await ensureSignedIn();
     init();
+    loadTileProfiles();
     
     // Initialize console resizing
     initConsoleResize();
@@ -2048,7 +2944,7 @@ let pathologyConfig = {};
 async function loadPathologyConfig() {
     try {
         console.log('Loading pathology configuration from backend...');
-        const response = await fetch(`${getApiBase()}/api/pathology-config`);
+        const response = await apiFetch(`${getApiBase()}/api/pathology-config`);
         if (response.ok) {
             const data = await response.json();
             pathologyConfig = data.config;
@@ -2369,7 +3265,7 @@ async function savePathologyConfig() {
         
         console.log('🔧 Debug - Saving config with ICC settings:', updatedConfig.conversion.icc);
         
-        const response = await fetch(`${getApiBase()}/api/pathology-config`, {
+        const response = await apiFetch(`${getApiBase()}/api/pathology-config`, {
             method: 'PUT',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(updatedConfig)
@@ -2392,7 +3288,7 @@ async function savePathologyConfig() {
 // Reload pathology configuration
 async function reloadPathologyConfig() {
     try {
-        const response = await fetch(`${getApiBase()}/api/pathology-config/reload`, {
+        const response = await apiFetch(`${getApiBase()}/api/pathology-config/reload`, {
             method: 'POST'
         });
         
@@ -2434,7 +3330,7 @@ async function validatePathologyConfig() {
             }
         };
         
-        const response = await fetch(`${getApiBase()}/api/pathology-config/validate`, {
+        const response = await apiFetch(`${getApiBase()}/api/pathology-config/validate`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(configToValidate)
@@ -2482,7 +3378,7 @@ function hideMessages() {
 // Refresh servers list
 async function refreshServersList() {
     try {
-        const response = await fetch('http://localhost:3102/api/conversion-servers');
+        const response = await apiFetch('http://localhost:3102/api/conversion-servers');
         if (response.ok) {
             const data = await response.json();
             updateServersList(data);
@@ -2590,7 +3486,7 @@ async function addConversionServer() {
             return;
         }
         
-        const response = await fetch('http://localhost:3102/api/conversion-servers/add', {
+        const response = await apiFetch('http://localhost:3102/api/conversion-servers/add', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(serverData)
@@ -2618,7 +3514,7 @@ async function removeServer(serverId) {
     }
     
     try {
-        const response = await fetch(`http://localhost:3102/api/conversion-servers/${encodeURIComponent(serverId)}`, {
+        const response = await apiFetch(`http://localhost:3102/api/conversion-servers/${encodeURIComponent(serverId)}`, {
             method: 'DELETE'
         });
         
@@ -2657,7 +3553,7 @@ function browseDirectory(displayElementId, configField) {
 
 async function updateConfig(updates) {
     try {
-        const response = await fetch('/api/config', {
+        const response = await apiFetch('/api/config', {
             method: 'POST',
             headers: {'Content-Type': 'application/json'},
             body: JSON.stringify(updates)
@@ -2673,7 +3569,7 @@ async function updateConfig(updates) {
 
 async function loadGuiConfig() {
     try {
-        const response = await fetch('/api/config');
+        const response = await apiFetch('/api/config');
         if (response.ok) {
             const config = await response.json();
             // Update directory displays
@@ -3,6 +3,9 @@ const path = require('path');
 const chokidar = require('chokidar');
 const EventEmitter = require('events');
 const ConversionClient = require('./conversion-client');
+const RetryPolicy = require('./services/retryPolicy');
+const { resolveTileSettings } = require('./services/tileFormat');
+const { CONTAINER_EXTENSION } = require('./services/tileContainer');
 
 class OptimizedAutoProcessor extends EventEmitter {
   constructor(slidesDir, options = {}) {
@@ -13,6 +16,14 @@ class OptimizedAutoProcessor extends EventEmitter {
     this.supportedFormats = ['.svs', '.ndpi', '.tif', '.tiff', '.jp2', '.vms', '.vmu', '.scn'];
     this.processedFiles = new Set();
     this.processingQueue = [];
+    // Queue priority by top-level folder under slidesDir ({ default, folders: { STAT: 'stat', ... } })
+    this.priorityRules = options.priority || {};
+    // Tile encoding (conversion.dzi): profiles plus a top-level folder -> profile map
+    this.tileRules = options.tiles || {};
+    // Same policy the conversion server applies to failed jobs, here for failures to queue one
+    this.retryPolicy = new RetryPolicy(options.retry || {});
+    this.startAttempts = new Map(); // filePath -> failed attempts to queue it
+    this.failedStarts = new Map(); // baseName -> dead-letter record for slides that never reached the conversion server
     
     // Initialize conversion client with load balancing support
     this.mainServerUrl = options.mainServerUrl || 'http://localhost:3102';
@@ -20,6 +31,7 @@ class OptimizedAutoProcessor extends EventEmitter {
       url: options.conversionServerUrl || 'http://localhost:3001',
       pollInterval: 1000,
       loadBalanced: options.loadBalanced || false,
+      auth: options.auth,
       mainServerUrl: this.mainServerUrl
     });
     
@@ -115,6 +127,10 @@ class OptimizedAutoProcessor extends EventEmitter {
       return;
     }
 
+    // Reported for every slide file (including the initial scan) so listeners such as the
+    // slide catalog see it, whether or not it still needs converting
+    this.emit('fileAdded', { filePath, fileName });
+
     if (this.processedFiles.has(filePath)) {
       console.log(`[DEBUG] Skipping ${fileName} - already in processedFiles`);
       return;
@@ -131,6 +147,7 @@ class OptimizedAutoProcessor extends EventEmitter {
     // Check if DZI already exists (organized structure first, then legacy)
     const dziDir = path.join(path.dirname(this.slidesDir), 'dzi');
     const organizedDziPath = path.join(dziDir, uniqueName, `${uniqueName}.dzi`);
+    const organizedContainerPath = path.join(dziDir, uniqueName, `${uniqueName}${CONTAINER_EXTENSION}`);
     const legacyDziPath = path.join(dziDir, `${uniqueName}.dzi`);
     
     if (fs.existsSync(organizedDziPath)) {
@@ -139,6 +156,12 @@ class OptimizedAutoProcessor extends EventEmitter {
       return;
     }
     
+    if (fs.existsSync(organizedContainerPath)) {
+      console.log(`[DEBUG] Skipping ${fileName} - tile container already exists: ${organizedContainerPath}`);
+      this.processedFiles.add(filePath);
+      return;
+    }
+    
     if (fs.existsSync(legacyDziPath)) {
       console.log(`[DEBUG] Skipping ${fileName} - DZI already exists in legacy structure: ${legacyDziPath}`);
       this.processedFiles.add(filePath);
@@ -161,10 +184,22 @@ class OptimizedAutoProcessor extends EventEmitter {
         } else {
           console.log(`[DEBUG] Skipping ${fileName} - already ${status.status}`);
         }
+
+        // Jobs persist across restarts of either server; follow them so completion handlers still run
+        if (status.status === 'processing' || status.status === 'queued') {
+          this.conversionClient.resumeTracking(uniqueName, { inputPath: filePath, slidesDir: this.slidesDir });
+        }
         
         this.processedFiles.add(filePath);
         return;
       }
+
+      // Failed or cancelled jobs are not retried automatically on every restart
+      if (status.status === 'failed' || status.status === 'cancelled') {
+        console.log(`[DEBUG] Skipping ${fileName} - last conversion ${status.status}: ${status.error || 'no details'}`);
+        this.processedFiles.add(filePath);
+        return;
+      }
     } catch (error) {
       console.log(`[DEBUG] Status check failed for ${uniqueName}: ${error.message}`);
       // Status check failed, continue with processing
@@ -204,6 +239,38 @@ class OptimizedAutoProcessor extends EventEmitter {
     await this.startConversion(filePath, uniqueName);
   }
 
+  /**
+   * Priority for a new slide: its top-level folder's rule (case-insensitive), else the default
+   */
+  resolvePriority(filePath) {
+    const folders = this.priorityRules.folders || {};
+    const match = this.matchFolderRule(folders, filePath);
+    return match ? folders[match] : (this.priorityRules.default || 'routine');
+  }
+
+  // Key of a { folder: value } rule map matching the slide's top-level folder (case-insensitive)
+  matchFolderRule(folders, filePath) {
+    const parts = path.relative(this.slidesDir, filePath).split(/[\\\/]/);
+    const topFolder = parts.length > 1 ? parts[0].toLowerCase() : null;
+    return Object.keys(folders).find(folder => folder.toLowerCase() === topFolder) || null;
+  }
+
+  /**
+   * Tile settings for a new slide: its top-level folder's profile (case-insensitive), else the
+   * conversion.dzi defaults. Always sent with the job, so it doesn't depend on whether the
+   * conversion server has fetched the central config yet.
+   */
+  resolveTiles(filePath) {
+    const folders = this.tileRules.folders || {};
+    const match = this.matchFolderRule(folders, filePath);
+    let profile = match ? folders[match] : null;
+    if (profile && !(this.tileRules.profiles || {})[profile]) {
+      console.warn(`Tile profile "${profile}" for folder ${match} is not defined; using the default`);
+      profile = null;
+    }
+    return resolveTileSettings(this.tileRules, profile);
+  }
+
   async startConversion(filePath, baseName) {
     try {
       const dziDir = path.join(path.dirname(this.slidesDir), 'dzi');
@@ -216,27 +283,69 @@ class OptimizedAutoProcessor extends EventEmitter {
         fs.mkdirSync(organizedSlideDir, { recursive: true });
       }
 
-      console.log(`Starting optimized conversion for: ${baseName} → ${organizedSlideDir}`);
+      const priority = this.resolvePriority(filePath);
+      const tiles = this.resolveTiles(filePath);
+      console.log(`Starting optimized conversion for: ${baseName} → ${organizedSlideDir} (${priority}, ${tiles.profile || tiles.format} tiles)`);
       
       const result = await this.conversionClient.startConversion(
         filePath,
         baseName,
         this.slidesDir,
-        organizedSlideDir  // Use organized directory instead of root DZI dir
+        organizedSlideDir,  // Use organized directory instead of root DZI dir
+        priority,
+        tiles
       );
       
       console.log(`Conversion queued: ${baseName} (position: ${result.queuePosition})`);
+      this.startAttempts.delete(filePath);
+      this.failedStarts.delete(baseName);
       
       this.emit('fileDetected', { 
         filePath, 
         fileName: path.basename(filePath), 
         baseName,
         conversionId: result.conversionId,
+        priority,
         queuePosition: result.queuePosition
       });
       
     } catch (error) {
       console.error(`Failed to start conversion for ${baseName}:`, error.message);
+
+      // Someone else queued it first (running, queued or paused); follow that job instead
+      if (error.status === 409) {
+        this.conversionClient.resumeTracking(baseName, { inputPath: filePath, slidesDir: this.slidesDir });
+        return;
+      }
+
+      const attempts = (this.startAttempts.get(filePath) || 0) + 1;
+      const decision = this.retryPolicy.decide(error, attempts);
+      if (decision.retry) {
+        this.startAttempts.set(filePath, attempts);
+        console.log(`Retrying ${baseName} in ${Math.round(decision.delayMs / 1000)}s (${decision.errorClass}, attempt ${attempts}/${this.retryPolicy.maxAttempts})`);
+        this.emit('fileRetry', {
+          fileInfo: { fileName: path.basename(filePath), filePath, baseName },
+          retryCount: attempts,
+          maxRetries: this.retryPolicy.maxAttempts - 1,
+          errorClass: decision.errorClass,
+          delayMs: decision.delayMs
+        });
+        setTimeout(() => this.startConversion(filePath, baseName), decision.delayMs);
+        return;
+      }
+
+      this.startAttempts.delete(filePath);
+      this.failedStarts.set(baseName, {
+        id: `start_${baseName}`,
+        key: baseName,
+        fileName: path.basename(filePath),
+        filePath,
+        error: error.message,
+        errorClass: decision.errorClass,
+        attempts,
+        finishedAt: new Date().toISOString(),
+        source: 'auto-processor'
+      });
       this.emit('fileProcessed', { 
         success: false, 
         error: error.message, 
@@ -261,9 +370,26 @@ class OptimizedAutoProcessor extends EventEmitter {
       console.log(`File: ${fileName}`);
       console.log(`Removed from processed files tracking`);
       console.log(`====================\n`);
-      
-      this.emit('fileDeleted', { filePath, fileName });
     }
+    
+    this.emit('fileDeleted', { filePath, fileName });
+  }
+
+  // Slides that could not be handed to the conversion server, even after retries
+  getFailedStarts() {
+    return [...this.failedStarts.values()];
+  }
+
+  /**
+   * Try again to queue a slide from getFailedStarts()
+   * @returns {boolean} false if there is no such failure
+   */
+  retryFailedStart(baseName) {
+    const failure = this.failedStarts.get(baseName);
+    if (!failure) return false;
+    this.failedStarts.delete(baseName);
+    this.startConversion(failure.filePath, baseName);
+    return true;
   }
 
   // Method to clear processed file tracking (called from server delete function)
@@ -1,7 +1,19 @@
 document.addEventListener('DOMContentLoaded', function() {
+    // ===== AUTHENTICATION =====
+    // Session token from /api/auth/login, sent as a Bearer header on API calls, with tile requests
+    // (OpenSeadragon ajaxHeaders) and on the WebSocket URL
+    let authToken = localStorage.getItem('authToken');
+    let authEnabled = true;
+    let currentUser = null;
+    function authHeaders() {
+        return authToken ? { Authorization: `Bearer ${authToken}` } : {};
+    }
+
     let viewer = OpenSeadragon({
         id: "viewer",
         prefixUrl: "https://cdnjs.cloudflare.com/ajax/libs/openseadragon/3.1.0/images/",
+        loadTilesWithAjax: true,
+        ajaxHeaders: authHeaders(),
         showNavigator: true,
         sequenceMode: true,
         showRotationControl: true,
@@ -14,6 +26,8 @@ document.addEventListener('DOMContentLoaded', function() {
     const convertBtn = document.getElementById('convert-btn');
     const slideList = document.getElementById('slide-list');
     const sortSelect = document.getElementById('sort-select');
+    const slideSearch = document.getElementById('slide-search');
+    const statusFilter = document.getElementById('status-filter');
     const bulkActions = document.getElementById('bulk-actions');
     const bulkDeleteBtn = document.getElementById('bulk-delete-btn');
     // Create a small backend host settings UI inside slide controls
@@ -22,6 +36,18 @@ document.addEventListener('DOMContentLoaded', function() {
     let ws = null;
     let currentSlide = null;
     let currentSortBy = 'name';
+    // Sidebar sort options mapped onto the search API's sort/order parameters
+    const SORT_OPTIONS = {
+        name: { sort: 'name', order: 'asc' },
+        date: { sort: 'modified', order: 'desc' },
+        size: { sort: 'size', order: 'desc' },
+        format: { sort: 'format', order: 'asc' },
+        status: { sort: 'converted', order: 'desc' }
+    };
+    const SLIDE_PAGE_SIZE = 100;
+    const MAX_SLIDE_PAGE_SIZE = 1000;
+    let slideLimit = SLIDE_PAGE_SIZE;
+    let slideTotal = 0;
     const selectedSlides = new Set();
 
     // Backend base configuration (supports full URL like https://path2.slidelis.com)
@@ -78,7 +104,7 @@ document.addEventListener('DOMContentLoaded', function() {
 
             for (const name of names) {
                 try {
-                    const resp = await fetch(`${API_BASE}/api/slides/${encodeURIComponent(name)}`, { method: 'DELETE' });
+                    const resp = await apiFetch(`${API_BASE}/api/slides/${encodeURIComponent(name)}`, { method: 'DELETE' });
                     if (!resp.ok) {
                         const err = await resp.text();
                         console.error('Delete failed:', name, err);
@@ -101,17 +127,24 @@ document.addEventListener('DOMContentLoaded', function() {
         };
     }
 
-    // Load available slides
+    // Load available slides (filtered, sorted and paged by the backend)
     async function loadSlides() {
         try {
-            const url = `${API_BASE}/api/slides`;
-            const response = await fetch(url);
+            const params = new URLSearchParams({ ...SORT_OPTIONS[currentSortBy], page: 1, pageSize: slideLimit });
+            if (slideSearch.value.trim()) params.set('q', slideSearch.value.trim());
+            if (statusFilter.value) params.set('converted', statusFilter.value);
+
+            const url = `${API_BASE}/api/slides/search?${params}`;
+            const response = await apiFetch(url);
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status} at ${url}`);
             }
-            slides = await response.json();
+            const result = await response.json();
+            slides = result.slides;
+            slideTotal = result.total;
             
             updateSlideList();
+            openDeepLinkedSlide();
         } catch (error) {
             console.error('Error loading slides:', error);
             const currentBase = getBackendBase();
@@ -145,8 +178,7 @@ document.addEventListener('DOMContentLoaded', function() {
             setBackendBase(base);
             API_BASE = getApiBase();
             try { if (ws) ws.close(); } catch(_) {}
-            connectWebSocket();
-            loadSlides();
+            initAuth();
         };
         wrap.appendChild(input);
         wrap.appendChild(btn);
@@ -157,35 +189,36 @@ document.addEventListener('DOMContentLoaded', function() {
     function updateSlideList() {
         selectedSlides.clear();
         updateBulkActions();
-        const sortedSlides = [...slides].sort((a, b) => {
-            switch (currentSortBy) {
-                case 'name':
-                    return a.name.localeCompare(b.name);
-                case 'date':
-                    // Use file modification time if available, otherwise name
-                    return a.name.localeCompare(b.name);
-                case 'size':
-                    return (b.size || 0) - (a.size || 0);
-                case 'format':
-                    return a.format.localeCompare(b.format);
-                case 'status':
-                    return (b.converted ? 1 : 0) - (a.converted ? 1 : 0);
-                default:
-                    return 0;
-            }
-        });
-
         slideList.innerHTML = '';
         
-        if (sortedSlides.length === 0) {
+        if (slides.length === 0) {
             slideList.innerHTML = '<div style="padding: 15px; color: #6c757d; text-align: center;">No slides found</div>';
             return;
         }
 
-        sortedSlides.forEach(slide => {
+        slides.forEach(slide => {
             const slideItem = createSlideListItem(slide);
             slideList.appendChild(slideItem);
         });
+
+        if (slideTotal > slides.length) {
+            const footer = document.createElement('div');
+            footer.className = 'slide-list-footer';
+            footer.textContent = `Showing ${slides.length} of ${slideTotal} slides`;
+            if (slideLimit < MAX_SLIDE_PAGE_SIZE) {
+                const moreBtn = document.createElement('button');
+                moreBtn.textContent = 'Load more';
+                moreBtn.onclick = () => {
+                    slideLimit = Math.min(slideLimit + SLIDE_PAGE_SIZE, MAX_SLIDE_PAGE_SIZE);
+                    loadSlides();
+                };
+                footer.appendChild(document.createElement('br'));
+                footer.appendChild(moreBtn);
+            } else {
+                footer.textContent += ' - refine your search to see more';
+            }
+            slideList.appendChild(footer);
+        }
     }
 
     // Create individual slide list item
@@ -235,9 +268,10 @@ document.addEventListener('DOMContentLoaded', function() {
         
         const slideDetails = document.createElement('div');
         slideDetails.className = 'slide-details';
-        const status = slide.converted ? '✓ Converted' : '⚠️ Not converted';
+        const status = slide.converted ? '✓ Converted' : (slide.liveDziFile ? '👁️ Live view' : '⚠️ Not converted');
         const size = slide.size ? `${(slide.size / 1024 / 1024 / 1024).toFixed(1)}GB` : 'Unknown size';
-        slideDetails.textContent = `${status} • ${slide.format} • ${size}`;
+        const tiles = slide.tileFormat && slide.tileFormat !== 'jpeg' ? ` • ${slide.tileFormat.toUpperCase()} tiles` : '';
+        slideDetails.textContent = `${status} • ${slide.format} • ${size}${tiles}${slide.barcode ? ` • 🏷️ ${slide.barcode}` : ''}`;
         
         slideInfo.appendChild(slideName);
         if (slide.label) {
@@ -263,6 +297,7 @@ document.addEventListener('DOMContentLoaded', function() {
         // Rename button
         const renameBtn = document.createElement('button');
         renameBtn.className = 'rename-btn';
+        renameBtn.dataset.minRole = 'technician';
         renameBtn.textContent = '✏️';
         renameBtn.title = 'Rename slide';
         renameBtn.style.cssText = 'background: #6c757d; color: white; border: none; padding: 4px 6px; border-radius: 3px; cursor: pointer; margin-right: 4px; font-size: 12px;';
@@ -272,10 +307,24 @@ document.addEventListener('DOMContentLoaded', function() {
         };
         slideActions.appendChild(renameBtn);
         
+        // File into case button
+        const caseBtn = document.createElement('button');
+        caseBtn.className = 'case-btn';
+        caseBtn.dataset.minRole = 'technician';
+        caseBtn.textContent = '📁';
+        caseBtn.title = 'File into case';
+        caseBtn.style.cssText = 'background: #6c757d; color: white; border: none; padding: 4px 6px; border-radius: 3px; cursor: pointer; margin-right: 4px; font-size: 12px;';
+        caseBtn.onclick = (e) => {
+            e.stopPropagation();
+            fileSlideIntoCase(slide);
+        };
+        slideActions.appendChild(caseBtn);
+        
         // Convert button (if not converted)
         if (!slide.converted) {
             const convertBtn = document.createElement('button');
             convertBtn.className = 'convert-btn';
+            convertBtn.dataset.minRole = 'technician';
             convertBtn.textContent = 'Convert';
             convertBtn.onclick = (e) => {
                 e.stopPropagation();
@@ -286,6 +335,7 @@ document.addEventListener('DOMContentLoaded', function() {
             // Cancel button (initially hidden, shown during conversion)
             const cancelBtn = document.createElement('button');
             cancelBtn.className = 'cancel-btn';
+            cancelBtn.dataset.minRole = 'technician';
             cancelBtn.textContent = 'Cancel';
             cancelBtn.style.display = 'none';
             cancelBtn.style.background = '#dc3545';
@@ -322,7 +372,7 @@ document.addEventListener('DOMContentLoaded', function() {
         }
 
         try {
-            const response = await fetch(`${getApiBase()}/api/slides/${encodeURIComponent(slide.name)}/rename`, {
+            const response = await apiFetch(`${getApiBase()}/api/slides/${encodeURIComponent(slide.name)}/rename`, {
                 method: 'PUT',
                 headers: {
                     'Content-Type': 'application/json'
@@ -354,7 +404,7 @@ document.addEventListener('DOMContentLoaded', function() {
             
             convertBtn.textContent = 'Converting...';
             
-            const response = await fetch(`${API_BASE}/api/convert/${filename}`, {
+            const response = await apiFetch(`${API_BASE}/api/convert/${filename}`, {
                 method: 'POST'
             });
             
@@ -396,7 +446,22 @@ document.addEventListener('DOMContentLoaded', function() {
     // Sort selection handler
     sortSelect.addEventListener('change', function() {
         currentSortBy = this.value;
-        updateSlideList();
+        loadSlides();
+    });
+
+    // Search/filter handlers; typing is debounced so each keystroke doesn't hit the backend
+    let searchTimer = null;
+    slideSearch.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            if (sidebarView === 'cases') return loadCases();
+            slideLimit = SLIDE_PAGE_SIZE;
+            loadSlides();
+        }, 300);
+    });
+    statusFilter.addEventListener('change', () => {
+        slideLimit = SLIDE_PAGE_SIZE;
+        loadSlides();
     });
 
     // Select slide from sidebar
@@ -405,10 +470,20 @@ document.addEventListener('DOMContentLoaded', function() {
         document.querySelectorAll('.slide-item').forEach(item => {
             item.classList.remove('active');
         });
-        document.querySelector(`[data-slide-name="${slide.name}"]`).classList.add('active');
+        const listItem = document.querySelector(`[data-slide-name="${slide.name}"]`);
+        if (listItem) listItem.classList.add('active');
+        
+        if (compareMode) {
+            openInComparePane(slide);
+            return;
+        }
         
         // Load the slide
         currentSlide = slide;
+        if (pendingViewport && pendingViewport.slide !== slide.name) pendingViewport = null;
+        if (!pendingViewport) {
+            window.history.replaceState(null, '', `${window.location.pathname}?${new URLSearchParams({ slide: slide.name })}`);
+        }
         // Update associated images panel
         const assoc = document.getElementById('assoc-images');
         const labelImg = document.getElementById('label-img');
@@ -429,6 +504,15 @@ document.addEventListener('DOMContentLoaded', function() {
                 tileSource: dziUrl
             });
             convertBtn.style.display = 'none';
+        } else if (slide.liveDziFile) {
+            // Not converted yet: view tiles read straight from the source file; converting makes it faster
+            console.log('Loading live tiles:', slide.liveDziFile);
+            viewer.open({
+                type: 'image',
+                tileSource: `${API_BASE}${slide.liveDziFile}`
+            });
+            convertBtn.style.display = 'block';
+            convertBtn.textContent = `Convert ${slide.name}`;
         } else {
             convertBtn.style.display = 'block';
             convertBtn.textContent = `Convert ${slide.name}`;
@@ -437,13 +521,14 @@ document.addEventListener('DOMContentLoaded', function() {
             const assoc2 = document.getElementById('assoc-images');
             if (assoc2) assoc2.style.display = (slide.labelUrl || slide.macroUrl) ? 'block' : 'none';
         }
+        loadAnnotations(slide);
     }
 
     // Convert slide from sidebar
     async function convertSlideFromSidebar(slide) {
         try {
             const filename = slide.originalFile.split('/').pop();
-            const response = await fetch(`${API_BASE}/api/convert/${filename}`, {
+            const response = await apiFetch(`${API_BASE}/api/convert/${filename}`, {
                 method: 'POST'
             });
             
@@ -476,7 +561,7 @@ document.addEventListener('DOMContentLoaded', function() {
     async function cancelConversion(slide) {
         try {
             const filename = slide.originalFile.split('/').pop();
-            const response = await fetch(`${getApiBase()}/api/convert/${encodeURIComponent(filename)}/cancel`, {
+            const response = await apiFetch(`${getApiBase()}/api/convert/${encodeURIComponent(filename)}/cancel`, {
                 method: 'POST'
             });
             
@@ -501,9 +586,1328 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
+    // ===== ANNOTATIONS =====
+    // Shapes are stored in full-resolution image pixels and drawn on an SVG layer
+    // that is re-projected onto the viewer every time the viewport changes.
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const annotationPanel = document.getElementById('annotation-panel');
+    const annotationList = document.getElementById('annotation-list');
+    const annotationColor = document.getElementById('annotation-color');
+    const annotationLayer = document.createElementNS(SVG_NS, 'svg');
+    annotationLayer.id = 'annotation-layer';
+    viewer.canvas.appendChild(annotationLayer);
+
+    let annotations = [];
+    let annotationTool = 'pan';
+    let draftPoints = [];
+    let draftCursor = null;
+    let isDragging = false;
+
+    function getTiledImage() {
+        return viewer.world.getItemCount() > 0 ? viewer.world.getItemAt(0) : null;
+    }
+
+    function imageToScreen(item, [x, y]) {
+        const pt = item.imageToViewerElementCoordinates(new OpenSeadragon.Point(x, y));
+        return [pt.x, pt.y];
+    }
+
+    function eventToImage(event) {
+        const item = getTiledImage();
+        const rect = viewer.canvas.getBoundingClientRect();
+        const pt = item.viewerElementToImageCoordinates(
+            new OpenSeadragon.Point(event.clientX - rect.left, event.clientY - rect.top)
+        );
+        return [pt.x, pt.y];
+    }
+
+    // Expand rectangles (stored as two opposite corners) to four corners so they follow rotation
+    function shapePoints(type, points) {
+        if (type !== 'rectangle' && type !== 'export') return points;
+        const [[x1, y1], [x2, y2]] = points;
+        return [[x1, y1], [x2, y1], [x2, y2], [x1, y2]];
+    }
+
+    // ===== MEASUREMENT =====
+    // Lengths and areas use the slide's microns-per-pixel calibration when the scanner recorded one
+    // and fall back to image pixels otherwise.
+    const scaleBar = document.getElementById('scale-bar');
+    const scaleBarLine = document.getElementById('scale-bar-line');
+    const scaleBarLabel = document.getElementById('scale-bar-label');
+
+    function getCurrentMpp() {
+        return currentSlide && currentSlide.mpp ? currentSlide.mpp : null;
+    }
+
+    function formatMicrons(um) {
+        if (um >= 1000) return `${(um / 1000).toFixed(um >= 10000 ? 1 : 2)} mm`;
+        return `${um >= 100 ? Math.round(um) : um.toFixed(1)} µm`;
+    }
+
+    function formatSquareMicrons(um2) {
+        const mm2 = um2 / 1e6;
+        if (mm2 >= 0.01) return `${mm2.toFixed(mm2 >= 10 ? 1 : 3)} mm²`;
+        return `${Math.round(um2).toLocaleString()} µm²`;
+    }
+
+    function measureLength(points) {
+        const [[x1, y1], [x2, y2]] = points;
+        const mpp = getCurrentMpp();
+        if (!mpp) return `${Math.round(Math.hypot(x2 - x1, y2 - y1)).toLocaleString()} px`;
+        return formatMicrons(Math.hypot((x2 - x1) * mpp.x, (y2 - y1) * mpp.y));
+    }
+
+    // Shoelace formula over the closed outline
+    function measureArea(points) {
+        let twiceArea = 0;
+        points.forEach(([x1, y1], i) => {
+            const [x2, y2] = points[(i + 1) % points.length];
+            twiceArea += x1 * y2 - x2 * y1;
+        });
+        const area = Math.abs(twiceArea) / 2;
+        const mpp = getCurrentMpp();
+        if (!mpp) return `${Math.round(area).toLocaleString()} px²`;
+        return formatSquareMicrons(area * mpp.x * mpp.y);
+    }
+
+    function measureAnnotation(annotation) {
+        if (annotation.type === 'ruler') return measureLength(annotation.points);
+        if (annotation.type === 'point' || annotation.points.length < 2) return '';
+        return measureArea(shapePoints(annotation.type, annotation.points));
+    }
+
+    // Pick a 1/2/5 x 10^n length that renders close to 100 screen pixels
+    function updateScaleBar() {
+        const item = getTiledImage();
+        const mpp = getCurrentMpp();
+        if (!item || !mpp) {
+            scaleBar.style.display = 'none';
+            return;
+        }
+
+        const screenPerImagePixel = item.viewportToImageZoom(viewer.viewport.getZoom(true));
+        const micronsPerScreenPixel = mpp.x / screenPerImagePixel;
+        const target = micronsPerScreenPixel * 100;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(target)));
+        const nice = [1, 2, 5, 10].map(m => m * magnitude).filter(v => v <= target).pop() || magnitude;
+
+        scaleBarLine.style.width = `${Math.round(nice / micronsPerScreenPixel)}px`;
+        scaleBarLabel.textContent = formatMicrons(nice);
+        scaleBar.style.display = 'block';
+    }
+
+    function svgElement(tag, attrs) {
+        const el = document.createElementNS(SVG_NS, tag);
+        Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+        return el;
+    }
+
+    function drawShape(item, annotation, isDraft) {
+        const color = annotation.color || '#00ff00';
+        const points = annotation.points.map(p => imageToScreen(item, p));
+        const style = { stroke: color, 'stroke-width': 2, fill: 'none' };
+        if (isDraft) style['stroke-dasharray'] = '6 4';
+
+        let shape;
+        if (annotation.type === 'point') {
+            shape = svgElement('circle', { cx: points[0][0], cy: points[0][1], r: 5, ...style, fill: color });
+        } else if (annotation.type === 'ruler') {
+            shape = svgElement('line', { x1: points[0][0], y1: points[0][1], x2: points[1][0], y2: points[1][1], ...style });
+        } else {
+            const outline = shapePoints(annotation.type, annotation.points).map(p => imageToScreen(item, p));
+            const closed = !(isDraft && annotation.type === 'polygon');
+            shape = svgElement(closed ? 'polygon' : 'polyline', {
+                points: outline.map(p => p.join(',')).join(' '),
+                ...style,
+                fill: closed ? `${color}26` : 'none'
+            });
+        }
+        annotationLayer.appendChild(shape);
+
+        const caption = [annotation.label, measureAnnotation(annotation)].filter(Boolean).join(': ');
+        if (caption) {
+            const anchor = annotation.type === 'ruler'
+                ? [(points[0][0] + points[1][0]) / 2, (points[0][1] + points[1][1]) / 2]
+                : points[0];
+            const text = svgElement('text', { x: anchor[0] + 6, y: anchor[1] - 6 });
+            text.textContent = caption;
+            annotationLayer.appendChild(text);
+        }
+    }
+
+    function renderAnnotations() {
+        annotationLayer.replaceChildren();
+        const item = getTiledImage();
+        if (!item) return;
+
+        annotations.forEach(annotation => drawShape(item, annotation, false));
+
+        if (draftPoints.length > 0) {
+            const points = annotationTool === 'polygon' && draftCursor
+                ? [...draftPoints, draftCursor]
+                : draftPoints;
+            if (points.length >= (annotationTool === 'point' ? 1 : 2)) {
+                drawShape(item, { type: annotationTool, points, color: annotationColor.value }, true);
+            }
+        }
+    }
+
+    function renderAnnotationList() {
+        annotationList.replaceChildren();
+        annotations.forEach(annotation => {
+            const li = document.createElement('li');
+            li.title = annotation.createdBy ? `Zoom to annotation (by ${annotation.createdBy})` : 'Zoom to annotation';
+
+            const swatch = document.createElement('span');
+            swatch.className = 'annotation-swatch';
+            swatch.style.background = annotation.color;
+
+            const text = document.createElement('span');
+            text.className = 'annotation-text';
+            const measurement = measureAnnotation(annotation);
+            text.textContent = `${annotation.label || annotation.type}${measurement ? ` (${measurement})` : ''}`;
+
+            const editBtn = document.createElement('button');
+            editBtn.textContent = '✏️';
+            editBtn.title = 'Edit label';
+            editBtn.onclick = (e) => {
+                e.stopPropagation();
+                const label = prompt('Annotation label:', annotation.label || '');
+                if (label !== null) updateAnnotation(annotation.id, { label: label.trim() });
+            };
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.textContent = '✕';
+            deleteBtn.title = 'Delete annotation';
+            deleteBtn.onclick = (e) => {
+                e.stopPropagation();
+                if (confirm(`Delete ${annotation.label || annotation.type}?`)) deleteAnnotation(annotation.id);
+            };
+
+            li.onclick = () => zoomToAnnotation(annotation);
+            li.append(swatch, text, editBtn, deleteBtn);
+            annotationList.appendChild(li);
+        });
+    }
+
+    function zoomToAnnotation(annotation) {
+        const item = getTiledImage();
+        if (!item) return;
+        const xs = annotation.points.map(p => p[0]);
+        const ys = annotation.points.map(p => p[1]);
+        // Pad so points and thin shapes don't fill the whole screen
+        const pad = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys), 200) * 0.25;
+        const bounds = item.imageToViewportRectangle(
+            Math.min(...xs) - pad,
+            Math.min(...ys) - pad,
+            Math.max(...xs) - Math.min(...xs) + pad * 2,
+            Math.max(...ys) - Math.min(...ys) + pad * 2
+        );
+        viewer.viewport.fitBoundsWithConstraints(bounds);
+    }
+
+    function upsertAnnotation(annotation) {
+        const index = annotations.findIndex(a => a.id === annotation.id);
+        if (index === -1) {
+            annotations.push(annotation);
+        } else {
+            annotations[index] = annotation;
+        }
+        renderAnnotations();
+        renderAnnotationList();
+    }
+
+    function removeAnnotationLocally(id) {
+        annotations = annotations.filter(a => a.id !== id);
+        renderAnnotations();
+        renderAnnotationList();
+    }
+
+    function annotationsUrl(slideName, id) {
+        const base = `${API_BASE}/api/slides/${encodeURIComponent(slideName)}/annotations`;
+        return id ? `${base}/${encodeURIComponent(id)}` : base;
+    }
+
+    async function loadAnnotations(slide) {
+        annotations = [];
+        cancelDraft();
+        annotationPanel.style.display = slide && slide.converted ? 'block' : 'none';
+        renderAnnotationList();
+        if (!slide || !slide.converted) {
+            setAnnotationTool('pan');
+            return;
+        }
+
+        try {
+            const response = await apiFetch(annotationsUrl(slide.name));
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const result = await response.json();
+            // Ignore the response if the user switched slides while it was loading
+            if (!currentSlide || currentSlide.name !== slide.name) return;
+            annotations = result.annotations || [];
+            renderAnnotations();
+            renderAnnotationList();
+        } catch (error) {
+            console.error('Failed to load annotations:', error);
+        }
+    }
+
+    async function saveAnnotation(type, points) {
+        if (!currentSlide) return;
+        const slideName = currentSlide.name;
+        try {
+            const response = await apiFetch(annotationsUrl(slideName), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ type, points, color: annotationColor.value })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                alert(`Failed to save annotation: ${(result.errors || [result.error]).join(', ')}`);
+                return;
+            }
+            if (currentSlide && currentSlide.name === slideName) upsertAnnotation(result);
+        } catch (error) {
+            console.error('Annotation save error:', error);
+            alert(`Failed to save annotation: ${error.message}`);
+        }
+    }
+
+    async function updateAnnotation(id, changes) {
+        if (!currentSlide) return;
+        try {
+            const response = await apiFetch(annotationsUrl(currentSlide.name, id), {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(changes)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                alert(`Failed to update annotation: ${(result.errors || [result.error]).join(', ')}`);
+                return;
+            }
+            upsertAnnotation(result);
+        } catch (error) {
+            console.error('Annotation update error:', error);
+            alert(`Failed to update annotation: ${error.message}`);
+        }
+    }
+
+    async function deleteAnnotation(id) {
+        if (!currentSlide) return;
+        try {
+            const response = await apiFetch(annotationsUrl(currentSlide.name, id), { method: 'DELETE' });
+            if (!response.ok && response.status !== 404) {
+                const result = await response.json();
+                alert(`Failed to delete annotation: ${result.error}`);
+                return;
+            }
+            removeAnnotationLocally(id);
+        } catch (error) {
+            console.error('Annotation delete error:', error);
+            alert(`Failed to delete annotation: ${error.message}`);
+        }
+    }
+
+    function setAnnotationTool(tool) {
+        cancelDraft();
+        annotationTool = tool;
+        const drawing = tool !== 'pan';
+        annotationLayer.classList.toggle('drawing', drawing);
+        viewer.setMouseNavEnabled(!drawing);
+        document.querySelectorAll('#annotation-tools button[data-tool]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === tool);
+        });
+    }
+
+    function cancelDraft() {
+        draftPoints = [];
+        draftCursor = null;
+        isDragging = false;
+        renderAnnotations();
+    }
+
+    function finishDraft() {
+        let points = draftPoints;
+        const type = annotationTool;
+        if (type === 'polygon') {
+            // Double-click also fires pointerdown twice; drop the duplicate vertices it adds
+            points = points.filter((p, i) => i === 0 || Math.hypot(p[0] - points[i - 1][0], p[1] - points[i - 1][1]) > 0.5);
+        }
+        cancelDraft();
+
+        const minPoints = { point: 1, ruler: 2, rectangle: 2, export: 2, polygon: 3, freehand: 3 }[type];
+        if (points.length < minPoints) return;
+        if ((type === 'ruler' || type === 'rectangle' || type === 'export') && points[0][0] === points[1][0] && points[0][1] === points[1][1]) return;
+        if (type === 'export') {
+            exportRegion(points);
+            return;
+        }
+        saveAnnotation(type, points);
+    }
+
+    // ===== REGION EXPORT =====
+    // The export tool draws a box like the rectangle tool, then downloads that region of the slide
+    // at a chosen resolution instead of saving an annotation.
+    async function exportRegion(points) {
+        const item = getTiledImage();
+        if (!currentSlide || !item) return;
+        const slideName = currentSlide.name;
+        const size = item.getContentSize();
+        const [[x1, y1], [x2, y2]] = points;
+        const x = Math.max(0, Math.floor(Math.min(x1, x2)));
+        const y = Math.max(0, Math.floor(Math.min(y1, y2)));
+        const w = Math.min(size.x, Math.ceil(Math.max(x1, x2))) - x;
+        const h = Math.min(size.y, Math.ceil(Math.max(y1, y2))) - y;
+        if (w < 1 || h < 1) return;
+
+        const params = new URLSearchParams({ x, y, w, h });
+        const mpp = getCurrentMpp();
+        if (mpp) {
+            const answer = prompt(`Export ${w.toLocaleString()} × ${h.toLocaleString()} px (${formatMicrons(w * mpp.x)} × ${formatMicrons(h * mpp.y)}).\nResolution in µm per pixel (scan: ${mpp.x}; 0.5 ≈ 20x, 1 ≈ 10x):`, String(mpp.x));
+            if (answer === null) return;
+            if (answer.trim()) params.set('mpp', answer.trim());
+        } else {
+            const answer = prompt(`Export ${w.toLocaleString()} × ${h.toLocaleString()} px.\nDownscale factor (1 = full resolution, 2, 4, 8...):`, '1');
+            if (answer === null) return;
+            const factor = Math.max(1, parseInt(answer, 10) || 1);
+            params.set('level', String(Math.max(0, item.source.maxLevel - Math.round(Math.log2(factor)))));
+        }
+        const format = prompt('Format (png, jpeg or tiff):', 'png');
+        if (format === null) return;
+        params.set('format', format.trim().toLowerCase() || 'png');
+
+        try {
+            const response = await apiFetch(`${API_BASE}/api/slides/${encodeURIComponent(slideName)}/region?${params}`);
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                alert(`Export failed: ${(result.errors || [result.message || result.error || `HTTP ${response.status}`]).join(', ')}`);
+                return;
+            }
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(await response.blob());
+            link.download = match ? match[1] : `${slideName}_region.${params.get('format')}`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+        } catch (error) {
+            console.error('Region export error:', error);
+            alert(`Export failed: ${error.message}`);
+        }
+    }
+
+    function screenDistance(a, b) {
+        const item = getTiledImage();
+        const [ax, ay] = imageToScreen(item, a);
+        const [bx, by] = imageToScreen(item, b);
+        return Math.hypot(ax - bx, ay - by);
+    }
+
+    annotationLayer.addEventListener('pointerdown', (e) => {
+        if (annotationTool === 'pan' || !getTiledImage() || e.button !== 0) return;
+        e.preventDefault();
+        const point = eventToImage(e);
+
+        if (annotationTool === 'point') {
+            draftPoints = [point];
+            finishDraft();
+        } else if (annotationTool === 'polygon') {
+            // Clicking back on the first vertex closes the polygon
+            if (draftPoints.length >= 3 && screenDistance(point, draftPoints[0]) < 8) {
+                finishDraft();
+                return;
+            }
+            draftPoints.push(point);
+            renderAnnotations();
+        } else {
+            draftPoints = annotationTool === 'freehand' ? [point] : [point, point];
+            isDragging = true;
+            annotationLayer.setPointerCapture(e.pointerId);
+        }
+    });
+
+    annotationLayer.addEventListener('pointermove', (e) => {
+        if (annotationTool === 'pan' || !getTiledImage()) return;
+        const point = eventToImage(e);
+
+        if (annotationTool === 'polygon' && draftPoints.length > 0) {
+            draftCursor = point;
+            renderAnnotations();
+        } else if (isDragging) {
+            if (annotationTool === 'freehand') {
+                // Skip samples closer than a few screen pixels to keep paths light
+                if (screenDistance(point, draftPoints[draftPoints.length - 1]) < 3) return;
+                draftPoints.push(point);
+            } else {
+                draftPoints[1] = point;
+            }
+            renderAnnotations();
+        }
+    });
+
+    annotationLayer.addEventListener('pointerup', (e) => {
+        if (!isDragging) return;
+        annotationLayer.releasePointerCapture(e.pointerId);
+        finishDraft();
+    });
+
+    annotationLayer.addEventListener('dblclick', (e) => {
+        if (annotationTool === 'polygon' && draftPoints.length > 0) {
+            e.preventDefault();
+            finishDraft();
+        }
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (annotationTool === 'pan' || e.target.matches('input, textarea, select')) return;
+        if (e.key === 'Escape') {
+            cancelDraft();
+        } else if (e.key === 'Enter' && annotationTool === 'polygon') {
+            finishDraft();
+        }
+    });
+
+    document.querySelectorAll('#annotation-tools button[data-tool]').forEach(btn => {
+        btn.addEventListener('click', () => setAnnotationTool(btn.dataset.tool));
+    });
+
+    viewer.addHandler('update-viewport', () => {
+        renderAnnotations();
+        updateScaleBar();
+    });
+    viewer.addHandler('open', renderAnnotations);
+    viewer.addHandler('close', updateScaleBar);
+
+    // ===== DEEP LINKS =====
+    // ?slide=<name>&x=<px>&y=<px>&zoom=<ratio>&rotation=<deg>
+    // x/y is the viewport center in full-resolution image pixels and zoom is screen pixels per image
+    // pixel (1 = native resolution), so a link shows the same field whatever the window size.
+    const copyLinkBtn = document.getElementById('copy-link-btn');
+    let pendingViewport = parseViewportFromUrl();
+    let deepLinkHandled = false;
+
+    function parseViewportFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const slide = params.get('slide');
+        if (!slide) return null;
+        const number = (key) => {
+            const value = parseFloat(params.get(key));
+            return Number.isFinite(value) ? value : null;
+        };
+        return { slide, x: number('x'), y: number('y'), zoom: number('zoom'), rotation: number('rotation') };
+    }
+
+    // Called once the first slide list arrives; the linked slide may be outside the loaded page
+    async function openDeepLinkedSlide() {
+        if (deepLinkHandled) return;
+        deepLinkHandled = true;
+        if (!pendingViewport) return;
+
+        let slide = slides.find(s => s.name === pendingViewport.slide);
+        if (!slide) {
+            try {
+                const params = new URLSearchParams({ name: pendingViewport.slide, pageSize: 1 });
+                const response = await apiFetch(`${API_BASE}/api/slides/search?${params}`);
+                if (response.ok) slide = (await response.json()).slides[0];
+            } catch (error) {
+                console.error('Linked slide lookup failed:', error);
+            }
+        }
+        if (!slide) {
+            console.warn(`Linked slide not found: ${pendingViewport.slide}`);
+            pendingViewport = null;
+            return;
+        }
+        selectSlideFromSidebar(slide);
+        const item = document.querySelector(`[data-slide-name="${slide.name}"]`);
+        if (item) item.scrollIntoView({ block: 'nearest' });
+    }
+
+    function applyPendingViewport() {
+        const item = getTiledImage();
+        if (!pendingViewport || !item || !currentSlide || currentSlide.name !== pendingViewport.slide) return;
+        const { x, y, zoom, rotation } = pendingViewport;
+        pendingViewport = null;
+
+        if (rotation !== null) viewer.viewport.setRotation(rotation);
+        if (zoom !== null && zoom > 0) viewer.viewport.zoomTo(item.imageToViewportZoom(zoom), null, true);
+        if (x !== null && y !== null) viewer.viewport.panTo(item.imageToViewportCoordinates(x, y), true);
+    }
+
+    function buildViewportUrl() {
+        const params = new URLSearchParams();
+        params.set('slide', currentSlide.name);
+        const item = getTiledImage();
+        if (item) {
+            const center = item.viewportToImageCoordinates(viewer.viewport.getCenter(true));
+            params.set('x', Math.round(center.x));
+            params.set('y', Math.round(center.y));
+            params.set('zoom', Number(item.viewportToImageZoom(viewer.viewport.getZoom(true)).toPrecision(4)));
+            const rotation = viewer.viewport.getRotation();
+            if (rotation) params.set('rotation', rotation);
+        }
+        return `${window.location.pathname}?${params}`;
+    }
+
+    function updateUrlFromViewport() {
+        // Don't overwrite an incoming link before it has been applied
+        if (!currentSlide || pendingViewport) return;
+        window.history.replaceState(null, '', buildViewportUrl());
+    }
+
+    copyLinkBtn.addEventListener('click', async () => {
+        const url = new URL(buildViewportUrl(), window.location.href).toString();
+        try {
+            await navigator.clipboard.writeText(url);
+            copyLinkBtn.textContent = '✓ Copied';
+            setTimeout(() => { copyLinkBtn.textContent = '🔗 Copy link'; }, 1500);
+        } catch (error) {
+            // Clipboard API needs a secure context; let the user copy it by hand
+            prompt('Copy this link:', url);
+        }
+    });
+
+    viewer.addHandler('open', () => {
+        applyPendingViewport();
+        updateUrlFromViewport();
+        copyLinkBtn.style.display = 'inline-block';
+        shareBtn.style.display = authEnabled && currentSlide && currentSlide.converted ? 'inline-block' : 'none';
+    });
+    viewer.addHandler('close', () => {
+        copyLinkBtn.style.display = 'none';
+        shareBtn.style.display = 'none';
+    });
+    viewer.addHandler('animation-finish', updateUrlFromViewport);
+    viewer.addHandler('rotate', updateUrlFromViewport);
+
+    // ===== SHARE LINKS =====
+    // Expiring, read-only links for consultants without an account: the slide or case only, with
+    // label images and identifying metadata left out. Admins list and revoke them in the console.
+    const shareBtn = document.getElementById('share-btn');
+
+    async function createShareLink(scope, target, label) {
+        const hours = prompt(`Share ${label} for how many hours?`, '72');
+        if (hours === null) return;
+        const password = prompt('Password for the link (leave empty for none):', '');
+        if (password === null) return;
+        try {
+            const response = await apiFetch(`${API_BASE}/api/share-links`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ scope, target, hours: Number(hours), password: password || undefined })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.errors ? data.errors.join(', ') : (data.message || data.error || `HTTP ${response.status}`));
+            }
+            const expires = new Date(data.expiresAt).toLocaleString();
+            try {
+                await navigator.clipboard.writeText(data.url);
+                alert(`Share link copied (expires ${expires}):\n${data.url}`);
+            } catch (error) {
+                prompt(`Share link (expires ${expires}):`, data.url);
+            }
+        } catch (error) {
+            alert(`Failed to create share link: ${error.message}`);
+        }
+    }
+
+    shareBtn.addEventListener('click', () => {
+        if (currentSlide) createShareLink('slide', currentSlide.name, currentSlide.name);
+    });
+
+    // Newer tile encodings depend on the browser (JPEG-XL is Safari-only for now); say so once per slide
+    const TILE_FORMAT_NAMES = { webp: 'WebP', avif: 'AVIF', jxl: 'JPEG-XL' };
+    let tileFormatWarnedFor = null;
+    viewer.addHandler('open-failed', () => {
+        if (currentSlide && !currentSlide.converted && currentSlide.liveDziFile) {
+            alert(`${currentSlide.name} can't be viewed before conversion (live tiles unavailable for this file). Convert it to view.`);
+        }
+    });
+    viewer.addHandler('tile-load-failed', () => {
+        const formatName = currentSlide && TILE_FORMAT_NAMES[currentSlide.tileFormat];
+        if (!formatName || tileFormatWarnedFor === currentSlide.name) return;
+        tileFormatWarnedFor = currentSlide.name;
+        alert(`${currentSlide.name} has ${formatName} tiles and some could not be displayed. This browser may not support ${formatName}; try another browser or re-convert the slide with a different tile profile.`);
+    });
+
+    // ===== CASES =====
+    // The sidebar switches between the flat slide list and cases (accession -> part -> block -> slides).
+    // The search box filters whichever view is showing.
+    const caseList = document.getElementById('case-list');
+    const newCaseBtn = document.getElementById('new-case-btn');
+    let sidebarView = 'slides';
+    const expandedCases = new Set();
+
+    async function caseRequest(path, options = {}) {
+        const response = await apiFetch(`${API_BASE}/api/cases${path}`, {
+            ...options,
+            headers: options.body ? { 'Content-Type': 'application/json' } : undefined
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.errors ? result.errors.join(', ') : (result.message || result.error || `HTTP ${response.status}`));
+        }
+        return result;
+    }
+
+    function setSidebarView(view) {
+        sidebarView = view;
+        document.querySelectorAll('#view-toggle button').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === view);
+        });
+        const showCases = view === 'cases';
+        slideList.style.display = showCases ? 'none' : '';
+        caseList.style.display = showCases ? '' : 'none';
+        statusFilter.style.display = showCases ? 'none' : '';
+        sortSelect.style.display = showCases ? 'none' : '';
+        newCaseBtn.style.display = showCases ? 'block' : 'none';
+        if (bulkActions) bulkActions.style.display = showCases ? 'none' : '';
+        slideSearch.placeholder = showCases ? 'Search cases...' : 'Search slides...';
+        if (showCases) loadCases();
+        else loadSlides();
+    }
+
+    async function loadCases() {
+        try {
+            const params = new URLSearchParams();
+            if (slideSearch.value.trim()) params.set('q', slideSearch.value.trim());
+            const { cases } = await caseRequest(`?${params}`);
+            caseList.replaceChildren();
+            if (cases.length === 0) {
+                caseList.innerHTML = '<div style="padding: 15px; color: #6c757d;">No cases</div>';
+                return;
+            }
+            for (const caseRecord of cases) {
+                caseList.appendChild(createCaseItem(caseRecord));
+            }
+        } catch (error) {
+            console.error('Error loading cases:', error);
+            caseList.innerHTML = `<div style="padding: 15px; color: #dc3545;">Error loading cases: ${error.message}</div>`;
+        }
+    }
+
+    function createCaseItem(caseRecord) {
+        const item = document.createElement('div');
+        item.className = 'case-item';
+
+        const header = document.createElement('div');
+        header.className = 'case-header';
+
+        const title = document.createElement('div');
+        title.className = 'case-title';
+        const accession = document.createElement('div');
+        accession.className = 'case-accession';
+        accession.textContent = `${expandedCases.has(caseRecord.id) ? '▾' : '▸'} ${caseRecord.accession}`;
+        const meta = document.createElement('div');
+        meta.className = 'case-meta';
+        const count = caseRecord.slides.length;
+        meta.textContent = [caseRecord.caseId, `${count} slide${count === 1 ? '' : 's'}`].filter(Boolean).join(' • ');
+        title.appendChild(accession);
+        title.appendChild(meta);
+
+        const editBtn = document.createElement('button');
+        editBtn.textContent = '✏️';
+        editBtn.title = 'Edit case reference';
+        editBtn.onclick = async (e) => {
+            e.stopPropagation();
+            const caseId = prompt(`Case reference for ${caseRecord.accession}:`, caseRecord.caseId || '');
+            if (caseId === null) return;
+            try {
+                await caseRequest(`/${caseRecord.id}`, { method: 'PUT', body: JSON.stringify({ caseId: caseId.trim() }) });
+            } catch (error) {
+                alert(`Failed to update case: ${error.message}`);
+            }
+        };
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = '🗑️';
+        deleteBtn.title = 'Delete case (slides are kept)';
+        deleteBtn.onclick = async (e) => {
+            e.stopPropagation();
+            if (!confirm(`Delete case ${caseRecord.accession}? Its slides are not deleted.`)) return;
+            try {
+                await caseRequest(`/${caseRecord.id}`, { method: 'DELETE' });
+            } catch (error) {
+                alert(`Failed to delete case: ${error.message}`);
+            }
+        };
+
+        // IIIF viewers (Mirador etc.) open a case from its manifest URL
+        const iiifBtn = document.createElement('button');
+        iiifBtn.textContent = 'IIIF';
+        iiifBtn.title = 'Copy IIIF manifest URL';
+        iiifBtn.onclick = async (e) => {
+            e.stopPropagation();
+            const manifestUrl = new URL(`${API_BASE}/iiif/3/cases/${encodeURIComponent(caseRecord.id)}/manifest`, window.location.href).href;
+            try {
+                await navigator.clipboard.writeText(manifestUrl);
+                alert(`IIIF manifest URL copied:\n${manifestUrl}`);
+            } catch (error) {
+                prompt('IIIF manifest URL:', manifestUrl);
+            }
+        };
+
+        const shareCaseBtn = document.createElement('button');
+        shareCaseBtn.textContent = '📤';
+        shareCaseBtn.title = 'Create a read-only share link for this case';
+        shareCaseBtn.style.display = authEnabled ? '' : 'none';
+        shareCaseBtn.onclick = (e) => {
+            e.stopPropagation();
+            createShareLink('case', caseRecord.id, caseRecord.accession);
+        };
+
+        header.appendChild(title);
+        header.appendChild(iiifBtn);
+        header.appendChild(shareCaseBtn);
+        header.appendChild(editBtn);
+        header.appendChild(deleteBtn);
+        item.appendChild(header);
+
+        const body = document.createElement('div');
+        body.className = 'case-body';
+        item.appendChild(body);
+
+        header.onclick = () => {
+            if (expandedCases.has(caseRecord.id)) {
+                expandedCases.delete(caseRecord.id);
+                body.replaceChildren();
+                accession.textContent = `▸ ${caseRecord.accession}`;
+            } else {
+                expandedCases.add(caseRecord.id);
+                accession.textContent = `▾ ${caseRecord.accession}`;
+                renderCaseDetails(caseRecord.id, body);
+            }
+        };
+        if (expandedCases.has(caseRecord.id)) renderCaseDetails(caseRecord.id, body);
+
+        return item;
+    }
+
+    async function renderCaseDetails(id, body) {
+        try {
+            const caseRecord = await caseRequest(`/${id}`);
+            body.replaceChildren();
+            if (caseRecord.description) {
+                const description = document.createElement('div');
+                description.className = 'case-meta';
+                description.textContent = caseRecord.description;
+                body.appendChild(description);
+            }
+
+            const addGroup = (label, slideRefs) => {
+                if (slideRefs.length === 0) return;
+                const group = document.createElement('div');
+                group.className = 'case-group';
+                group.textContent = label;
+                body.appendChild(group);
+                slideRefs.forEach(ref => body.appendChild(createCaseSlideRow(caseRecord, ref)));
+            };
+
+            // Parts -> blocks -> slides; slides without a part/block are listed after their parent
+            for (const part of caseRecord.parts) {
+                for (const block of part.blocks) {
+                    addGroup(`Part ${part.label} • Block ${block.label}`, caseRecord.slides.filter(s => s.blockId === block.id));
+                }
+                addGroup(`Part ${part.label}`, caseRecord.slides.filter(s => s.partId === part.id && !s.blockId));
+            }
+            addGroup('Unassigned', caseRecord.slides.filter(s => !s.partId));
+
+            if (caseRecord.slides.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'case-meta';
+                empty.textContent = 'No slides filed yet (use 📁 on a slide)';
+                body.appendChild(empty);
+            }
+        } catch (error) {
+            body.textContent = `Error loading case: ${error.message}`;
+        }
+    }
+
+    function createCaseSlideRow(caseRecord, ref) {
+        const row = document.createElement('div');
+        row.className = 'case-slide';
+
+        const name = document.createElement('span');
+        name.className = 'case-slide-name';
+        name.textContent = `${ref.slide ? (ref.slide.label || ref.name) : ref.name}${ref.stain ? ` (${ref.stain})` : ''}`;
+        name.title = ref.name;
+        row.appendChild(name);
+
+        if (!ref.slide || !ref.slide.converted) {
+            row.classList.add('missing');
+            row.title = ref.slide ? 'Not converted yet' : 'Slide no longer exists';
+        } else {
+            row.onclick = () => selectSlideFromSidebar(ref.slide);
+        }
+
+        const detachBtn = document.createElement('button');
+        detachBtn.textContent = '✕';
+        detachBtn.title = 'Remove from case';
+        detachBtn.onclick = async (e) => {
+            e.stopPropagation();
+            try {
+                await caseRequest(`/${caseRecord.id}/slides/${encodeURIComponent(ref.name)}`, { method: 'DELETE' });
+            } catch (error) {
+                alert(`Failed to remove slide from case: ${error.message}`);
+            }
+        };
+        row.appendChild(detachBtn);
+        return row;
+    }
+
+    // "S24-1234 A1" -> accession S24-1234, part A, block 1; an empty answer reads the slide label/barcode
+    async function fileSlideIntoCase(slide) {
+        const answer = prompt(
+            `File "${slide.name}" into case.\nAccession, optionally with part and block (e.g. S24-1234 A1).\nLeave empty to read it from the slide label:`,
+            ''
+        );
+        if (answer === null) return;
+
+        try {
+            let result;
+            if (!answer.trim()) {
+                result = await caseRequest(`/from-slide/${encodeURIComponent(slide.name)}`, { method: 'POST' });
+            } else {
+                const match = answer.trim().match(/^(\S+)(?:\s+([A-Za-z]+)(\d+)?)?$/);
+                if (!match) {
+                    alert('Enter an accession, optionally followed by part and block, e.g. S24-1234 A1');
+                    return;
+                }
+                const stain = prompt('Stain (optional, e.g. H&E):', '') || '';
+                result = await caseRequest('/assign', {
+                    method: 'POST',
+                    body: JSON.stringify({ accession: match[1], part: match[2], block: match[3], slide: slide.name, stain: stain.trim() })
+                });
+            }
+            console.log(`Filed ${slide.name} into case ${result.accession}`);
+        } catch (error) {
+            alert(`Failed to file slide into case: ${error.message}`);
+        }
+    }
+
+    newCaseBtn.addEventListener('click', async () => {
+        const accessionValue = prompt('Accession number for the new case:', '');
+        if (!accessionValue || !accessionValue.trim()) return;
+        const caseId = prompt('Case reference (optional, no patient identifiers):', '') || '';
+        try {
+            const created = await caseRequest('', {
+                method: 'POST',
+                body: JSON.stringify({ accession: accessionValue.trim(), caseId: caseId.trim() })
+            });
+            expandedCases.add(created.id);
+        } catch (error) {
+            alert(`Failed to create case: ${error.message}`);
+        }
+    });
+
+    document.querySelectorAll('#view-toggle button').forEach(btn => {
+        btn.addEventListener('click', () => setSidebarView(btn.dataset.view));
+    });
+
+    // ===== COMPARE MODE =====
+    // Two to four slides side by side (e.g. H&E and IHC from the same block). Linked panes share one
+    // view: center in viewport coordinates, zoom in screen pixels per micron (per image pixel when a
+    // slide has no MPP) and rotation. Each pane adds its own offset to that shared view; "Adjust"
+    // unlinks a pane so it can be dragged/rotated into register, which records the offset.
+    // Panes whose slide has a stored registration to the first pane's slide follow it through that
+    // transform instead, so serial sections line up without manual offsets.
+    const compareBtn = document.getElementById('compare-btn');
+    const comparePanel = document.getElementById('compare-panel');
+    const comparePaneCount = document.getElementById('compare-pane-count');
+    const compareLink = document.getElementById('compare-link');
+    const compareGrid = document.getElementById('compare-grid');
+    const compareRegisterBtn = document.getElementById('compare-register-btn');
+    const compareStatus = document.getElementById('compare-status');
+    let compareMode = false;
+    let comparePanes = [];
+    let activePaneIndex = 0;
+    let leaderPaneIndex = 0;
+    let sharedView = null;
+    // Slides and offsets survive changing the pane count or leaving compare mode
+    let compareSlots = [];
+
+    function paneImage(pane) {
+        return pane.viewer.world.getItemCount() > 0 ? pane.viewer.world.getItemAt(0) : null;
+    }
+
+    // Zoom is compared in physical units only if every open slide is calibrated
+    function paneZoomScale(pane) {
+        const open = comparePanes.filter(p => p.slide && paneImage(p));
+        return open.every(p => p.slide.mpp) ? pane.slide.mpp.x : 1;
+    }
+
+    // Pane view in its own image: center in viewport coordinates, zoom in screen px per image px
+    function readPaneView(pane) {
+        const item = paneImage(pane);
+        const viewport = pane.viewer.viewport;
+        const center = viewport.getCenter(true);
+        return {
+            x: center.x,
+            y: center.y,
+            zoom: item.viewportToImageZoom(viewport.getZoom(true)),
+            rotation: viewport.getRotation()
+        };
+    }
+
+    function applyAffine(m, x, y) {
+        return { x: m[0][0] * x + m[0][1] * y + m[0][2], y: m[1][0] * x + m[1][1] * y + m[1][2] };
+    }
+
+    function invertAffine(m) {
+        const [[a, b, tx], [c, d, ty]] = m;
+        const det = a * d - b * c;
+        const ia = d / det, ib = -b / det, ic = -c / det, id = a / det;
+        return [[ia, ib, -(ia * tx + ib * ty)], [ic, id, -(ic * tx + id * ty)]];
+    }
+
+    // Registration of this pane's slide onto the first pane's slide, usable once both are open
+    function paneRegistration(pane) {
+        const reference = comparePanes[0];
+        const { registration } = compareSlots[pane.index];
+        if (pane.index === 0 || !registration || !reference || !paneImage(reference) || !paneImage(pane)) return null;
+        return {
+            ...registration,
+            referenceWidth: paneImage(reference).source.dimensions.x,
+            width: paneImage(pane).source.dimensions.x,
+            referenceZoomScale: paneZoomScale(reference)
+        };
+    }
+
+    // Shared view -> this pane's view, before its offset
+    function sharedToPaneView(pane) {
+        const registration = paneRegistration(pane);
+        if (!registration) {
+            return { ...sharedView, zoom: sharedView.zoom * paneZoomScale(pane) };
+        }
+        // Viewport coordinates are image pixels / image width
+        const { referenceWidth, width, matrix } = registration;
+        const point = applyAffine(invertAffine(matrix), sharedView.x * referenceWidth, sharedView.y * referenceWidth);
+        return {
+            x: point.x / width,
+            y: point.y / width,
+            zoom: sharedView.zoom * registration.referenceZoomScale * registration.scale,
+            rotation: sharedView.rotation + registration.rotation
+        };
+    }
+
+    // This pane's view (offset removed) -> shared view
+    function paneToSharedView(pane, view) {
+        const registration = paneRegistration(pane);
+        if (!registration) {
+            return { ...view, zoom: view.zoom / paneZoomScale(pane) };
+        }
+        const { referenceWidth, width, matrix } = registration;
+        const point = applyAffine(matrix, view.x * width, view.y * width);
+        return {
+            x: point.x / referenceWidth,
+            y: point.y / referenceWidth,
+            zoom: view.zoom / registration.scale / registration.referenceZoomScale,
+            rotation: view.rotation - registration.rotation
+        };
+    }
+
+    function applyPaneView(pane) {
+        const item = paneImage(pane);
+        if (!item || !sharedView) return;
+        const viewport = pane.viewer.viewport;
+        const { offset } = compareSlots[pane.index];
+        const view = sharedToPaneView(pane);
+        viewport.zoomTo(item.imageToViewportZoom(view.zoom), null, true);
+        viewport.panTo(new OpenSeadragon.Point(view.x + offset.x, view.y + offset.y), true);
+        viewport.setRotation(view.rotation + offset.rotation);
+    }
+
+    function syncFromPane(pane) {
+        if (!compareLink.checked || !paneImage(pane)) return;
+        const view = readPaneView(pane);
+        const { offset } = compareSlots[pane.index];
+        if (pane.adjusting) {
+            // Moving an unlinked pane changes its offset, not the shared view
+            if (!sharedView) return;
+            const base = sharedToPaneView(pane);
+            offset.x = view.x - base.x;
+            offset.y = view.y - base.y;
+            offset.rotation = view.rotation - base.rotation;
+            updatePaneHeader(pane);
+            return;
+        }
+        sharedView = paneToSharedView(pane, {
+            x: view.x - offset.x,
+            y: view.y - offset.y,
+            zoom: view.zoom,
+            rotation: view.rotation - offset.rotation
+        });
+        comparePanes.forEach(other => {
+            if (other !== pane && !other.adjusting) applyPaneView(other);
+        });
+    }
+
+    function updatePaneHeader(pane) {
+        const { slide, offset, registration } = compareSlots[pane.index];
+        pane.title.textContent = slide ? `${registration ? '🧭 ' : ''}${slide.name}` : 'Pick a slide from the sidebar';
+        pane.title.title = registration
+            ? `Registered to ${registration.fixed === slide.name ? registration.moving : registration.fixed} (${registration.method}, rotation ${registration.rotation}°)`
+            : '';
+        const hasOffset = offset.x || offset.y || offset.rotation;
+        pane.resetBtn.style.visibility = hasOffset ? 'visible' : 'hidden';
+        pane.adjustBtn.classList.toggle('active', pane.adjusting);
+        pane.element.classList.toggle('active', pane.index === activePaneIndex);
+    }
+
+    function createComparePane(index) {
+        const element = document.createElement('div');
+        element.className = 'compare-pane';
+
+        const header = document.createElement('div');
+        header.className = 'compare-header';
+        const title = document.createElement('span');
+        title.className = 'compare-title';
+
+        const adjustBtn = document.createElement('button');
+        adjustBtn.textContent = '⇄ Adjust';
+        adjustBtn.title = 'Unlink this pane to line it up with the others; its offset is kept when relinked';
+
+        const resetBtn = document.createElement('button');
+        resetBtn.textContent = '↺';
+        resetBtn.title = 'Reset offset';
+
+        const clearBtn = document.createElement('button');
+        clearBtn.textContent = '✕';
+        clearBtn.title = 'Close slide in this pane';
+
+        // Buttons go first so the floating controls box never covers them
+        header.appendChild(adjustBtn);
+        header.appendChild(resetBtn);
+        header.appendChild(clearBtn);
+        header.appendChild(title);
+
+        const viewerElement = document.createElement('div');
+        viewerElement.className = 'compare-viewer';
+        viewerElement.id = `compare-viewer-${index}`;
+        element.appendChild(header);
+        element.appendChild(viewerElement);
+        compareGrid.appendChild(element);
+
+        const pane = {
+            index,
+            element,
+            title,
+            adjustBtn,
+            resetBtn,
+            adjusting: false,
+            slide: null,
+            viewer: OpenSeadragon({
+                id: viewerElement.id,
+                prefixUrl: "https://cdnjs.cloudflare.com/ajax/libs/openseadragon/3.1.0/images/",
+                loadTilesWithAjax: true,
+                ajaxHeaders: authHeaders(),
+                showRotationControl: true,
+                showHomeControl: true,
+                showFullPageControl: false
+            })
+        };
+
+        // Whichever pane the pointer is over drives the others
+        element.addEventListener('pointerenter', () => { leaderPaneIndex = index; });
+        element.addEventListener('pointerdown', () => {
+            activePaneIndex = index;
+            comparePanes.forEach(updatePaneHeader);
+        });
+        pane.viewer.addHandler('viewport-change', () => {
+            if (leaderPaneIndex === index) syncFromPane(pane);
+        });
+        pane.viewer.addHandler('open', () => {
+            if (compareLink.checked && sharedView) applyPaneView(pane);
+            else if (!sharedView) sharedView = paneToSharedView(pane, readPaneView(pane));
+            // Registered panes can only be placed once the first pane's image is open
+            if (index === 0 && compareLink.checked) {
+                comparePanes.forEach(other => {
+                    if (other !== pane && !other.adjusting && paneRegistration(other)) applyPaneView(other);
+                });
+            }
+        });
+
+        adjustBtn.onclick = () => {
+            pane.adjusting = !pane.adjusting;
+            if (!pane.adjusting) applyPaneView(pane);
+            updatePaneHeader(pane);
+        };
+        resetBtn.onclick = () => {
+            compareSlots[index].offset = { x: 0, y: 0, rotation: 0 };
+            applyPaneView(pane);
+            updatePaneHeader(pane);
+        };
+        clearBtn.onclick = () => {
+            compareSlots[index].slide = null;
+            pane.slide = null;
+            pane.viewer.open([]);
+            updatePaneHeader(pane);
+            loadCompareRegistrations();
+        };
+
+        updatePaneHeader(pane);
+        return pane;
+    }
+
+    function openInComparePane(slide, index = activePaneIndex) {
+        const pane = comparePanes[index];
+        if (!pane) return;
+        if (!slide.converted || !slide.dziFile) {
+            alert(`${slide.name} has not been converted yet`);
+            return;
+        }
+        compareSlots[index].slide = slide;
+        pane.slide = slide;
+        pane.viewer.open({ type: 'image', tileSource: `${API_BASE}${slide.dziFile}` });
+        updatePaneHeader(pane);
+
+        // Fill panes left to right as slides are picked
+        const nextEmpty = comparePanes.findIndex(p => !p.slide);
+        if (nextEmpty !== -1) activePaneIndex = nextEmpty;
+        comparePanes.forEach(updatePaneHeader);
+        loadCompareRegistrations();
+    }
+
+    // Fetch stored registrations of every pane's slide onto the first pane's slide
+    async function loadCompareRegistrations() {
+        const reference = compareSlots[0] && compareSlots[0].slide;
+        await Promise.all(comparePanes.slice(1).map(async pane => {
+            const slot = compareSlots[pane.index];
+            let registration = null;
+            if (reference && slot.slide) {
+                const params = new URLSearchParams({ fixed: reference.name, moving: slot.slide.name });
+                const response = await apiFetch(`${API_BASE}/api/registrations/pair?${params}`).catch(() => null);
+                if (response && response.ok) registration = await response.json();
+            }
+            // A manual offset made without the registration no longer applies with it (and vice versa)
+            if ((registration && registration.id) !== (slot.registration && slot.registration.id)) {
+                slot.offset = { x: 0, y: 0, rotation: 0 };
+            }
+            slot.registration = registration;
+            updatePaneHeader(pane);
+        }));
+
+        const leader = comparePanes[leaderPaneIndex];
+        if (leader && !leader.adjusting && paneImage(leader)) syncFromPane(leader);
+    }
+
+    // Registration jobs started from this viewer, finished through WebSocket messages
+    const pendingRegistrations = new Set();
+
+    async function registerComparePanes() {
+        const reference = compareSlots[0] && compareSlots[0].slide;
+        const moving = comparePanes.slice(1).map(pane => compareSlots[pane.index].slide).filter(Boolean);
+        if (!reference || moving.length === 0) {
+            alert('Open a slide in the first pane and at least one other pane to register');
+            return;
+        }
+
+        compareRegisterBtn.disabled = true;
+        compareStatus.textContent = `Registering ${moving.length} slide(s) to ${reference.name}...`;
+        for (const slide of moving) {
+            try {
+                const response = await apiFetch(`${API_BASE}/api/registrations`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ fixed: reference.name, moving: slide.name, method: 'rigid' })
+                });
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.message || (result.errors || []).join(', ') || result.error);
+                pendingRegistrations.add(result.jobId);
+            } catch (error) {
+                compareStatus.textContent = `Registration failed for ${slide.name}: ${error.message}`;
+            }
+        }
+        if (pendingRegistrations.size === 0) compareRegisterBtn.disabled = false;
+    }
+
+    function handleRegistrationMessage(data) {
+        if (data.type === 'registration_complete' || data.type === 'registration_error') {
+            if (pendingRegistrations.delete(data.jobId)) {
+                compareStatus.textContent = data.type === 'registration_error'
+                    ? `Registration failed for ${data.moving}: ${data.error}`
+                    : `Registered ${data.registration.moving} (rotation ${data.registration.rotation}°, score ${data.registration.score})`;
+                if (pendingRegistrations.size === 0) compareRegisterBtn.disabled = false;
+            }
+        }
+        if (compareMode && data.type !== 'registration_error') loadCompareRegistrations();
+    }
+
+    function buildCompareGrid() {
+        comparePanes.forEach(pane => pane.viewer.destroy());
+        compareGrid.replaceChildren();
+        const count = Number(comparePaneCount.value);
+        compareGrid.className = `panes-${count}`;
+        while (compareSlots.length < count) compareSlots.push({ slide: null, offset: { x: 0, y: 0, rotation: 0 }, registration: null });
+
+        comparePanes = [];
+        for (let i = 0; i < count; i++) comparePanes.push(createComparePane(i));
+        comparePanes.forEach((pane, i) => {
+            if (compareSlots[i].slide) openInComparePane(compareSlots[i].slide, i);
+        });
+        const firstEmpty = comparePanes.findIndex(p => !p.slide);
+        activePaneIndex = firstEmpty === -1 ? 0 : firstEmpty;
+        comparePanes.forEach(updatePaneHeader);
+    }
+
+    function setCompareMode(enabled) {
+        compareMode = enabled;
+        compareBtn.classList.toggle('active', enabled);
+        comparePanel.style.display = enabled ? 'block' : 'none';
+        compareGrid.style.display = enabled ? 'grid' : 'none';
+        document.getElementById('viewer').style.visibility = enabled ? 'hidden' : '';
+        document.getElementById('scale-bar').style.visibility = enabled ? 'hidden' : '';
+        document.getElementById('annotation-panel').style.visibility = enabled ? 'hidden' : '';
+
+        if (enabled) {
+            if (currentSlide && currentSlide.converted && !compareSlots.some(s => s.slide)) {
+                compareSlots = [{ slide: currentSlide, offset: { x: 0, y: 0, rotation: 0 }, registration: null }];
+            }
+            sharedView = null;
+            buildCompareGrid();
+        } else {
+            comparePanes.forEach(pane => pane.viewer.destroy());
+            comparePanes = [];
+            compareGrid.replaceChildren();
+        }
+    }
+
+    // Keep panes in step with slides deleted or renamed elsewhere
+    function updateCompareSlides(oldName, renamedSlide) {
+        compareSlots.forEach((slot, i) => {
+            if (!slot.slide || slot.slide.name !== oldName) return;
+            slot.slide = renamedSlide || null;
+            const pane = comparePanes[i];
+            if (!pane) return;
+            if (renamedSlide) {
+                openInComparePane(renamedSlide, i);
+            } else {
+                pane.slide = null;
+                pane.viewer.open([]);
+                updatePaneHeader(pane);
+            }
+        });
+    }
+
+    compareBtn.addEventListener('click', () => setCompareMode(!compareMode));
+    compareRegisterBtn.addEventListener('click', registerComparePanes);
+    comparePaneCount.addEventListener('change', buildCompareGrid);
+    compareLink.addEventListener('change', () => {
+        if (!compareLink.checked) return;
+        // Relinking snaps every pane back to the shared view from the one last used
+        const leader = comparePanes[leaderPaneIndex];
+        if (leader && paneImage(leader)) {
+            leader.adjusting = false;
+            syncFromPane(leader);
+            comparePanes.forEach(updatePaneHeader);
+        }
+    });
+
     // Enhanced WebSocket message handling (backend is on 3101)
     function connectWebSocket() {
-        ws = new WebSocket(getWsUrl());
+        ws = new WebSocket(authToken ? `${getWsUrl()}/?token=${encodeURIComponent(authToken)}` : getWsUrl());
         
         ws.onmessage = function(event) {
             const data = JSON.parse(event.data);
@@ -563,12 +1967,24 @@ document.addEventListener('DOMContentLoaded', function() {
             } else if (data.type === 'slide_deleted') {
                 slides = slides.filter(s => s.name !== data.filename);
                 updateSlideList();
+                updateCompareSlides(data.filename, null);
                 
                 if (currentSlide && currentSlide.name === data.filename) {
                     viewer.open([]);
                     currentSlide = null;
                     convertBtn.style.display = 'none';
+                    loadAnnotations(null);
                 }
+            } else if (data.type === 'slide_renamed') {
+                const wasOpen = currentSlide && currentSlide.name === data.filename;
+                loadSlides().then(() => {
+                    // Re-open under the new name; tile URLs changed with it
+                    const renamed = slides.find(s => s.name === data.newName);
+                    if (wasOpen && renamed && !compareMode) selectSlideFromSidebar(renamed);
+                    updateCompareSlides(data.filename, renamed);
+                });
+            } else if (data.type === 'registration_complete' || data.type === 'registration_error' || data.type === 'registration_deleted') {
+                handleRegistrationMessage(data);
             } else if (data.type === 'auto_conversion_complete') {
                 loadSlides();
             } else if (data.type === 'conversion_cancelled') {
@@ -600,6 +2016,17 @@ document.addEventListener('DOMContentLoaded', function() {
                     }
                 }
                 loadSlides();
+            } else if (data.type === 'annotation_created' || data.type === 'annotation_updated') {
+                if (currentSlide && currentSlide.name === data.filename) {
+                    upsertAnnotation(data.annotation);
+                }
+            } else if (data.type === 'annotation_deleted') {
+                if (currentSlide && currentSlide.name === data.filename) {
+                    removeAnnotationLocally(data.annotationId);
+                }
+            } else if (data.type === 'case_updated' || data.type === 'case_deleted') {
+                if (data.type === 'case_deleted') expandedCases.delete(data.id);
+                if (sidebarView === 'cases') loadCases();
             } else if (data.type === 'conversion_auto_delete') {
                 console.log(`Auto-deleted original SVS: ${data.originalFile} after converting ${data.filename}`);
                 loadSlides();
@@ -607,11 +2034,111 @@ document.addEventListener('DOMContentLoaded', function() {
         };
         
         ws.onclose = function() {
-            setTimeout(connectWebSocket, 3000); // Reconnect after 3 seconds
+            // Reconnect after 3 seconds, unless signed out
+            if (currentUser) setTimeout(connectWebSocket, 3000);
         };
     }
 
+    // fetch for backend API calls: adds the session, and asks to sign in again when it has expired
+    async function apiFetch(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            credentials: 'include',
+            headers: { ...authHeaders(), ...(options.headers || {}) }
+        });
+        if (response.status === 401 && authEnabled && currentUser) {
+            setSession(null, null);
+            showLogin('Your session has expired. Please sign in again.');
+        }
+        return response;
+    }
+
+    const loginOverlay = document.getElementById('login-overlay');
+    const loginForm = document.getElementById('login-form');
+    const loginError = document.getElementById('login-error');
+    const userName = document.getElementById('user-name');
+    const logoutBtn = document.getElementById('logout-btn');
+
+    function setSession(token, user) {
+        authToken = token || null;
+        if (authToken) localStorage.setItem('authToken', authToken);
+        else localStorage.removeItem('authToken');
+        currentUser = user;
+        // Tile sources opened from now on carry the new token
+        [viewer, ...comparePanes.map(pane => pane.viewer)].forEach(v => { v.ajaxHeaders = authHeaders(); });
+        document.body.classList.remove('role-viewer', 'role-technician', 'role-admin');
+        if (user) document.body.classList.add(`role-${user.role}`);
+        userName.textContent = user && authEnabled ? `${user.displayName || user.username} (${user.role})` : '';
+        logoutBtn.style.display = user && authEnabled ? 'inline-block' : 'none';
+    }
+
+    function showLogin(message) {
+        loginError.textContent = message || '';
+        loginOverlay.style.display = 'flex';
+        document.getElementById('login-username').focus();
+    }
+
+    function startApp() {
+        if (!ws || ws.readyState === WebSocket.CLOSED) connectWebSocket();
+        loadSlides().then(() => {
+            // Re-open the current slide so its tiles are requested with the new session
+            if (currentSlide && !compareMode) selectSlideFromSidebar(currentSlide);
+        });
+    }
+
+    async function initAuth() {
+        try {
+            const response = await fetch(`${API_BASE}/api/auth/me`, { credentials: 'include', headers: authHeaders() });
+            const result = await response.json();
+            authEnabled = result.authEnabled !== false;
+            if (!result.user) {
+                setSession(null, null);
+                showLogin();
+                return;
+            }
+            setSession(authToken, result.user);
+        } catch (error) {
+            // Backend unreachable; loadSlides reports it with the backend host controls
+            console.error('Error checking session:', error);
+        }
+        startApp();
+    }
+
+    loginForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const password = document.getElementById('login-password');
+        try {
+            const response = await fetch(`${API_BASE}/api/auth/login`, {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username: document.getElementById('login-username').value.trim(), password: password.value })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                loginError.textContent = result.message || result.error || `HTTP ${response.status}`;
+                return;
+            }
+            password.value = '';
+            loginOverlay.style.display = 'none';
+            setSession(result.token, result.user);
+            startApp();
+        } catch (error) {
+            loginError.textContent = `Cannot reach ${getBackendBase()}: ${error.message}`;
+        }
+    });
+
+    logoutBtn.addEventListener('click', async () => {
+        await fetch(`${API_BASE}/api/auth/logout`, { method: 'POST', credentials: 'include' }).catch(() => {});
+        setSession(null, null);
+        if (ws) ws.close();
+        currentSlide = null;
+        viewer.open([]);
+        loadAnnotations(null);
+        slideList.innerHTML = '';
+        showLogin();
+    });
+
     // Initialize
-    connectWebSocket();
-    loadSlides();
+    initAuth();
 });
@@ -60,10 +60,33 @@ try {
 const VipsConfig = require('./vips-config');
 const SlideMetadataExtractor = require('./slideMetadataExtractor');
 const LabServerClient = require('./services/labServerClient');
+const AnnotationStore = require('./services/annotationStore');
+const { parseSearchQuery, searchSlides } = require('./services/slideSearch');
+const SlideCatalog = require('./services/slideCatalog');
+const CaseStore = require('./services/caseStore');
+const RegistrationStore = require('./services/registrationStore');
+const { REGISTRATION_METHODS } = require('./services/slideRegistration');
+const { TILE_FORMATS, validateTileRequest, resolveTileSettings } = require('./services/tileFormat');
+const { CONTAINER_EXTENSION, openContainer, closeContainer, findSlideOutput, slideOutputPaths, openTileSource } = require('./services/tileContainer');
+const { IIIF_IMAGE_CONTEXT, FORMATS: IIIF_FORMATS, DEFAULT_LIMITS: IIIF_DEFAULT_LIMITS, parseImageRequest, buildImageInfo, renderImage } = require('./services/iiifImage');
+const { PRESENTATION_CONTEXT, buildCaseManifest } = require('./services/iiifManifest');
+const sharp = require('sharp');
+const { readPyramidRegion } = require('./services/pyramidRegion');
+const { DEFAULT_EXPORT_LIMITS, parseRegionQuery, encodeRegion, exportFileName } = require('./services/regionExport');
+const LiveTileSource = require('./services/liveTiles');
+const UserStore = require('./services/userStore');
+const AuthService = require('./services/authService');
+const AccessRules = require('./services/accessRules');
+const ShareLinkStore = require('./services/shareLinks');
+const Deidentifier = require('./services/deidentifier');
+const AuditLog = require('./services/auditLog');
+const { PRIORITIES } = require('./services/conversionJobStore');
+const ConversionHistoryStore = require('./services/conversionHistoryStore');
 
 const app = express();
 const PORT = config.port;
-let vipsConfig, labClient, autoProcessor, metadataExtractor;
+let slideCatalogLoaded = false;
+let vipsConfig, labClient, autoProcessor, metadataExtractor, annotationStore, slideCatalog, caseStore, registrationStore, liveTiles, userStore, accessRules, shareLinks, deidentifier, auditLog;
 
 // Active conversion tracking
 const activeConversions = new Map(); // filename -> { processes: [], progressTimer, startTime, outputName }
@@ -74,7 +97,7 @@ const conversionServers = new Map(); // serverId -> { id, host, port, maxConcurr
 // Configure Express for tile serving priority
 app.use((req, res, next) => {
   // Prioritize tile requests for user viewing experience
-  if (req.url.includes('/dzi/') || req.url.includes('.dzi') || req.url.includes('_files/')) {
+  if (req.url.includes('/dzi/') || req.url.includes('/live/') || req.url.includes('.dzi') || req.url.includes('_files/')) {
     req.priority = 'high';
   }
   next();
@@ -84,18 +107,28 @@ if (config.isServerMode()) {
   // Initialize VIPS configuration and metadata extractor for lab server
   vipsConfig = new VipsConfig();
   metadataExtractor = new SlideMetadataExtractor(config);
+  annotationStore = new AnnotationStore(config);
+  slideCatalog = new SlideCatalog(config);
+  slideCatalogLoaded = slideCatalog.load();
+  caseStore = new CaseStore(config);
+  registrationStore = new RegistrationStore(config);
+  liveTiles = new LiveTileSource(config.appConfig.liveTiles || {});
+  userStore = new UserStore(config);
+  accessRules = new AccessRules(config, caseStore);
+  shareLinks = new ShareLinkStore(config);
+  deidentifier = new Deidentifier(config);
+  deidentifier.validate().forEach(error => console.error(`❌ ${error}`));
+  auditLog = new AuditLog(config);
 } else {
   // Initialize lab server client for home computer
   labClient = new LabServerClient(config);
 }
 
 // Middleware
-// Allow dynamic origins in server mode to support access via IP/hostname
-const corsOptions = config.isServerMode()
-  ? { origin: (origin, callback) => callback(null, true), credentials: true }
-  : { origin: config.corsOrigins, credentials: true };
-
-app.use(cors(corsOptions));
+// Only the configured origins (security.cors.origins) get credentialed cross-origin access: the
+// session cookie signs in /api, so any other site could otherwise read slides, users and the audit
+// log as whoever is signed in. Pages this server serves itself are same-origin and unaffected.
+app.use(cors({ origin: config.corsOrigins, credentials: true }));
 app.use(express.json({ limit: '100mb' })); // Increased limit for large file metadata
 
 // Serve GUI (management console) static assets
@@ -118,10 +151,487 @@ if (config.isServerMode()) {
   });
 }
 
+// ===== AUTHENTICATION =====
+
+// Sessions and roles: viewer (view, annotate, export), technician (convert, import, organize
+// slides and cases) and admin (configuration, deletes, conversion servers, user accounts).
+// Turned off with app-config.json security.auth.enabled = false; client mode has no accounts.
+const auth = new AuthService(config, userStore);
+
+// Conversion servers take calls only from a service (a token from the secret in dataDir, or the
+// API key), whether or not user sign-in is turned on here
+const conversionAuth = config.isServerMode()
+  ? AuthService.forService({ dataDir: config.dataDir, apiKey: auth.apiKey }) : null;
+const conversionServerHeaders = () => conversionAuth ? conversionAuth.serviceHeaders('main-server') : {};
+
+if (auth.enabled) {
+  userStore.ensureAdmin().then(result => {
+    if (!result) return;
+    console.log(`🔐 Created the first admin account: ${result.user.username}`);
+    if (result.password) {
+      console.log(`   └─ Password: ${result.password}  (shown once; sign in and change it)`);
+    }
+  }).catch(error => {
+    console.error('Failed to create the first admin account:', error);
+  });
+} else {
+  console.log('🔓 Authentication disabled: every request has the admin role');
+}
+
+app.use(auth.authenticate());
+
+// API endpoint to sign in: returns a session token (also set as an HttpOnly cookie for tile and image requests)
+app.post('/api/auth/login', async (req, res) => {
+  if (!auth.enabled) {
+    return res.json({ authEnabled: false, user: AuthService.ANONYMOUS });
+  }
+
+  const { username, password } = req.body || {};
+  if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+    return res.status(400).json({ error: 'Invalid login', errors: ['username and password are required'] });
+  }
+  if (auth.isLockedOut(username)) {
+    audit(req, 'auth.login-locked-out', username);
+    return res.status(429).json({ error: 'Too many failed logins', message: `Try again in ${auth.options.lockoutMinutes} minutes` });
+  }
+
+  try {
+    const user = await userStore.authenticate(username, password);
+    auth.recordLogin(username, Boolean(user));
+    if (!user) {
+      console.log(`🔐 Failed login for ${username} from ${req.ip}`);
+      audit(req, 'auth.login-failed', username);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    const session = auth.issueToken(user);
+    console.log(`🔐 ${user.username} signed in (${user.role})`);
+    audit(req, 'auth.login', user.username, null, user);
+    res.setHeader('Set-Cookie', auth.sessionCookie(session.token, req));
+    res.json({ authEnabled: true, token: session.token, expiresAt: session.expiresAt, user: UserStore.toPublic(user) });
+  } catch (error) {
+    console.error('Login failed:', error);
+    res.status(500).json({ error: 'Login failed', details: error.message });
+  }
+});
+
+// API endpoint to sign out (clears the session cookie; Bearer tokens simply expire)
+app.post('/api/auth/logout', (req, res) => {
+  if (req.user && auth.enabled) audit(req, 'auth.logout', req.user.username);
+  res.setHeader('Set-Cookie', auth.clearSessionCookie());
+  res.json({ success: true });
+});
+
+// API endpoint for the signed-in user; user is null when a login is needed
+app.get('/api/auth/me', (req, res) => {
+  const user = req.user && !req.user.service && userStore ? userStore.get(req.user.id) : null;
+  res.json({ authEnabled: auth.enabled, user: user ? UserStore.toPublic(user) : req.user, roles: AuthService.ROLES });
+});
+
+// API endpoint to change your own password (ends your other sessions)
+app.post('/api/auth/password', auth.requireRole('viewer'), async (req, res) => {
+  const user = auth.enabled && !req.user.service ? userStore.get(req.user.id) : null;
+  if (!user) {
+    return res.status(400).json({ error: 'No account to change the password of' });
+  }
+
+  const { currentPassword, newPassword } = req.body || {};
+  try {
+    if (!(await userStore.authenticate(user.username, String(currentPassword || '')))) {
+      return res.status(403).json({ error: 'Current password is incorrect' });
+    }
+    const errors = userStore.validate({ password: newPassword }, true);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid password', errors });
+    }
+
+    const updated = await userStore.update(user.id, { password: newPassword });
+    const session = auth.issueToken(updated);
+    console.log(`🔐 ${user.username} changed their password`);
+    audit(req, 'auth.password-change', user.username);
+    res.setHeader('Set-Cookie', auth.sessionCookie(session.token, req));
+    res.json({ token: session.token, expiresAt: session.expiresAt, user: UserStore.toPublic(updated) });
+  } catch (error) {
+    console.error('Password change failed:', error);
+    res.status(500).json({ error: 'Password change failed', details: error.message });
+  }
+});
+
+// Everything past this point needs a signed-in user; routes that change things check the role too
+app.use(['/api', '/dzi', '/live', '/iiif', '/slides'], auth.requireRole('viewer'));
+
+// ===== USERS =====
+
+// API endpoint to list user accounts
+app.get('/api/users', auth.requireRole('admin'), (req, res) => {
+  if (!auth.enabled) {
+    return res.status(503).json({ error: 'User accounts only available with authentication enabled' });
+  }
+  res.json({ users: userStore.list(), roles: AuthService.ROLES });
+});
+
+// API endpoint to create a user account
+app.post('/api/users', auth.requireRole('admin'), async (req, res) => {
+  if (!auth.enabled) {
+    return res.status(503).json({ error: 'User accounts only available with authentication enabled' });
+  }
+
+  const errors = userStore.validate(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid user', errors });
+  }
+
+  try {
+    const user = await userStore.create(req.body);
+    console.log(`👤 ${req.user.username} created user ${user.username} (${user.role})`);
+    audit(req, 'user.create', user.username, { role: user.role });
+    res.status(201).json(UserStore.toPublic(user));
+  } catch (error) {
+    console.error('Failed to create user:', error);
+    res.status(500).json({ error: 'Failed to create user', details: error.message });
+  }
+});
+
+// API endpoint to update a user account (displayName, role, disabled, password)
+app.put('/api/users/:id', auth.requireRole('admin'), async (req, res) => {
+  if (!auth.enabled) {
+    return res.status(503).json({ error: 'User accounts only available with authentication enabled' });
+  }
+
+  const user = userStore.get(req.params.id);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found', message: `No user with ID ${req.params.id}` });
+  }
+  const errors = userStore.validate(req.body, true);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid user', errors });
+  }
+  if (userStore.wouldRemoveLastAdmin(user.id, req.body)) {
+    return res.status(409).json({ error: 'Last admin', message: 'At least one enabled admin account must remain' });
+  }
+
+  try {
+    const updated = await userStore.update(user.id, req.body);
+    console.log(`👤 ${req.user.username} updated user ${updated.username}`);
+    const { password, ...changes } = req.body;
+    audit(req, 'user.update', updated.username, { ...changes, ...(password ? { password: 'changed' } : {}) });
+    res.json(UserStore.toPublic(updated));
+  } catch (error) {
+    console.error('Failed to update user:', error);
+    res.status(500).json({ error: 'Failed to update user', details: error.message });
+  }
+});
+
+// API endpoint to delete a user account
+app.delete('/api/users/:id', auth.requireRole('admin'), (req, res) => {
+  if (!auth.enabled) {
+    return res.status(503).json({ error: 'User accounts only available with authentication enabled' });
+  }
+
+  const user = userStore.get(req.params.id);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found', message: `No user with ID ${req.params.id}` });
+  }
+  if (user.id === req.user.id) {
+    return res.status(409).json({ error: 'Cannot delete yourself', message: 'Ask another admin to remove your account' });
+  }
+  if (userStore.wouldRemoveLastAdmin(user.id)) {
+    return res.status(409).json({ error: 'Last admin', message: 'At least one enabled admin account must remain' });
+  }
+
+  try {
+    userStore.remove(user.id);
+    console.log(`👤 ${req.user.username} deleted user ${user.username}`);
+    audit(req, 'user.delete', user.username);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Failed to delete user:', error);
+    res.status(500).json({ error: 'Failed to delete user', details: error.message });
+  }
+});
+
+// ===== ACCESS RULES =====
+
+// Folder and case rules narrowing who sees which slides (see services/accessRules.js). Hidden
+// slides and cases answer 404 everywhere, as if they didn't exist, so their names don't leak.
+// Rules live on the lab server; home clients have none of their own.
+const canSeeSlide = (user, slide) => !accessRules || accessRules.canAccessSlide(user, slide);
+const canSeeCase = (user, caseRecord) => !accessRules || accessRules.canAccessCase(user, caseRecord);
+const visibleSlides = (user, slides) => accessRules ? accessRules.filterSlides(user, slides) : slides;
+
+// Catalog entry for a slide named in a request, found ignoring case the way the slide share
+// finds its files. A name the catalog doesn't know (not indexed yet, or a mistyped path that the
+// share still resolves) gets a stand-in with no folder, which folder rules match by name prefix,
+// so it is never treated as public just because it is missing.
+function resolveSlide(name) {
+  if (!slideCatalog) return null;
+  return slideCatalog.find(name) || { name, folder: null };
+}
+
+// Whether any rule could hide a slide from this user (admins see everything)
+const accessNarrowed = user => Boolean(accessRules) && accessRules.list().length > 0 && user?.role !== 'admin';
+
+function canSeeSlideNamed(user, name) {
+  return !slideCatalog || canSeeSlide(user, resolveSlide(name));
+}
+
+// Conversion jobs, history and dead-letter entries key conversions by slide name; registration
+// jobs are keyed by their own job ID, and their slides are those of the pending registration
+function visibleJobs(user, jobs) {
+  return jobs.filter(job => {
+    if (job.type !== 'registration') return canSeeSlideNamed(user, job.key);
+    const pending = registrationStore && registrationStore.listPending().find(p => p.jobId === job.key);
+    return !pending || (canSeeSlideNamed(user, pending.fixed) && canSeeSlideNamed(user, pending.moving));
+  });
+}
+
+// Slide a /dzi, /live or /slides URL belongs to, or null for anything that isn't a slide
+function findSlideForPath(mount, urlPath) {
+  let segments;
+  try {
+    segments = decodeURIComponent(urlPath).split('/').filter(Boolean);
+  } catch (error) {
+    return null;
+  }
+  if (segments.length === 0 || !slideCatalog) return null;
+
+  if (mount === '/slides') {
+    // Source files: the folder comes from the path, so files not catalogued yet are covered too
+    const name = SlideCatalog.getUniqueName(segments.join('/'));
+    return slideCatalog.find(name) || { name, folder: segments.length > 1 ? segments.slice(0, -1).join('/') : 'root' };
+  }
+  // The legacy flat layout keeps every slide's label and macro images in one metadata folder
+  const name = mount === '/dzi' && /^metadata$/i.test(segments[0]) && segments[1]
+    ? segments[1].replace(/_(label|macro)\.jpg$|_metadata\.json$/i, '')
+    : segments[0].replace(/(\.dzi|_files)$/i, '');
+  return resolveSlide(name);
+}
+
+// Tiles, label images and source files of hidden slides
+app.use(['/dzi', '/live', '/slides'], (req, res, next) => {
+  const slide = findSlideForPath(req.baseUrl, req.path);
+  if (slide && !canSeeSlide(req.user, slide)) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  next();
+});
+
+// Every route naming a slide in its path: :filename is a slide name or a source file name
+// (with extension), :slide a slide name (its pseudonym in IIIF URLs in anonymization mode)
+const checkSlideParam = (req, res, next, value) => {
+  if (req.path.startsWith('/iiif/')) value = iiifSlideName(value) || value;
+  const slide = slideCatalog && (slideCatalog.find(value) || resolveSlide(SlideCatalog.getUniqueName(value)));
+  if (slide && !canSeeSlide(req.user, slide)) {
+    return res.status(404).json({ error: 'Slide not found', message: `No slide named ${value}` });
+  }
+  next();
+};
+app.param('filename', checkSlideParam);
+app.param('slide', checkSlideParam);
+
+// Every route naming a case in its path
+app.all(['/api/cases/:id', '/api/cases/:id/*', '/iiif/3/cases/:id/*'], (req, res, next) => {
+  const caseRecord = caseStore && caseStore.get(req.params.id);
+  if (caseRecord && !canSeeCase(req.user, caseRecord)) {
+    return res.status(404).json({ error: 'Case not found' });
+  }
+  next();
+});
+
+// API endpoint to list access rules
+app.get('/api/access-rules', auth.requireRole('admin'), (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Access rules only available in server mode' });
+  }
+  res.json({ rules: accessRules.list(), scopes: AccessRules.SCOPES, roles: AuthService.ROLES });
+});
+
+// API endpoint to create an access rule: { scope: folder | case, target, users, roles, description }
+app.post('/api/access-rules', auth.requireRole('admin'), (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Access rules only available in server mode' });
+  }
+
+  const errors = accessRules.validate(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid access rule', errors });
+  }
+
+  try {
+    const rule = accessRules.create(req.body);
+    console.log(`🔒 ${req.user.username} restricted ${rule.scope} ${rule.target} to ${[...rule.users, ...rule.roles].join(', ') || 'admins'}`);
+    audit(req, 'access-rule.create', `${rule.scope}:${rule.target}`, { id: rule.id, users: rule.users, roles: rule.roles });
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error('Failed to create access rule:', error);
+    res.status(500).json({ error: 'Failed to create access rule', details: error.message });
+  }
+});
+
+// API endpoint to update who an access rule lets in (users, roles, description)
+app.put('/api/access-rules/:id', auth.requireRole('admin'), (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Access rules only available in server mode' });
+  }
+
+  const errors = accessRules.validate(req.body, true);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid access rule', errors });
+  }
+
+  try {
+    const rule = accessRules.update(req.params.id, req.body);
+    if (!rule) {
+      return res.status(404).json({ error: 'Access rule not found' });
+    }
+    console.log(`🔒 ${req.user.username} updated the access rule for ${rule.scope} ${rule.target}`);
+    audit(req, 'access-rule.update', `${rule.scope}:${rule.target}`, { id: rule.id, users: rule.users, roles: rule.roles });
+    res.json(rule);
+  } catch (error) {
+    console.error('Failed to update access rule:', error);
+    res.status(500).json({ error: 'Failed to update access rule', details: error.message });
+  }
+});
+
+// API endpoint to delete an access rule (its slides become visible to everyone signed in)
+app.delete('/api/access-rules/:id', auth.requireRole('admin'), (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Access rules only available in server mode' });
+  }
+
+  try {
+    const rule = accessRules.get(req.params.id);
+    if (!rule || !accessRules.remove(rule.id)) {
+      return res.status(404).json({ error: 'Access rule not found' });
+    }
+    console.log(`🔓 ${req.user.username} removed the access rule for ${rule.scope} ${rule.target}`);
+    audit(req, 'access-rule.delete', `${rule.scope}:${rule.target}`, { id: rule.id });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Failed to delete access rule:', error);
+    res.status(500).json({ error: 'Failed to delete access rule', details: error.message });
+  }
+});
+
+// ===== AUDIT LOG =====
+
+// Record an action by the user behind a request (or the one given, e.g. while signing in);
+// details is a small object describing it
+function audit(req, action, target, details = null, user = req.user) {
+  if (!auditLog) return;
+  auditLog.record({ user: user && user.username, role: user && user.role, ip: req.ip, action, target, details });
+}
+
+// Record something the server did on its own (barcode renames, anonymization mode)
+function auditSystem(action, target, details = null) {
+  if (auditLog) auditLog.record({ user: 'system', action, target, details });
+}
+
+// Viewer opens: each viewer fetches a slide's .dzi descriptor once when it opens the slide
+app.use(['/dzi', '/live'], (req, res, next) => {
+  if (req.method === 'GET' && req.path.endsWith('.dzi')) {
+    const slide = findSlideForPath(req.baseUrl, req.path);
+    if (slide) audit(req, 'slide.view', slide.name, { source: req.baseUrl === '/live' ? 'original' : 'dzi' });
+  }
+  next();
+});
+
+// API endpoint to query the audit log, newest first: ?from=&to=&user=&action=&target=&limit=&offset=
+// (action "slide." matches every slide action). ?format=csv downloads every match as CSV, oldest
+// first (limit and offset don't apply).
+app.get('/api/audit', auth.requireRole('admin'), async (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Audit log only available in server mode' });
+  }
+
+  const { errors, filters } = auditLog.parseQuery(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid audit query', errors });
+  }
+
+  if (req.query.format === 'csv') {
+    res.attachment(`audit-log-${new Date().toISOString().slice(0, 10)}.csv`);
+    res.type('text/csv');
+    try {
+      const count = await auditLog.writeCsv(filters, res);
+      res.end();
+      audit(req, 'audit.export', null, { entries: count });
+    } catch (error) {
+      // Rows have already gone out, so there's no error response to send; cut the download short
+      console.error('Failed to export audit log:', error);
+      res.destroy(error);
+    }
+    return;
+  }
+
+  try {
+    const { entries, total } = await auditLog.query(filters);
+    res.json({ entries, total, limit: filters.limit, offset: filters.offset });
+  } catch (error) {
+    console.error('Failed to query audit log:', error);
+    res.status(500).json({ error: 'Failed to query audit log', details: error.message });
+  }
+});
+
+// API endpoint for the management console to record what its users do there (config edits,
+// imports, uploads), so the log keeps one chain with one writer. Service principals only: the
+// console forwards browser calls to /api/audit with the user's own session, which lands here as 403.
+app.post('/api/audit/events', auth.requireRole('admin'), (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Audit log only available in server mode' });
+  }
+  if (!req.user.service) {
+    return res.status(403).json({ error: 'Forbidden', message: 'Only services may record audit events' });
+  }
+
+  const { action, target, details, user } = req.body || {};
+  const errors = [];
+  if (typeof action !== 'string' || !/^[a-z]+(\.[a-z-]+)+$/.test(action)) errors.push('action must look like "slide.import"');
+  if (!user || typeof user.username !== 'string' || !user.username) errors.push('user.username is required');
+  if (details !== undefined && details !== null && typeof details !== 'object') errors.push('details must be an object');
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid audit event', errors });
+  }
+
+  const entry = auditLog.record({
+    user: user.username,
+    role: user.role || null,
+    ip: typeof req.body.ip === 'string' ? req.body.ip : null,
+    action,
+    target: target === undefined || target === null ? null : String(target),
+    details: details || null
+  });
+  if (!entry) {
+    return res.status(500).json({ error: 'Failed to record audit event' });
+  }
+  res.status(201).json({ seq: entry.seq });
+});
+
+// API endpoint to check the hash chain from the first entry to the last
+app.get('/api/audit/verify', auth.requireRole('admin'), async (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Audit log only available in server mode' });
+  }
+
+  try {
+    const result = await auditLog.verify();
+    if (!result.valid) {
+      result.breaks.forEach(({ seq, reason }) => console.error(`❌ Audit log chain broken at entry ${seq}: ${reason}`));
+      if (result.breakCount > result.breaks.length) {
+        console.error(`❌ ...and ${result.breakCount - result.breaks.length} more audit log breaks`);
+      }
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Failed to verify audit log:', error);
+    res.status(500).json({ error: 'Failed to verify audit log', details: error.message });
+  }
+});
+
 // Create necessary directories based on mode
 if (config.isServerMode()) {
   // Lab server needs all directories
-  [config.uploadsDir, config.slidesDir, config.dziDir].forEach(dir => {
+  [config.uploadsDir, config.slidesDir, config.dziDir, config.dataDir].forEach(dir => {
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
     }
@@ -166,6 +676,16 @@ function deleteFileWithRetry(filePath, maxRetries = 3) {
   });
 }
 
+// Keep the slide catalog in step with conversions; a catalog failure must not fail the conversion
+async function refreshCatalogEntry(baseName) {
+  if (!slideCatalog) return;
+  try {
+    await slideCatalog.refreshSlide(baseName);
+  } catch (error) {
+    console.warn(`Failed to update slide catalog for ${baseName}: ${error.message}`);
+  }
+}
+
 // Cleanup function to remove leftover __delete_ directories
 function cleanupDeleteDirectories() {
   try {
@@ -210,8 +730,30 @@ function cleanupDeleteDirectories() {
   }
 }
 
+// Queue priority for a manual conversion: the one asked for, else the slide's folder rule
+// (conversion.priority), as the auto-processor uses for new slides
+function conversionPriority(slidePath, requested = null) {
+  if (requested) return requested;
+  return autoProcessor && autoProcessor.resolvePriority ? autoProcessor.resolvePriority(slidePath) : 'routine';
+}
+
+// Audit details for the options a convert/reconvert request asked for
+function conversionRequestDetails(body) {
+  const details = {};
+  if (body?.tiles) details.tiles = body.tiles;
+  if (body?.priority) details.priority = body.priority;
+  return Object.keys(details).length > 0 ? details : null;
+}
+
+function validatePriorityRequest(priority) {
+  if (priority === undefined || priority === null || PRIORITIES.includes(priority)) return [];
+  return [`priority must be one of: ${PRIORITIES.join(', ')}`];
+}
+
 // Helper function to start reconversion using _reconvert staging
-async function startReconversion(originalSlidePath, baseName) {
+// tiles: profile name or tile settings from the request (already validated); null for conversion.dzi
+// priority: stat | routine | backfill from the request (already validated); null for the folder rule
+async function startReconversion(originalSlidePath, baseName, tiles = null, priority = null) {
   console.log(`Starting reconversion of ${baseName} from ${originalSlidePath}...`);
   
   // Create _reconvert staging directory in DZI directory
@@ -253,7 +795,9 @@ async function startReconversion(originalSlidePath, baseName) {
           originalSlidePath,
           baseName,
           config.slidesDir,
-          reconvertDir  // Use staging directory as output
+          reconvertDir,  // Use staging directory as output
+          conversionPriority(originalSlidePath, priority),
+          resolveTileSettings(config.appConfig.conversion?.dzi, tiles)
         );
         
         console.log(`✅ Reconversion queued to staging: ${baseName} (position: ${result.queuePosition})`);
@@ -339,11 +883,13 @@ async function performAtomicReplacement(baseName, reconvertDir) {
     const slideDir = path.join(config.dziDir, baseName);
     const dziPath = path.join(slideDir, `${baseName}.dzi`);
     const tilesDir = path.join(slideDir, `${baseName}_files`);
+    const containerPath = path.join(slideDir, `${baseName}${CONTAINER_EXTENSION}`);
     const metadataDir = path.join(slideDir, 'metadata');
     
     // Paths in staging directory
     const stagingDziPath = path.join(reconvertDir, `${baseName}.dzi`);
     const stagingTilesDir = path.join(reconvertDir, `${baseName}_files`);
+    const stagingContainerPath = path.join(reconvertDir, `${baseName}${CONTAINER_EXTENSION}`);
     const stagingMetadataDir = path.join(reconvertDir, 'metadata');
     
     // Step 1: Backup existing files before replacement
@@ -351,7 +897,7 @@ async function performAtomicReplacement(baseName, reconvertDir) {
     const backupDir = path.join(config.dziDir, `__backup_${baseName}_${timestamp}`);
     let backedUpFiles = [];
     
-    if (fs.existsSync(dziPath) || fs.existsSync(tilesDir)) {
+    if (fs.existsSync(dziPath) || fs.existsSync(tilesDir) || fs.existsSync(containerPath)) {
       fs.mkdirSync(backupDir, { recursive: true });
       console.log(`Created backup directory: ${backupDir}`);
       
@@ -371,6 +917,15 @@ async function performAtomicReplacement(baseName, reconvertDir) {
         console.log(`Backed up tiles: ${tilesDir} -> ${backupTilesDir}`);
       }
       
+      // Backup tile container (the reconversion may switch between folder and .szi output)
+      if (fs.existsSync(containerPath)) {
+        await closeContainer(containerPath);
+        const backupContainerPath = path.join(backupDir, `${baseName}${CONTAINER_EXTENSION}`);
+        fs.renameSync(containerPath, backupContainerPath);
+        backedUpFiles.push('container');
+        console.log(`Backed up tile container: ${containerPath} -> ${backupContainerPath}`);
+      }
+      
       // Backup metadata files
       const metadataFiles = [
         { src: path.join(metadataDir, `${baseName}_label.jpg`), name: `${baseName}_label.jpg`, type: 'label' },
@@ -407,6 +962,11 @@ async function performAtomicReplacement(baseName, reconvertDir) {
       console.log(`Moved new tiles: ${stagingTilesDir} -> ${tilesDir}`);
     }
     
+    if (fs.existsSync(stagingContainerPath)) {
+      fs.renameSync(stagingContainerPath, containerPath);
+      console.log(`Moved new tile container: ${stagingContainerPath} -> ${containerPath}`);
+    }
+    
     // Move new metadata files if they exist
     if (fs.existsSync(stagingMetadataDir)) {
       if (!fs.existsSync(metadataDir)) {
@@ -448,6 +1008,7 @@ async function performAtomicReplacement(baseName, reconvertDir) {
     
     // Step 5: Remove from tracking and notify clients
     activeConversions.delete(baseName);
+    await refreshCatalogEntry(baseName);
     
     broadcastToClients({
       type: 'reconversion_complete',
@@ -486,7 +1047,7 @@ async function performAtomicReplacement(baseName, reconvertDir) {
 }
 
 // API endpoint to reconvert an existing slide
-app.post('/api/reconvert/:filename', async (req, res) => {
+app.post('/api/reconvert/:filename', auth.requireRole('technician'), async (req, res) => {
   const filename = decodeURIComponent(req.params.filename);
   console.log(`RECONVERT request received for: ${filename}`);
   
@@ -502,6 +1063,15 @@ app.post('/api/reconvert/:filename', async (req, res) => {
     return;
   }
 
+  const tileErrors = validateTileRequest(req.body?.tiles, config.appConfig.conversion?.dzi);
+  if (tileErrors.length > 0) {
+    return res.status(400).json({ error: 'Invalid tile settings', errors: tileErrors });
+  }
+  const priorityErrors = validatePriorityRequest(req.body?.priority);
+  if (priorityErrors.length > 0) {
+    return res.status(400).json({ error: 'Invalid priority', errors: priorityErrors });
+  }
+
   try {
     // Find the original SVS file
     let originalSlidePath = null;
@@ -558,7 +1128,8 @@ app.post('/api/reconvert/:filename', async (req, res) => {
     }
     
     // Start reconversion using _reconvert staging
-    const result = await startReconversion(originalSlidePath, actualBaseName);
+    const result = await startReconversion(originalSlidePath, actualBaseName, req.body?.tiles || null, req.body?.priority || null);
+    audit(req, 'slide.reconvert', actualBaseName, conversionRequestDetails(req.body));
     res.json(result);
     
   } catch (error) {
@@ -571,7 +1142,7 @@ app.post('/api/reconvert/:filename', async (req, res) => {
 });
 
 // API endpoint to trigger autoprocessor for a specific file
-app.post('/api/touch-file/:filename', async (req, res) => {
+app.post('/api/touch-file/:filename', auth.requireRole('technician'), async (req, res) => {
   const filename = decodeURIComponent(req.params.filename);
   console.log(`TOUCH-FILE request received for: ${filename}`);
   
@@ -670,6 +1241,7 @@ app.post('/api/touch-file/:filename', async (req, res) => {
       } else {
         // Fallback: use the conversion client directly
         const result = await startConversion(path.basename(slidePath), true);
+        audit(req, 'slide.convert', actualBaseName, { via: 'touch-file' });
         return res.json({
           message: 'Conversion triggered successfully',
           filename: actualBaseName,
@@ -678,6 +1250,7 @@ app.post('/api/touch-file/:filename', async (req, res) => {
         });
       }
       
+      audit(req, 'slide.convert', actualBaseName, { via: 'touch-file' });
       res.json({
         message: 'File touched successfully - autoprocessor will process it',
         filename: actualBaseName,
@@ -703,7 +1276,7 @@ app.post('/api/touch-file/:filename', async (req, res) => {
 });
 
 // API endpoint to cancel ongoing conversion (simplified)
-app.post('/api/cancel-conversion/:filename', async (req, res) => {
+app.post('/api/cancel-conversion/:filename', auth.requireRole('technician'), async (req, res) => {
   const filename = decodeURIComponent(req.params.filename);
   console.log(`CANCEL-CONVERSION request received for: ${filename}`);
   
@@ -747,7 +1320,7 @@ app.post('/api/cancel-conversion/:filename', async (req, res) => {
             console.log(`Trying conversion server DELETE: ${conversionServerUrl}${endpoint}`);
             const response = await fetch(`${conversionServerUrl}${endpoint}`, { 
               method: 'DELETE',
-              headers: { 'Content-Type': 'application/json' },
+              headers: { 'Content-Type': 'application/json', ...conversionServerHeaders() },
               timeout: 10000 
             });
             
@@ -782,6 +1355,7 @@ app.post('/api/cancel-conversion/:filename', async (req, res) => {
     
     const success = cancellationResult !== null;
     console.log(`${success ? '✅' : '⚠️'} Cancellation ${success ? 'successful' : 'attempted'} for: ${baseName}`);
+    audit(req, 'slide.cancel-conversion', baseName, { confirmed: success });
     
     res.json({
       success: success,
@@ -853,10 +1427,7 @@ async function cleanupCancelledConversion(baseName, originalFilename) {
     }
     
     // Clean up any partial DZI files that might exist
-    const partialFiles = [
-      path.join(config.dziDir, `${baseName}.dzi`),
-      path.join(config.dziDir, `${baseName}_files`)
-    ];
+    const partialFiles = slideOutputPaths(config.dziDir, baseName);
     
     for (const partialFile of partialFiles) {
       if (fs.existsSync(partialFile)) {
@@ -989,7 +1560,7 @@ async function reorganizeExistingSlides() {
 }
 
 // API endpoint to trigger reorganization
-app.post('/api/reorganize-slides', async (req, res) => {
+app.post('/api/reorganize-slides', auth.requireRole('technician'), async (req, res) => {
   if (config.isClientMode()) {
     return res.status(503).json({ error: 'Reorganization only available in server mode' });
   }
@@ -1113,7 +1684,7 @@ app.get('/api/active-processes', async (req, res) => {
 });
 
 // Debug endpoint to check active conversions and VIPS processes
-app.get('/api/debug/active-conversions', async (req, res) => {
+app.get('/api/debug/active-conversions', auth.requireRole('admin'), async (req, res) => {
   if (config.isClientMode()) {
     return res.status(503).json({ error: 'Debug endpoint only available in server mode' });
   }
@@ -1187,7 +1758,7 @@ app.get('/api/debug/active-conversions', async (req, res) => {
 });
 
 // Endpoint to cancel a specific VIPS process by PID
-app.post('/api/cancel-vips-process/:pid', async (req, res) => {
+app.post('/api/cancel-vips-process/:pid', auth.requireRole('admin'), async (req, res) => {
   const pid = parseInt(req.params.pid);
   console.log(`CANCEL-VIPS-PROCESS request received for PID: ${pid}`);
   
@@ -1217,6 +1788,7 @@ app.post('/api/cancel-vips-process/:pid', async (req, res) => {
         const conversionServerUrl = config.conversionServerUrl || 'http://localhost:3001';
         const response = await fetch(`${conversionServerUrl}/cancel-pid/${pid}`, { 
           method: 'POST',
+          headers: conversionServerHeaders(),
           timeout: 5000 
         });
         
@@ -1269,7 +1841,8 @@ app.post('/api/cancel-vips-process/:pid', async (req, res) => {
 });
 
 // Common conversion function used by both manual and auto conversions
-async function startConversion(filename, isAutoConversion = false) {
+// tiles: profile name or tile settings from the request (already validated); null for conversion.dzi
+async function startConversion(filename, isAutoConversion = false, tiles = null, priority = null) {
   const svsPath = path.join(config.slidesDir, filename);
   
   if (!fs.existsSync(svsPath)) {
@@ -1321,7 +1894,9 @@ async function startConversion(filename, isAutoConversion = false) {
         svsPath,
         baseName,
         config.slidesDir,
-        convertDir  // Use staging directory as output
+        convertDir,  // Use staging directory as output
+        conversionPriority(svsPath, priority),
+        resolveTileSettings(config.appConfig.conversion?.dzi, tiles)
       );
       
       console.log(`Optimized conversion queued to staging: ${baseName} (position: ${result.queuePosition})`);
@@ -1400,7 +1975,7 @@ async function startConversion(filename, isAutoConversion = false) {
 }
 
 // API endpoint to convert SVS to DZI
-app.post('/api/convert/:filename', async (req, res) => {
+app.post('/api/convert/:filename', auth.requireRole('technician'), async (req, res) => {
   const filename = req.params.filename;
   
   if (config.isClientMode()) {
@@ -1414,8 +1989,18 @@ app.post('/api/convert/:filename', async (req, res) => {
     return;
   }
 
+  const tileErrors = validateTileRequest(req.body?.tiles, config.appConfig.conversion?.dzi);
+  if (tileErrors.length > 0) {
+    return res.status(400).json({ error: 'Invalid tile settings', errors: tileErrors });
+  }
+  const priorityErrors = validatePriorityRequest(req.body?.priority);
+  if (priorityErrors.length > 0) {
+    return res.status(400).json({ error: 'Invalid priority', errors: priorityErrors });
+  }
+
   try {
-    const result = await startConversion(filename, false);
+    const result = await startConversion(filename, false, req.body?.tiles || null, req.body?.priority || null);
+    audit(req, 'slide.convert', path.basename(filename, path.extname(filename)), conversionRequestDetails(req.body));
     res.json(result);
   } catch (error) {
     console.error('Conversion error:', error);
@@ -1437,6 +2022,8 @@ async function performAtomicMove(baseName, convertDir, isAutoConversion = false)
     // Paths in staging directory
     const stagingDziPath = path.join(convertDir, `${baseName}.dzi`);
     const stagingTilesDir = path.join(convertDir, `${baseName}_files`);
+    const containerPath = path.join(slideDir, `${baseName}${CONTAINER_EXTENSION}`);
+    const stagingContainerPath = path.join(convertDir, `${baseName}${CONTAINER_EXTENSION}`);
     const stagingMetadataDir = path.join(convertDir, 'metadata');
     
     // Ensure slide directory exists
@@ -1445,6 +2032,19 @@ async function performAtomicMove(baseName, convertDir, isAutoConversion = false)
       console.log(`Created slide directory: ${slideDir}`);
     }
     
+    // Drop output left in the other layout (folder vs .szi) so only the new pyramid is served
+    const stagingOutput = findSlideOutput(convertDir, baseName);
+    if (stagingOutput) {
+      const keep = stagingOutput.type === 'container' ? [containerPath] : [dziPath, tilesDir];
+      await closeContainer(containerPath);
+      for (const stalePath of slideOutputPaths(slideDir, baseName).filter(p => !keep.includes(p))) {
+        if (fs.existsSync(stalePath)) {
+          fs.rmSync(stalePath, { recursive: true, force: true });
+          console.log(`Removed output from previous layout: ${stalePath}`);
+        }
+      }
+    }
+    
     // Step 1: Remove existing files if they exist, then move from staging
     if (fs.existsSync(stagingDziPath)) {
       // Remove existing DZI file if it exists
@@ -1482,6 +2082,16 @@ async function performAtomicMove(baseName, convertDir, isAutoConversion = false)
       console.log(`Moved tiles: ${stagingTilesDir} -> ${tilesDir}`);
     }
     
+    // Single-file container: one rename instead of moving a folder of tiles
+    if (fs.existsSync(stagingContainerPath)) {
+      if (fs.existsSync(containerPath)) {
+        fs.unlinkSync(containerPath);
+        console.log(`Removed existing tile container: ${containerPath}`);
+      }
+      fs.renameSync(stagingContainerPath, containerPath);
+      console.log(`Moved tile container: ${stagingContainerPath} -> ${containerPath}`);
+    }
+    
     // Move metadata files if they exist
     if (fs.existsSync(stagingMetadataDir)) {
       // OPTIMIZATION: Use bulk folder operations instead of individual file moves
@@ -1534,6 +2144,7 @@ async function performAtomicMove(baseName, convertDir, isAutoConversion = false)
     
     // Step 4: Remove from tracking and notify clients
     activeConversions.delete(baseName);
+    await refreshCatalogEntry(baseName);
     
     broadcastToClients({
       type: 'conversion_complete',
@@ -1544,6 +2155,8 @@ async function performAtomicMove(baseName, convertDir, isAutoConversion = false)
     });
     
     console.log(`Conversion completed successfully for ${baseName}`);
+    await applyLabelBarcode(baseName);
+    if (deidentifier && deidentifier.enabled) await deidentifySlide(baseName);
     
   } catch (error) {
     console.error(`Atomic move failed for ${baseName}:`, error);
@@ -1577,6 +2190,15 @@ function isStagingConversionComplete(stagingPath, baseName) {
     const tilesDir = path.join(stagingPath, `${baseName}_files`);
     const metadataDir = path.join(stagingPath, 'metadata');
     
+    // Single .szi container output in place of .dzi + _files
+    const containerPath = path.join(stagingPath, `${baseName}${CONTAINER_EXTENSION}`);
+    if (!fs.existsSync(dziPath) && fs.existsSync(containerPath)) {
+      if (fs.statSync(containerPath).size < 100) {
+        return { complete: false, reason: 'Tile container too small (likely incomplete)' };
+      }
+      return { complete: true, hasDzi: true, hasTiles: true, hasMetadata: fs.existsSync(metadataDir) };
+    }
+    
     // Check if all required files/directories exist
     const hasDzi = fs.existsSync(dziPath);
     const hasTiles = fs.existsSync(tilesDir);
@@ -1694,198 +2316,61 @@ function cleanupStagingDirectories() {
   }
 }
 
-// Function to detect and sync with ongoing conversions
-async function syncWithOngoingVipsProcesses() {
+// Restore tracking of conversions that were queued or running when this server last stopped.
+// The conversion server persists its jobs, so it is the source of truth for what is in flight.
+async function syncWithConversionJobs() {
   if (!config.isServerMode()) {
     console.log('Skipping conversion sync - not in server mode');
     return;
   }
+  if (!autoProcessor || !autoProcessor.conversionClient) return;
   
-  console.log(' Syncing with ongoing conversions...');
+  console.log(' Syncing with conversion server jobs...');
   
   try {
-    // Step 1: Check conversion server for active conversions
-    let serverActiveConversions = [];
-    if (autoProcessor && autoProcessor.conversionClient) {
-      try {
-        const health = await autoProcessor.conversionClient.getHealth();
-        serverActiveConversions = health.activeConversions || [];
-        console.log(`Conversion server reports ${serverActiveConversions.length} active conversions`);
-        
-        if (serverActiveConversions.length > 0) {
-          console.log(`Active conversions on server:`, serverActiveConversions.map(c => c.baseName || c.filename || 'unknown'));
-        }
-      } catch (error) {
-        console.warn('Could not get conversion server status:', error.message);
-      }
-    }
+    const jobs = await autoProcessor.conversionClient.listJobs({ states: ['queued', 'running'], type: 'conversion' });
+    console.log(`Conversion server reports ${jobs.length} unfinished job(s)`);
     
-    // Step 2: Check for VIPS processes
-    let vipsProcesses = [];
-    try {
-      const { execSync } = require('child_process');
-      const output = execSync('tasklist /FI "IMAGENAME eq vips.exe" /FO CSV', { 
-        encoding: 'utf8',
-        timeout: 5000 
+    for (const job of jobs) {
+      const baseName = job.key;
+      if (activeConversions.has(baseName)) continue;
+      
+      // Staging output directory tells a reconversion from a first conversion
+      const outputDir = job.payload.dziDir || '';
+      const isReconversion = path.basename(outputDir) === `${baseName}_reconvert`;
+      
+      console.log(`✅ Restoring tracking: ${baseName} (${job.state}, attempt ${job.attempts})`);
+      activeConversions.set(baseName, {
+        startTime: new Date(job.startedAt || job.queuedAt).getTime(),
+        outputName: baseName,
+        isAutoConversion: false,
+        isReconversion,
+        restoredFromSync: true,
+        source: 'conversion_job',
+        jobId: job.id,
+        ...(isReconversion ? { reconvertDir: outputDir } : { convertDir: outputDir })
       });
       
-      const lines = output.split('\n').slice(1);
-      vipsProcesses = lines
-        .filter(line => line.trim() && line.includes('vips.exe'))
-        .map(line => {
-          const parts = line.split(',').map(part => part.replace(/"/g, ''));
-          return {
-            name: parts[0],
-            pid: parseInt(parts[1]),
-            memory: parts[4]
-          };
-        });
-        
-      console.log(`Found ${vipsProcesses.length} VIPS processes running`);
-    } catch (tasklistError) {
-      console.log('No VIPS processes found or tasklist failed');
-    }
-    
-    // Check for staging directories that indicate ongoing conversions
-    const stagingDirs = [];
-    if (fs.existsSync(config.dziDir)) {
-      const entries = fs.readdirSync(config.dziDir, { withFileTypes: true });
-      entries.forEach(entry => {
-        if (entry.isDirectory() && (entry.name.endsWith('_convert') || entry.name.endsWith('_reconvert'))) {
-          const baseName = entry.name.replace(/_convert$|_reconvert$/, '');
-          const isReconversion = entry.name.endsWith('_reconvert');
-          stagingDirs.push({ baseName, isReconversion, path: path.join(config.dziDir, entry.name) });
-        }
+      // Completion is reported through the auto-processor's fileProcessed event
+      autoProcessor.conversionClient.resumeTracking(baseName, {
+        inputPath: job.payload.inputPath,
+        slidesDir: job.payload.slidesDir,
+        dziDir: outputDir
       });
-    }
-    
-    console.log(`Found ${stagingDirs.length} staging directories`);
-    
-    // If we have VIPS processes but no staging directories, try to infer from conversion server
-    if (vipsProcesses.length > 0 && stagingDirs.length === 0 && serverActiveConversions.length > 0) {
-      console.log('VIPS processes detected but no staging directories - inferring from conversion server...');
       
-      for (const activeConv of serverActiveConversions) {
-        // Try to extract basename from conversion server data
-        const inferredBaseName = activeConv.baseName || activeConv.filename || activeConv.name;
-        if (inferredBaseName) {
-          console.log(`Inferring ongoing conversion: ${inferredBaseName}`);
-          stagingDirs.push({ 
-            baseName: inferredBaseName, 
-            isReconversion: false, // Default to regular conversion
-            path: path.join(config.dziDir, `${inferredBaseName}_convert`),
-            inferred: true
-          });
-        }
-      }
-    }
-    
-    // If still no staging dirs but VIPS processes exist, create generic tracking
-    if (vipsProcesses.length > 0 && stagingDirs.length === 0) {
-      console.log('VIPS processes detected but no conversion info - creating generic tracking...');
-      
-      // Try to get process command lines to infer filenames
-      try {
-        const detailedOutput = execSync('wmic process where "name=\'vips.exe\'" get CommandLine,ProcessId /format:csv', { 
-          encoding: 'utf8',
-          timeout: 10000 
-        });
-        
-        const lines = detailedOutput.split('\n').slice(1);
-        for (const line of lines) {
-          if (line.trim() && line.includes('vips.exe')) {
-            const parts = line.split(',');
-            if (parts.length >= 2) {
-              const commandLine = parts[1];
-              // Try to extract filename from command line
-              const match = commandLine.match(/([^\\\/]+)\.(?:svs|ndpi|tif|tiff|jp2|vms|vmu|scn)/i);
-              if (match) {
-                const inferredBaseName = match[1];
-                console.log(`Inferred conversion from VIPS command line: ${inferredBaseName}`);
-                stagingDirs.push({ 
-                  baseName: inferredBaseName, 
-                  isReconversion: commandLine.includes('reconvert'),
-                  path: path.join(config.dziDir, `${inferredBaseName}_${commandLine.includes('reconvert') ? 'reconvert' : 'convert'}`),
-                  inferred: true
-                });
-              }
-            }
-          }
-        }
-      } catch (wmicError) {
-        console.warn('Could not get VIPS command lines:', wmicError.message);
-        
-        // Last resort: create entries for each VIPS process
-        const conversionsToRestore = [];
-        
-        // Prioritize server active conversions
-        for (const serverConv of serverActiveConversions) {
-          const baseName = serverConv.baseName || serverConv.filename || serverConv.name;
-          if (baseName) {
-            conversionsToRestore.push({
-              baseName: baseName,
-              isReconversion: serverConv.isReconversion || false,
-              source: 'conversion_server'
-            });
-          }
-        }
-        
-        // Add staging directories
-        for (const staging of stagingDirs) {
-          if (!conversionsToRestore.find(c => c.baseName === staging.baseName)) {
-            conversionsToRestore.push({
-              baseName: staging.baseName,
-              isReconversion: staging.isReconversion,
-              source: 'staging_directory'
-            });
-          }
-        }
-        
-        // If we have VIPS processes but no specific conversions, create generic entries
-        if (vipsProcesses.length > 0 && conversionsToRestore.length === 0) {
-          for (const vipsProcess of vipsProcesses) {
-            conversionsToRestore.push({
-              baseName: `VIPS_Process_${vipsProcess.pid}`,
-              isReconversion: false,
-              source: 'vips_process',
-              vipsPid: vipsProcess.pid
-            });
-          }
-        }
-        
-        // Restore tracking for all identified conversions
-        for (const conversion of conversionsToRestore) {
-          if (!activeConversions.has(conversion.baseName)) {
-            console.log(`✅ Restoring tracking: ${conversion.baseName} (${conversion.source})`);
-            activeConversions.set(conversion.baseName, {
-              startTime: Date.now() - 60000,
-              outputName: conversion.baseName,
-              isAutoConversion: false,
-              isReconversion: conversion.isReconversion || false,
-              restoredFromSync: true,
-              source: conversion.source,
-              vipsPid: conversion.vipsPid || null
-            });
-
-            // Notify clients of restoration
-            broadcastToClients({
-              type: (conversion.isReconversion ? 'reconversion_restored' : 'conversion_restored'),
-              filename: conversion.baseName,
-              baseName: conversion.baseName,
-              message: `Conversion restored from ${conversion.source}`,
-              timestamp: new Date().toISOString()
-            });
-          }
-        }
-
-        console.log(`✅ Restored ${conversionsToRestore.length} active conversion(s)`);
-    }
-
-    // End of: if (vipsProcesses.length > 0 && stagingDirs.length === 0)
+      // Notify clients of restoration
+      broadcastToClients({
+        type: (isReconversion ? 'reconversion_restored' : 'conversion_restored'),
+        filename: baseName,
+        baseName: baseName,
+        jobId: job.id,
+        state: job.state,
+        message: `Conversion restored from conversion job ${job.id}`,
+        timestamp: new Date().toISOString()
+      });
     }
-    
   } catch (error) {
-    console.warn('Error syncing with VIPS processes:', error.message);
+    console.warn('Could not sync with conversion server jobs:', error.message);
   }
 }
 
@@ -1914,8 +2399,16 @@ const server = app.listen(PORT, async () => {
   console.log(`Configuration:`, config.getSummary());
   console.log(`=============================\n`);
   
-  // Sync with ongoing VIPS processes first
-  await syncWithOngoingVipsProcesses();
+  // Sync with the conversion server's unfinished jobs first
+  await syncWithConversionJobs();
+
+  // Registration jobs queued before the restart: their results are still waiting to be stored
+  if (config.isServerMode() && autoProcessor && autoProcessor.conversionClient) {
+    for (const pending of registrationStore.listPending()) {
+      console.log(`🔁 Resuming registration ${pending.moving} → ${pending.fixed} (${pending.jobId})`);
+      followRegistration(pending.jobId);
+    }
+  }
   
   // Log current active conversions for debugging
   if (activeConversions.size > 0) {
@@ -1935,13 +2428,39 @@ const server = app.listen(PORT, async () => {
     cleanupDeleteDirectories();
     cleanupStagingDirectories();
   }, 5 * 60 * 1000);
+  
+  // Reconcile the slide catalog with anything that changed while the server was down: a full
+  // scan only when there was no usable catalog, otherwise a check that listed files still exist
+  // (the file watcher reports new ones). Requests are answered from the catalog while this runs.
+  if (slideCatalog) {
+    (slideCatalogLoaded ? slideCatalog.prune() : slideCatalog.rebuild())
+      .catch(error => {
+        console.error('Slide catalog reconcile failed:', error);
+      })
+      .then(() => {
+        // Slides converted before anonymization mode was turned on, or while the server was down
+        if (deidentifier.enabled) return deidentifyPendingSlides();
+      });
+  }
 });
 
 // WebSocket server for real-time updates
-const wss = new WebSocket.WebSocketServer({ server });
+const wss = new WebSocket.WebSocketServer({
+  server,
+  // Same sign-in as the HTTP API: session cookie, Bearer header, or ?token= from browsers
+  verifyClient: (info, done) => {
+    if (auth.principalFor(info.req, { allowQuery: true })) return done(true);
+    done(false, 401, 'Authentication required');
+  }
+});
 
-wss.on('connection', (ws) => {
-  console.log('New client connected');
+wss.on('connection', (ws, req) => {
+  const user = auth.principalFor(req, { allowQuery: true });
+  // Kept for filtering broadcasts through the access rules; the session token is re-checked before
+  // each broadcast (see socketUser). API key connections have no session to re-check.
+  ws.user = user;
+  ws.authToken = auth.enabled && user.id !== 'service:api-key' ? auth.tokenFromRequest(req, { allowQuery: true }) : null;
+  console.log(`New client connected (${user.username})`);
   
   // Send current auto-processor status to new clients
   if (autoProcessor) {
@@ -1955,6 +2474,7 @@ wss.on('connection', (ws) => {
   // Send current active conversions to restore progress bars on refresh
   if (activeConversions.size > 0) {
     activeConversions.forEach((conversionData, baseName) => {
+      if (!canSeeSlideNamed(user, baseName)) return;
       // Send conversion_started to trigger UI setup
       ws.send(JSON.stringify({
         type: 'conversion_started',
@@ -1985,7 +2505,11 @@ if (config.isServerMode()) {
   // Use centralized configuration for auto-processor
   const autoProcessorConfig = {
     enabled: pathologyConfig.autoProcessor?.enabled !== false,
+    priority: config.appConfig.conversion?.priority || {},
+    retry: config.appConfig.conversion?.retry || {},
+    tiles: config.appConfig.conversion?.dzi || {},
     loadBalanced: pathologyConfig.deployment?.mode === 'distributed',
+    auth: conversionAuth,
     mainServerUrl: `http://localhost:${pathologyConfig.deployment?.mainServer?.port || 3102}`,
     conversionServerUrl: pathologyConfig.conversionServers?.servers?.[0] ? 
       `http://${pathologyConfig.conversionServers.servers[0].host}:${pathologyConfig.conversionServers.servers[0].port}` :
@@ -2014,6 +2538,19 @@ if (config.isServerMode() && autoProcessor) {
     });
   });
 
+  // Keep the slide catalog current as source files come and go
+  autoProcessor.on('fileAdded', (data) => {
+    slideCatalog.indexSourceFile(data.filePath).catch(error => {
+      console.warn(`Failed to catalog ${data.fileName}: ${error.message}`);
+    });
+  });
+
+  autoProcessor.on('fileDeleted', (data) => {
+    slideCatalog.removeSourceFile(data.filePath).catch(error => {
+      console.warn(`Failed to update catalog for deleted ${data.fileName}: ${error.message}`);
+    });
+  });
+
   autoProcessor.on('processingStarted', (data) => {
     console.log(`Auto-processing started: ${data.fileName}`);
     broadcastToClients({
@@ -2044,11 +2581,16 @@ if (config.isServerMode() && autoProcessor) {
       // Perform atomic move for auto conversions
       const baseName = data.baseName || path.basename(data.fileName, path.extname(data.fileName));
       const convertDir = path.join(config.dziDir, `${baseName}_convert`);
+      const reconvertDir = path.join(config.dziDir, `${baseName}_reconvert`);
       
       if (fs.existsSync(convertDir)) {
         await performAtomicMove(baseName, convertDir, true);
+      } else if (fs.existsSync(reconvertDir)) {
+        // Reconversions (e.g. to a different tile format) replace the existing output in one step
+        await performAtomicReplacement(baseName, reconvertDir);
       } else {
         // Fallback for conversions that didn't use staging
+        await refreshCatalogEntry(baseName);
         broadcastToClients({
           type: 'conversion_complete',
           fileName: data.fileName,
@@ -2056,6 +2598,8 @@ if (config.isServerMode() && autoProcessor) {
           dziPath: `/dzi/${data.baseName}/${data.baseName}.dzi`,
           isAutoConversion: true
         });
+        await applyLabelBarcode(baseName);
+        if (deidentifier && deidentifier.enabled) await deidentifySlide(baseName);
       }
     } else {
       broadcastToClients({
@@ -2066,6 +2610,12 @@ if (config.isServerMode() && autoProcessor) {
         isAutoConversion: true
       });
     }
+    
+    // Tracking restored at startup has no request-specific handler to clear it
+    const restoredName = data.baseName || data.filename;
+    if (activeConversions.get(restoredName)?.restoredFromSync) {
+      activeConversions.delete(restoredName);
+    }
   });
 
   autoProcessor.on('fileRetry', (data) => {
@@ -2096,7 +2646,7 @@ if (config.isServerMode()) {
 // ===== CENTRALIZED CONFIGURATION AND CONVERSION SERVER REGISTRY =====
 
 // API endpoint to get centralized configuration
-app.get('/api/conversion-config', (req, res) => {
+app.get('/api/conversion-config', auth.requireRole('admin'), (req, res) => {
   if (config.isClientMode()) {
     return res.status(503).json({ error: 'Configuration endpoint only available in server mode' });
   }
@@ -2127,13 +2677,21 @@ app.get('/api/conversion-config', (req, res) => {
         useVipsFormat: pathologyConfig.conversion?.icc?.useVipsFormat || false,
         useRamDisk: pathologyConfig.conversion?.icc?.useRamDisk || false,
         ramDiskSizeGB: pathologyConfig.conversion?.icc?.ramDiskSizeGB || 20
-      }
+      },
+      // Shared retry policy (maxAttempts, baseDelayMs, maxDelayMs, factor, jitter)
+      retry: config.appConfig.conversion?.retry || {},
+      // Default tile encoding (format, quality, tileSize, overlap); per-slide overrides come with each job
+      dzi: config.appConfig.conversion?.dzi || {}
     },
     conversionSettings: {
       maxConcurrent: pathologyConfig.conversion?.defaultConcurrency || Math.min(totalCores, 8),
       timeout: pathologyConfig.conversion?.timeout || 30000,
       pollInterval: pathologyConfig.conversion?.pollInterval || 1000
     },
+    // Label barcode decoding during metadata extraction (enabled, formats)
+    metadata: {
+      barcode: config.appConfig.metadata?.barcode || {}
+    },
     storage: {
       slidesDir: pathologyConfig.storage?.slidesDir || config.slidesDir,
       dziDir: pathologyConfig.storage?.dziDir || config.dziDir,
@@ -2145,7 +2703,7 @@ app.get('/api/conversion-config', (req, res) => {
 });
 
 // API endpoint for conversion servers to register themselves
-app.post('/api/conversion-servers/register', (req, res) => {
+app.post('/api/conversion-servers/register', auth.requireRole('admin'), (req, res) => {
   if (config.isClientMode()) {
     return res.status(503).json({ error: 'Server registration only available in server mode' });
   }
@@ -2188,19 +2746,53 @@ app.post('/api/conversion-servers/register', (req, res) => {
   });
 });
 
+// What a client may hear of a broadcast: nothing about slides or cases the access rules hide
+function messageForUser(message, user) {
+  if (message.case) {
+    return canSeeCase(user, message.case) ? { ...message, case: caseForUser(message.case, user) } : null;
+  }
+  const slideNames = [message.filename, message.fileName, message.baseName, message.slide, message.newName,
+    message.fixed, message.moving, message.registration?.fixed, message.registration?.moving];
+  if (!slideNames.every(name => !name || canSeeSlideNamed(user, name))) return null;
+  if (message.queue) {
+    return { ...message, queue: visibleJobs(user, message.queue), active: visibleJobs(user, message.active || []) };
+  }
+  if (message.retried) {
+    const retried = visibleJobs(user, message.retried);
+    return retried.length > 0 ? { ...message, retried } : null;
+  }
+  return message;
+}
+
+// Who is on the other end of a socket now: a user disabled, deleted or signed out everywhere (a
+// password change) since connecting is disconnected, and a changed role applies straight away
+function socketUser(client) {
+  if (!client.authToken) return client.user;
+  const user = auth.verifyToken(client.authToken);
+  if (!user) {
+    console.log(`Closing WebSocket of ${client.user.username}: session no longer valid`);
+    client.close(1008, 'Session ended');
+    return null;
+  }
+  client.user = user;
+  return user;
+}
+
 // Helper function to broadcast to all WebSocket clients
 function broadcastToClients(message) {
   if (wss && wss.clients) {
     wss.clients.forEach(client => {
       if (client.readyState === WebSocket.OPEN) {
-        client.send(JSON.stringify(message));
+        const user = socketUser(client);
+        const visible = user && messageForUser(message, user);
+        if (visible) client.send(JSON.stringify(visible));
       }
     });
   }
 }
 
 // API endpoint for conversion servers to send heartbeat
-app.post('/api/conversion-servers/:id/heartbeat', (req, res) => {
+app.post('/api/conversion-servers/:id/heartbeat', auth.requireRole('admin'), (req, res) => {
   if (config.isClientMode()) {
     return res.status(503).json({ error: 'Heartbeat endpoint only available in server mode' });
   }
@@ -2224,7 +2816,7 @@ app.post('/api/conversion-servers/:id/heartbeat', (req, res) => {
 });
 
 // API endpoint to list registered conversion servers
-app.get('/api/conversion-servers', (req, res) => {
+app.get('/api/conversion-servers', auth.requireRole('admin'), (req, res) => {
   if (config.isClientMode()) {
     return res.status(503).json({ error: 'Server list only available in server mode' });
   }
@@ -2296,7 +2888,7 @@ function selectConversionServer() {
 // ===== ENHANCED CONFIGURATION MANAGEMENT API =====
 
 // API endpoint to get full pathology configuration
-app.get('/api/pathology-config', (req, res) => {
+app.get('/api/pathology-config', auth.requireRole('admin'), (req, res) => {
   if (config.isClientMode()) {
     return res.status(503).json({ error: 'Configuration management only available in server mode' });
   }
@@ -2330,7 +2922,7 @@ app.get('/api/pathology-config', (req, res) => {
 });
 
 // API endpoint to update pathology configuration
-app.put('/api/pathology-config', (req, res) => {
+app.put('/api/pathology-config', auth.requireRole('admin'), (req, res) => {
   if (config.isClientMode()) {
     return res.status(503).json({ error: 'Configuration management only available in server mode' });
   }
@@ -2355,6 +2947,12 @@ app.put('/api/pathology-config', (req, res) => {
     fs.writeFileSync(configPath, JSON.stringify(pathologyConfig, null, 2));
     
     console.log('✅ Pathology configuration updated successfully');
+    const changed = Object.keys(newConfig).filter(key => JSON.stringify(backupConfig[key]) !== JSON.stringify(newConfig[key]));
+    audit(req, 'config.update', 'pathology-config', {
+      changed,
+      before: Object.fromEntries(changed.map(key => [key, backupConfig[key]])),
+      after: Object.fromEntries(changed.map(key => [key, newConfig[key]]))
+    });
     
     // Broadcast configuration change to WebSocket clients
     broadcastToClients({
@@ -2376,7 +2974,7 @@ app.put('/api/pathology-config', (req, res) => {
 });
 
 // API endpoint to reload configuration from file
-app.post('/api/pathology-config/reload', (req, res) => {
+app.post('/api/pathology-config/reload', auth.requireRole('admin'), (req, res) => {
   if (config.isClientMode()) {
     return res.status(503).json({ error: 'Configuration reload only available in server mode' });
   }
@@ -2387,6 +2985,7 @@ app.post('/api/pathology-config/reload', (req, res) => {
     pathologyConfig = require('./pathology-config.json');
     
     console.log('🔄 Pathology configuration reloaded from file');
+    audit(req, 'config.reload', 'pathology-config');
     
     // Broadcast reload to WebSocket clients
     broadcastToClients({
@@ -2408,7 +3007,7 @@ app.post('/api/pathology-config/reload', (req, res) => {
 });
 
 // API endpoint to validate configuration
-app.post('/api/pathology-config/validate', (req, res) => {
+app.post('/api/pathology-config/validate', auth.requireRole('admin'), (req, res) => {
   if (config.isClientMode()) {
     return res.status(503).json({ error: 'Configuration validation only available in server mode' });
   }
@@ -2470,7 +3069,7 @@ app.post('/api/pathology-config/validate', (req, res) => {
 });
 
 // API endpoint to add a new conversion server
-app.post('/api/conversion-servers/add', (req, res) => {
+app.post('/api/conversion-servers/add', auth.requireRole('admin'), (req, res) => {
   if (config.isClientMode()) {
     return res.status(503).json({ error: 'Server management only available in server mode' });
   }
@@ -2515,6 +3114,7 @@ app.post('/api/conversion-servers/add', (req, res) => {
     fs.writeFileSync(configPath, JSON.stringify(pathologyConfig, null, 2));
     
     console.log(`✅ Added conversion server: ${serverId}`);
+    audit(req, 'config.conversion-server-add', serverId, newServer);
     
     // Broadcast server addition
     broadcastToClients({
@@ -2536,7 +3136,7 @@ app.post('/api/conversion-servers/add', (req, res) => {
 });
 
 // API endpoint to remove a conversion server
-app.delete('/api/conversion-servers/:id', (req, res) => {
+app.delete('/api/conversion-servers/:id', auth.requireRole('admin'), (req, res) => {
   if (config.isClientMode()) {
     return res.status(503).json({ error: 'Server management only available in server mode' });
   }
@@ -2565,6 +3165,7 @@ app.delete('/api/conversion-servers/:id', (req, res) => {
     }
     
     console.log(`🗑️  Removed conversion server: ${id}`);
+    audit(req, 'config.conversion-server-remove', id);
     
     // Broadcast server removal
     broadcastToClients({
@@ -2600,169 +3201,35 @@ app.get('/api/slides', async (req, res) => {
     return;
   }
 
-  // Server mode - original logic
-  const slideFiles = [];
-  
-  // Recursively scan slides directory and all subfolders
-  function scanSlidesRecursively(dir, relativePath = '') {
-    if (!fs.existsSync(dir)) return;
-    
-    const items = fs.readdirSync(dir, { withFileTypes: true });
-    const supportedFormats = ['.svs', '.ndpi', '.tif', '.tiff', '.jp2', '.vms', '.vmu', '.scn'];
-    
-    items.forEach(item => {
-      const fullPath = path.join(dir, item.name);
-      const relativeFilePath = path.join(relativePath, item.name);
-      
-      if (item.isDirectory()) {
-        // Recursively scan subdirectories
-        scanSlidesRecursively(fullPath, relativeFilePath);
-      } else if (item.isFile()) {
-        const ext = path.extname(item.name).toLowerCase();
-        if (supportedFormats.includes(ext)) {
-          const baseName = path.basename(item.name, ext);
-          const uniqueName = relativePath ? `${relativePath.replace(/[\\\/]/g, '_')}_${baseName}` : baseName;
-          
-          // Check for DZI in organized structure first, then fall back to legacy
-          const organizedDziPath = path.join(config.dziDir, uniqueName, `${uniqueName}.dzi`);
-          const legacyDziPath = path.join(config.dziDir, `${uniqueName}.dzi`);
-          const hasDzi = fs.existsSync(organizedDziPath) || fs.existsSync(legacyDziPath);
-          const isOrganized = fs.existsSync(organizedDziPath);
-          
-          // Metadata-derived assets - check organized structure first
-          let metadataDir, labelFs, macroFs, metadataJsonPath;
-          if (isOrganized) {
-            // New organized structure
-            metadataDir = path.join(config.dziDir, uniqueName, 'metadata');
-            labelFs = path.join(metadataDir, `${uniqueName}_label.jpg`);
-            macroFs = path.join(metadataDir, `${uniqueName}_macro.jpg`);
-            metadataJsonPath = path.join(metadataDir, `${uniqueName}_metadata.json`);
-          } else {
-            // Legacy structure
-            metadataDir = path.join(config.dziDir, 'metadata');
-            labelFs = path.join(metadataDir, `${uniqueName}_label.jpg`);
-            macroFs = path.join(metadataDir, `${uniqueName}_macro.jpg`);
-            metadataJsonPath = path.join(metadataDir, `${uniqueName}_metadata.json`);
-          }
-          
-          const labelUrl = fs.existsSync(labelFs) ? 
-            (isOrganized ? `/dzi/${uniqueName}/metadata/${uniqueName}_label.jpg` : `/dzi/metadata/${uniqueName}_label.jpg`) : null;
-          const macroUrl = fs.existsSync(macroFs) ? 
-            (isOrganized ? `/dzi/${uniqueName}/metadata/${uniqueName}_macro.jpg` : `/dzi/metadata/${uniqueName}_macro.jpg`) : null;
-          const thumbnailUrl = macroUrl || labelUrl || null;
-          
-          // Read metadata JSON if it exists
-          let metadata = null;
-          let slideLabel = null;
-          if (fs.existsSync(metadataJsonPath)) {
-            try {
-              const metadataContent = fs.readFileSync(metadataJsonPath, 'utf8');
-              metadata = JSON.parse(metadataContent);
-              slideLabel = metadata.label || metadata.description || metadata.title || null;
-            } catch (error) {
-              console.warn(`Failed to read metadata for ${uniqueName}:`, error.message);
-            }
-          }
-          
-          slideFiles.push({
-            name: uniqueName,
-            originalName: baseName,
-            folder: relativePath || 'root',
-            originalFile: `/slides/${relativeFilePath.replace(/\\/g, '/')}`,
-            dziFile: hasDzi ? (isOrganized ? `/dzi/${uniqueName}/${uniqueName}.dzi` : `/dzi/${uniqueName}.dzi`) : null,
-            format: ext,
-            converted: hasDzi,
-            size: fs.statSync(fullPath).size,
-            labelUrl,
-            macroUrl,
-            thumbnailUrl,
-            label: slideLabel,
-            metadata,
-            isOrganized: isOrganized
-          });
-        }
-      }
-    });
+  res.json(visibleSlides(req.user, slideCatalog.list()).map(listedSlide));
+});
+
+// API endpoint to search/filter slides with sorting and pagination (see services/slideSearch.js)
+app.get('/api/slides/search', async (req, res) => {
+  if (config.isClientMode()) {
+    try {
+      res.json(await labClient.searchSlides(req.query));
+    } catch (error) {
+      res.status(503).json({ error: 'Lab server unavailable', details: error.message });
+    }
+    return;
   }
-  
-  scanSlidesRecursively(config.slidesDir);
-  
-  // Check for standalone DZI files (both organized and legacy structure)
-  if (fs.existsSync(config.dziDir)) {
-    const entries = fs.readdirSync(config.dziDir, { withFileTypes: true });
-    
-    // Check organized structure (directories containing DZI files)
-    entries.forEach(entry => {
-      if (entry.isDirectory() && !entry.name.startsWith('_') && !entry.name.startsWith('__')) {
-        const slideDir = path.join(config.dziDir, entry.name);
-        const dziFile = path.join(slideDir, `${entry.name}.dzi`);
-        
-        if (fs.existsSync(dziFile)) {
-          const baseName = entry.name;
-          const existing = slideFiles.find(slide => slide.name === baseName);
-          
-          if (!existing) {
-            // Metadata for organized structure
-            const metadataDir = path.join(slideDir, 'metadata');
-            const labelFs = path.join(metadataDir, `${baseName}_label.jpg`);
-            const macroFs = path.join(metadataDir, `${baseName}_macro.jpg`);
-            const labelUrl = fs.existsSync(labelFs) ? `/dzi/${baseName}/metadata/${baseName}_label.jpg` : null;
-            const macroUrl = fs.existsSync(macroFs) ? `/dzi/${baseName}/metadata/${baseName}_macro.jpg` : null;
-            const thumbnailUrl = macroUrl || labelUrl || null;
-            
-            slideFiles.push({
-              name: baseName,
-              originalFile: null,
-              dziFile: `/dzi/${baseName}/${baseName}.dzi`,
-              format: '.dzi',
-              converted: true,
-              size: 0,
-              labelUrl,
-              macroUrl,
-              thumbnailUrl,
-              isOrganized: true
-            });
-          }
-        }
-      }
-    });
-    
-    // Check legacy structure (DZI files in root)
-    const legacyDziFiles = entries.filter(entry => entry.isFile() && entry.name.endsWith('.dzi'));
-    legacyDziFiles.forEach(entry => {
-      const baseName = path.basename(entry.name, '.dzi');
-      const existing = slideFiles.find(slide => slide.name === baseName);
-      
-      if (!existing) {
-        // Metadata for legacy structure
-        const metadataDir = path.join(config.dziDir, 'metadata');
-        const labelFs = path.join(metadataDir, `${baseName}_label.jpg`);
-        const macroFs = path.join(metadataDir, `${baseName}_macro.jpg`);
-        const labelUrl = fs.existsSync(labelFs) ? `/dzi/metadata/${baseName}_label.jpg` : null;
-        const macroUrl = fs.existsSync(macroFs) ? `/dzi/metadata/${baseName}_macro.jpg` : null;
-        const thumbnailUrl = macroUrl || labelUrl || null;
-        
-        slideFiles.push({
-          name: baseName,
-          originalFile: null,
-          dziFile: `/dzi/${baseName}.dzi`,
-          format: '.dzi',
-          converted: true,
-          size: 0,
-          labelUrl,
-          macroUrl,
-          thumbnailUrl,
-          isOrganized: false
-        });
-      }
-    });
+
+  const { criteria, errors } = parseSearchQuery(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid search query', errors });
+  }
+
+  try {
+    res.json(searchSlides(visibleSlides(req.user, slideCatalog.list()).map(listedSlide), criteria));
+  } catch (error) {
+    console.error('Slide search failed:', error);
+    res.status(500).json({ error: 'Slide search failed', details: error.message });
   }
-  
-  res.json(slideFiles);
 });
 
 // DELETE endpoint for slides
-app.delete('/api/slides/:filename', async (req, res) => {
+app.delete('/api/slides/:filename', auth.requireRole('admin'), async (req, res) => {
   const filename = decodeURIComponent(req.params.filename);
   console.log(`DELETE request received for: ${filename}`);
   
@@ -2821,7 +3288,11 @@ app.delete('/api/slides/:filename', async (req, res) => {
       return false;
     }
     
-    const originalSlideResult = await findAndDeleteOriginal(config.slidesDir);
+    // The catalog knows where the source file is; only walk slidesDir if it doesn't
+    const catalogSourcePath = slideCatalog.getSourcePath(slideCatalog.get(baseName));
+    const originalSlideResult = catalogSourcePath && fs.existsSync(catalogSourcePath)
+      ? { found: true, path: catalogSourcePath }
+      : await findAndDeleteOriginal(config.slidesDir);
     let originalSlidePath = null;
     let renamedSlidePath = null;
     
@@ -2845,6 +3316,7 @@ app.delete('/api/slides/:filename', async (req, res) => {
     // 2. Delete organized slide folder (contains DZI, tiles, and metadata)
     const organizedSlideDir = path.join(config.dziDir, baseName);
     if (fs.existsSync(organizedSlideDir)) {
+      await closeContainer(path.join(organizedSlideDir, `${baseName}${CONTAINER_EXTENSION}`));
       try {
         // Use robocopy mirror method for ultra-fast deletion
         const { spawn } = require('child_process');
@@ -2968,6 +3440,19 @@ app.delete('/api/slides/:filename', async (req, res) => {
         }
       }
       
+      // Delete legacy tile container
+      const legacyContainerPath = path.join(config.dziDir, `${baseName}${CONTAINER_EXTENSION}`);
+      if (fs.existsSync(legacyContainerPath)) {
+        try {
+          await closeContainer(legacyContainerPath);
+          await deleteFileWithRetry(legacyContainerPath, 5);
+          deletedFiles.push('legacy-container');
+          console.log(`Deleted legacy tile container: ${legacyContainerPath}`);
+        } catch (error) {
+          console.warn(`Failed to delete legacy tile container: ${error.message}`);
+        }
+      }
+      
       // Delete legacy metadata files
       const legacyMetadataDir = path.join(config.dziDir, 'metadata');
       const metadataFiles = [
@@ -2988,6 +3473,16 @@ app.delete('/api/slides/:filename', async (req, res) => {
           }
         }
       }
+      
+      // Delete legacy annotations file
+      try {
+        if (annotationStore && annotationStore.removeAll(baseName)) {
+          deletedFiles.push('legacy-annotations');
+          console.log(`Deleted legacy annotations for: ${baseName}`);
+        }
+      } catch (error) {
+        console.warn(`Failed to delete legacy annotations: ${error.message}`);
+      }
     }
     
     // 3. Delete cancellation flag if it exists
@@ -3070,6 +3565,8 @@ app.delete('/api/slides/:filename', async (req, res) => {
     
     // Check if we actually deleted anything
     if (deletedFiles.length === 0) {
+      // Nothing on disk - drop any stale catalog entry so the slide stops being listed
+      await refreshCatalogEntry(baseName);
       return res.status(404).json({ 
         error: 'No files found to delete',
         message: `No files found for slide: ${baseName}`
@@ -3092,6 +3589,7 @@ app.delete('/api/slides/:filename', async (req, res) => {
       try {
         const response = await fetch(`${conversionServerUrl}/clear/${encodeURIComponent(baseName)}`, { 
           method: 'DELETE',
+          headers: conversionServerHeaders(),
           timeout: 3000 
         });
         if (response.ok) {
@@ -3106,6 +3604,16 @@ app.delete('/api/slides/:filename', async (req, res) => {
       console.warn('Failed to clear conversion server tracking:', error.message);
     }
 
+    // Drop the slide from the catalog (or keep it if the source file had to be restored)
+    await refreshCatalogEntry(baseName);
+    if (!slideCatalog.get(baseName)) {
+      const affectedCase = caseStore.forgetSlide(baseName);
+      if (affectedCase) broadcastCaseUpdate(affectedCase);
+      if (registrationStore.forgetSlide(baseName) > 0) {
+        broadcastToClients({ type: 'registration_deleted', slide: baseName });
+      }
+    }
+
     // Broadcast deletion to WebSocket clients
     broadcastToClients({
       type: 'slide_deleted',
@@ -3113,6 +3621,7 @@ app.delete('/api/slides/:filename', async (req, res) => {
       deletedComponents: deletedFiles
     });
     
+    audit(req, 'slide.delete', baseName, { deletedComponents: deletedFiles });
     res.json({ 
       success: true, 
       filename: baseName,
@@ -3128,38 +3637,1604 @@ app.delete('/api/slides/:filename', async (req, res) => {
   }
 });
 
-// Static file serving for DZI tiles
-if (config.isServerMode()) {
-  // Server mode - serve DZI files and tiles directly
-  const dziHeaders = (req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Range');
-    return req.method === 'OPTIONS' ? res.sendStatus(204) : next();
+// Move a slide's converted output (DZI, tiles, metadata, annotations) to a new slide name
+function renameSlideOutputs(oldName, newName) {
+  const renamed = [];
+  const move = (from, to, label) => {
+    if (fs.existsSync(from)) {
+      fs.renameSync(from, to);
+      renamed.push(label);
+    }
   };
 
-  const dziCors = cors({
-    origin: config.corsOrigins,
-    methods: ['GET', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Range'],
-    credentials: false
-  });
+  const organizedDir = path.join(config.dziDir, oldName);
+  if (findSlideOutput(organizedDir, oldName)) {
+    const newDir = path.join(config.dziDir, newName);
+    fs.renameSync(organizedDir, newDir);
+    move(path.join(newDir, `${oldName}.dzi`), path.join(newDir, `${newName}.dzi`), 'dzi');
+    move(path.join(newDir, `${oldName}_files`), path.join(newDir, `${newName}_files`), 'tiles');
+    move(path.join(newDir, `${oldName}${CONTAINER_EXTENSION}`), path.join(newDir, `${newName}${CONTAINER_EXTENSION}`), 'container');
 
-  // Serve static files with optimized settings for tile serving priority
-  const staticOptions = {
-    maxAge: '1d', // Cache tiles for better performance
-    etag: true,
-    lastModified: true,
-    setHeaders: (res, path) => {
-      // Prioritize tile serving responses
-      if (path.includes('_files/') || path.endsWith('.dzi')) {
-        res.setHeader('Cache-Control', 'public, max-age=86400');
-        res.setHeader('X-Priority', 'high');
+    // Everything in the per-slide metadata/annotations folders is prefixed with the slide name
+    for (const subdir of ['metadata', 'annotations']) {
+      const dir = path.join(newDir, subdir);
+      if (!fs.existsSync(dir)) continue;
+      for (const file of fs.readdirSync(dir).filter(f => f.startsWith(oldName))) {
+        move(path.join(dir, file), path.join(dir, `${newName}${file.slice(oldName.length)}`), `${subdir}:${file.slice(oldName.length)}`);
       }
     }
+    return renamed;
+  }
+
+  // Legacy layout shares metadata/ and annotations/ between slides, so only touch known file names
+  move(path.join(config.dziDir, `${oldName}.dzi`), path.join(config.dziDir, `${newName}.dzi`), 'dzi');
+  move(path.join(config.dziDir, `${oldName}_files`), path.join(config.dziDir, `${newName}_files`), 'tiles');
+  for (const suffix of ['_label.jpg', '_macro.jpg', '_metadata.json', '.icc']) {
+    const dir = path.join(config.dziDir, 'metadata');
+    move(path.join(dir, `${oldName}${suffix}`), path.join(dir, `${newName}${suffix}`), `metadata:${suffix}`);
+  }
+  const annotationsDir = path.join(config.dziDir, 'annotations');
+  move(path.join(annotationsDir, `${oldName}_annotations.json`), path.join(annotationsDir, `${newName}_annotations.json`), 'annotations');
+  return renamed;
+}
+
+// Where a slide ends up when its file basename changes; slides in subfolders keep their folder prefix
+function getRenameTarget(slide, newBaseName) {
+  const sourcePath = slideCatalog.getSourcePath(slide);
+  const newSourcePath = sourcePath ? path.join(path.dirname(sourcePath), `${newBaseName}${path.extname(sourcePath)}`) : null;
+  const folderPrefix = slide.folder && slide.folder !== 'root' ? `${slide.folder.replace(/[\\\/]/g, '_')}_` : '';
+  return { sourcePath, newSourcePath, newName: `${folderPrefix}${newBaseName}` };
+}
+
+function isSlideNameTaken(target) {
+  return Boolean(slideCatalog.get(target.newName)
+    || (target.newSourcePath && fs.existsSync(target.newSourcePath))
+    || fs.existsSync(path.join(config.dziDir, target.newName))
+    || fs.existsSync(path.join(config.dziDir, `${target.newName}.dzi`)));
+}
+
+// Rename a slide's outputs and source file, keeping the catalog and cases in step.
+// Callers check the target name is free and the slide is not converting.
+async function renameSlide(filename, target) {
+  const { sourcePath, newSourcePath, newName } = target;
+  console.log(`Renaming slide: ${filename} → ${newName}`);
+  // Outputs first: when the watcher sees the renamed source it finds the DZI and skips reconversion
+  await closeContainer(path.join(config.dziDir, filename, `${filename}${CONTAINER_EXTENSION}`));
+  const renamedComponents = renameSlideOutputs(filename, newName);
+
+  if (sourcePath && fs.existsSync(sourcePath)) {
+    if (autoProcessor) autoProcessor.clearProcessedFile(sourcePath);
+    fs.renameSync(sourcePath, newSourcePath);
+    renamedComponents.push('original');
+  }
+
+  slideCatalog.rename(filename, newName);
+  const affectedCase = caseStore.renameSlide(filename, newName);
+  if (affectedCase) broadcastCaseUpdate(affectedCase);
+  registrationStore.renameSlide(filename, newName);
+  const updated = newSourcePath
+    ? await slideCatalog.indexSourceFile(newSourcePath)
+    : await slideCatalog.refreshSlide(newName);
+
+  console.log(`✅ Renamed ${filename} → ${newName}: ${renamedComponents.join(', ')}`);
+  broadcastToClients({
+    type: 'slide_renamed',
+    filename,
+    newName
+  });
+  return { renamedComponents, slide: updated };
+}
+
+// API endpoint to rename a slide (source file and converted output). newName is the new file
+// basename; slides in subfolders keep their folder prefix in the resulting slide name.
+app.put('/api/slides/:filename/rename', auth.requireRole('technician'), async (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Rename only available in server mode' });
+  }
+
+  const filename = decodeURIComponent(req.params.filename);
+  const newBaseName = typeof req.body.newName === 'string' ? req.body.newName.trim() : '';
+  if (!newBaseName || !/^[\w\-. ]+$/.test(newBaseName) || newBaseName.startsWith('.') || newBaseName.startsWith('__')) {
+    return res.status(400).json({
+      error: 'Invalid name',
+      details: 'Use letters, numbers, spaces, dots, dashes and underscores, not starting with "." or "__"'
+    });
+  }
+
+  const slide = slideCatalog.get(filename);
+  if (!slide) {
+    return res.status(404).json({ error: 'Slide not found', message: `No slide named ${filename}` });
+  }
+  if (activeConversions.has(filename)) {
+    return res.status(409).json({ error: 'Slide is being converted', message: 'Wait for the conversion to finish before renaming' });
+  }
+
+  const target = getRenameTarget(slide, newBaseName);
+  const newName = target.newName;
+  if (newName === filename) {
+    return res.json({ success: true, oldName: filename, newName, renamedComponents: [], slide });
+  }
+  if (isSlideNameTaken(target)) {
+    return res.status(409).json({ error: 'Name already in use', message: `A slide named ${newName} already exists` });
+  }
+
+  try {
+    const result = await renameSlide(filename, target);
+    audit(req, 'slide.rename', filename, { newName });
+    res.json({ success: true, oldName: filename, newName, ...result });
+  } catch (error) {
+    console.error(`Rename failed for ${filename}:`, error);
+    res.status(500).json({ error: 'Rename failed', details: error.message });
+  }
+});
+
+// API endpoint to rebuild the slide catalog from a full scan of the slide and DZI folders
+app.post('/api/slides/rescan', auth.requireRole('technician'), async (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Rescan only available in server mode' });
+  }
+
+  try {
+    const count = await slideCatalog.rebuild();
+    res.json({ success: true, slides: count });
+  } catch (error) {
+    console.error('Slide catalog rebuild failed:', error);
+    res.status(500).json({ error: 'Rescan failed', details: error.message });
+  }
+});
+
+// ===== SLIDE ANNOTATIONS =====
+
+// API endpoint to list annotations for a slide
+app.get('/api/slides/:filename/annotations', (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Annotations only available in server mode' });
+  }
+
+  const slideName = req.params.filename;
+  if (!annotationStore.hasSlide(slideName)) {
+    return res.status(404).json({ error: 'Slide not found', message: `No converted slide named ${slideName}` });
+  }
+
+  res.json({ slide: slideName, annotations: annotationStore.list(slideName) });
+});
+
+// API endpoint to create an annotation
+app.post('/api/slides/:filename/annotations', (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Annotations only available in server mode' });
+  }
+
+  const slideName = req.params.filename;
+  if (!annotationStore.hasSlide(slideName)) {
+    return res.status(404).json({ error: 'Slide not found', message: `No converted slide named ${slideName}` });
+  }
+
+  const validationErrors = annotationStore.validate(req.body);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ error: 'Invalid annotation', errors: validationErrors });
+  }
+
+  try {
+    const annotation = annotationStore.create(slideName, req.body, req.user.username);
+    console.log(`Annotation created on ${slideName}: ${annotation.id} (${annotation.type})`);
+    audit(req, 'annotation.create', slideName, { id: annotation.id, type: annotation.type });
+
+    broadcastToClients({
+      type: 'annotation_created',
+      filename: slideName,
+      annotation
+    });
+
+    res.status(201).json(annotation);
+  } catch (error) {
+    console.error(`Failed to create annotation on ${slideName}:`, error);
+    res.status(500).json({ error: 'Failed to save annotation', details: error.message });
+  }
+});
+
+// API endpoint to update an annotation (label, color or geometry)
+app.put('/api/slides/:filename/annotations/:id', (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Annotations only available in server mode' });
+  }
+
+  const slideName = req.params.filename;
+  const existing = annotationStore.hasSlide(slideName) ? annotationStore.get(slideName, req.params.id) : null;
+  if (!existing) {
+    return res.status(404).json({ error: 'Annotation not found' });
+  }
+
+  const validationErrors = annotationStore.validate({ ...existing, ...req.body });
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ error: 'Invalid annotation', errors: validationErrors });
+  }
+
+  try {
+    const annotation = annotationStore.update(slideName, req.params.id, req.body, req.user.username);
+    audit(req, 'annotation.update', slideName, { id: annotation.id, type: annotation.type });
+
+    broadcastToClients({
+      type: 'annotation_updated',
+      filename: slideName,
+      annotation
+    });
+
+    res.json(annotation);
+  } catch (error) {
+    console.error(`Failed to update annotation ${req.params.id} on ${slideName}:`, error);
+    res.status(500).json({ error: 'Failed to save annotation', details: error.message });
+  }
+});
+
+// API endpoint to delete an annotation
+app.delete('/api/slides/:filename/annotations/:id', (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Annotations only available in server mode' });
+  }
+
+  const slideName = req.params.filename;
+  try {
+    if (!annotationStore.hasSlide(slideName) || !annotationStore.remove(slideName, req.params.id)) {
+      return res.status(404).json({ error: 'Annotation not found' });
+    }
+    console.log(`Annotation deleted on ${slideName}: ${req.params.id}`);
+    audit(req, 'annotation.delete', slideName, { id: req.params.id });
+
+    broadcastToClients({
+      type: 'annotation_deleted',
+      filename: slideName,
+      annotationId: req.params.id
+    });
+
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    console.error(`Failed to delete annotation ${req.params.id} on ${slideName}:`, error);
+    res.status(500).json({ error: 'Failed to delete annotation', details: error.message });
+  }
+});
+
+// ===== REGION EXPORT =====
+
+const regionExportLimits = { ...DEFAULT_EXPORT_LIMITS, ...(config.appConfig.regionExport || {}) };
+
+// API endpoint to download a crop of a slide at a chosen magnification:
+// ?x=&y=&w=&h= (full-resolution pixels), level= (Deep Zoom level) or mpp= (µm per output pixel),
+// format=png|jpeg|tiff, source=dzi|original (default: the converted pyramid when there is one)
+app.get('/api/slides/:filename/region', async (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Region export only available in server mode' });
+  }
+
+  const slideName = req.params.filename;
+  const slide = slideCatalog.get(slideName);
+  if (!slide) {
+    return res.status(404).json({ error: 'Slide not found', message: `No slide named ${slideName}` });
+  }
+
+  try {
+    const sourcePath = slideCatalog.getSourcePath(slide);
+    const hasSource = Boolean(sourcePath) && fs.existsSync(sourcePath);
+    const pyramid = req.query.source !== 'original' ? await openSlideImage(slideName) : null;
+    if (!pyramid && (req.query.source === 'dzi' || !hasSource)) {
+      const reason = req.query.source === 'original' ? 'Original file not available'
+        : req.query.source === 'dzi' ? 'Slide not converted' : 'Slide not converted and original file not available';
+      return res.status(404).json({ error: reason, message: `Nothing to export ${slideName} from` });
+    }
+
+    const geometry = pyramid ? pyramid.source.descriptor : await liveTiles.describe(sourcePath);
+    const { errors, request } = parseRegionQuery(req.query, {
+      width: geometry.width,
+      height: geometry.height,
+      maxLevel: Math.ceil(Math.log2(Math.max(geometry.width, geometry.height))),
+      mpp: slide.mpp
+    }, regionExportLimits);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid region', errors });
+    }
+
+    let image;
+    if (pyramid) {
+      const scaled = await readPyramidRegion(pyramid.source, request.region, request.width, request.height);
+      image = sharp(scaled.data, { raw: scaled.info });
+    } else {
+      const { header } = await liveTiles.getHeader(sourcePath);
+      image = await liveTiles.readRegion(sourcePath, header, request.region, request.width, request.height);
+    }
+    const data = await encodeRegion(image, request);
+
+    console.log(`📤 Exported ${request.width}x${request.height} region of ${slideName} from ${pyramid ? 'DZI' : 'original file'}`);
+    audit(req, 'slide.export-region', slideName, { region: request.region, width: request.width, height: request.height, format: request.format });
+    // In anonymization mode the file is named by the slide's pseudonym
+    res.attachment(exportFileName(exportSlideName(slide), request));
+    res.setHeader('X-Region-Source', pyramid ? 'dzi' : 'original');
+    res.send(data);
+  } catch (error) {
+    if (error instanceof LiveTileSource.LiveTileError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error(`Region export failed for ${slideName}:`, error);
+    res.status(500).json({ error: 'Region export failed', details: error.message });
+  }
+});
+
+// ===== LABEL BARCODES =====
+
+// app-config.json metadata.barcode: autoRename renames new slides to their barcode value,
+// autoFile files them into the case named by the barcode's accession
+function getBarcodeConfig() {
+  return { autoRename: false, autoFile: true, ...(config.appConfig.metadata?.barcode || {}) };
+}
+
+// A file basename the rename route would accept, e.g. "S24-1234/B2" -> "S24-1234_B2"
+function barcodeToBaseName(value) {
+  return String(value).trim().replace(/[^\w\-. ]+/g, '_').replace(/^[._]+/, '').slice(0, 120);
+}
+
+// Act on a newly converted slide's decoded label barcode. Failures are logged, never thrown:
+// the conversion itself has already succeeded.
+async function applyLabelBarcode(baseName) {
+  if (!slideCatalog || !caseStore) return;
+  let slide = slideCatalog.get(baseName);
+  const barcode = slide && slide.metadata && slide.metadata.barcode;
+  if (!barcode || !barcode.value) return;
+
+  const barcodeConfig = getBarcodeConfig();
+  try {
+    if (barcodeConfig.autoRename && slide.originalFile) {
+      const newBaseName = barcodeToBaseName(barcode.value);
+      const target = getRenameTarget(slide, newBaseName);
+      if (newBaseName && target.newName !== baseName) {
+        if (isSlideNameTaken(target)) {
+          console.warn(`⚠️ Not renaming ${baseName} to label barcode ${barcode.value}: ${target.newName} already exists`);
+        } else {
+          slide = (await renameSlide(baseName, target)).slide;
+          auditSystem('slide.rename', baseName, { newName: slide.name, source: 'barcode' });
+        }
+      }
+    }
+
+    if (barcodeConfig.autoFile && !caseStore.findBySlide(slide.name)) {
+      const parsed = caseStore.parseLabelValue(barcode.value);
+      if (parsed) {
+        const result = caseStore.assign({ ...parsed, slide: slide.name, source: 'barcode' });
+        console.log(`📁 Filed ${slide.name} under ${parsed.accession} (from label barcode)`);
+        if (result.previousCase) broadcastCaseUpdate(result.previousCase);
+        broadcastCaseUpdate(result.caseRecord);
+      }
+    }
+  } catch (error) {
+    console.warn(`Label barcode actions failed for ${baseName}: ${error.message}`);
+  }
+}
+
+// API endpoint to decode (or re-decode) the label barcode of a converted slide, e.g. for slides
+// converted before barcode decoding existed. The result is saved to the slide's _metadata.json.
+app.post('/api/slides/:filename/barcode', auth.requireRole('technician'), async (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Barcode decoding only available in server mode' });
+  }
+
+  const slideName = req.params.filename;
+  const slide = slideCatalog.get(slideName);
+  if (!slide) {
+    return res.status(404).json({ error: 'Slide not found', message: `No slide named ${slideName}` });
+  }
+
+  try {
+    const outputs = await slideCatalog.locateOutputs(slideName);
+    const metadataJsonPath = outputs.metadataJsonPath;
+    const labelPath = path.join(path.dirname(metadataJsonPath), `${slideName}_label.jpg`);
+    if (!fs.existsSync(metadataJsonPath) || !fs.existsSync(labelPath)) {
+      return res.status(404).json({ error: 'No label image', message: `${slideName} has no extracted label image` });
+    }
+
+    const barcode = await metadataExtractor.decodeLabelBarcode(labelPath);
+    const metadata = JSON.parse(fs.readFileSync(metadataJsonPath, 'utf8'));
+    metadata.barcode = barcode;
+    const tempPath = `${metadataJsonPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(metadata, null, 2));
+    fs.renameSync(tempPath, metadataJsonPath);
+    await refreshCatalogEntry(slideName);
+
+    res.json({ success: true, filename: slideName, barcode });
+  } catch (error) {
+    console.error(`Barcode decoding failed for ${slideName}:`, error);
+    res.status(500).json({ error: 'Barcode decoding failed', details: error.message });
+  }
+});
+
+// ===== DE-IDENTIFICATION =====
+
+// Name a slide goes by in anything that leaves the lab: exported files, IIIF labels, share links
+function exportSlideName(slide) {
+  return deidentifier ? deidentifier.exportName(slide) : slide.name;
+}
+
+// Catalog entry as slide listings send it. In anonymization mode a slide not yet de-identified
+// (or whose de-identification failed) is listed without its label text, barcode, label and macro
+// images and scanner metadata, which the /dzi gate holds back for the same reason.
+function listedSlide(slide) {
+  if (!deidentifier || !deidentifier.enabled || slide.deidentifiedAt) return slide;
+  const { metadata, barcode, label, labelUrl, macroUrl, ...listed } = slide;
+  return listed;
+}
+
+function exportCaseName(caseRecord) {
+  return deidentifier ? deidentifier.caseExportName(caseRecord) : caseRecord.accession;
+}
+
+// Case descriptions are free text that can name the patient; anonymization mode keeps them in the lab
+const exportCaseDescription = caseRecord => deidentifier && deidentifier.enabled ? null : caseRecord.description;
+
+// Whether a slide's extracted files have been through de-identification (or there are none)
+function isDeidentified(outputs) {
+  const metadataDir = path.dirname(outputs.metadataJsonPath);
+  if (fs.existsSync(outputs.metadataJsonPath)) {
+    const metadata = JSON.parse(fs.readFileSync(outputs.metadataJsonPath, 'utf8'));
+    if (metadata.deidentifiedAt) return true;
+  }
+  const baseName = path.basename(outputs.metadataJsonPath, '_metadata.json');
+  return !['_metadata.json', '_label.jpg', '_macro.jpg'].some(suffix => fs.existsSync(path.join(metadataDir, `${baseName}${suffix}`)));
+}
+
+// De-identify one slide's label, macro and metadata files in place. Runs after the label barcode
+// has been used to name and file the slide; the barcode is dropped along with the label.
+// req is the admin's request when asked for, null when anonymization mode does it.
+async function deidentifySlide(baseName, req = null) {
+  const outputs = await slideCatalog.locateOutputs(baseName);
+  const result = await deidentifier.deidentifyFiles(outputs.metadataJsonPath, baseName);
+  await refreshCatalogEntry(baseName);
+  console.log(`🕶️ De-identified ${baseName}: label ${result.label || 'none'}, macro ${result.macro || 'none'}, ${result.removedProperties} properties removed`);
+  if (req) audit(req, 'slide.deidentify', baseName, result);
+  else auditSystem('slide.deidentify', baseName, result);
+  return result;
+}
+
+async function deidentifyPendingSlides() {
+  let count = 0;
+  for (const slide of slideCatalog.list()) {
+    try {
+      if (isDeidentified(await slideCatalog.locateOutputs(slide.name))) continue;
+      await deidentifySlide(slide.name);
+      count++;
+    } catch (error) {
+      console.error(`De-identification failed for ${slide.name}: ${error.message}`);
+    }
+  }
+  if (count > 0) console.log(`🕶️ Anonymization mode: de-identified ${count} existing slide(s)`);
+}
+
+// In anonymization mode, label and macro images and metadata files are only served once the
+// slide has been de-identified (in between conversion finishing and de-identification)
+app.use('/dzi', (req, res, next) => {
+  if (!deidentifier || !deidentifier.enabled || !/_(label|macro)\.jpg$|_metadata\.json$/i.test(req.path)) return next();
+  const slide = findSlideForPath(req.baseUrl, req.path);
+  if (!slide || !slide.deidentifiedAt) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  next();
+});
+
+// Source files still embed the label and macro images and every scanner property, so in
+// anonymization mode only admins can download them
+app.use('/slides', (req, res, next) => {
+  if (!deidentifier || !deidentifier.enabled || req.user.role === 'admin') return next();
+  res.status(403).json({ error: 'Forbidden', message: 'Original slide files are not available in anonymization mode' });
+});
+
+// API endpoint to de-identify a slide now, whether or not anonymization mode is on, e.g. before
+// it goes into a research dataset. The label image and identifying metadata are not kept.
+app.post('/api/slides/:filename/deidentify', auth.requireRole('admin'), async (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'De-identification only available in server mode' });
+  }
+
+  const slideName = req.params.filename;
+  const slide = slideCatalog.get(slideName);
+  if (!slide) {
+    return res.status(404).json({ error: 'Slide not found', message: `No slide named ${slideName}` });
+  }
+
+  try {
+    const result = await deidentifySlide(slideName, req);
+    res.json({ success: true, filename: slideName, pseudonym: deidentifier.pseudonym(slide.id), ...result });
+  } catch (error) {
+    console.error(`De-identification failed for ${slideName}:`, error);
+    res.status(500).json({ error: 'De-identification failed', details: error.message });
+  }
+});
+
+// ===== CASES =====
+
+// A case as a user may see it: slides hidden by access rules are left out
+function caseForUser(caseRecord, user) {
+  const slides = caseRecord.slides.filter(ref => canSeeSlideNamed(user, ref.name));
+  return slides.length === caseRecord.slides.length ? caseRecord : { ...caseRecord, slides };
+}
+
+// Slide references enriched with their catalog entries, for clients that open slides from a case
+function withSlideDetails(caseRecord, user) {
+  const visible = caseForUser(caseRecord, user);
+  return {
+    ...visible,
+    slides: visible.slides.map(ref => {
+      const slide = slideCatalog.get(ref.name);
+      return { ...ref, slide: slide && listedSlide(slide) };
+    })
+  };
+}
+
+function broadcastCaseUpdate(caseRecord) {
+  broadcastToClients({ type: 'case_updated', id: caseRecord.id, case: caseRecord });
+}
+
+// Accession sources for a slide, most reliable first: decoded barcode, scanner barcode field, file name
+function getCaseLabelCandidates(slide) {
+  const metadata = slide.metadata || {};
+  const raw = (metadata.properties && metadata.properties.raw) || {};
+  return [
+    { source: 'barcode', value: metadata.barcode && metadata.barcode.value },
+    { source: 'label', value: raw['aperio.Barcode'] },
+    { source: 'filename', value: slide.originalName || slide.name }
+  ].filter(candidate => candidate.value);
+}
+
+// API endpoint to list cases (?q= filters by accession/case ID/description, ?slide= by slide)
+app.get('/api/cases', (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Cases only available in server mode' });
+  }
+  const cases = caseStore.list({ q: req.query.q, slide: req.query.slide })
+    .filter(caseRecord => canSeeCase(req.user, caseRecord))
+    .map(caseRecord => caseForUser(caseRecord, req.user));
+  res.json({ cases });
+});
+
+// API endpoint to create a case
+app.post('/api/cases', auth.requireRole('technician'), (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Cases only available in server mode' });
+  }
+
+  const errors = caseStore.validate(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid case', errors });
+  }
+  if (caseStore.findByAccession(req.body.accession)) {
+    return res.status(409).json({ error: 'Accession already exists', message: `A case with accession ${req.body.accession} already exists` });
+  }
+
+  try {
+    const caseRecord = caseStore.create({ ...req.body, source: 'manual' });
+    audit(req, 'case.create', caseRecord.accession, { id: caseRecord.id });
+    broadcastCaseUpdate(caseRecord);
+    res.status(201).json(caseRecord);
+  } catch (error) {
+    console.error('Failed to create case:', error);
+    res.status(500).json({ error: 'Failed to create case', details: error.message });
+  }
+});
+
+// API endpoint to find or create the case for an accession and attach a slide to it
+app.post('/api/cases/assign', auth.requireRole('technician'), (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Cases only available in server mode' });
+  }
+
+  const { slide, part, block, stain } = req.body;
+  const errors = caseStore.validate({ accession: req.body.accession, caseId: req.body.caseId });
+  if (!slide || !slideCatalog.get(slide) || !canSeeSlideNamed(req.user, slide)) errors.push('slide must name an existing slide');
+  if (block && !part) errors.push('block requires part');
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid assignment', errors });
+  }
+
+  try {
+    const result = caseStore.assign({ accession: req.body.accession, caseId: req.body.caseId, slide, part, block, stain, source: 'manual' });
+    audit(req, 'case.attach-slide', result.caseRecord.accession, { id: result.caseRecord.id, slide, created: result.created });
+    if (result.previousCase) broadcastCaseUpdate(result.previousCase);
+    broadcastCaseUpdate(result.caseRecord);
+    res.status(result.created ? 201 : 200).json(withSlideDetails(result.caseRecord, req.user));
+  } catch (error) {
+    console.error('Failed to assign slide to case:', error);
+    res.status(500).json({ error: 'Failed to assign slide', details: error.message });
+  }
+});
+
+// API endpoint to file a slide into a case using its barcode/label metadata or file name
+app.post('/api/cases/from-slide/:filename', auth.requireRole('technician'), (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Cases only available in server mode' });
+  }
+
+  const slideName = req.params.filename;
+  const slide = slideCatalog.get(slideName);
+  if (!slide) {
+    return res.status(404).json({ error: 'Slide not found', message: `No slide named ${slideName}` });
+  }
+
+  const candidates = getCaseLabelCandidates(slide);
+  let parsed = null;
+  let source = null;
+  for (const candidate of candidates) {
+    parsed = caseStore.parseLabelValue(candidate.value);
+    if (parsed) {
+      source = candidate.source;
+      break;
+    }
+  }
+  if (!parsed) {
+    return res.status(422).json({
+      error: 'No accession found',
+      message: 'Neither the label barcode nor the file name contains a recognizable accession number',
+      checked: candidates
+    });
+  }
+
+  try {
+    const result = caseStore.assign({ ...parsed, slide: slideName, source });
+    console.log(`📁 Filed ${slideName} under ${parsed.accession} (from ${source})`);
+    audit(req, 'case.attach-slide', result.caseRecord.accession, { id: result.caseRecord.id, slide: slideName, created: result.created, matchedFrom: source });
+    if (result.previousCase) broadcastCaseUpdate(result.previousCase);
+    broadcastCaseUpdate(result.caseRecord);
+    res.status(result.created ? 201 : 200).json({ ...withSlideDetails(result.caseRecord, req.user), matchedFrom: source });
+  } catch (error) {
+    console.error('Failed to file slide into case:', error);
+    res.status(500).json({ error: 'Failed to file slide', details: error.message });
+  }
+});
+
+// API endpoint to get a case with its slides
+app.get('/api/cases/:id', (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Cases only available in server mode' });
+  }
+
+  const caseRecord = caseStore.get(req.params.id);
+  if (!caseRecord) {
+    return res.status(404).json({ error: 'Case not found' });
+  }
+  res.json(withSlideDetails(caseRecord, req.user));
+});
+
+// API endpoint to update case fields and its part/block tree
+app.put('/api/cases/:id', auth.requireRole('technician'), (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Cases only available in server mode' });
+  }
+
+  const errors = caseStore.validate(req.body, true);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid case', errors });
+  }
+  if (req.body.accession) {
+    const clash = caseStore.findByAccession(req.body.accession);
+    if (clash && clash.id !== req.params.id) {
+      return res.status(409).json({ error: 'Accession already exists', message: `A case with accession ${req.body.accession} already exists` });
+    }
+  }
+
+  try {
+    const caseRecord = caseStore.update(req.params.id, req.body);
+    if (!caseRecord) {
+      return res.status(404).json({ error: 'Case not found' });
+    }
+    audit(req, 'case.update', caseRecord.accession, { id: caseRecord.id, fields: Object.keys(req.body) });
+    broadcastCaseUpdate(caseRecord);
+    res.json(caseForUser(caseRecord, req.user));
+  } catch (error) {
+    console.error('Failed to update case:', error);
+    res.status(500).json({ error: 'Failed to update case', details: error.message });
+  }
+});
+
+// API endpoint to delete a case (slides themselves are untouched)
+app.delete('/api/cases/:id', auth.requireRole('technician'), (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Cases only available in server mode' });
+  }
+
+  const caseRecord = caseStore.get(req.params.id);
+  try {
+    if (!caseStore.remove(req.params.id)) {
+      return res.status(404).json({ error: 'Case not found' });
+    }
+    audit(req, 'case.delete', caseRecord ? caseRecord.accession : req.params.id, { id: req.params.id });
+    broadcastToClients({ type: 'case_deleted', id: req.params.id });
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    console.error('Failed to delete case:', error);
+    res.status(500).json({ error: 'Failed to delete case', details: error.message });
+  }
+});
+
+// API endpoint to attach a slide to a case (optionally to a part/block by label or ID)
+app.post('/api/cases/:id/slides', auth.requireRole('technician'), (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Cases only available in server mode' });
+  }
+
+  const { slide, part, block, partId, blockId, stain } = req.body;
+  if (!slide || !slideCatalog.get(slide) || !canSeeSlideNamed(req.user, slide)) {
+    return res.status(400).json({ error: 'Invalid slide', errors: ['slide must name an existing slide'] });
+  }
+
+  try {
+    const result = caseStore.attachSlide(req.params.id, { slide, part, block, partId, blockId, stain });
+    if (!result) {
+      return res.status(404).json({ error: 'Case not found' });
+    }
+    audit(req, 'case.attach-slide', result.caseRecord.accession, { id: result.caseRecord.id, slide });
+    if (result.previousCase) broadcastCaseUpdate(result.previousCase);
+    broadcastCaseUpdate(result.caseRecord);
+    res.json(withSlideDetails(result.caseRecord, req.user));
+  } catch (error) {
+    console.error('Failed to attach slide:', error);
+    res.status(500).json({ error: 'Failed to attach slide', details: error.message });
+  }
+});
+
+// API endpoint to detach a slide from a case
+app.delete('/api/cases/:id/slides/:slide', auth.requireRole('technician'), (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Cases only available in server mode' });
+  }
+
+  try {
+    const caseRecord = caseStore.detachSlide(req.params.id, req.params.slide);
+    if (!caseRecord) {
+      return res.status(404).json({ error: 'Slide not attached to this case' });
+    }
+    audit(req, 'case.detach-slide', caseRecord.accession, { id: caseRecord.id, slide: req.params.slide });
+    broadcastCaseUpdate(caseRecord);
+    res.json(caseForUser(caseRecord, req.user));
+  } catch (error) {
+    console.error('Failed to detach slide:', error);
+    res.status(500).json({ error: 'Failed to detach slide', details: error.message });
+  }
+});
+
+// ===== CONVERSION QUEUE =====
+
+// API endpoint to list the conversion server queue (run order) and running jobs
+app.get('/api/conversions/queue', async (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Conversion queue only available in server mode' });
+  }
+  if (!autoProcessor || !autoProcessor.conversionClient) {
+    return res.status(503).json({ error: 'Conversion server unavailable' });
+  }
+
+  try {
+    const { queue, active, ...rest } = await autoProcessor.conversionClient.getQueue();
+    res.json({ ...rest, queue: visibleJobs(req.user, queue), active: visibleJobs(req.user, active) });
+  } catch (error) {
+    res.status(502).json({ error: 'Conversion server unavailable', details: error.message });
+  }
+});
+
+// API endpoint to reorder a queued job: bump, move { position }, pause, resume, priority { priority }
+app.post('/api/conversions/queue/:jobId/:action(bump|move|pause|resume|priority)', auth.requireRole('technician'), async (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Conversion queue only available in server mode' });
+  }
+  if (!autoProcessor || !autoProcessor.conversionClient) {
+    return res.status(503).json({ error: 'Conversion server unavailable' });
+  }
+
+  const { jobId, action } = req.params;
+  const body = {};
+  if (action === 'move') body.position = req.body?.position;
+  if (action === 'priority') body.priority = req.body?.priority;
+
+  try {
+    // Jobs for slides the access rules hide answer as the conversion server does for unknown ones
+    const { queue } = await autoProcessor.conversionClient.getQueue();
+    const job = queue.find(item => item.id === jobId);
+    if (job && visibleJobs(req.user, [job]).length === 0) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const result = await autoProcessor.conversionClient.updateQueuedJob(jobId, action, body);
+    broadcastToClients({ type: 'conversion_queue_updated', action, jobId, queue: result.queue, active: result.active });
+    res.json(messageForUser(result, req.user));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Queue update failed', details: error.message });
+  }
+});
+
+// Tile encodings available for conversions: the configured default and the named profiles
+app.get('/api/conversions/tile-profiles', (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Tile profiles only available in server mode' });
+  }
+
+  const dziConfig = config.appConfig.conversion?.dzi || {};
+  const profiles = {};
+  for (const name of Object.keys(dziConfig.profiles || {})) {
+    profiles[name] = resolveTileSettings(dziConfig, name);
+  }
+  res.json({
+    default: resolveTileSettings(dziConfig),
+    profiles,
+    folders: dziConfig.folders || {},
+    formats: Object.keys(TILE_FORMATS)
+  });
+});
+
+// Conversion attempt history (filters are passed through to the conversion server)
+app.get('/api/conversions/history', async (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Conversion history only available in server mode' });
+  }
+  if (!autoProcessor || !autoProcessor.conversionClient) {
+    return res.status(503).json({ error: 'Conversion server unavailable' });
+  }
+
+  try {
+    const conversionClient = autoProcessor.conversionClient;
+    if (!accessNarrowed(req.user)) {
+      return res.json(await conversionClient.getHistory(req.query));
+    }
+    // Filter one window of the latest attempts and page it here, so totals and stats only count
+    // slides this user can see
+    const offset = parseInt(req.query.offset) || 0;
+    const limit = Math.min(parseInt(req.query.limit) || 100, ConversionHistoryStore.MAX_LIMIT);
+    const { records } = await conversionClient.getHistory({ ...req.query, offset: 0, limit: ConversionHistoryStore.MAX_LIMIT });
+    const visible = records.filter(record => canSeeSlideNamed(req.user, record.slide));
+    res.json({ total: visible.length, records: visible.slice(offset, offset + limit), stats: ConversionHistoryStore.summarize(visible) });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message, errors: error.errors || [] });
+    }
+    res.status(502).json({ error: 'Conversion server unavailable', details: error.message });
+  }
+});
+
+// API endpoint for the dead-letter list: conversions that failed for good, whether on the
+// conversion server or before they could be queued there
+app.get('/api/conversions/failed', async (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Conversion queue only available in server mode' });
+  }
+  if (!autoProcessor || !autoProcessor.conversionClient) {
+    return res.status(503).json({ error: 'Conversion server unavailable' });
+  }
+
+  try {
+    const { retryPolicy, jobs } = await autoProcessor.conversionClient.getFailedJobs();
+    const failed = visibleJobs(req.user, jobs).map(job => ({
+      id: job.id,
+      key: job.key,
+      fileName: job.payload?.inputPath ? path.basename(job.payload.inputPath) : null,
+      error: job.error,
+      errorClass: job.errorClass || 'unknown',
+      attempts: job.attempts,
+      priority: job.priority,
+      finishedAt: job.finishedAt,
+      source: 'conversion-server'
+    }));
+    const failedStarts = autoProcessor.getFailedStarts()
+      .filter(start => canSeeSlideNamed(req.user, start.key) && !jobs.some(job => job.key === start.key));
+    res.json({ retryPolicy, failed: [...failedStarts, ...failed], count: failed.length + failedStarts.length });
+  } catch (error) {
+    res.status(502).json({ error: 'Conversion server unavailable', details: error.message });
+  }
+});
+
+// API endpoint to retry dead-lettered conversions: { ids: [...] }, or every one when ids is omitted
+app.post('/api/conversions/failed/retry', auth.requireRole('technician'), async (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Conversion queue only available in server mode' });
+  }
+  if (!autoProcessor || !autoProcessor.conversionClient) {
+    return res.status(503).json({ error: 'Conversion server unavailable' });
+  }
+
+  const ids = req.body?.ids;
+  if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => typeof id !== 'string'))) {
+    return res.status(400).json({ error: 'Invalid retry request', errors: ['ids must be an array of job IDs'] });
+  }
+
+  try {
+    const conversionClient = autoProcessor.conversionClient;
+    const { jobs } = await conversionClient.getFailedJobs();
+    const startIds = autoProcessor.getFailedStarts().map(start => start.id);
+    const targets = ids || [...startIds, ...jobs.map(job => job.id)];
+
+    const retried = [];
+    const errors = [];
+    for (const id of targets) {
+      if (startIds.includes(id)) {
+        const key = id.replace(/^start_/, '');
+        autoProcessor.retryFailedStart(key);
+        retried.push({ id, key });
+        continue;
+      }
+      try {
+        const result = await conversionClient.retryJob(id);
+        const job = jobs.find(j => j.id === id);
+        // Follow the job so the usual completion handling (staging move, catalog refresh) runs
+        conversionClient.resumeTracking(result.key, {
+          inputPath: job?.payload?.inputPath,
+          slidesDir: job?.payload?.slidesDir,
+          dziDir: job?.payload?.dziDir
+        });
+        retried.push({ id, type: job?.type, key: result.key, queuePosition: result.queuePosition });
+      } catch (error) {
+        errors.push({ id, error: error.message });
+      }
+    }
+
+    if (retried.length > 0) {
+      broadcastToClients({ type: 'conversion_retry_queued', retried });
+    }
+    res.json({ success: errors.length === 0, retried: visibleJobs(req.user, retried), errors });
+  } catch (error) {
+    res.status(500).json({ error: 'Retry failed', details: error.message });
+  }
+});
+
+// ===== SLIDE REGISTRATION =====
+
+// Register two converted slides on the conversion server and store the result as pair metadata.
+// Runs in the background; clients hear back through registration_complete/registration_error.
+async function runRegistration(jobId, fixedSlide, movingSlide, method) {
+  const conversionClient = autoProcessor.conversionClient;
+  try {
+    const [fixedOutputs, movingOutputs] = await Promise.all([
+      slideCatalog.locateOutputs(fixedSlide.name),
+      slideCatalog.locateOutputs(movingSlide.name)
+    ]);
+    await conversionClient.startRegistration({
+      jobId,
+      fixedDziPath: fixedOutputs.dziPath,
+      movingDziPath: movingOutputs.dziPath,
+      fixedMpp: fixedSlide.mpp,
+      movingMpp: movingSlide.mpp,
+      method
+    });
+  } catch (error) {
+    reportRegistrationError(jobId, fixedSlide.name, movingSlide.name, error);
+    return;
+  }
+  // Kept until the result is stored, so a restart while the job waits in the queue doesn't lose it
+  registrationStore.addPending({ jobId, fixed: fixedSlide.name, moving: movingSlide.name, method });
+  await followRegistration(jobId);
+}
+
+// Wait for a queued registration job and store its result
+async function followRegistration(jobId) {
+  const pending = registrationStore.listPending().find(p => p.jobId === jobId);
+  if (!pending) return;
+  try {
+    const result = await autoProcessor.conversionClient.waitForRegistration(jobId);
+    // The pending record follows renames while the job runs, and is dropped if a slide is deleted
+    const current = registrationStore.listPending().find(p => p.jobId === jobId);
+    if (!current) {
+      console.log(`Registration ${jobId} finished after one of its slides was deleted; result discarded`);
+      return;
+    }
+    const { fixed, moving, method } = current;
+    const registration = registrationStore.put(fixed, moving, result, jobId);
+
+    console.log(`✅ Registered ${moving} → ${fixed} (${method}, rotation ${result.rotation}°)`);
+    broadcastToClients({ type: 'registration_complete', jobId, registration });
+  } catch (error) {
+    registrationStore.removePending(jobId);
+    reportRegistrationError(jobId, pending.fixed, pending.moving, error);
+  }
+}
+
+function reportRegistrationError(jobId, fixed, moving, error) {
+  console.error(`❌ Registration failed for ${moving} → ${fixed}:`, error.message);
+  broadcastToClients({ type: 'registration_error', jobId, fixed, moving, error: error.message });
+}
+
+// API endpoint to list stored registrations (?slide= limits to pairs containing a slide)
+app.get('/api/registrations', (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Registration only available in server mode' });
+  }
+  const registrations = registrationStore.list({ slide: req.query.slide })
+    .filter(r => canSeeSlideNamed(req.user, r.fixed) && canSeeSlideNamed(req.user, r.moving));
+  res.json({ registrations });
+});
+
+// API endpoint to get the transform mapping ?moving= image pixels onto ?fixed= image pixels
+app.get('/api/registrations/pair', (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Registration only available in server mode' });
+  }
+  const { fixed, moving } = req.query;
+  if (!fixed || !moving) {
+    return res.status(400).json({ error: 'fixed and moving are required' });
+  }
+
+  const registration = registrationStore.findPair(fixed, moving);
+  if (!registration || !canSeeSlideNamed(req.user, fixed) || !canSeeSlideNamed(req.user, moving)) {
+    return res.status(404).json({ error: 'Registration not found', message: `${moving} has not been registered to ${fixed}` });
+  }
+  res.json(registration);
+});
+
+// API endpoint to start a registration job between two converted slides
+app.post('/api/registrations', auth.requireRole('technician'), async (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Registration only available in server mode' });
+  }
+
+  const { fixed, moving } = req.body || {};
+  const method = (req.body && req.body.method) || 'rigid';
+  const errors = [];
+  if (!fixed) errors.push('fixed is required');
+  if (!moving) errors.push('moving is required');
+  if (fixed && fixed === moving) errors.push('fixed and moving must be different slides');
+  if (!REGISTRATION_METHODS.includes(method)) errors.push(`method must be one of: ${REGISTRATION_METHODS.join(', ')}`);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid registration request', errors });
+  }
+
+  const fixedSlide = slideCatalog.get(fixed);
+  const movingSlide = slideCatalog.get(moving);
+  for (const [name, slide] of [[fixed, fixedSlide], [moving, movingSlide]]) {
+    if (!slide || !canSeeSlide(req.user, slide)) {
+      return res.status(404).json({ error: 'Slide not found', message: `No slide named ${name}` });
+    }
+    if (!slide.converted || !slide.dziFile) {
+      return res.status(409).json({ error: 'Slide not converted', message: `${name} has no DZI output yet` });
+    }
+  }
+
+  if (!autoProcessor || !autoProcessor.conversionClient || !(await autoProcessor.conversionClient.isAvailable())) {
+    return res.status(503).json({ error: 'Conversion server unavailable', message: 'Registration runs on the conversion server' });
+  }
+
+  const jobId = `reg_job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  broadcastToClients({ type: 'registration_started', jobId, fixed, moving, method });
+  runRegistration(jobId, fixedSlide, movingSlide, method);
+
+  res.status(202).json({ success: true, jobId, status: 'queued', fixed, moving, method });
+});
+
+// API endpoint to delete a stored registration
+app.delete('/api/registrations/:id', auth.requireRole('technician'), (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Registration only available in server mode' });
+  }
+
+  try {
+    const registration = registrationStore.get(req.params.id);
+    if (!registration || !canSeeSlideNamed(req.user, registration.fixed) || !canSeeSlideNamed(req.user, registration.moving)) {
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+    registrationStore.remove(registration.id);
+    audit(req, 'registration.delete', `${registration.fixed}:${registration.moving}`, { id: registration.id });
+    broadcastToClients({ type: 'registration_deleted', id: registration.id, fixed: registration.fixed, moving: registration.moving });
+    res.json({ success: true, id: registration.id });
+  } catch (error) {
+    console.error('Failed to delete registration:', error);
+    res.status(500).json({ error: 'Failed to delete registration', details: error.message });
+  }
+});
+
+// ===== LIVE TILES =====
+
+// Deep Zoom descriptor and tiles cut on request from a slide's source file, so unconverted slides
+// can be viewed: /live/<name>/<name>.dzi and /live/<name>/<name>_files/<level>/<col>_<row>.<ext>
+const LIVE_TILE_PATTERN = /^\/live\/([^/]+)\/\1(?:\.dzi|_files\/(\d+)\/(\d+)_(\d+)\.([a-z]+))$/;
+
+app.get(LIVE_TILE_PATTERN, async (req, res) => {
+  if (config.isClientMode()) {
+    // Proxy to the lab server, which has the source files
+    try {
+      const stream = await labClient.streamLiveTile(req.path.slice('/live/'.length));
+      stream.pipe(res);
+    } catch (error) {
+      res.status(404).json({ error: 'Live tile not found on lab server' });
+    }
+    return;
+  }
+
+  if (!liveTiles.enabled) {
+    return res.status(503).json({ error: 'Live tiles are disabled', message: 'Set liveTiles.enabled in app-config.json' });
+  }
+
+  const slideName = req.params[0];
+  const slide = slideCatalog.get(slideName);
+  const sourcePath = slide ? slideCatalog.getSourcePath(slide) : null;
+  if (!sourcePath || !fs.existsSync(sourcePath)) {
+    return res.status(404).json({ error: 'Slide not found', message: `No source file for ${slideName}` });
+  }
+
+  try {
+    if (req.params[1] === undefined) {
+      res.type('application/xml');
+      res.setHeader('Cache-Control', 'no-cache');
+      return res.send(await liveTiles.getDescriptor(sourcePath));
+    }
+
+    const [level, col, row] = [req.params[1], req.params[2], req.params[3]].map(Number);
+    const tile = req.params[4] === liveTiles.extension ? await liveTiles.getTile(sourcePath, level, col, row) : null;
+    if (!tile) return res.status(404).end();
+    res.type(liveTiles.mimeType);
+    // Short lifetime: the source can still be replaced, unlike converted tiles
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.setHeader('X-Priority', 'high');
+    res.send(tile);
+  } catch (error) {
+    if (error instanceof LiveTileSource.LiveTileError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error(`Live tile read failed for ${slideName} (${req.path}):`, error.message);
+    res.status(500).json({ error: 'Live tile read failed', details: error.message });
+  }
+});
+
+// API endpoint for live tile cache and read statistics
+app.get('/api/live-tiles/status', (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Live tile status only available in server mode' });
+  }
+  res.json(liveTiles.getStatus());
+});
+
+// ===== IIIF =====
+
+// IIIF Image API 3.0 for converted slides and Presentation 3.0 manifests for cases, so external
+// viewers (Mirador etc.) and analysis tools can open them:
+//   /iiif/3/<slide>/info.json, /iiif/3/<slide>/{region}/{size}/{rotation}/{quality}.{format}
+//   /iiif/3/cases/<case id>/manifest
+const iiifLimits = { ...IIIF_DEFAULT_LIMITS, ...(config.appConfig.iiif || {}) };
+
+// Origin a request came in on, as the client saw it through any reverse proxy
+function getRequestBaseUrl(req) {
+  const protocol = (req.get('x-forwarded-proto') || req.protocol).split(',')[0].trim();
+  const host = (req.get('x-forwarded-host') || req.get('host')).split(',')[0].trim();
+  return `${protocol}://${host}`;
+}
+
+// IIIF ids are absolute URIs: app-config.json iiif.baseUrl, else the host the request came in on
+function getIiifBaseUrl(req) {
+  if (iiifLimits.baseUrl) return iiifLimits.baseUrl.replace(/\/$/, '');
+  return getRequestBaseUrl(req);
+}
+
+// Takes the name the slide goes by outside the lab (exportSlideName): its pseudonym in anonymization mode
+const iiifImageServiceId = (req, exportName) => `${getIiifBaseUrl(req)}/iiif/3/${encodeURIComponent(exportName)}`;
+
+// Pseudonym -> slide name, refilled from the catalog when a pseudonym isn't in it or is out of date
+const pseudonymNames = new Map();
+
+// Catalog name of the slide a IIIF URL names: in anonymization mode URLs carry the pseudonym, as
+// share links do, so real names (which may be accession numbers) never reach an outside viewer
+function iiifSlideName(urlName) {
+  if (!deidentifier || !deidentifier.enabled) return urlName;
+  const cached = pseudonymNames.get(urlName);
+  const cachedSlide = cached && slideCatalog.get(cached);
+  if (cachedSlide && exportSlideName(cachedSlide) === urlName) return cached;
+
+  pseudonymNames.clear();
+  for (const slide of slideCatalog.list()) pseudonymNames.set(exportSlideName(slide), slide.name);
+  return pseudonymNames.get(urlName) || null;
+}
+
+// Pyramid of a converted slide, or null (unknown names never reach the filesystem)
+async function openSlideImage(slideName) {
+  const slide = slideCatalog.get(slideName);
+  if (!slide || !slide.converted) return null;
+  const outputs = await slideCatalog.locateOutputs(slideName);
+  if (!outputs.hasDzi) return null;
+  const source = await openTileSource(path.dirname(outputs.dziPath), slideName);
+  return source ? { slide, source } : null;
+}
+
+function sendIiifJson(req, res, body, context) {
+  // JSON-LD clients ask for it; everything else gets plain JSON, as the spec allows
+  if (req.accepts(['application/json', 'application/ld+json']) === 'application/ld+json') {
+    res.type(`application/ld+json;profile="${context}"`);
+  } else {
+    res.type('application/json');
+  }
+  res.send(JSON.stringify(body, null, 2));
+}
+
+// API endpoint for a case's IIIF Presentation manifest
+app.get('/iiif/3/cases/:id/manifest', async (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'IIIF only available in server mode' });
+  }
+
+  const caseRecord = caseStore.get(req.params.id);
+  if (!caseRecord) {
+    return res.status(404).json({ error: 'Case not found' });
+  }
+
+  try {
+    const slides = [];
+    const viewed = [];
+    for (const slideRef of caseRecord.slides) {
+      const image = canSeeSlideNamed(req.user, slideRef.name) ? await openSlideImage(slideRef.name).catch(() => null) : null;
+      if (image) {
+        // Canvas and image service ids are built from the name, so they carry the pseudonym too
+        const exportName = exportSlideName(image.slide);
+        slides.push({ slideRef: { ...slideRef, name: exportName }, label: exportName, width: image.source.descriptor.width, height: image.source.descriptor.height });
+        viewed.push(slideRef.name);
+      }
+    }
+    audit(req, 'case.view', caseRecord.accession, { id: caseRecord.id, source: 'iiif', slides: viewed });
+    const manifest = buildCaseManifest(caseRecord, slides, {
+      manifestId: `${getIiifBaseUrl(req)}/iiif/3/cases/${encodeURIComponent(caseRecord.id)}/manifest`,
+      imageServiceId: slideName => iiifImageServiceId(req, slideName)
+    }, { label: exportCaseName(caseRecord), anonymized: Boolean(deidentifier && deidentifier.enabled) });
+    sendIiifJson(req, res, manifest, PRESENTATION_CONTEXT);
+  } catch (error) {
+    console.error(`Failed to build IIIF manifest for case ${caseRecord.accession}:`, error);
+    res.status(500).json({ error: 'Failed to build IIIF manifest', details: error.message });
+  }
+});
+
+// The image service URI itself redirects to its description
+app.get('/iiif/3/:slide', (req, res) => {
+  res.redirect(303, `${iiifImageServiceId(req, req.params.slide)}/info.json`);
+});
+
+app.get('/iiif/3/:slide/info.json', async (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'IIIF only available in server mode' });
+  }
+
+  try {
+    const image = await openSlideImage(iiifSlideName(req.params.slide));
+    if (!image) {
+      return res.status(404).json({ error: 'Slide not found', message: `${req.params.slide} does not exist or has not been converted` });
+    }
+    // IIIF viewers fetch info.json once when they open a slide, like the .dzi for our own viewer
+    audit(req, 'slide.view', image.slide.name, { source: 'iiif' });
+    const info = buildImageInfo(iiifImageServiceId(req, exportSlideName(image.slide)), image.source.descriptor, {
+      limits: iiifLimits,
+      mpp: image.slide.mpp
+    });
+    sendIiifJson(req, res, info, IIIF_IMAGE_CONTEXT);
+  } catch (error) {
+    console.error(`Failed to describe ${req.params.slide} for IIIF:`, error);
+    res.status(500).json({ error: 'Failed to read slide', details: error.message });
+  }
+});
+
+app.get('/iiif/3/:slide/:region/:size/:rotation/:file', async (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'IIIF only available in server mode' });
+  }
+
+  const fileMatch = req.params.file.match(/^([a-z]+)\.([a-z]+)$/);
+  if (!fileMatch) {
+    return res.status(400).json({ error: 'Invalid IIIF request', errors: ['last path segment must be {quality}.{format}'] });
+  }
+
+  try {
+    const image = await openSlideImage(iiifSlideName(req.params.slide));
+    if (!image) {
+      return res.status(404).json({ error: 'Slide not found', message: `${req.params.slide} does not exist or has not been converted` });
+    }
+
+    const { errors, request } = parseImageRequest({
+      region: req.params.region,
+      size: req.params.size,
+      rotation: req.params.rotation,
+      quality: fileMatch[1],
+      format: fileMatch[2]
+    }, image.source.descriptor, iiifLimits);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid IIIF request', errors });
+    }
+
+    const data = await renderImage(image.source, request, iiifLimits);
+    // Tiles are too many to record one by one, but a whole-slide image is a download in its own right
+    if (req.params.region === 'full') {
+      audit(req, 'slide.export-region', image.slide.name, { source: 'iiif', region: 'full', size: req.params.size, format: request.format });
+    }
+    res.type(IIIF_FORMATS[request.format].mimeType);
+    res.setHeader('Link', '<http://iiif.io/api/image/3/level2.json>;rel="profile"');
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.send(data);
+  } catch (error) {
+    console.error(`IIIF image request failed for ${req.params.slide} (${req.path}):`, error);
+    res.status(500).json({ error: 'IIIF image request failed', details: error.message });
+  }
+});
+
+// ===== SHARE LINKS =====
+
+// Expiring, read-only links for outside consultants to one slide or case, optionally behind a
+// password. The token in the link is signed with the session secret and names a share record, so
+// revoking the record ends the link at once. Consultants get converted tiles (/share/<token>/dzi,
+// in front of the /dzi static handler), annotations and metadata with everything showing the
+// label left out. Nothing under /share needs an account.
+
+// Who a link acts as: its creator with their current role (or the one they had, if the account is
+// gone), so a link never shows slides the access rules would hide from them
+function shareCreator(link) {
+  const user = userStore && userStore.findByUsername(link.createdBy);
+  return user ? { username: user.username, role: user.role } : { username: link.createdBy, role: link.createdByRole };
+}
+
+// Converted slides a link covers, as [{ slide, slideRef }] (slideRef only for case links)
+function sharedSlides(link) {
+  const creator = shareCreator(link);
+  let refs = [{ name: link.target }];
+  if (link.scope === 'case') {
+    const caseRecord = caseStore.get(link.target);
+    refs = caseRecord && canSeeCase(creator, caseRecord) ? caseRecord.slides : [];
+  }
+  return refs
+    .map(ref => ({ slide: slideCatalog.get(ref.name), slideRef: link.scope === 'case' ? ref : null }))
+    .filter(({ slide }) => slide && slide.converted && slide.dziFile && canSeeSlide(creator, slide));
+}
+
+// A slide of a link by the name the consultant knows it by (see exportSlideName)
+function findSharedSlide(link, name) {
+  return sharedSlides(link).find(({ slide }) => exportSlideName(slide) === name) || null;
+}
+
+// Share record behind a token, or null if the token is forged, expired or revoked
+function resolveShare(token) {
+  const payload = auth.enabled ? auth.decode(token) : null;
+  const link = payload && payload.share ? shareLinks.get(payload.share) : null;
+  if (!link || !shareLinks.isActive(link)) return null;
+  return { link, unlocked: !link.passwordHash || payload.unlocked === true };
+}
+
+// Middleware for /share/:token routes: 404 for dead links, 401 until the password has been given
+function requireShare(req, res, next) {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Share links only available in server mode' });
+  }
+  const share = resolveShare(req.params.token);
+  if (!share) {
+    return res.status(404).json({ error: 'Share link not found', message: 'This link is invalid, has expired or was revoked' });
+  }
+  if (!share.unlocked) {
+    return res.status(401).json({ error: 'Password required', requiresPassword: true, expiresAt: share.link.expiresAt });
+  }
+  req.share = share.link;
+  next();
+}
+
+// API endpoint to create a share link: { scope: slide | case, target, hours, password, note }.
+// The URL is only returned here; the server keeps no copy of the token.
+app.post('/api/share-links', auth.requireRole('viewer'), async (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Share links only available in server mode' });
+  }
+  if (!auth.enabled) {
+    return res.status(503).json({ error: 'Share links need authentication enabled', message: 'Links are signed with the session secret' });
+  }
+
+  const errors = shareLinks.validate(req.body);
+  let label = null;
+  if (errors.length === 0 && req.body.scope === 'slide') {
+    const slide = slideCatalog.get(req.body.target);
+    if (!slide || !canSeeSlide(req.user, slide)) {
+      errors.push(`No slide named ${req.body.target}`);
+    } else if (!slide.converted || !slide.dziFile) {
+      errors.push(`${slide.name} has not been converted yet`);
+    }
+    label = req.body.target;
+  } else if (errors.length === 0) {
+    const caseRecord = caseStore.get(req.body.target);
+    if (!caseRecord || !canSeeCase(req.user, caseRecord)) {
+      errors.push(`No case with ID ${req.body.target}`);
+    } else {
+      label = caseRecord.accession;
+    }
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid share link', errors });
+  }
+
+  try {
+    const link = await shareLinks.create({ ...req.body, label }, req.user);
+    const token = auth.issueShareToken(link);
+    console.log(`🔗 ${req.user.username} shared ${link.scope} ${link.label} until ${link.expiresAt}${link.passwordHash ? ' (password protected)' : ''}`);
+    audit(req, 'share.create', `${link.scope}:${link.target}`, { id: link.id, expiresAt: link.expiresAt, password: Boolean(link.passwordHash) });
+    res.status(201).json({ ...ShareLinkStore.toPublic(link), token, url: `${getRequestBaseUrl(req)}/share/${token}` });
+  } catch (error) {
+    console.error('Failed to create share link:', error);
+    res.status(500).json({ error: 'Failed to create share link', details: error.message });
+  }
+});
+
+// API endpoint to list share links, including expired and revoked ones
+app.get('/api/share-links', auth.requireRole('admin'), (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Share links only available in server mode' });
+  }
+  res.json({ links: shareLinks.list() });
+});
+
+// API endpoint to revoke a share link (the record is kept, marked revoked)
+app.delete('/api/share-links/:id', auth.requireRole('admin'), (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Share links only available in server mode' });
+  }
+
+  try {
+    const link = shareLinks.revoke(req.params.id, req.user.username);
+    if (!link) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+    console.log(`🔗 ${req.user.username} revoked the share link for ${link.scope} ${link.label}`);
+    audit(req, 'share.revoke', `${link.scope}:${link.target}`, { id: link.id });
+    res.json(ShareLinkStore.toPublic(link));
+  } catch (error) {
+    console.error('Failed to revoke share link:', error);
+    res.status(500).json({ error: 'Failed to revoke share link', details: error.message });
+  }
+});
+
+// Viewer page for a share link; self-contained, since consultants have no account or viewer install
+app.get('/share/:token', (req, res) => {
+  res.setHeader('Referrer-Policy', 'no-referrer');
+  res.sendFile(path.join(__dirname, 'public', 'share.html'));
+});
+
+// Exchange a password-protected link's password for an unlocked token
+app.post('/share/:token/unlock', async (req, res) => {
+  if (config.isClientMode()) {
+    return res.status(503).json({ error: 'Share links only available in server mode' });
+  }
+  const share = resolveShare(req.params.token);
+  if (!share) {
+    return res.status(404).json({ error: 'Share link not found', message: 'This link is invalid, has expired or was revoked' });
+  }
+
+  const lockKey = `share:${share.link.id}`;
+  if (auth.isLockedOut(lockKey)) {
+    return res.status(429).json({ error: 'Too many attempts', message: 'Wait a few minutes and try again' });
+  }
+  if (share.link.passwordHash && !(await shareLinks.checkPassword(share.link, req.body && req.body.password))) {
+    auth.recordLogin(lockKey, false);
+    audit(req, 'share.unlock-failed', `${share.link.scope}:${share.link.target}`, { id: share.link.id }, { username: `share:${share.link.id}`, role: null });
+    return res.status(401).json({ error: 'Wrong password', requiresPassword: true });
+  }
+  auth.recordLogin(lockKey, true);
+  const token = auth.issueShareToken(share.link, { unlocked: true });
+  res.json({ token, expiresAt: new Date(auth.decode(token).exp * 1000).toISOString() });
+});
+
+// What a link covers: label-redacted slides and, for a case, its outline; counts as an opening
+app.get('/share/:token/info', requireShare, (req, res) => {
+  const link = req.share;
+  const shareBase = `/share/${req.params.token}`;
+  const caseRecord = link.scope === 'case' ? caseStore.get(link.target) : null;
+
+  try {
+    shareLinks.recordOpen(link);
+    audit(req, 'share.open', `${link.scope}:${link.target}`, { id: link.id }, { username: `share:${link.id}`, role: null });
+    const slides = sharedSlides(link);
+    res.json({
+      scope: link.scope,
+      // A link's label is the slide name or case accession, which consultants only see as
+      // exportSlideName and exportCaseName have them
+      label: link.scope === 'slide' && slides.length > 0 ? exportSlideName(slides[0].slide)
+        : caseRecord ? exportCaseName(caseRecord) : link.label,
+      note: link.note,
+      expiresAt: link.expiresAt,
+      case: caseRecord ? { accession: exportCaseName(caseRecord), description: exportCaseDescription(caseRecord), parts: caseRecord.parts } : null,
+      slides: slides.map(({ slide, slideRef }) => ({
+        ...ShareLinkStore.redactSlide(slide, shareBase, exportSlideName(slide)),
+        ...(slideRef ? { partId: slideRef.partId || null, blockId: slideRef.blockId || null, stain: slideRef.stain || null } : {})
+      }))
+    });
+  } catch (error) {
+    console.error(`Failed to open share link ${link.id}:`, error);
+    res.status(500).json({ error: 'Failed to open share link', details: error.message });
+  }
+});
+
+// Read-only annotations of a shared slide
+app.get('/share/:token/slides/:name/annotations', requireShare, (req, res) => {
+  const shared = findSharedSlide(req.share, req.params.name);
+  if (!shared) {
+    return res.status(404).json({ error: 'Slide not found', message: `${req.params.name} is not part of this link` });
+  }
+  try {
+    // Staff usernames stay inside the lab
+    const annotations = annotationStore.list(shared.slide.name).map(({ createdBy, updatedBy, ...annotation }) => annotation);
+    res.json({ slide: req.params.name, annotations });
+  } catch (error) {
+    console.error(`Failed to read annotations of ${req.params.name} for a share link:`, error);
+    res.status(500).json({ error: 'Failed to read annotations', details: error.message });
+  }
+});
+
+// Static file serving for DZI tiles
+if (config.isServerMode()) {
+  // AVIF and JPEG-XL tiles aren't in express's MIME table; without this they go out as octet-stream
+  express.static.mime.define(Object.fromEntries(Object.values(TILE_FORMATS).map(format => [format.mimeType, [format.extension]])));
+
+  // Server mode - serve DZI files and tiles directly
+  const dziHeaders = (req, res, next) => {
+    res.header('Access-Control-Allow-Origin', '*');
+    res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Range, Authorization');
+    return req.method === 'OPTIONS' ? res.sendStatus(204) : next();
+  };
+
+  const dziCors = cors({
+    origin: config.corsOrigins,
+    methods: ['GET', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Range'],
+    credentials: false
+  });
+
+  // Serve static files with optimized settings for tile serving priority
+  const staticOptions = {
+    maxAge: '1d', // Cache tiles for better performance
+    etag: true,
+    lastModified: true,
+    setHeaders: (res, path) => {
+      // Prioritize tile serving responses
+      if (path.includes('_files/') || path.endsWith('.dzi')) {
+        res.setHeader('Cache-Control', 'public, max-age=86400');
+        res.setHeader('X-Priority', 'high');
+      }
+    }
+  };
+
+  // Slides converted to a single .szi container: answer the same /dzi/<name>/<name>.dzi and
+  // /dzi/<name>/<name>_files/<level>/<col>_<row>.<ext> URLs from inside the archive
+  const serveFromContainer = async (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+    let match;
+    try {
+      match = decodeURIComponent(req.path).match(/^\/([^/]+)\/\1(\.dzi|_files\/\d+\/\d+_\d+\.[a-z]+)$/);
+    } catch (error) {
+      return next();
+    }
+    if (!match) return next();
+
+    const [, name, entry] = match;
+    const output = findSlideOutput(path.join(config.dziDir, name), name);
+    if (!output || output.type !== 'container') return next();
+
+    try {
+      const archive = await openContainer(output.containerPath);
+      const data = await archive.read(entry);
+      if (!data) return res.status(404).end();
+      res.type(express.static.mime.lookup(entry));
+      res.setHeader('Cache-Control', 'public, max-age=86400');
+      res.setHeader('X-Priority', 'high');
+      res.setHeader('Last-Modified', new Date(archive.mtimeMs).toUTCString());
+      res.send(data);
+    } catch (error) {
+      console.error(`Failed to read ${entry} from tile container for ${name}:`, error.message);
+      res.status(500).json({ error: 'Tile container read failed', details: error.message });
+    }
+  };
+
+  // Share links: descriptors and tiles of the slides a link covers, and nothing else from the slide
+  // folders (label and macro images, annotations, metadata files)
+  const shareTileScope = (req, res, next) => {
+    let match = null;
+    try {
+      match = decodeURIComponent(req.path).match(/^\/(?:([^/]+)\/\1|([^/]+?))(?:\.dzi|_files\/\d+\/\d+_\d+\.[a-z]+)$/);
+    } catch (error) {
+      // Malformed escapes fall through to the 404 below
+    }
+    const name = match && (match[1] || match[2]);
+    const shared = name && findSharedSlide(req.share, name);
+    if (!shared) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    // Pseudonymous URLs point at the files named after the slide
+    if (name !== shared.slide.name) req.url = req.url.split(name).join(encodeURIComponent(shared.slide.name));
+    next();
   };
 
-  app.use('/dzi', dziHeaders, dziCors, express.static(config.dziDir, staticOptions));
+  app.use('/share/:token/dzi', dziHeaders, requireShare, shareTileScope, serveFromContainer, express.static(config.dziDir, staticOptions));
+  app.use('/dzi', dziHeaders, dziCors, serveFromContainer, express.static(config.dziDir, staticOptions));
   app.use('/slides', express.static(config.slidesDir, staticOptions));
   // Explicit preflight
   app.options('/dzi/*', dziCors, (req, res) => res.sendStatus(204));
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const { ROLES } = require('./userStore');
+const { foldName } = require('./slideCatalog');
+
+const SCOPES = ['folder', 'case'];
+
+function newId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Folder paths as /api/slides reports them, compared with forward slashes and ignoring case
+// (slidesDir is usually on a case-insensitive Windows share)
+function normalizeFolder(folder) {
+  return String(folder || 'root').replace(/\\/g, '/').replace(/^\/+|\/+$/g, '').toLowerCase() || 'root';
+}
+
+function cleanList(values) {
+  return [...new Set((values || []).map(value => String(value).trim()).filter(Boolean))];
+}
+
+/**
+ * Who may see which slides, beyond the global roles. A rule restricts a slide folder (and its
+ * subfolders) or a case to the users and roles it lists; slides no rule covers are visible to
+ * everyone signed in. A slide covered by several rules (a subfolder inside a restricted folder,
+ * a restricted case in a restricted folder) needs all of them. Admins see everything.
+ * Persisted as a single JSON file in config.dataDir.
+ */
+class AccessRules {
+  /**
+   * @param {Object} config - The config singleton
+   * @param {CaseStore} caseStore - For case rules: which slides a case holds
+   */
+  constructor(config, caseStore) {
+    this.config = config;
+    this.caseStore = caseStore;
+    this.rulesPath = path.join(config.dataDir, 'access-rules.json');
+    this.rules = this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.rulesPath)) return [];
+    try {
+      const content = JSON.parse(fs.readFileSync(this.rulesPath, 'utf8'));
+      return Array.isArray(content.rules) ? content.rules : [];
+    } catch (error) {
+      console.error(`Error loading access rules: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Temp file + rename so a crash never leaves a half-written file
+  save() {
+    fs.mkdirSync(path.dirname(this.rulesPath), { recursive: true });
+    const tempPath = `${this.rulesPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ updatedAt: new Date().toISOString(), rules: this.rules }, null, 2));
+    fs.renameSync(tempPath, this.rulesPath);
+  }
+
+  list() {
+    return [...this.rules].sort((a, b) => a.scope.localeCompare(b.scope) || a.target.localeCompare(b.target));
+  }
+
+  get(id) {
+    return this.rules.find(r => r.id === id) || null;
+  }
+
+  create(data) {
+    const now = new Date().toISOString();
+    const rule = {
+      id: newId('acl'),
+      scope: data.scope,
+      target: data.scope === 'folder' ? data.target.trim().replace(/\\/g, '/').replace(/^\/+|\/+$/g, '') : data.target.trim(),
+      users: cleanList(data.users),
+      roles: cleanList(data.roles),
+      description: (data.description || '').trim(),
+      createdAt: now,
+      updatedAt: now
+    };
+    this.rules.push(rule);
+    this.save();
+    return rule;
+  }
+
+  // Scope and target are fixed once created; users, roles and description can change
+  update(id, data) {
+    const rule = this.get(id);
+    if (!rule) return null;
+
+    if (data.users !== undefined) rule.users = cleanList(data.users);
+    if (data.roles !== undefined) rule.roles = cleanList(data.roles);
+    if (data.description !== undefined) rule.description = (data.description || '').trim();
+    rule.updatedAt = new Date().toISOString();
+    this.save();
+    return rule;
+  }
+
+  remove(id) {
+    const before = this.rules.length;
+    this.rules = this.rules.filter(r => r.id !== id);
+    if (this.rules.length === before) return false;
+    this.save();
+    return true;
+  }
+
+  // Whether a rule lets a user in: listed by username, or holding one of the listed roles
+  allows(rule, user) {
+    if (!user) return false;
+    const username = String(user.username || '').toLowerCase();
+    return rule.users.some(name => name.toLowerCase() === username) ||
+      rule.roles.some(role => ROLES.indexOf(user.role) >= ROLES.indexOf(role));
+  }
+
+  /**
+   * Rules covering a slide: folder rules for its folder or a parent folder, case rules for the
+   * case it is filed under
+   * @param {Object} slide - Catalog entry (only name and folder are used). A null folder means a
+   *   name that isn't in the catalog: folder rules then match on the name, which starts with the
+   *   folder path ('/' -> '_'), and a rule on the root folder covers it whatever its name.
+   */
+  rulesFor(slide) {
+    const name = foldName(slide.name);
+    const folder = slide.folder === null ? null : normalizeFolder(slide.folder);
+    return this.rules.filter(rule => {
+      if (rule.scope === 'folder') {
+        const target = normalizeFolder(rule.target);
+        if (folder === null) return target === 'root' || name.startsWith(`${target.replace(/\//g, '_')}_`);
+        return folder === target || folder.startsWith(`${target}/`);
+      }
+      const caseRecord = this.caseStore.get(rule.target);
+      return Boolean(caseRecord) && caseRecord.slides.some(s => foldName(s.name) === name);
+    });
+  }
+
+  canAccessSlide(user, slide) {
+    if (this.rules.length === 0 || (user && user.role === 'admin')) return true;
+    return this.rulesFor(slide).every(rule => this.allows(rule, user));
+  }
+
+  // A case is hidden only by its own rules; restricted slides inside it are filtered separately
+  canAccessCase(user, caseRecord) {
+    if (this.rules.length === 0 || (user && user.role === 'admin')) return true;
+    return this.rules
+      .filter(rule => rule.scope === 'case' && rule.target === caseRecord.id)
+      .every(rule => this.allows(rule, user));
+  }
+
+  filterSlides(user, slides) {
+    if (this.rules.length === 0 || (user && user.role === 'admin')) return slides;
+    return slides.filter(slide => this.canAccessSlide(user, slide));
+  }
+
+  /**
+   * Validate a rule payload
+   * @param {boolean} partial - true for updates, where scope and target can't be given
+   * @returns {string[]} List of validation errors (empty when valid)
+   */
+  validate(data, partial = false) {
+    const errors = [];
+    if (!data || typeof data !== 'object') return ['Rule must be an object'];
+
+    if (!partial) {
+      if (!SCOPES.includes(data.scope)) {
+        errors.push(`scope must be one of: ${SCOPES.join(', ')}`);
+      } else if (typeof data.target !== 'string' || !data.target.trim()) {
+        errors.push(data.scope === 'folder' ? 'target must be a folder path' : 'target must be a case ID');
+      } else if (data.scope === 'folder' && data.target.split(/[\\/]/).some(part => part === '..')) {
+        errors.push('target folder cannot contain ..');
+      } else if (data.scope === 'case' && !this.caseStore.get(data.target.trim())) {
+        errors.push(`case ${data.target.trim()} does not exist`);
+      }
+    } else if (data.scope !== undefined || data.target !== undefined) {
+      errors.push('scope and target cannot be changed; create a new rule instead');
+    }
+    for (const field of ['users', 'roles']) {
+      if (data[field] !== undefined && (!Array.isArray(data[field]) || data[field].some(value => typeof value !== 'string'))) {
+        errors.push(`${field} must be an array of strings`);
+      }
+    }
+    const badRoles = Array.isArray(data.roles) ? data.roles.filter(role => !ROLES.includes(role)) : [];
+    if (badRoles.length > 0) errors.push(`roles must be from: ${ROLES.join(', ')} (got ${badRoles.join(', ')})`);
+    if (data.description !== undefined && data.description !== null &&
+        (typeof data.description !== 'string' || data.description.length > 200)) {
+      errors.push('description must be a string of at most 200 characters');
+    }
+    return errors;
+  }
+}
+
+AccessRules.SCOPES = SCOPES;
+AccessRules.normalizeFolder = normalizeFolder;
+
+module.exports = AccessRules;
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const { findSlideOutput } = require('./tileContainer');
+
+// Shapes the viewer can draw; points are [x, y] pairs in full-resolution image pixels
+const ANNOTATION_TYPES = ['polygon', 'rectangle', 'freehand', 'point', 'ruler'];
+const MIN_POINTS = { polygon: 3, rectangle: 2, freehand: 3, point: 1, ruler: 2 };
+const MAX_POINTS = { polygon: 5000, rectangle: 2, freehand: 20000, point: 1, ruler: 2 };
+
+class AnnotationStore {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Resolve the annotations file for a slide.
+   * Organized slides keep annotations in dzi/<name>/annotations (outside metadata/, which
+   * is replaced on reconversion); legacy slides share dzi/annotations.
+   * @returns {string|null} File path, or null if the slide has no DZI output
+   */
+  getAnnotationsPath(slideName) {
+    const organizedDir = path.join(this.config.dziDir, slideName);
+    if (findSlideOutput(organizedDir, slideName)) {
+      return path.join(organizedDir, 'annotations', `${slideName}_annotations.json`);
+    }
+    if (fs.existsSync(path.join(this.config.dziDir, `${slideName}.dzi`))) {
+      return path.join(this.config.dziDir, 'annotations', `${slideName}_annotations.json`);
+    }
+    return null;
+  }
+
+  hasSlide(slideName) {
+    return this.getAnnotationsPath(slideName) !== null;
+  }
+
+  /**
+   * Load all annotations for a slide (empty list if none saved yet)
+   */
+  list(slideName) {
+    const filePath = this.getAnnotationsPath(slideName);
+    if (!filePath || !fs.existsSync(filePath)) return [];
+
+    try {
+      const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return Array.isArray(content.annotations) ? content.annotations : [];
+    } catch (error) {
+      console.error(`Error loading annotations for ${slideName}: ${error.message}`);
+      return [];
+    }
+  }
+
+  get(slideName, id) {
+    return this.list(slideName).find(a => a.id === id) || null;
+  }
+
+  /**
+   * @param {string|null} author - Username of whoever drew it
+   */
+  create(slideName, data, author = null) {
+    const now = new Date().toISOString();
+    const annotation = {
+      id: `ann_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      ...this.normalize(data),
+      createdBy: author,
+      createdAt: now,
+      updatedBy: author,
+      updatedAt: now
+    };
+
+    const annotations = this.list(slideName);
+    annotations.push(annotation);
+    this.save(slideName, annotations);
+    return annotation;
+  }
+
+  /**
+   * Merge changes into an existing annotation. Returns null if it does not exist.
+   * @param {string|null} author - Username of whoever changed it
+   */
+  update(slideName, id, data, author = null) {
+    const annotations = this.list(slideName);
+    const index = annotations.findIndex(a => a.id === id);
+    if (index === -1) return null;
+
+    const existing = annotations[index];
+    annotations[index] = {
+      ...existing,
+      ...this.normalize({ ...existing, ...data }),
+      id: existing.id,
+      createdBy: existing.createdBy || null,
+      createdAt: existing.createdAt,
+      updatedBy: author,
+      updatedAt: new Date().toISOString()
+    };
+    this.save(slideName, annotations);
+    return annotations[index];
+  }
+
+  remove(slideName, id) {
+    const annotations = this.list(slideName);
+    const remaining = annotations.filter(a => a.id !== id);
+    if (remaining.length === annotations.length) return false;
+
+    this.save(slideName, remaining);
+    return true;
+  }
+
+  /**
+   * Delete the annotations file for a slide (used when the slide itself is deleted).
+   * Checks both layouts because the DZI may already be gone at this point.
+   */
+  removeAll(slideName) {
+    const candidates = [
+      path.join(this.config.dziDir, slideName, 'annotations', `${slideName}_annotations.json`),
+      path.join(this.config.dziDir, 'annotations', `${slideName}_annotations.json`)
+    ];
+
+    let removed = false;
+    for (const filePath of candidates) {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+        removed = true;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Write via a temp file + rename so a crash never leaves a half-written JSON file
+   */
+  save(slideName, annotations) {
+    const filePath = this.getAnnotationsPath(slideName);
+    if (!filePath) {
+      throw new Error(`Slide not found: ${slideName}`);
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({
+      slide: slideName,
+      updatedAt: new Date().toISOString(),
+      annotations
+    }, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * Validate an annotation payload
+   * @returns {string[]} List of validation errors (empty when valid)
+   */
+  validate(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object') {
+      return ['Annotation must be an object'];
+    }
+
+    if (!ANNOTATION_TYPES.includes(data.type)) {
+      errors.push(`type must be one of: ${ANNOTATION_TYPES.join(', ')}`);
+    }
+
+    if (!Array.isArray(data.points)) {
+      errors.push('points must be an array of [x, y] image coordinates');
+    } else {
+      const invalid = data.points.some(p =>
+        !Array.isArray(p) || p.length !== 2 || !Number.isFinite(p[0]) || !Number.isFinite(p[1])
+      );
+      if (invalid) {
+        errors.push('each point must be an [x, y] pair of finite numbers');
+      }
+      if (MIN_POINTS[data.type] && data.points.length < MIN_POINTS[data.type]) {
+        errors.push(`${data.type} requires at least ${MIN_POINTS[data.type]} point(s)`);
+      }
+      if (MAX_POINTS[data.type] && data.points.length > MAX_POINTS[data.type]) {
+        errors.push(`${data.type} allows at most ${MAX_POINTS[data.type]} point(s)`);
+      }
+    }
+
+    if (data.label !== undefined && data.label !== null && (typeof data.label !== 'string' || data.label.length > 500)) {
+      errors.push('label must be a string of at most 500 characters');
+    }
+    if (data.color !== undefined && data.color !== null && !/^#[0-9a-fA-F]{6}$/.test(String(data.color))) {
+      errors.push('color must be a hex color like #ff0000');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Keep only known fields, rounding coordinates to 0.01 px
+   */
+  normalize(data) {
+    return {
+      type: data.type,
+      points: data.points.map(([x, y]) => [Math.round(x * 100) / 100, Math.round(y * 100) / 100]),
+      label: data.label || '',
+      color: data.color || '#00ff00'
+    };
+  }
+}
+
+AnnotationStore.ANNOTATION_TYPES = ANNOTATION_TYPES;
+
+module.exports = AnnotationStore;
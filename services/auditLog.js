@@ -0,0 +1,328 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+
+// prevHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+// Enough to hold the last entry when finding where the chain ends
+const TAIL_BYTES = 64 * 1024;
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+// Breaks listed by verify(); past this only the count goes up
+const MAX_REPORTED_BREAKS = 100;
+const CSV_COLUMNS = ['seq', 'at', 'user', 'role', 'ip', 'action', 'target', 'details', 'prevHash', 'hash'];
+
+// HMAC-SHA-256 over the fields in a fixed order, so re-reading and re-serializing an entry gives
+// the same hash
+function hashEntry(entry, key) {
+  const { seq, at, user, role, ip, action, target, details, prevHash } = entry;
+  return crypto.createHmac('sha256', key)
+    .update(JSON.stringify([seq, at, user, role, ip, action, target, details, prevHash]))
+    .digest('hex');
+}
+
+// Quoted CSV cell; a leading = + - @ is escaped so spreadsheets don't run it as a formula
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+// Sequence number and hash of the last readable entry in a chunk of the log, or null
+function findLastEntry(text, logPath) {
+  const lines = text.split('\n');
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (!lines[i]) continue;
+    try {
+      const entry = JSON.parse(lines[i]);
+      return { seq: entry.seq, hash: entry.hash };
+    } catch (error) {
+      // The first line of a tail chunk is usually cut off; only warn about the ones that should be whole
+      if (i > 0) console.warn(`⚠️ Skipping unreadable audit log line near the end of ${path.basename(logPath)}: ${error.message}`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Append-only record of who viewed, converted, renamed, deleted or reconfigured what, for
+ * CAP/CLIA audits. Each entry carries the hash of the one before it, so editing, removing or
+ * reordering entries breaks the chain and verify() finds where. Hashes are keyed with a secret
+ * in config.dataDir (audit-secret), so someone who can change the log but not read the secret
+ * can't recompute them. Kept as JSON lines in config.dataDir; entries are never rewritten.
+ */
+class AuditLog {
+  constructor(config) {
+    this.config = config;
+    this.logPath = path.join(config.dataDir, 'audit-log.jsonl');
+    // Set when the file doesn't end in a newline (a crash mid-append), so the next entry starts
+    // on a line of its own
+    this.tornTail = false;
+    this.head = this.loadHead();
+    this.key = null;
+  }
+
+  // Hash key, generated into dataDir on first use; hard-linking a finished temp file means
+  // concurrent starts agree on one key. Losing it makes every entry fail verify().
+  loadKey() {
+    if (this.key) return this.key;
+    const keyPath = path.join(this.config.dataDir, 'audit-secret');
+    if (!fs.existsSync(keyPath)) {
+      fs.mkdirSync(this.config.dataDir, { recursive: true });
+      const tempPath = `${keyPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, crypto.randomBytes(48).toString('hex'), { mode: 0o600 });
+      try {
+        fs.linkSync(tempPath, keyPath);
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      } finally {
+        fs.unlinkSync(tempPath);
+      }
+    }
+    this.key = fs.readFileSync(keyPath, 'utf8').trim();
+    return this.key;
+  }
+
+  /**
+   * Sequence number and hash of the last entry, read from the end of the file. A half-written
+   * last line is skipped with a warning and the chain continues from the last complete entry,
+   * which verify() recognizes as a torn line rather than a break.
+   */
+  loadHead() {
+    if (!fs.existsSync(this.logPath)) return { seq: 0, hash: GENESIS_HASH };
+    const handle = fs.openSync(this.logPath, 'r');
+    let text;
+    let wholeFile;
+    try {
+      const size = fs.fstatSync(handle).size;
+      const length = Math.min(size, TAIL_BYTES);
+      const buffer = Buffer.alloc(length);
+      fs.readSync(handle, buffer, 0, length, size - length);
+      text = buffer.toString('utf8');
+      wholeFile = length === size;
+    } finally {
+      fs.closeSync(handle);
+    }
+    this.tornTail = text.length > 0 && !text.endsWith('\n');
+
+    let head = findLastEntry(text, this.logPath);
+    // Nothing readable near the end: look through the whole file
+    if (!head && !wholeFile) head = findLastEntry(fs.readFileSync(this.logPath, 'utf8'), this.logPath);
+    return head || { seq: 0, hash: GENESIS_HASH };
+  }
+
+  /**
+   * Append an entry. Never throws: a failed write is logged and the request that caused it
+   * carries on.
+   * @param {Object} event - action (e.g. slide.view), target, details, and the acting user,
+   *   role and ip
+   * @returns {Object|null} The entry, or null if it could not be written
+   */
+  record(event) {
+    const entry = {
+      seq: this.head.seq + 1,
+      at: new Date().toISOString(),
+      user: event.user || null,
+      role: event.role || null,
+      ip: event.ip || null,
+      action: event.action,
+      target: event.target === undefined ? null : event.target,
+      details: event.details || null,
+      prevHash: this.head.hash
+    };
+    try {
+      entry.hash = hashEntry(entry, this.loadKey());
+      fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+      fs.appendFileSync(this.logPath, `${this.tornTail ? '\n' : ''}${JSON.stringify(entry)}\n`, { mode: 0o600 });
+      this.tornTail = false;
+      this.head = { seq: entry.seq, hash: entry.hash };
+      return entry;
+    } catch (error) {
+      console.error(`❌ Failed to write audit log entry ${entry.action} ${entry.target}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Every entry, oldest first; null for a line that isn't readable JSON (a torn write)
+  async *entries() {
+    if (!fs.existsSync(this.logPath)) return;
+    const lines = readline.createInterface({ input: fs.createReadStream(this.logPath, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        yield null;
+      }
+    }
+  }
+
+  // Entries matching the filters, oldest first; see query for the filters
+  async *matching(filters) {
+    const user = filters.user && filters.user.toLowerCase();
+    const target = filters.target && filters.target.toLowerCase();
+    for await (const entry of this.entries()) {
+      if (!entry) continue;
+      if (filters.from && entry.at < filters.from) continue;
+      if (filters.to && entry.at > filters.to) continue;
+      if (user && String(entry.user).toLowerCase() !== user) continue;
+      if (filters.action && !(filters.action.endsWith('.') ? entry.action.startsWith(filters.action) : entry.action === filters.action)) continue;
+      if (target && !String(entry.target || '').toLowerCase().includes(target)) continue;
+      yield entry;
+    }
+  }
+
+  /**
+   * One page of the entries matching the filters, newest first. Only the newest offset + limit
+   * matches are held while the log is read, in a ring, so memory doesn't grow with the log.
+   * @param {Object} filters - from, to (ISO dates), user, action (exact, or a prefix ending in
+   *   "." such as "slide."), target (substring), limit, offset; see parseQuery
+   * @returns {Promise<Object>} { entries, total }
+   */
+  async query(filters) {
+    const size = filters.offset + filters.limit;
+    const ring = new Array(size);
+    let total = 0;
+    for await (const entry of this.matching(filters)) {
+      ring[total % size] = entry;
+      total++;
+    }
+    const entries = [];
+    for (let i = filters.offset; i < Math.min(total, size); i++) {
+      entries.push(ring[(total - 1 - i) % size]);
+    }
+    return { entries, total };
+  }
+
+  /**
+   * Walk the chain from the start, reporting every break rather than stopping at the first. An
+   * unreadable line that the next entry's prevHash skips over is a write cut off by a crash (the
+   * next start chains on from the entry before it): it is counted in tornLines, not as a break.
+   * @returns {Promise<Object>} { valid, entries, tornLines, breaks: [{ seq, reason }], breakCount,
+   *   brokenAt, reason } - breaks lists the first MAX_REPORTED_BREAKS, each with the sequence
+   *   number of the entry at fault; brokenAt and reason repeat the first
+   */
+  async verify() {
+    const key = this.loadKey();
+    let previous = { seq: 0, hash: GENESIS_HASH };
+    let count = 0;
+    let unreadable = 0; // Unreadable lines since the last readable entry
+    let tornLines = 0;
+    let breakCount = 0;
+    const breaks = [];
+    const broken = (seq, reason) => {
+      breakCount++;
+      if (breaks.length < MAX_REPORTED_BREAKS) breaks.push({ seq, reason });
+    };
+
+    for await (const entry of this.entries()) {
+      count++;
+      if (!entry) {
+        unreadable++;
+        continue;
+      }
+      const follows = entry.seq === previous.seq + 1 && entry.prevHash === previous.hash;
+      if (unreadable > 0 && follows) {
+        tornLines += unreadable;
+      } else if (unreadable > 0) {
+        broken(previous.seq + 1, 'unreadable entry (an edited line)');
+      } else if (entry.seq !== previous.seq + 1) {
+        broken(entry.seq, `expected entry ${previous.seq + 1}, found ${entry.seq}`);
+      } else if (entry.prevHash !== previous.hash) {
+        broken(entry.seq, 'does not follow from the entry before it');
+      }
+      unreadable = 0;
+      if (hashEntry(entry, key) !== entry.hash) broken(entry.seq, 'contents do not match its hash');
+      previous = entry;
+    }
+    // Entries written after a torn last line start on a line of their own, so one left at the end
+    // is the latest append cut off
+    tornLines += unreadable;
+    // The in-memory head catches entries cut off the end of the file while the server runs
+    if (previous.seq < this.head.seq) {
+      broken(previous.seq + 1, `log ends at entry ${previous.seq}, ${this.head.seq} were written`);
+    }
+    return {
+      valid: breakCount === 0,
+      entries: count,
+      tornLines,
+      breaks,
+      breakCount,
+      brokenAt: breaks.length > 0 ? breaks[0].seq : null,
+      reason: breaks.length > 0 ? breaks[0].reason : null
+    };
+  }
+
+  /**
+   * Validate and normalize query string filters
+   * @returns {Object} { errors: string[], filters }
+   */
+  parseQuery(query) {
+    const errors = [];
+    const filters = {};
+    // A repeated parameter (?user=a&user=b) arrives as an array
+    for (const field of ['user', 'action', 'target']) {
+      if (query[field] !== undefined && typeof query[field] !== 'string') errors.push(`${field} must be given once`);
+      filters[field] = typeof query[field] === 'string' && query[field] ? query[field] : null;
+    }
+    for (const field of ['from', 'to']) {
+      if (query[field] !== undefined && typeof query[field] !== 'string') {
+        errors.push(`${field} must be given once`);
+      } else if (query[field] === undefined) {
+        filters[field] = null;
+      } else if (Number.isNaN(Date.parse(query[field]))) {
+        errors.push(`${field} must be a date, e.g. 2024-05-01 or 2024-05-01T08:00:00Z`);
+      } else {
+        filters[field] = new Date(query[field]).toISOString();
+      }
+    }
+    // A bare date as "to" means the end of that day
+    if (filters.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+      filters.to = new Date(Date.parse(filters.to) + 86400000 - 1).toISOString();
+    }
+
+    const limit = query.limit !== undefined ? Number(query.limit) : DEFAULT_QUERY_LIMIT;
+    if (!(Number.isInteger(limit) && limit >= 1 && limit <= MAX_QUERY_LIMIT)) {
+      errors.push(`limit must be an integer from 1 to ${MAX_QUERY_LIMIT}`);
+    }
+    const offset = query.offset !== undefined ? Number(query.offset) : 0;
+    if (!(Number.isInteger(offset) && offset >= 0)) errors.push('offset must be a non-negative integer');
+    return { errors, filters: { ...filters, limit, offset } };
+  }
+
+  /**
+   * Write every entry matching the filters to a stream as CSV, oldest first, one row at a time
+   * (waiting for the stream to drain, so a large log never sits in memory). Rejects if the stream
+   * closes first, e.g. the client went away.
+   * @returns {Promise<number>} Number of entries written
+   */
+  async writeCsv(filters, stream) {
+    let count = 0;
+    const write = text => new Promise((resolve, reject) => {
+      if (stream.destroyed) return reject(new Error('Stream closed before the export finished'));
+      if (stream.write(text)) return resolve();
+      const done = () => {
+        stream.off('drain', done);
+        stream.off('close', done);
+        if (stream.destroyed) reject(new Error('Stream closed before the export finished'));
+        else resolve();
+      };
+      stream.on('drain', done);
+      stream.on('close', done);
+    });
+    await write(`${CSV_COLUMNS.join(',')}\r\n`);
+    for await (const entry of this.matching(filters)) {
+      await write(`${CSV_COLUMNS.map(column => csvCell(entry[column])).join(',')}\r\n`);
+      count++;
+    }
+    return count;
+  }
+}
+
+AuditLog.GENESIS_HASH = GENESIS_HASH;
+AuditLog.MAX_REPORTED_BREAKS = MAX_REPORTED_BREAKS;
+AuditLog.hashEntry = hashEntry;
+
+module.exports = AuditLog;
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const UserStore = require('./userStore');
+
+const { ROLES } = UserStore;
+
+const DEFAULT_AUTH_OPTIONS = {
+  enabled: true,
+  sessionHours: 12,
+  cookieName: 'psv_session',
+  maxFailedLogins: 5,
+  lockoutMinutes: 15
+};
+
+// Tokens the server's own processes (gui-server, conversion servers) mint for calling each other
+const SERVICE_TOKEN_HOURS = 1;
+
+// Usernames with recent failed sign-ins kept in memory, oldest dropped first
+const MAX_TRACKED_LOGINS = 10000;
+
+// Everyone is this user when authentication is turned off (or on a home client)
+const ANONYMOUS = Object.freeze({ id: 'anonymous', username: 'anonymous', displayName: 'Anonymous', role: 'admin' });
+
+const base64url = value => Buffer.from(value).toString('base64url');
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator <= 0) continue;
+    try {
+      cookies[part.slice(0, separator).trim()] = decodeURIComponent(part.slice(separator + 1).trim());
+    } catch (error) {
+      // A malformed % escape in someone else's cookie on this host; it can't be ours
+    }
+  }
+  return cookies;
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Sign-in sessions and role checks. Sessions are HS256 JSON Web Tokens, sent as a Bearer header
+ * or the session cookie; the signing secret is shared through config.dataDir so gui-server and
+ * conversion servers on the same machine can verify and mint tokens without a round trip.
+ * A configured security.apiKey.key also signs in, as a service with the admin role.
+ */
+class AuthService {
+  /**
+   * @param {Object} config - The config singleton; options come from app-config.json security.auth
+   * @param {UserStore} userStore - Needed to verify user sessions; processes that only mint
+   *   service tokens can leave it out
+   */
+  constructor(config, userStore = null) {
+    this.config = config;
+    this.users = userStore;
+    this.options = { ...DEFAULT_AUTH_OPTIONS, ...(config.appConfig?.security?.auth || {}) };
+    // Accounts live in the lab server's dataDir; a home client has none and is only reachable from localhost
+    this.enabled = this.options.enabled !== false && config.isServerMode();
+    this.apiKey = config.appConfig?.security?.apiKey?.key || null;
+    this.secret = this.enabled ? this.loadSecret() : null;
+    // lowercased username -> { count, lockedUntil }
+    this.failedLogins = new Map();
+  }
+
+  loadSecret() {
+    const configured = process.env.AUTH_SECRET || this.options.secret;
+    if (configured) return configured;
+
+    // Generated on first start; hard-linking a finished temp file means concurrent starts agree on one secret
+    const secretPath = path.join(this.config.dataDir, 'auth-secret');
+    if (!fs.existsSync(secretPath)) {
+      fs.mkdirSync(this.config.dataDir, { recursive: true });
+      const tempPath = `${secretPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, crypto.randomBytes(48).toString('hex'), { mode: 0o600 });
+      try {
+        fs.linkSync(tempPath, secretPath);
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      } finally {
+        fs.unlinkSync(tempPath);
+      }
+    }
+    return fs.readFileSync(secretPath, 'utf8').trim();
+  }
+
+  sign(payload, hours) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + Math.round(hours * 3600) }));
+    const signature = crypto.createHmac('sha256', this.secret).update(`${header}.${body}`).digest('base64url');
+    return `${header}.${body}.${signature}`;
+  }
+
+  // Payload of a token this server signed and that hasn't expired, or null
+  decode(token) {
+    if (!this.secret) return null;
+    const [header, body, signature] = String(token || '').split('.');
+    if (!header || !body || !signature) return null;
+    const expected = crypto.createHmac('sha256', this.secret).update(`${header}.${body}`).digest('base64url');
+    if (!safeEqual(signature, expected)) return null;
+    try {
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+      return payload.exp > Date.now() / 1000 ? payload : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @returns {Object} { token, expiresAt }
+   */
+  issueToken(user) {
+    const token = this.sign({ sub: user.id, ver: user.tokenVersion }, this.options.sessionHours);
+    return { token, expiresAt: new Date(this.decode(token).exp * 1000).toISOString() };
+  }
+
+  issueServiceToken(name) {
+    return this.sign({ sub: `service:${name}`, svc: true }, SERVICE_TOKEN_HOURS);
+  }
+
+  /**
+   * Token for a share link, valid until the link expires. Once a password-protected link's
+   * password has been given, an unlocked token (lasting at most sessionHours) stands in for it
+   */
+  issueShareToken(link, { unlocked = false } = {}) {
+    const hours = Math.max(0, Date.parse(link.expiresAt) - Date.now()) / 3600000;
+    const payload = { sub: `share:${link.id}`, share: link.id };
+    if (unlocked) return this.sign({ ...payload, unlocked: true }, Math.min(hours, this.options.sessionHours));
+    return this.sign(payload, hours);
+  }
+
+  /**
+   * The user a token belongs to, with their current role; null if the token is invalid, expired
+   * or was issued before a password change or the account being disabled
+   */
+  verifyToken(token) {
+    const payload = this.decode(token);
+    if (!payload) return null;
+    if (payload.svc) return { id: payload.sub, username: payload.sub, displayName: payload.sub, role: 'admin', service: true };
+
+    const user = this.users && this.users.get(payload.sub);
+    if (!user || user.disabled || user.tokenVersion !== payload.ver) return null;
+    return { id: user.id, username: user.username, displayName: user.displayName, role: user.role };
+  }
+
+  /**
+   * Bearer header first, then the session cookie. WebSocket handshakes can't set headers from a
+   * browser, so they may also pass ?token=
+   */
+  tokenFromRequest(req, { allowQuery = false } = {}) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    const cookie = parseCookies(req.headers.cookie)[this.options.cookieName];
+    if (cookie) return cookie;
+    if (allowQuery) return new URL(req.url, 'http://localhost').searchParams.get('token');
+    return null;
+  }
+
+  // Who is making a request: a user, a service, or null if not signed in
+  principalFor(req, options) {
+    if (!this.enabled) return ANONYMOUS;
+    const apiKey = req.headers['x-api-key'];
+    if (this.apiKey && apiKey && safeEqual(apiKey, this.apiKey)) {
+      return { id: 'service:api-key', username: 'api-key', displayName: 'API key', role: 'admin', service: true };
+    }
+    const token = this.tokenFromRequest(req, options);
+    return token ? this.verifyToken(token) : null;
+  }
+
+  // Express middleware setting req.user (null when not signed in)
+  authenticate() {
+    return (req, res, next) => {
+      req.user = this.principalFor(req);
+      next();
+    };
+  }
+
+  // Express middleware: 401 without a session, 403 below the given role
+  requireRole(role) {
+    return (req, res, next) => {
+      if (req.user === undefined) req.user = this.principalFor(req);
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required', message: 'Sign in to continue' });
+      }
+      if (!hasRole(req.user, role)) {
+        return res.status(403).json({ error: 'Forbidden', message: `Requires the ${role} role (signed in as ${req.user.role})` });
+      }
+      next();
+    };
+  }
+
+  // Headers for calling another part of the system as a service
+  serviceHeaders(name) {
+    if (this.apiKey) return { 'X-API-Key': this.apiKey };
+    return this.enabled ? { Authorization: `Bearer ${this.issueServiceToken(name)}` } : {};
+  }
+
+  sessionCookie(token, req) {
+    const maxAge = Math.round(this.options.sessionHours * 3600);
+    return `${this.options.cookieName}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${req.secure ? '; Secure' : ''}`;
+  }
+
+  clearSessionCookie() {
+    return `${this.options.cookieName}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+  }
+
+  // Repeated wrong passwords lock the username for lockoutMinutes
+  isLockedOut(username) {
+    const entry = this.failedLogins.get(String(username || '').toLowerCase());
+    return Boolean(entry && entry.lockedUntil > Date.now());
+  }
+
+  recordLogin(username, success) {
+    const key = String(username || '').toLowerCase();
+    if (success) {
+      this.failedLogins.delete(key);
+      return;
+    }
+    const entry = this.failedLogins.get(key) || { count: 0, lockedUntil: 0 };
+    if (entry.lockedUntil && entry.lockedUntil <= Date.now()) entry.count = 0;
+    entry.count++;
+    entry.lockedUntil = entry.count >= this.options.maxFailedLogins ? Date.now() + this.options.lockoutMinutes * 60000 : 0;
+    this.failedLogins.delete(key);
+    this.failedLogins.set(key, entry);
+    while (this.failedLogins.size > MAX_TRACKED_LOGINS) this.failedLogins.delete(this.failedLogins.keys().next().value);
+  }
+
+  /**
+   * For processes without the config singleton (conversion servers): mints service tokens with
+   * the secret in dataDir (or AUTH_SECRET), or sends apiKey when one is given
+   */
+  static forService({ dataDir, apiKey = null }) {
+    return new AuthService({ appConfig: { security: { apiKey: { key: apiKey } } }, dataDir, isServerMode: () => true });
+  }
+}
+
+AuthService.ROLES = ROLES;
+AuthService.ANONYMOUS = ANONYMOUS;
+AuthService.hasRole = hasRole;
+
+module.exports = AuthService;
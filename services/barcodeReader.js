@@ -0,0 +1,65 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const { prepareZXingModule, readBarcodes } = require('zxing-wasm/reader');
+
+// Symbologies found on slide labels: 2D codes from LIS label printers, Code128 on older labels
+const DEFAULT_FORMATS = ['DataMatrix', 'QRCode', 'Code128'];
+
+// Label images are small; upscaling the short side helps with densely printed DataMatrix codes
+const MIN_DECODE_SIZE = 600;
+
+let modulePrepared = false;
+
+// Load the decoder from the installed package rather than letting zxing-wasm fetch it from a CDN,
+// so decoding works on lab servers without internet access
+function prepareDecoder() {
+  if (modulePrepared) return;
+  const wasmBinary = fs.readFileSync(require.resolve('zxing-wasm/reader/zxing_reader.wasm'));
+  prepareZXingModule({ overrides: { wasmBinary }, fireImmediately: true });
+  modulePrepared = true;
+}
+
+/**
+ * Decodes 1D/2D barcodes from slide label images
+ */
+class BarcodeReader {
+  /**
+   * @param {Object} options - formats: zxing format names to look for
+   */
+  constructor(options = {}) {
+    this.formats = Array.isArray(options.formats) && options.formats.length > 0 ? options.formats : DEFAULT_FORMATS;
+  }
+
+  /**
+   * Decode every barcode found in an image
+   * @param {string} imagePath - Label image (any format sharp can read)
+   * @returns {Promise<Array<{value: string, format: string}>>} Decoded symbols, largest first
+   */
+  async decode(imagePath) {
+    prepareDecoder();
+
+    let image = sharp(imagePath);
+    const { width, height } = await image.metadata();
+    const shortSide = Math.min(width, height);
+    if (shortSide < MIN_DECODE_SIZE) {
+      const scale = MIN_DECODE_SIZE / shortSide;
+      image = image.resize(Math.round(width * scale), Math.round(height * scale), { kernel: 'nearest' });
+    }
+    const { data, info } = await image.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+
+    const results = await readBarcodes(
+      { data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), width: info.width, height: info.height, colorSpace: 'srgb' },
+      { formats: this.formats, tryHarder: true, maxNumberOfSymbols: 8 }
+    );
+
+    const area = ({ position: p }) => Math.abs((p.bottomRight.x - p.topLeft.x) * (p.bottomRight.y - p.topLeft.y));
+    return results
+      .filter(result => result.isValid && result.text)
+      .sort((a, b) => area(b) - area(a))
+      .map(result => ({ value: result.text.trim(), format: result.format }));
+  }
+}
+
+BarcodeReader.DEFAULT_FORMATS = DEFAULT_FORMATS;
+
+module.exports = BarcodeReader;
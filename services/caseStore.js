@@ -0,0 +1,303 @@
+const fs = require('fs');
+const path = require('path');
+
+// Default pattern for reading an accession (plus optional part letter and block number) out of a
+// label/barcode value, e.g. "S24-12345 A3" -> accession S24-12345, part A, block 3.
+// Override with app-config.json cases.accessionPattern (named groups: accession, part, block).
+const DEFAULT_ACCESSION_PATTERN = '^(?<accession>[A-Z]{1,4}\\d{2,4}-\\d{1,7})(?:[\\s_-]+(?<part>[A-Z]{1,2})(?<block>\\d{1,3})?)?';
+const NAME_PATTERN = /^[\w\-. /]+$/;
+
+function newId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Cases group slides by accession: case -> specimen parts -> blocks, with each slide attached to
+ * the case (and optionally a part/block). No patient identifiers are stored; caseId is a free
+ * de-identified reference. Persisted as a single JSON file in config.dataDir.
+ */
+class CaseStore {
+  constructor(config) {
+    this.config = config;
+    this.casesPath = path.join(config.dataDir, 'cases.json');
+    const pattern = config.appConfig?.cases?.accessionPattern || DEFAULT_ACCESSION_PATTERN;
+    this.accessionPattern = new RegExp(pattern, 'i');
+    this.cases = this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.casesPath)) return [];
+    try {
+      const content = JSON.parse(fs.readFileSync(this.casesPath, 'utf8'));
+      return Array.isArray(content.cases) ? content.cases : [];
+    } catch (error) {
+      console.error(`Error loading cases: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Temp file + rename so a crash never leaves a half-written file
+  save() {
+    fs.mkdirSync(path.dirname(this.casesPath), { recursive: true });
+    const tempPath = `${this.casesPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ updatedAt: new Date().toISOString(), cases: this.cases }, null, 2));
+    fs.renameSync(tempPath, this.casesPath);
+  }
+
+  /**
+   * @param {Object} filter - q: substring of accession/caseId/description; slide: cases containing a slide
+   */
+  list(filter = {}) {
+    let cases = this.cases;
+    if (filter.q) {
+      const q = String(filter.q).toLowerCase();
+      cases = cases.filter(c => [c.accession, c.caseId, c.description].some(v => v && v.toLowerCase().includes(q)));
+    }
+    if (filter.slide) {
+      cases = cases.filter(c => c.slides.some(s => s.name === filter.slide));
+    }
+    return [...cases].sort((a, b) => a.accession.localeCompare(b.accession));
+  }
+
+  get(id) {
+    return this.cases.find(c => c.id === id) || null;
+  }
+
+  findByAccession(accession) {
+    const wanted = String(accession).trim().toLowerCase();
+    return this.cases.find(c => c.accession.toLowerCase() === wanted) || null;
+  }
+
+  findBySlide(slideName) {
+    return this.cases.find(c => c.slides.some(s => s.name === slideName)) || null;
+  }
+
+  create(data) {
+    const now = new Date().toISOString();
+    const caseRecord = {
+      id: newId('case'),
+      accession: data.accession.trim(),
+      caseId: (data.caseId || '').trim(),
+      description: (data.description || '').trim(),
+      parts: this.normalizeParts(data.parts || []),
+      slides: [],
+      source: data.source || 'manual',
+      createdAt: now,
+      updatedAt: now
+    };
+    this.cases.push(caseRecord);
+    this.save();
+    return caseRecord;
+  }
+
+  /**
+   * Update case fields. Passing parts replaces the part/block tree; slides attached to parts or
+   * blocks that no longer exist are kept on the case but unassigned.
+   */
+  update(id, data) {
+    const caseRecord = this.get(id);
+    if (!caseRecord) return null;
+
+    if (data.accession !== undefined) caseRecord.accession = data.accession.trim();
+    if (data.caseId !== undefined) caseRecord.caseId = (data.caseId || '').trim();
+    if (data.description !== undefined) caseRecord.description = (data.description || '').trim();
+    if (data.parts !== undefined) {
+      caseRecord.parts = this.normalizeParts(data.parts);
+      caseRecord.slides.forEach(slide => this.clearMissingAssignment(caseRecord, slide));
+    }
+    caseRecord.updatedAt = new Date().toISOString();
+    this.save();
+    return caseRecord;
+  }
+
+  remove(id) {
+    const before = this.cases.length;
+    this.cases = this.cases.filter(c => c.id !== id);
+    if (this.cases.length === before) return false;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Attach a slide to a case, moving it out of any other case.
+   * part/block are labels (created if missing); partId/blockId reference existing ones.
+   * @returns {{caseRecord: Object, previousCase: Object|null}}
+   */
+  attachSlide(id, { slide, part, block, partId, blockId, stain }) {
+    const caseRecord = this.get(id);
+    if (!caseRecord) return null;
+
+    const previousCase = this.findBySlide(slide);
+    if (previousCase && previousCase.id !== caseRecord.id) {
+      previousCase.slides = previousCase.slides.filter(s => s.name !== slide);
+      previousCase.updatedAt = new Date().toISOString();
+    }
+
+    let assignment = { partId: partId || null, blockId: blockId || null };
+    if (part) assignment = this.ensurePartBlock(caseRecord, part, block);
+
+    const existing = caseRecord.slides.find(s => s.name === slide);
+    const slideRef = existing || { name: slide };
+    slideRef.partId = assignment.partId;
+    slideRef.blockId = assignment.blockId;
+    slideRef.stain = stain !== undefined ? String(stain).trim() : (slideRef.stain || '');
+    this.clearMissingAssignment(caseRecord, slideRef);
+    if (!existing) caseRecord.slides.push(slideRef);
+
+    caseRecord.updatedAt = new Date().toISOString();
+    this.save();
+    return { caseRecord, previousCase: previousCase && previousCase.id !== caseRecord.id ? previousCase : null };
+  }
+
+  detachSlide(id, slideName) {
+    const caseRecord = this.get(id);
+    if (!caseRecord || !caseRecord.slides.some(s => s.name === slideName)) return null;
+    caseRecord.slides = caseRecord.slides.filter(s => s.name !== slideName);
+    caseRecord.updatedAt = new Date().toISOString();
+    this.save();
+    return caseRecord;
+  }
+
+  /**
+   * Keep slide references in step with slide deletes/renames
+   * @returns {Object|null} The affected case
+   */
+  forgetSlide(slideName) {
+    const caseRecord = this.findBySlide(slideName);
+    return caseRecord ? this.detachSlide(caseRecord.id, slideName) : null;
+  }
+
+  renameSlide(oldName, newName) {
+    const caseRecord = this.findBySlide(oldName);
+    if (!caseRecord) return null;
+    caseRecord.slides.find(s => s.name === oldName).name = newName;
+    caseRecord.updatedAt = new Date().toISOString();
+    this.save();
+    return caseRecord;
+  }
+
+  /**
+   * Find or create the case for an accession and attach the slide to it
+   */
+  assign({ accession, caseId, description, slide, part, block, stain, source }) {
+    let caseRecord = this.findByAccession(accession);
+    const created = !caseRecord;
+    if (!caseRecord) {
+      caseRecord = this.create({ accession, caseId, description, source });
+    }
+    const result = this.attachSlide(caseRecord.id, { slide, part, block, stain });
+    return { ...result, created };
+  }
+
+  /**
+   * Read accession/part/block from a label or barcode value
+   * @returns {{accession: string, part: string|null, block: string|null}|null}
+   */
+  parseLabelValue(value) {
+    if (!value) return null;
+    const match = String(value).trim().match(this.accessionPattern);
+    if (!match || !match.groups || !match.groups.accession) return null;
+    return {
+      accession: match.groups.accession.toUpperCase(),
+      part: match.groups.part ? match.groups.part.toUpperCase() : null,
+      block: match.groups.block || null
+    };
+  }
+
+  ensurePartBlock(caseRecord, partLabel, blockLabel) {
+    const label = String(partLabel).trim();
+    let part = caseRecord.parts.find(p => p.label.toLowerCase() === label.toLowerCase());
+    if (!part) {
+      part = { id: newId('part'), label, description: '', blocks: [] };
+      caseRecord.parts.push(part);
+    }
+    if (!blockLabel) return { partId: part.id, blockId: null };
+
+    const blockName = String(blockLabel).trim();
+    let block = part.blocks.find(b => b.label.toLowerCase() === blockName.toLowerCase());
+    if (!block) {
+      block = { id: newId('block'), label: blockName, description: '' };
+      part.blocks.push(block);
+    }
+    return { partId: part.id, blockId: block.id };
+  }
+
+  clearMissingAssignment(caseRecord, slideRef) {
+    const part = caseRecord.parts.find(p => p.id === slideRef.partId);
+    if (!part) {
+      slideRef.partId = null;
+      slideRef.blockId = null;
+    } else if (!part.blocks.some(b => b.id === slideRef.blockId)) {
+      slideRef.blockId = null;
+    }
+  }
+
+  normalizeParts(parts) {
+    return parts.map(part => ({
+      id: part.id || newId('part'),
+      label: String(part.label).trim(),
+      description: (part.description || '').trim(),
+      blocks: (part.blocks || []).map(block => ({
+        id: block.id || newId('block'),
+        label: String(block.label).trim(),
+        description: (block.description || '').trim()
+      }))
+    }));
+  }
+
+  /**
+   * Validate a case payload
+   * @param {boolean} partial - true for updates, where every field is optional
+   * @returns {string[]} List of validation errors (empty when valid)
+   */
+  validate(data, partial = false) {
+    const errors = [];
+    if (!data || typeof data !== 'object') return ['Case must be an object'];
+
+    const checkName = (key, required) => {
+      const value = data[key];
+      if (value === undefined || value === null || value === '') {
+        if (required) errors.push(`${key} is required`);
+        return;
+      }
+      if (typeof value !== 'string' || value.trim().length > 64 || !NAME_PATTERN.test(value.trim())) {
+        errors.push(`${key} must be at most 64 letters, numbers, spaces or - _ . /`);
+      }
+    };
+    // Updates may leave accession out, but not blank it: lists and lookups go by accession
+    checkName('accession', !partial || data.accession !== undefined);
+    checkName('caseId', false);
+
+    const checkDescription = (value, key) => {
+      if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > 1000)) {
+        errors.push(`${key} must be a string of at most 1000 characters`);
+      }
+    };
+    checkDescription(data.description, 'description');
+
+    if (data.parts !== undefined) {
+      if (!Array.isArray(data.parts)) {
+        errors.push('parts must be an array');
+      } else {
+        data.parts.forEach((part, i) => {
+          if (!part || typeof part.label !== 'string' || !part.label.trim()) {
+            errors.push(`parts[${i}].label is required`);
+          }
+          if (part) checkDescription(part.description, `parts[${i}].description`);
+          if (part && part.blocks !== undefined && (!Array.isArray(part.blocks) ||
+              part.blocks.some(b => !b || typeof b.label !== 'string' || !b.label.trim()))) {
+            errors.push(`parts[${i}].blocks must be an array of { label }`);
+          } else if (part && part.blocks) {
+            part.blocks.forEach((block, j) => checkDescription(block.description, `parts[${i}].blocks[${j}].description`));
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+}
+
+CaseStore.DEFAULT_ACCESSION_PATTERN = DEFAULT_ACCESSION_PATTERN;
+
+module.exports = CaseStore;
@@ -0,0 +1,282 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline, Transform } = require('stream');
+
+// Sessions nobody has touched for this long are dropped (with their partial data) on startup
+const STALE_UPLOAD_MS = 7 * 24 * 60 * 60 * 1000;
+
+class UploadError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Move a finished file into the watched slides folder so it appears there complete or not at all
+ */
+function moveIntoPlace(source, destination) {
+  fs.mkdirSync(path.dirname(destination), { recursive: true });
+  try {
+    fs.renameSync(source, destination);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    // Staging is on another volume: copy under a .part name (ignored by the watcher), then rename
+    const partialPath = `${destination}.part`;
+    fs.copyFileSync(source, partialPath);
+    fs.renameSync(partialPath, destination);
+    fs.unlinkSync(source);
+  }
+}
+
+/**
+ * Resumable chunked uploads (tus-style): create a session, append chunks at the current offset,
+ * query the offset to resume after a dropped connection, then finalize. Each session is a
+ * <id>.json descriptor plus <id>.part data file in the staging directory, so uploads survive
+ * GUI server restarts. Finalize verifies the data and moves it into the slides folder in one
+ * rename, so the AutoProcessor watcher never sees a partial slide.
+ */
+class ChunkedUploadStore {
+  /**
+   * @param {Object} options - stagingDir, maxSize (bytes), allowedExtensions (lowercase, with dot)
+   */
+  constructor(options) {
+    this.stagingDir = options.stagingDir;
+    this.maxSize = options.maxSize;
+    this.allowedExtensions = new Set(options.allowedExtensions);
+    // Sessions with a chunk being written or a finalize running; one request at a time per upload
+    this.busy = new Set();
+    fs.mkdirSync(this.stagingDir, { recursive: true });
+    this.pruneStale();
+  }
+
+  sessionPath(id) {
+    return path.join(this.stagingDir, `${id}.json`);
+  }
+
+  dataPath(id) {
+    return path.join(this.stagingDir, `${id}.part`);
+  }
+
+  get(id) {
+    if (!/^upload_[\w]+$/.test(id) || !fs.existsSync(this.sessionPath(id))) return null;
+    try {
+      const session = JSON.parse(fs.readFileSync(this.sessionPath(id), 'utf8'));
+      // The data file is the source of truth for how much has arrived
+      session.offset = fs.existsSync(this.dataPath(id)) ? fs.statSync(this.dataPath(id)).size : 0;
+      return session;
+    } catch (error) {
+      console.error(`Error loading upload session ${id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  list() {
+    return fs.readdirSync(this.stagingDir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => this.get(path.basename(name, '.json')))
+      .filter(Boolean);
+  }
+
+  // Temp file + rename so a crash never leaves a half-written descriptor
+  save(session) {
+    const { offset, ...stored } = session;
+    const tempPath = `${this.sessionPath(session.id)}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(stored, null, 2));
+    fs.renameSync(tempPath, this.sessionPath(session.id));
+  }
+
+  /**
+   * Validate a new upload request
+   * @returns {string[]} List of validation errors (empty when valid)
+   */
+  validate(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object') return ['Upload must be an object'];
+
+    if (typeof data.filename !== 'string' || !data.filename.trim()) {
+      errors.push('filename is required');
+    } else if (!this.allowedExtensions.has(path.extname(data.filename).toLowerCase())) {
+      errors.push(`filename must have one of these extensions: ${[...this.allowedExtensions].join(', ')}`);
+    }
+    if (!Number.isSafeInteger(data.size) || data.size <= 0) {
+      errors.push('size must be a positive integer (bytes)');
+    } else if (data.size > this.maxSize) {
+      errors.push(`size must be at most ${this.maxSize} bytes`);
+    }
+    if (data.checksum !== undefined && data.checksum !== null &&
+        !(typeof data.checksum === 'string' && /^[a-f0-9]{64}$/i.test(data.checksum))) {
+      errors.push('checksum must be a hex SHA-256 digest');
+    }
+    if (data.folder !== undefined && data.folder !== null && data.folder !== '' &&
+        (typeof data.folder !== 'string' || data.folder.split(/[\/\\]/).some(part => !part || part === '.' || part === '..'))) {
+      errors.push('folder must be a relative path inside the slides folder');
+    }
+    return errors;
+  }
+
+  create({ filename, size, checksum, folder }) {
+    const now = new Date().toISOString();
+    const session = {
+      id: `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      filename: path.basename(filename).replace(/[\/\\:*?"<>|]/g, '_'),
+      folder: folder ? folder.replace(/\\/g, '/') : '',
+      size,
+      checksum: checksum ? checksum.toLowerCase() : null,
+      createdAt: now,
+      updatedAt: now
+    };
+    fs.writeFileSync(this.dataPath(session.id), '');
+    this.save(session);
+    return { ...session, offset: 0 };
+  }
+
+  /**
+   * Append one chunk. The client must send it at the current offset; an optional SHA-256 of the
+   * chunk (base64, as in the tus checksum extension) is checked before the chunk is kept.
+   * @param {stream.Readable} stream - Request body
+   * @returns {Promise<Object>} Session with the new offset
+   */
+  async appendChunk(id, offset, stream, chunkChecksum = null) {
+    const session = this.get(id);
+    if (!session) throw new UploadError(404, 'Upload not found');
+    if (this.busy.has(id)) throw new UploadError(423, 'Upload is busy with another request');
+    if (offset !== session.offset) {
+      throw new UploadError(409, 'Offset mismatch', { expected: session.offset, received: offset });
+    }
+
+    this.busy.add(id);
+    try {
+      return await this.writeChunk(session, stream, chunkChecksum);
+    } finally {
+      this.busy.delete(id);
+    }
+  }
+
+  async writeChunk(session, stream, chunkChecksum) {
+    const id = session.id;
+
+    const hash = crypto.createHash('sha256');
+    let received = 0;
+    const meter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (session.offset + received > session.size) {
+          return callback(new UploadError(413, 'Chunk runs past the declared upload size'));
+        }
+        hash.update(chunk);
+        callback(null, chunk);
+      }
+    });
+
+    try {
+      await new Promise((resolve, reject) => {
+        pipeline(stream, meter, fs.createWriteStream(this.dataPath(id), { flags: 'a' }), error => error ? reject(error) : resolve());
+      });
+    } catch (error) {
+      // A dropped connection keeps what arrived (the client resumes from the new offset) unless the
+      // chunk was meant to be checksummed; anything invalid is rolled back to the start of the chunk
+      if (error instanceof UploadError || chunkChecksum) fs.truncateSync(this.dataPath(id), session.offset);
+      if (error instanceof UploadError) throw error;
+      throw new UploadError(400, 'Chunk transfer interrupted', { offset: this.get(id).offset, reason: error.message });
+    }
+
+    if (chunkChecksum && hash.digest('base64') !== chunkChecksum) {
+      fs.truncateSync(this.dataPath(id), session.offset);
+      throw new UploadError(460, 'Chunk checksum mismatch', { offset: session.offset });
+    }
+
+    session.updatedAt = new Date().toISOString();
+    this.save(session);
+    return this.get(id);
+  }
+
+  /**
+   * Verify a complete upload and move it into the slides folder
+   * @param {string} slidesDir - Destination root (watched by the AutoProcessor)
+   * @param {string|null} checksum - Expected SHA-256 (hex), if not given when the upload was created
+   * @param {SlideFileValidator|null} validator - Content check; a rejected file is discarded
+   * @returns {Promise<Object>} { session, destination, sha256, validation }
+   */
+  async finalize(id, slidesDir, checksum = null, validator = null) {
+    const session = this.get(id);
+    if (!session) throw new UploadError(404, 'Upload not found');
+    if (this.busy.has(id)) throw new UploadError(423, 'Upload is busy with another request');
+    if (session.offset !== session.size) {
+      throw new UploadError(409, 'Upload incomplete', { offset: session.offset, size: session.size });
+    }
+
+    const destination = path.join(slidesDir, session.folder, session.filename);
+    if (!path.resolve(destination).startsWith(path.resolve(slidesDir) + path.sep)) {
+      throw new UploadError(400, 'Invalid destination');
+    }
+    const checkDestination = () => {
+      if (fs.existsSync(destination)) {
+        throw new UploadError(409, 'A slide with this name already exists', { destination: path.relative(slidesDir, destination) });
+      }
+    };
+    checkDestination();
+
+    this.busy.add(id);
+    try {
+      const sha256 = await hashFile(this.dataPath(id));
+      const expected = (checksum || session.checksum || '').toLowerCase();
+      if (expected && expected !== sha256) {
+        throw new UploadError(422, 'Checksum mismatch', { expected, actual: sha256 });
+      }
+
+      const validation = validator ? await validator.validate(this.dataPath(id), session.filename) : null;
+      if (validation && !validation.valid) {
+        // The bytes arrived intact but are not a usable slide; resuming would not help
+        this.busy.delete(id);
+        this.remove(id);
+        throw new UploadError(422, 'File rejected', { reason: validation.reason });
+      }
+
+      // Hashing a large slide takes a while; re-check so the rename never replaces a slide
+      checkDestination();
+      moveIntoPlace(this.dataPath(id), destination);
+      fs.unlinkSync(this.sessionPath(id));
+
+      return { session: { ...session, sha256, completedAt: new Date().toISOString() }, destination, sha256, validation };
+    } finally {
+      this.busy.delete(id);
+    }
+  }
+
+  remove(id) {
+    if (!this.get(id)) return false;
+    if (this.busy.has(id)) throw new UploadError(423, 'Upload is busy with another request');
+    for (const filePath of [this.dataPath(id), this.sessionPath(id)]) {
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    }
+    return true;
+  }
+
+  pruneStale() {
+    const cutoff = Date.now() - STALE_UPLOAD_MS;
+    for (const session of this.list()) {
+      if (new Date(session.updatedAt).getTime() < cutoff) {
+        console.log(`🧹 Removing stale upload ${session.id} (${session.filename})`);
+        this.remove(session.id);
+      }
+    }
+  }
+}
+
+ChunkedUploadStore.UploadError = UploadError;
+ChunkedUploadStore.moveIntoPlace = moveIntoPlace;
+
+module.exports = ChunkedUploadStore;
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+
+const ATTEMPT_STATUSES = ['succeeded', 'failed', 'cancelled', 'interrupted'];
+// Most attempts one query returns
+const MAX_LIMIT = 1000;
+
+// Hashes keyed by path + size + mtime, so retries of the same file aren't re-read
+const hashCache = new Map();
+
+/**
+ * SHA-256 of a slide file (hex)
+ */
+function hashSlideFile(filePath) {
+  let stats;
+  try {
+    stats = fs.statSync(filePath);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  const cacheKey = `${filePath}:${stats.size}:${stats.mtimeMs}`;
+  if (hashCache.has(cacheKey)) return hashCache.get(cacheKey);
+
+  const promise = new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+  hashCache.set(cacheKey, promise);
+  promise.catch(() => hashCache.delete(cacheKey));
+  return promise;
+}
+
+// Running totals behind summarize(), so stats can be gathered while the file is read
+function newTotals() {
+  const byStatus = {};
+  for (const status of ATTEMPT_STATUSES) byStatus[status] = 0;
+  const sum = () => ({ sum: 0, count: 0 });
+  return { attempts: 0, byStatus, durationMs: sum(), phaseMs: { icc: sum(), dzi: sum(), metadata: sum() }, inputMBps: sum(), maxPeakMemoryBytes: 0 };
+}
+
+function addValue(total, value) {
+  if (!Number.isFinite(value)) return;
+  total.sum += value;
+  total.count++;
+}
+
+function addToTotals(totals, record) {
+  totals.attempts++;
+  if (totals.byStatus[record.status] !== undefined) totals.byStatus[record.status]++;
+  totals.maxPeakMemoryBytes = Math.max(totals.maxPeakMemoryBytes, record.peakMemoryBytes || 0);
+  if (record.status !== 'succeeded') return;
+  addValue(totals.durationMs, record.durationMs);
+  for (const phase of Object.keys(totals.phaseMs)) addValue(totals.phaseMs[phase], record.phases?.[phase]?.durationMs);
+  if (record.input?.size && record.durationMs) addValue(totals.inputMBps, record.input.size / 1024 / 1024 / (record.durationMs / 1000));
+}
+
+/**
+ * Append-only record of every conversion attempt (input hash, output, server, VIPS settings,
+ * phase timings, peak memory, exit status), for throughput tuning and QA traceability.
+ * Stored as JSON Lines so each attempt is written with a single append and never rewritten.
+ * Queries read the file rather than keeping every attempt in memory for the life of the process.
+ */
+class ConversionHistoryStore {
+  /**
+   * @param {Object} options - path: JSON Lines file
+   */
+  constructor(options) {
+    this.historyPath = options.path;
+    // Set when the file doesn't end in a newline (a crash mid-append), so the next attempt starts
+    // on a line of its own
+    this.tornTail = this.endsMidLine();
+  }
+
+  endsMidLine() {
+    if (!fs.existsSync(this.historyPath)) return false;
+    const size = fs.statSync(this.historyPath).size;
+    if (size === 0) return false;
+    const handle = fs.openSync(this.historyPath, 'r');
+    try {
+      const last = Buffer.alloc(1);
+      fs.readSync(handle, last, 0, 1, size - 1);
+      return last[0] !== 0x0a;
+    } finally {
+      fs.closeSync(handle);
+    }
+  }
+
+  // Every attempt, oldest first. A crash mid-append can leave a partial line; it is skipped.
+  async *records() {
+    if (!fs.existsSync(this.historyPath)) return;
+    const lines = readline.createInterface({ input: fs.createReadStream(this.historyPath, 'utf8'), crlfDelay: Infinity });
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        console.warn(`Skipping unreadable conversion history line ${lineNumber}: ${error.message}`);
+      }
+    }
+  }
+
+  append(record) {
+    const entry = {
+      id: `attempt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      recordedAt: new Date().toISOString(),
+      ...record
+    };
+    fs.mkdirSync(path.dirname(this.historyPath), { recursive: true });
+    fs.appendFileSync(this.historyPath, `${this.tornTail ? '\n' : ''}${JSON.stringify(entry)}\n`);
+    this.tornTail = false;
+    return entry;
+  }
+
+  /**
+   * Validate history query parameters
+   * @returns {string[]} List of validation errors (empty when valid)
+   */
+  validateQuery(query) {
+    const errors = [];
+    if (query.status && query.status.split(',').some(status => !ATTEMPT_STATUSES.includes(status))) {
+      errors.push(`status must be one or more of: ${ATTEMPT_STATUSES.join(', ')}`);
+    }
+    for (const field of ['since', 'until']) {
+      if (query[field] && isNaN(Date.parse(query[field]))) errors.push(`${field} must be a date`);
+    }
+    for (const field of ['limit', 'offset']) {
+      if (query[field] !== undefined && !/^\d+$/.test(String(query[field]))) errors.push(`${field} must be a non-negative integer`);
+    }
+    return errors;
+  }
+
+  /**
+   * One page of matching attempts plus stats over all of them. Only the newest offset + limit
+   * matches are held while the file is read, in a ring, as the audit log does.
+   * @param {Object} query - slide, jobId, status (comma-separated), serverId, sha256, since, until, limit, offset
+   * @returns {Promise<Object>} { total, records (newest first), stats }
+   */
+  async query(query = {}) {
+    const statuses = query.status ? query.status.split(',') : null;
+    const since = query.since ? Date.parse(query.since) : null;
+    const until = query.until ? Date.parse(query.until) : null;
+    const offset = parseInt(query.offset) || 0;
+    const limit = Math.min(parseInt(query.limit) || 100, MAX_LIMIT);
+
+    const size = offset + limit;
+    const ring = new Array(size);
+    const totals = newTotals();
+    for await (const record of this.records()) {
+      if (!((!query.slide || record.slide === query.slide) &&
+          (!query.jobId || record.jobId === query.jobId) &&
+          (!statuses || statuses.includes(record.status)) &&
+          (!query.serverId || record.serverId === query.serverId) &&
+          (!query.sha256 || record.input?.sha256 === query.sha256) &&
+          (since === null || Date.parse(record.startedAt) >= since) &&
+          (until === null || Date.parse(record.startedAt) <= until))) continue;
+      ring[totals.attempts % size] = record;
+      addToTotals(totals, record);
+    }
+
+    const records = [];
+    for (let i = offset; i < Math.min(totals.attempts, size); i++) {
+      records.push(ring[(totals.attempts - 1 - i) % size]);
+    }
+    return { total: totals.attempts, records, stats: ConversionHistoryStore.summarizeTotals(totals) };
+  }
+
+  /**
+   * Throughput figures over a set of attempts: outcome counts, mean phase times, input MB/s
+   */
+  static summarize(records) {
+    const totals = newTotals();
+    records.forEach(record => addToTotals(totals, record));
+    return ConversionHistoryStore.summarizeTotals(totals);
+  }
+
+  static summarizeTotals(totals) {
+    const mean = total => total.count ? Math.round(total.sum / total.count) : null;
+    return {
+      attempts: totals.attempts,
+      ...totals.byStatus,
+      meanDurationMs: mean(totals.durationMs),
+      meanIccMs: mean(totals.phaseMs.icc),
+      meanDziMs: mean(totals.phaseMs.dzi),
+      meanMetadataMs: mean(totals.phaseMs.metadata),
+      meanInputMBps: totals.inputMBps.count ? Math.round(totals.inputMBps.sum / totals.inputMBps.count * 10) / 10 : null,
+      maxPeakMemoryBytes: totals.maxPeakMemoryBytes || null
+    };
+  }
+}
+
+ConversionHistoryStore.ATTEMPT_STATUSES = ATTEMPT_STATUSES;
+ConversionHistoryStore.MAX_LIMIT = MAX_LIMIT;
+ConversionHistoryStore.hashSlideFile = hashSlideFile;
+
+module.exports = ConversionHistoryStore;
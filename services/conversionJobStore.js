@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+
+const JOB_STATES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const FINISHED_STATES = ['succeeded', 'failed', 'cancelled'];
+
+// Queue priority levels, most urgent first
+const PRIORITIES = ['stat', 'routine', 'backfill'];
+
+// Finished jobs kept for status lookups and history; older ones are dropped on save
+const MAX_FINISHED_JOBS = 2000;
+
+/**
+ * Durable record of conversion server jobs (conversions and registrations): state, attempts,
+ * timestamps and the worker that ran them. Persisted as a single JSON file and rewritten on every
+ * state change, so a restarted conversion server can resume or re-queue whatever was in flight.
+ */
+class ConversionJobStore {
+  /**
+   * @param {Object} options - path: JSON file; workerId: this server's ID, stamped on started jobs
+   */
+  constructor(options) {
+    this.jobsPath = options.path;
+    this.workerId = options.workerId;
+    this.jobs = this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.jobsPath)) return [];
+    try {
+      const content = JSON.parse(fs.readFileSync(this.jobsPath, 'utf8'));
+      return Array.isArray(content.jobs) ? content.jobs : [];
+    } catch (error) {
+      console.error(`Error loading conversion jobs: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Temp file + rename so a crash never leaves a half-written file
+  save() {
+    const finished = this.jobs.filter(job => FINISHED_STATES.includes(job.state));
+    if (finished.length > MAX_FINISHED_JOBS) {
+      const dropped = new Set(finished
+        .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt))
+        .slice(0, finished.length - MAX_FINISHED_JOBS));
+      this.jobs = this.jobs.filter(job => !dropped.has(job));
+    }
+
+    fs.mkdirSync(path.dirname(this.jobsPath), { recursive: true });
+    const tempPath = `${this.jobsPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ updatedAt: new Date().toISOString(), jobs: this.jobs }, null, 2));
+    fs.renameSync(tempPath, this.jobsPath);
+  }
+
+  /**
+   * @param {string} type - conversion | registration
+   * @param {string} key - What the job works on (output base name, or the registration job ID)
+   * @param {Object} payload - Everything needed to run the job again after a restart
+   * @param {string} priority - One of PRIORITIES
+   */
+  create(type, key, payload, id = null, priority = 'routine') {
+    const now = new Date().toISOString();
+    const job = {
+      id: id || `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      type,
+      key,
+      state: 'queued',
+      attempts: 0,
+      priority,
+      paused: false,
+      queueSeq: null,
+      payload,
+      workerId: null,
+      pid: null,
+      phase: null,
+      error: null,
+      errorClass: null,
+      retryAt: null,
+      result: null,
+      createdAt: now,
+      queuedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      updatedAt: now
+    };
+    this.jobs.push(job);
+    this.save();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.find(job => job.id === id) || null;
+  }
+
+  // Most recent job for a key (a slide can be converted many times)
+  latestForKey(key) {
+    let latest = null;
+    for (const job of this.jobs) {
+      if (job.key === key && (!latest || job.createdAt >= latest.createdAt)) latest = job;
+    }
+    return latest;
+  }
+
+  /**
+   * @param {Object} filter - states: array of states; type; key; limit (newest first)
+   */
+  list(filter = {}) {
+    let jobs = this.jobs;
+    if (filter.states && filter.states.length > 0) jobs = jobs.filter(job => filter.states.includes(job.state));
+    if (filter.type) jobs = jobs.filter(job => job.type === filter.type);
+    if (filter.key) jobs = jobs.filter(job => job.key === filter.key);
+    jobs = [...jobs].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return filter.limit ? jobs.slice(0, filter.limit) : jobs;
+  }
+
+  update(id, changes) {
+    const job = this.get(id);
+    if (!job) return null;
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.save();
+    return job;
+  }
+
+  markRunning(id) {
+    const job = this.get(id);
+    if (!job) return null;
+    return this.update(id, {
+      state: 'running',
+      attempts: job.attempts + 1,
+      workerId: this.workerId,
+      pid: process.pid,
+      phase: null,
+      retryAt: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    });
+  }
+
+  setPhase(id, phase) {
+    const job = this.get(id);
+    if (!job || job.phase === phase) return job;
+    return this.update(id, { phase });
+  }
+
+  markSucceeded(id, result = null) {
+    return this.update(id, { state: 'succeeded', result, error: null, finishedAt: new Date().toISOString() });
+  }
+
+  markFailed(id, error, errorClass = null) {
+    return this.update(id, { state: 'failed', error, errorClass, retryAt: null, finishedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Back to the queue after a retryable failure; the job may not start again before retryAt
+   */
+  scheduleRetry(id, error, errorClass, retryAt) {
+    return this.update(id, {
+      state: 'queued',
+      error,
+      errorClass,
+      retryAt: retryAt.toISOString(),
+      queuedAt: new Date().toISOString(),
+      startedAt: null
+    });
+  }
+
+  // Manual retry from the dead-letter list: a fresh set of attempts
+  retry(id) {
+    return this.update(id, {
+      state: 'queued',
+      attempts: 0,
+      error: null,
+      errorClass: null,
+      retryAt: null,
+      paused: false,
+      queuedAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    });
+  }
+
+  /**
+   * Dead-letter list: jobs whose latest run failed for good (a later job for the same key clears it)
+   */
+  listDeadLetters(type = 'conversion') {
+    const latest = new Map();
+    for (const job of this.jobs) {
+      if (job.type !== type) continue;
+      const current = latest.get(job.key);
+      if (!current || job.createdAt >= current.createdAt) latest.set(job.key, job);
+    }
+    return [...latest.values()]
+      .filter(job => job.state === 'failed')
+      .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt));
+  }
+
+  markCancelled(id, reason = 'Cancelled') {
+    return this.update(id, { state: 'cancelled', error: reason, finishedAt: new Date().toISOString() });
+  }
+
+  // Interrupted jobs go back to the front of the queue
+  requeue(id, reason) {
+    return this.update(id, { state: 'queued', error: reason, errorClass: 'transient', queueSeq: -1, queuedAt: new Date().toISOString(), startedAt: null });
+  }
+
+  /**
+   * Record the queue order (job IDs, first to run first) so it survives a restart
+   */
+  setQueueOrder(ids) {
+    const now = new Date().toISOString();
+    ids.forEach((id, index) => {
+      const job = this.get(id);
+      if (job && job.queueSeq !== index) {
+        job.queueSeq = index;
+        job.updatedAt = now;
+      }
+    });
+    this.save();
+  }
+
+  // Drop every job for a key (slide deleted)
+  forgetKey(key) {
+    const before = this.jobs.length;
+    this.jobs = this.jobs.filter(job => job.key !== key);
+    if (this.jobs.length !== before) this.save();
+    return before - this.jobs.length;
+  }
+
+  /**
+   * Settle jobs left behind by a previous run: running jobs were interrupted, so they go back to
+   * the queue (or fail once they have used up their attempts).
+   * @returns {{requeued: Object[], failed: Object[], queued: Object[]}} queued: all jobs to run, in queue order
+   */
+  recover(maxAttempts) {
+    const requeued = [];
+    const failed = [];
+    for (const job of this.jobs.filter(j => j.state === 'running')) {
+      const reason = `Interrupted by conversion server restart (worker ${job.workerId}, attempt ${job.attempts})`;
+      if (job.attempts >= maxAttempts) {
+        failed.push(this.markFailed(job.id, `${reason}; giving up after ${job.attempts} attempts`, 'transient'));
+      } else {
+        requeued.push(this.requeue(job.id, reason));
+      }
+    }
+    const queued = this.jobs
+      .filter(job => job.state === 'queued')
+      .sort((a, b) => (a.queueSeq ?? Infinity) - (b.queueSeq ?? Infinity) || a.queuedAt.localeCompare(b.queuedAt));
+    return { requeued, failed, queued };
+  }
+}
+
+ConversionJobStore.JOB_STATES = JOB_STATES;
+ConversionJobStore.FINISHED_STATES = FINISHED_STATES;
+ConversionJobStore.PRIORITIES = PRIORITIES;
+
+module.exports = ConversionJobStore;
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const LABEL_ACTIONS = ['remove', 'blackout'];
+const MACRO_ACTIONS = ['redact', 'remove'];
+
+// Where the label sits on a macro image, by openslide.vendor: the side it is on and the share of
+// the width it covers. Generous on purpose; a little lost glass is better than a visible name.
+const DEFAULT_MACRO_LABEL_AREAS = {
+  default: { side: 'right', fraction: 0.4 },
+  aperio: { side: 'right', fraction: 0.4 },
+  hamamatsu: { side: 'left', fraction: 0.4 },
+  leica: { side: 'left', fraction: 0.4 }
+};
+
+const DEFAULT_ANONYMIZATION_OPTIONS = {
+  enabled: false,
+  labelImages: 'remove',
+  macroImages: 'redact',
+  exportPrefix: 'ANON'
+};
+
+// Scanner properties that describe the image, not the patient or the lab: size, pyramid, scale
+// and scanner model. Everything else (file names, barcodes, operators, scan dates and the Aperio
+// ImageDescription that repeats them) is dropped.
+const DEIDENTIFIED_PROPERTY_PATTERN = /^(width|height|bands|format|coding|interpretation|[xy]res|resolution-unit|openslide\.(vendor|objective-power|mpp-[xy]|associated-images|bounds-(x|y|width|height)|level-count|level\[\d+\]\.(width|height|downsample|tile-width|tile-height))|aperio\.(AppMag|MPP)|hamamatsu\.SourceLens)$/;
+
+function stripProperties(raw) {
+  return Object.fromEntries(Object.entries(raw || {}).filter(([key]) => DEIDENTIFIED_PROPERTY_PATTERN.test(key)));
+}
+
+// Write through a temp file + rename so a crash never leaves a half-written image or JSON file
+async function writeAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fsp.writeFile(tempPath, data);
+  await fsp.rename(tempPath, filePath);
+}
+
+/**
+ * De-identification of slides before they leave the lab: label images removed or blacked out,
+ * the label end of macro images blanked, identifying scanner properties dropped from
+ * _metadata.json and exported files named by a pseudonym instead of the slide name.
+ * Options come from app-config.json anonymization; when `enabled`, the lab server applies it to
+ * every slide after conversion and to existing slides at startup.
+ */
+class Deidentifier {
+  constructor(config) {
+    this.config = config;
+    const options = config.appConfig?.anonymization || {};
+    this.options = {
+      ...DEFAULT_ANONYMIZATION_OPTIONS,
+      ...options,
+      macroLabelAreas: { ...DEFAULT_MACRO_LABEL_AREAS, ...(options.macroLabelAreas || {}) }
+    };
+    this.enabled = this.options.enabled === true;
+    this.key = null;
+  }
+
+  // Pseudonym key, generated into dataDir on first use so a slide keeps its pseudonym across
+  // restarts; hard-linking a finished temp file means concurrent starts agree on one key
+  loadKey() {
+    if (this.key) return this.key;
+    const keyPath = path.join(this.config.dataDir, 'anonymization-key');
+    if (!fs.existsSync(keyPath)) {
+      fs.mkdirSync(this.config.dataDir, { recursive: true });
+      const tempPath = `${keyPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+      try {
+        fs.linkSync(tempPath, keyPath);
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      } finally {
+        fs.unlinkSync(tempPath);
+      }
+    }
+    this.key = fs.readFileSync(keyPath, 'utf8').trim();
+    return this.key;
+  }
+
+  /**
+   * Stable pseudonym for a slide, e.g. ANON-3F9A1C07B2E4: the same slide always gets the same
+   * one, even after a rename, so exports can be matched up without revealing the name
+   * @param {string} slideId - The slide's catalog id (not its name, which can change)
+   */
+  pseudonym(slideId) {
+    const digest = crypto.createHmac('sha256', this.loadKey()).update(slideId).digest('hex');
+    return `${this.options.exportPrefix}-${digest.slice(0, 12).toUpperCase()}`;
+  }
+
+  /**
+   * Name a slide goes by outside the lab (exported files, IIIF labels, share links): the
+   * pseudonym in anonymization mode, otherwise the slide name
+   * @param {Object} slide - Catalog entry
+   */
+  exportName(slide) {
+    return this.enabled ? this.pseudonym(slide.id) : slide.name;
+  }
+
+  /**
+   * Name a case goes by outside the lab (share links, IIIF manifests): in anonymization mode a
+   * pseudonym from its case ID, since accession numbers lead back to the patient; otherwise the
+   * accession
+   * @param {Object} caseRecord - Case from CaseStore
+   */
+  caseExportName(caseRecord) {
+    return this.enabled ? this.pseudonym(`case:${caseRecord.id}`) : caseRecord.accession;
+  }
+
+  /**
+   * Label area of a macro image, in pixels
+   * @param {string} vendor - openslide.vendor of the slide
+   */
+  macroLabelArea(width, height, vendor) {
+    const areas = this.options.macroLabelAreas;
+    const area = areas[String(vendor || '').toLowerCase()] || areas.default;
+    const labelWidth = Math.min(width, Math.ceil(width * area.fraction));
+    return { left: area.side === 'left' ? 0 : width - labelWidth, top: 0, width: labelWidth, height };
+  }
+
+  // Replace a label image with a black one of the same size
+  async blackOutImage(imagePath) {
+    const { width, height } = await sharp(imagePath).metadata();
+    const data = await sharp({ create: { width, height, channels: 3, background: '#000000' } }).jpeg().toBuffer();
+    await writeAtomic(imagePath, data);
+  }
+
+  async redactMacroImage(macroPath, vendor) {
+    const { width, height } = await sharp(macroPath).metadata();
+    const area = this.macroLabelArea(width, height, vendor);
+    const blank = { create: { width: area.width, height: area.height, channels: 3, background: '#000000' } };
+    const data = await sharp(macroPath)
+      .composite([{ input: blank, left: area.left, top: area.top }])
+      .jpeg({ quality: 85 })
+      .toBuffer();
+    await writeAtomic(macroPath, data);
+  }
+
+  /**
+   * Metadata with everything identifying removed: source path and file name, decoded barcode
+   * and all but the image-describing scanner properties
+   */
+  stripMetadata(metadata, { label = null, macro = null } = {}) {
+    const { filename, ...properties } = metadata.properties || {};
+    return {
+      ...metadata,
+      slidePath: null,
+      label,
+      macro,
+      barcode: null,
+      properties: { ...properties, raw: stripProperties(properties.raw) },
+      deidentifiedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * De-identify a slide's extracted metadata files in place. The originals are not kept.
+   * @param {string} metadataJsonPath - The slide's _metadata.json; label and macro images are
+   *   looked for next to it
+   * @param {string} baseName - Slide name the files are named after
+   * @returns {Promise<Object>} { label, macro, removedProperties } describing what was done
+   */
+  async deidentifyFiles(metadataJsonPath, baseName) {
+    const metadataDir = path.dirname(metadataJsonPath);
+    const labelPath = path.join(metadataDir, `${baseName}_label.jpg`);
+    const macroPath = path.join(metadataDir, `${baseName}_macro.jpg`);
+    const metadata = fs.existsSync(metadataJsonPath) ? JSON.parse(await fsp.readFile(metadataJsonPath, 'utf8')) : null;
+    const raw = (metadata && metadata.properties && metadata.properties.raw) || {};
+    const result = { label: null, macro: null, removedProperties: 0 };
+
+    if (fs.existsSync(labelPath)) {
+      if (this.options.labelImages === 'blackout') {
+        await this.blackOutImage(labelPath);
+        result.label = 'blacked out';
+      } else {
+        await fsp.unlink(labelPath);
+        result.label = 'removed';
+      }
+    }
+    if (fs.existsSync(macroPath)) {
+      if (this.options.macroImages === 'remove') {
+        await fsp.unlink(macroPath);
+        result.macro = 'removed';
+      } else {
+        await this.redactMacroImage(macroPath, raw['openslide.vendor']);
+        result.macro = 'redacted';
+      }
+    }
+
+    if (metadata) {
+      const stripped = this.stripMetadata(metadata, {
+        label: fs.existsSync(labelPath) ? labelPath : null,
+        macro: fs.existsSync(macroPath) ? macroPath : null
+      });
+      result.removedProperties = Object.keys(raw).length - Object.keys(stripped.properties.raw).length;
+      await writeAtomic(metadataJsonPath, JSON.stringify(stripped, null, 2));
+    }
+    return result;
+  }
+
+  /**
+   * Validate app-config.json anonymization settings
+   * @returns {string[]} List of validation errors (empty when valid)
+   */
+  validate() {
+    const errors = [];
+    const { labelImages, macroImages, exportPrefix, macroLabelAreas } = this.options;
+    if (!LABEL_ACTIONS.includes(labelImages)) errors.push(`anonymization.labelImages must be one of: ${LABEL_ACTIONS.join(', ')}`);
+    if (!MACRO_ACTIONS.includes(macroImages)) errors.push(`anonymization.macroImages must be one of: ${MACRO_ACTIONS.join(', ')}`);
+    if (typeof exportPrefix !== 'string' || !/^[\w-]{1,20}$/.test(exportPrefix)) {
+      errors.push('anonymization.exportPrefix must be 1-20 letters, digits, _ or -');
+    }
+    for (const [vendor, area] of Object.entries(macroLabelAreas)) {
+      if (!area || !['left', 'right'].includes(area.side) || !(area.fraction > 0 && area.fraction <= 1)) {
+        errors.push(`anonymization.macroLabelAreas.${vendor} needs side left|right and a fraction from 0 to 1`);
+      }
+    }
+    return errors;
+  }
+}
+
+Deidentifier.DEIDENTIFIED_PROPERTY_PATTERN = DEIDENTIFIED_PROPERTY_PATTERN;
+Deidentifier.stripProperties = stripProperties;
+
+module.exports = Deidentifier;
@@ -0,0 +1,197 @@
+const sharp = require('sharp');
+const { readPyramidRegion } = require('./pyramidRegion');
+
+// IIIF Image API 3.0 (https://iiif.io/api/image/3.0/) on top of the DZI pyramids: every request
+// is answered from the pyramid level closest to the requested scale, so full-resolution data is
+// only read for full-resolution requests.
+
+const IIIF_IMAGE_CONTEXT = 'http://iiif.io/api/image/3/context.json';
+const IIIF_IMAGE_PROTOCOL = 'http://iiif.io/api/image';
+
+const QUALITIES = ['default', 'color', 'gray', 'bitonal'];
+const FORMATS = {
+  jpg: { mimeType: 'image/jpeg', encode: (image, options) => image.jpeg({ quality: options.jpegQuality }) },
+  png: { mimeType: 'image/png', encode: image => image.png() },
+  webp: { mimeType: 'image/webp', encode: (image, options) => image.webp({ quality: options.jpegQuality }) }
+};
+
+const DEFAULT_LIMITS = { maxWidth: 10000, maxHeight: 10000, maxArea: 50000000, jpegQuality: 90 };
+
+const NUMBER = '\\d+(?:\\.\\d+)?';
+const REGION_PIXELS = /^(\d+),(\d+),(\d+),(\d+)$/;
+const REGION_PERCENT = new RegExp(`^pct:(${NUMBER}),(${NUMBER}),(${NUMBER}),(${NUMBER})$`);
+const SIZE_PATTERN = new RegExp(`^(\\^)?(?:(max)|pct:(${NUMBER})|(!)?(\\d+)?,(\\d+)?)$`);
+const ROTATION_PATTERN = new RegExp(`^(!)?(${NUMBER})$`);
+
+function parseRegion(region, image) {
+  if (region === 'full') return { x: 0, y: 0, width: image.width, height: image.height };
+  if (region === 'square') {
+    const side = Math.min(image.width, image.height);
+    return { x: Math.floor((image.width - side) / 2), y: Math.floor((image.height - side) / 2), width: side, height: side };
+  }
+
+  let x, y, width, height;
+  const pixels = region.match(REGION_PIXELS);
+  const percent = region.match(REGION_PERCENT);
+  if (pixels) {
+    [x, y, width, height] = pixels.slice(1).map(Number);
+  } else if (percent) {
+    const [px, py, pw, ph] = percent.slice(1).map(Number);
+    x = Math.round(px / 100 * image.width);
+    y = Math.round(py / 100 * image.height);
+    width = Math.round(pw / 100 * image.width);
+    height = Math.round(ph / 100 * image.height);
+  } else {
+    return null;
+  }
+  // Regions running past the edge are cropped to the image; ones entirely outside it are invalid
+  if (width === 0 || height === 0 || x >= image.width || y >= image.height) return null;
+  return { x, y, width: Math.min(width, image.width - x), height: Math.min(height, image.height - y) };
+}
+
+function parseSize(size, region, limits) {
+  const match = size.match(SIZE_PATTERN);
+  if (!match) return { error: `size "${size}" is not a valid IIIF size` };
+  const [, upscale, max, pct, bestFit, w, h] = match;
+  const aspect = region.width / region.height;
+
+  let width, height;
+  if (max) {
+    // The largest size allowed: the region itself (or the server limits, with ^)
+    const cap = Math.min(
+      upscale ? Infinity : 1,
+      limits.maxWidth / region.width,
+      limits.maxHeight / region.height,
+      Math.sqrt(limits.maxArea / (region.width * region.height))
+    );
+    width = Math.max(1, Math.floor(region.width * cap));
+    height = Math.max(1, Math.floor(region.height * cap));
+  } else if (pct !== undefined) {
+    width = Math.round(region.width * Number(pct) / 100);
+    height = Math.round(region.height * Number(pct) / 100);
+  } else if (w === undefined && h === undefined) {
+    return { error: `size "${size}" is not a valid IIIF size` };
+  } else if (bestFit) {
+    if (w === undefined || h === undefined) return { error: '!w,h sizes need both a width and a height' };
+    const scale = Math.min(Number(w) / region.width, Number(h) / region.height);
+    width = Math.round(region.width * scale);
+    height = Math.round(region.height * scale);
+  } else {
+    width = w !== undefined ? Number(w) : Math.round(Number(h) * aspect);
+    height = h !== undefined ? Number(h) : Math.round(Number(w) / aspect);
+  }
+
+  if (width < 1 || height < 1) return { error: 'size must be at least one pixel in each dimension' };
+  if (!upscale && (width > region.width || height > region.height)) {
+    return { error: `size ${width}x${height} is larger than the ${region.width}x${region.height} region (use ^ to upscale)` };
+  }
+  if (width > limits.maxWidth || height > limits.maxHeight || width * height > limits.maxArea) {
+    return { error: `size ${width}x${height} exceeds the server limits (maxWidth ${limits.maxWidth}, maxHeight ${limits.maxHeight}, maxArea ${limits.maxArea})` };
+  }
+  return { width, height };
+}
+
+/**
+ * Parse the {region}/{size}/{rotation}/{quality}.{format} parts of an image request
+ * @param {Object} params - region, size, rotation, quality, format (URL path segments)
+ * @param {Object} image - { width, height } of the full-resolution image
+ * @returns {Object} { errors: string[], request: { region, width, height, mirror, rotation, quality, format } }
+ */
+function parseImageRequest(params, image, limits = DEFAULT_LIMITS) {
+  const errors = [];
+  const region = parseRegion(params.region, image);
+  if (!region) errors.push(`region "${params.region}" is not a valid IIIF region or lies outside the ${image.width}x${image.height} image`);
+
+  const size = region ? parseSize(params.size, region, limits) : null;
+  if (size && size.error) errors.push(size.error);
+
+  const rotation = params.rotation.match(ROTATION_PATTERN);
+  if (!rotation || Number(rotation[2]) > 360) errors.push('rotation must be a number from 0 to 360, optionally prefixed with ! to mirror');
+  if (!QUALITIES.includes(params.quality)) errors.push(`quality must be one of: ${QUALITIES.join(', ')}`);
+  if (!FORMATS[params.format]) errors.push(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+
+  if (errors.length > 0) return { errors, request: null };
+  return {
+    errors,
+    request: {
+      region,
+      width: size.width,
+      height: size.height,
+      mirror: Boolean(rotation[1]),
+      rotation: Number(rotation[2]) % 360,
+      quality: params.quality,
+      format: params.format
+    }
+  };
+}
+
+/**
+ * info.json for a slide's image service
+ * @param {string} id - Base URI of the image service (without /info.json)
+ * @param {Object} descriptor - { width, height, tileSize } from the slide's .dzi
+ * @param {Object} options - limits plus mpp ({ x, y } microns per pixel) for the physical-dimensions service
+ */
+function buildImageInfo(id, descriptor, options = {}) {
+  const limits = { ...DEFAULT_LIMITS, ...options.limits };
+  const maxLevel = Math.ceil(Math.log2(Math.max(descriptor.width, descriptor.height)));
+  // Scale factors down to the level where the whole image fits in one tile
+  const scaleFactors = [];
+  for (let factor = 1; factor <= Math.pow(2, maxLevel); factor *= 2) {
+    scaleFactors.push(factor);
+    if (Math.max(descriptor.width, descriptor.height) / factor <= descriptor.tileSize) break;
+  }
+
+  const info = {
+    '@context': IIIF_IMAGE_CONTEXT,
+    id,
+    type: 'ImageService3',
+    protocol: IIIF_IMAGE_PROTOCOL,
+    profile: 'level2',
+    width: descriptor.width,
+    height: descriptor.height,
+    maxWidth: limits.maxWidth,
+    maxHeight: limits.maxHeight,
+    maxArea: limits.maxArea,
+    tiles: [{ width: descriptor.tileSize, height: descriptor.tileSize, scaleFactors }],
+    extraFormats: ['webp'],
+    extraQualities: ['color', 'gray', 'bitonal'],
+    extraFeatures: ['mirroring', 'rotationArbitrary', 'regionSquare', 'sizeUpscaling']
+  };
+  if (options.mpp && options.mpp.x) {
+    info.service = [{
+      '@context': 'http://iiif.io/api/annex/services/physdim/1/context.json',
+      profile: 'http://iiif.io/api/annex/services/physdim',
+      physicalScale: options.mpp.x / 1000,
+      physicalUnits: 'mm'
+    }];
+  }
+  return info;
+}
+
+/**
+ * Render a parsed image request from a tile source (see tileContainer.openTileSource)
+ * @returns {Promise<Buffer>} Encoded image
+ */
+async function renderImage(source, request, limits = DEFAULT_LIMITS) {
+  const scaled = await readPyramidRegion(source, request.region, request.width, request.height);
+
+  // Mirroring happens before rotation, as the spec requires (sharp flops before rotating)
+  let image = sharp(scaled.data, { raw: scaled.info });
+  if (request.mirror) image = image.flop();
+  if (request.rotation) {
+    image = image.rotate(request.rotation, { background: request.format === 'jpg' ? '#ffffff' : { r: 255, g: 255, b: 255, alpha: 0 } });
+  }
+  if (request.quality === 'gray') image = image.toColourspace('b-w');
+  if (request.quality === 'bitonal') image = image.threshold(128).toColourspace('b-w');
+  return FORMATS[request.format].encode(image, { ...DEFAULT_LIMITS, ...limits }).toBuffer();
+}
+
+module.exports = {
+  IIIF_IMAGE_CONTEXT,
+  QUALITIES,
+  FORMATS,
+  DEFAULT_LIMITS,
+  parseImageRequest,
+  buildImageInfo,
+  renderImage
+};
@@ -0,0 +1,120 @@
+// IIIF Presentation API 3.0 manifests (https://iiif.io/api/presentation/3.0/): one per case, with
+// a canvas per converted slide painted by that slide's Image API service, and a range per
+// specimen part (and block) so viewers like Mirador can show the case's structure.
+
+const PRESENTATION_CONTEXT = 'http://iiif.io/api/presentation/3/context.json';
+
+const languageMap = value => ({ none: [String(value)] });
+const metadataEntry = (label, value) => ({ label: { en: [label] }, value: languageMap(value) });
+
+/**
+ * Label for a slide's canvas: part/block, stain, then the slide's name (its pseudonym in
+ * anonymization mode)
+ */
+function describeSlide(caseRecord, slideRef, name) {
+  const part = caseRecord.parts.find(p => p.id === slideRef.partId);
+  const block = part && part.blocks.find(b => b.id === slideRef.blockId);
+  const position = part ? `${part.label}${block ? block.label : ''}` : null;
+  return [position, slideRef.stain, name].filter(Boolean).join(' ');
+}
+
+/**
+ * @param {Object} caseRecord - Case from CaseStore
+ * @param {Object[]} slides - [{ slideRef, label, width, height }] for the case's converted slides;
+ *   label is the name shown for the slide (the slide name if left out). slideRef.name goes into
+ *   canvas and image service ids, so it should be the name the slide has outside the lab.
+ * @param {Object} urls - manifestId, imageServiceId(slideName) -> image service base URI
+ * @param {Object} display - label: the name shown for the case (the accession if left out);
+ *   anonymized: leave out the description and case reference, which can identify the patient
+ */
+function buildCaseManifest(caseRecord, slides, urls, display = {}) {
+  // Canvases in part/block order (as the case lists them); unassigned slides last
+  const position = slideRef => {
+    const partIndex = caseRecord.parts.findIndex(p => p.id === slideRef.partId);
+    const part = caseRecord.parts[partIndex];
+    return [
+      partIndex === -1 ? Infinity : partIndex,
+      part ? part.blocks.findIndex(b => b.id === slideRef.blockId) : -1
+    ];
+  };
+  slides = [...slides].sort((a, b) => {
+    const [pa, ba] = position(a.slideRef);
+    const [pb, bb] = position(b.slideRef);
+    return pa - pb || ba - bb || a.slideRef.name.localeCompare(b.slideRef.name);
+  });
+  const canvasId = slideName => `${urls.manifestId}/canvas/${encodeURIComponent(slideName)}`;
+
+  const items = slides.map(({ slideRef, label, width, height }) => {
+    const id = canvasId(slideRef.name);
+    const serviceId = urls.imageServiceId(slideRef.name);
+    return {
+      id,
+      type: 'Canvas',
+      label: languageMap(describeSlide(caseRecord, slideRef, label || slideRef.name)),
+      width,
+      height,
+      thumbnail: [{ id: `${serviceId}/full/256,/0/default.jpg`, type: 'Image', format: 'image/jpeg' }],
+      items: [{
+        id: `${id}/page`,
+        type: 'AnnotationPage',
+        items: [{
+          id: `${id}/page/image`,
+          type: 'Annotation',
+          motivation: 'painting',
+          target: id,
+          body: {
+            id: `${serviceId}/full/max/0/default.jpg`,
+            type: 'Image',
+            format: 'image/jpeg',
+            width,
+            height,
+            service: [{ id: serviceId, type: 'ImageService3', profile: 'level2' }]
+          }
+        }]
+      }]
+    };
+  });
+
+  // Ranges follow the case's part -> block tree; parts or blocks without converted slides are left out
+  const canvasRefs = refs => refs.map(({ slideRef }) => ({ id: canvasId(slideRef.name), type: 'Canvas' }));
+  const structures = caseRecord.parts.map(part => {
+    const partSlides = slides.filter(({ slideRef }) => slideRef.partId === part.id);
+    const blockRanges = part.blocks.map(block => {
+      const blockSlides = partSlides.filter(({ slideRef }) => slideRef.blockId === block.id);
+      return blockSlides.length === 0 ? null : {
+        id: `${urls.manifestId}/range/${part.id}/${block.id}`,
+        type: 'Range',
+        label: languageMap(`${part.label}${block.label}`),
+        items: canvasRefs(blockSlides)
+      };
+    }).filter(Boolean);
+    const unassigned = canvasRefs(partSlides.filter(({ slideRef }) => !slideRef.blockId));
+    return partSlides.length === 0 ? null : {
+      id: `${urls.manifestId}/range/${part.id}`,
+      type: 'Range',
+      label: languageMap(`Part ${part.label}`),
+      items: [...blockRanges, ...unassigned]
+    };
+  }).filter(Boolean);
+
+  const manifest = {
+    '@context': PRESENTATION_CONTEXT,
+    id: urls.manifestId,
+    type: 'Manifest',
+    label: languageMap(display.label || caseRecord.accession),
+    metadata: [
+      metadataEntry(display.anonymized ? 'Case' : 'Accession', display.label || caseRecord.accession),
+      ...(caseRecord.caseId && !display.anonymized ? [metadataEntry('Case reference', caseRecord.caseId)] : []),
+      metadataEntry('Slides', slides.length)
+    ],
+    items
+  };
+  if (caseRecord.description && !display.anonymized) manifest.summary = languageMap(caseRecord.description);
+  if (structures.length > 0) manifest.structures = structures;
+  return manifest;
+}
+
+module.exports = {
+  PRESENTATION_CONTEXT,
+  buildCaseManifest
+};
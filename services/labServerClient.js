@@ -65,6 +65,18 @@ class LabServerClient {
     }
   }
 
+  // Search slides on lab server (query is passed through as-is)
+  async searchSlides(query = {}) {
+    try {
+      const params = new URLSearchParams(query).toString();
+      const response = await this.makeRequest(`/slides/search${params ? `?${params}` : ''}`);
+      return await response.json();
+    } catch (error) {
+      console.error('Failed to search slides on lab server:', error.message);
+      throw error;
+    }
+  }
+
   // Trigger slide conversion on lab server
   async convertSlide(filename) {
     try {
@@ -104,6 +116,21 @@ class LabServerClient {
     }
   }
 
+  // Stream a live tile (or descriptor) cut from an unconverted slide on the lab server
+  async streamLiveTile(tilePath) {
+    try {
+      const response = await this.makeRequest(`/live/${tilePath}`, {
+        headers: {
+          'Accept': 'image/jpeg,image/webp,image/png,application/xml,*/*'
+        }
+      });
+      return response.body; // Return readable stream
+    } catch (error) {
+      console.error(`Failed to stream live tile ${tilePath}:`, error.message);
+      throw error;
+    }
+  }
+
   // Get lab server status and health
   async getServerStatus() {
     try {
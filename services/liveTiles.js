@@ -0,0 +1,304 @@
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+const { TILE_FORMATS } = require('./tileFormat');
+
+// Encodings sharp can produce for tiles cut on request (its prebuilt libvips has no JPEG-XL)
+const LIVE_FORMATS = ['jpeg', 'webp', 'png'];
+
+const DEFAULT_OPTIONS = {
+  enabled: true,
+  format: 'jpeg',
+  quality: 80,
+  tileSize: 254,
+  overlap: 1,
+  cacheSizeMB: 512,
+  maxConcurrentReads: 4,
+  readTimeoutMs: 30000,
+  // Largest source without a pyramid (a plain TIFF, a JPEG 2000) served live. Its only level is
+  // full resolution, so the low zoom levels a viewer asks for first read the whole image.
+  maxSingleLevelPixels: 64000000
+};
+
+class LiveTileError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Slide headers kept in memory; one entry per source file version
+const MAX_CACHED_HEADERS = 256;
+
+function execVips(command, args, timeout) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout, maxBuffer: 1024 * 1024 * 64, windowsHide: true }, (error, stdout, stderr) => {
+      if (error) {
+        error.message = `${command} failed: ${(stderr || error.message).trim()}`;
+        reject(error);
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Pyramid levels of a slide from `vipsheader -a`: OpenSlide reports one entry per stored level;
+ * anything else is read as a single full-resolution level
+ * @returns {Object} { width, height, levels: [{ downsample, width, height }] }
+ */
+function parseSlideHeader(output) {
+  const props = {};
+  for (const line of output.split('\n')) {
+    const separator = line.indexOf(': ');
+    if (separator > 0) props[line.slice(0, separator).trim()] = line.slice(separator + 2).trim();
+  }
+
+  const width = parseInt(props.width, 10);
+  const height = parseInt(props.height, 10);
+  if (!width || !height) throw new Error('vipsheader reported no image size');
+
+  const levels = [];
+  const levelCount = parseInt(props['openslide.level-count'], 10) || 0;
+  for (let level = 0; level < levelCount; level++) {
+    const downsample = parseFloat(props[`openslide.level[${level}].downsample`]);
+    const levelWidth = parseInt(props[`openslide.level[${level}].width`], 10);
+    const levelHeight = parseInt(props[`openslide.level[${level}].height`], 10);
+    if (!downsample || !levelWidth || !levelHeight) break;
+    levels.push({ downsample, width: levelWidth, height: levelHeight });
+  }
+  if (levels.length === 0) levels.push({ downsample: 1, width, height });
+  return { width, height, levels, openslide: levelCount > 0 };
+}
+
+/**
+ * Serves Deep Zoom tiles straight from an unconverted source slide (SVS, NDPI, TIFF...), so a
+ * slide can be viewed as soon as it lands in slidesDir. Each tile is a VIPS region read from the
+ * closest stored pyramid level, scaled and encoded with sharp, and kept in a byte-bounded LRU cache.
+ * Slower than converted tiles on first view; conversion stays the way to make a slide fast.
+ */
+class LiveTileSource {
+  /**
+   * @param {Object} options - app-config.json liveTiles: enabled, format, quality, tileSize,
+   *   overlap, cacheSizeMB, maxConcurrentReads, readTimeoutMs, maxSingleLevelPixels
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    if (!LIVE_FORMATS.includes(this.options.format)) {
+      console.warn(`⚠️ liveTiles.format must be one of: ${LIVE_FORMATS.join(', ')}; using jpeg`);
+      this.options.format = 'jpeg';
+    }
+    this.extension = TILE_FORMATS[this.options.format].extension;
+    this.mimeType = TILE_FORMATS[this.options.format].mimeType;
+    this.maxCacheBytes = this.options.cacheSizeMB * 1024 * 1024;
+
+    // key -> Buffer, least recently used first
+    this.tileCache = new Map();
+    this.cacheBytes = 0;
+    // key -> Promise<Buffer|null> for tiles being read, so concurrent viewers share one read
+    this.pendingTiles = new Map();
+    // path:size:mtime -> Promise<header>
+    this.headers = new Map();
+
+    this.activeReads = 0;
+    this.readQueue = [];
+    this.stats = { hits: 0, misses: 0, reads: 0, failures: 0 };
+  }
+
+  get enabled() {
+    return this.options.enabled !== false;
+  }
+
+  async getHeader(slidePath) {
+    const stats = await fsp.stat(slidePath);
+    const version = `${slidePath}:${stats.size}:${stats.mtimeMs}`;
+    if (!this.headers.has(version)) {
+      const header = execVips('vipsheader', ['-a', slidePath], this.options.readTimeoutMs).then(parseSlideHeader);
+      header.catch(() => this.headers.delete(version));
+      this.headers.set(version, header);
+      while (this.headers.size > MAX_CACHED_HEADERS) this.headers.delete(this.headers.keys().next().value);
+    }
+    const header = await this.headers.get(version);
+    const pixels = header.width * header.height;
+    if (header.levels.length === 1 && pixels > this.options.maxSingleLevelPixels) {
+      throw new LiveTileError(422, 'Source has no pyramid and is too large to read live', {
+        message: `${header.width}x${header.height} with a single full-resolution level; convert the slide to view or export it`,
+        pixels,
+        maxSingleLevelPixels: this.options.maxSingleLevelPixels
+      });
+    }
+    return { version, header };
+  }
+
+  /**
+   * Deep Zoom geometry for a slide: size, tile size/overlap and the deepest level number
+   */
+  async describe(slidePath) {
+    const { header } = await this.getHeader(slidePath);
+    return {
+      width: header.width,
+      height: header.height,
+      tileSize: this.options.tileSize,
+      overlap: this.options.overlap,
+      format: this.extension,
+      maxLevel: Math.ceil(Math.log2(Math.max(header.width, header.height))),
+      levels: header.levels,
+      openslide: header.openslide
+    };
+  }
+
+  async getDescriptor(slidePath) {
+    const info = await this.describe(slidePath);
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<Image xmlns="http://schemas.microsoft.com/deepzoom/2008" Format="${info.format}" Overlap="${info.overlap}" TileSize="${info.tileSize}">`,
+      `  <Size Height="${info.height}" Width="${info.width}"/>`,
+      '</Image>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * One Deep Zoom tile, read from the source slide on a cache miss
+   * @returns {Promise<Buffer|null>} null if the tile is outside the pyramid
+   */
+  async getTile(slidePath, level, col, row) {
+    const { version, header } = await this.getHeader(slidePath);
+    const key = `${version}:${level}/${col}_${row}`;
+
+    const cached = this.tileCache.get(key);
+    if (cached) {
+      this.tileCache.delete(key);
+      this.tileCache.set(key, cached);
+      this.stats.hits++;
+      return cached;
+    }
+    if (this.pendingTiles.has(key)) return this.pendingTiles.get(key);
+
+    this.stats.misses++;
+    const pending = this.renderTile(slidePath, header, level, col, row)
+      .then(tile => {
+        if (tile) this.cacheTile(key, tile);
+        return tile;
+      })
+      .finally(() => this.pendingTiles.delete(key));
+    this.pendingTiles.set(key, pending);
+    return pending;
+  }
+
+  async renderTile(slidePath, header, level, col, row) {
+    const { tileSize, overlap } = this.options;
+    const maxLevel = Math.ceil(Math.log2(Math.max(header.width, header.height)));
+    if (level < 0 || level > maxLevel) return null;
+
+    const scale = Math.pow(2, maxLevel - level);
+    const levelWidth = Math.ceil(header.width / scale);
+    const levelHeight = Math.ceil(header.height / scale);
+    if (col * tileSize >= levelWidth || row * tileSize >= levelHeight) return null;
+
+    // Tile bounds at this Deep Zoom level, including the overlap shared with neighbouring tiles
+    const left = col * tileSize - (col > 0 ? overlap : 0);
+    const top = row * tileSize - (row > 0 ? overlap : 0);
+    const right = Math.min(levelWidth, (col + 1) * tileSize + overlap);
+    const bottom = Math.min(levelHeight, (row + 1) * tileSize + overlap);
+
+    const region = await this.readRegion(slidePath, header, {
+      x: left * scale,
+      y: top * scale,
+      width: (right - left) * scale,
+      height: (bottom - top) * scale
+    }, right - left, bottom - top);
+    return this.encode(region);
+  }
+
+  /**
+   * Read a full-resolution region of the slide, scaled to outWidth x outHeight, from the smallest
+   * stored level that still has enough detail
+   * @returns {Promise<sharp.Sharp>} Flattened RGB image, not yet encoded
+   */
+  async readRegion(slidePath, header, region, outWidth, outHeight) {
+    const scale = Math.max(region.width / outWidth, region.height / outHeight);
+    const source = header.levels.reduce((best, level) =>
+      level.downsample <= scale * 1.001 && level.downsample > best.downsample ? level : best, header.levels[0]);
+    const levelIndex = header.levels.indexOf(source);
+
+    const x = Math.min(source.width - 1, Math.floor(region.x / source.downsample));
+    const y = Math.min(source.height - 1, Math.floor(region.y / source.downsample));
+    const width = Math.max(1, Math.min(source.width - x, Math.ceil(region.width / source.downsample)));
+    const height = Math.max(1, Math.min(source.height - y, Math.ceil(region.height / source.downsample)));
+
+    const input = header.openslide ? `${slidePath}[level=${levelIndex}]` : slidePath;
+    const buffer = await this.withReadSlot(async () => {
+      const tempPath = path.join(os.tmpdir(), `live_${process.pid}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.png`);
+      try {
+        this.stats.reads++;
+        await execVips('vips', ['crop', input, `${tempPath}[compression=1]`, String(x), String(y), String(width), String(height)], this.options.readTimeoutMs);
+        return await fsp.readFile(tempPath);
+      } catch (error) {
+        this.stats.failures++;
+        throw error;
+      } finally {
+        fsp.unlink(tempPath).catch(() => {});
+      }
+    });
+
+    return sharp(buffer)
+      .resize(outWidth, outHeight, { fit: 'fill' })
+      .flatten({ background: '#ffffff' });
+  }
+
+  encode(image) {
+    return image.toFormat(this.options.format, { quality: this.options.quality }).toBuffer();
+  }
+
+  // VIPS reads are heavy; run at most maxConcurrentReads at once and queue the rest
+  async withReadSlot(read) {
+    if (this.activeReads >= this.options.maxConcurrentReads) {
+      await new Promise(resolve => this.readQueue.push(resolve));
+    }
+    this.activeReads++;
+    try {
+      return await read();
+    } finally {
+      this.activeReads--;
+      const next = this.readQueue.shift();
+      if (next) next();
+    }
+  }
+
+  cacheTile(key, tile) {
+    if (tile.length > this.maxCacheBytes) return;
+    this.tileCache.set(key, tile);
+    this.cacheBytes += tile.length;
+    while (this.cacheBytes > this.maxCacheBytes) {
+      const [oldestKey, oldest] = this.tileCache.entries().next().value;
+      this.tileCache.delete(oldestKey);
+      this.cacheBytes -= oldest.length;
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      format: this.options.format,
+      tileSize: this.options.tileSize,
+      overlap: this.options.overlap,
+      cachedTiles: this.tileCache.size,
+      cacheBytes: this.cacheBytes,
+      maxCacheBytes: this.maxCacheBytes,
+      activeReads: this.activeReads,
+      queuedReads: this.readQueue.length,
+      ...this.stats
+    };
+  }
+}
+
+LiveTileSource.LIVE_FORMATS = LIVE_FORMATS;
+LiveTileSource.LiveTileError = LiveTileError;
+LiveTileSource.parseSlideHeader = parseSlideHeader;
+
+module.exports = LiveTileSource;
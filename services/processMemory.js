@@ -0,0 +1,53 @@
+const fs = require('fs');
+const { execFile } = require('child_process');
+
+/**
+ * Read the peak resident memory (bytes) a process has used so far, or null if it can't be read
+ * (process gone, or no way to ask on this platform).
+ * Linux reports the high-water mark directly; Windows reports the peak working set; elsewhere
+ * only current RSS is available, so the caller keeps the maximum of its samples.
+ */
+function readPeakMemory(pid) {
+  return new Promise(resolve => {
+    if (process.platform === 'linux') {
+      fs.readFile(`/proc/${pid}/status`, 'utf8', (error, status) => {
+        const match = !error && status.match(/^VmHWM:\s+(\d+) kB/m);
+        resolve(match ? Number(match[1]) * 1024 : null);
+      });
+      return;
+    }
+
+    const [command, args, pattern] = process.platform === 'win32'
+      ? ['wmic', ['process', 'where', `processid=${pid}`, 'get', 'PeakWorkingSetSize', '/value'], /PeakWorkingSetSize=(\d+)/]
+      : ['ps', ['-o', 'rss=', '-p', String(pid)], /(\d+)/];
+    execFile(command, args, { timeout: 5000, windowsHide: true }, (error, stdout) => {
+      const match = !error && stdout.match(pattern);
+      resolve(match ? Number(match[1]) * 1024 : null);
+    });
+  });
+}
+
+/**
+ * Sample a child process's memory until it exits
+ * @param {ChildProcess} child
+ * @param {number} intervalMs
+ * @returns {Function} stop() -> peak bytes seen (null if never readable)
+ */
+function watchPeakMemory(child, intervalMs = 2000) {
+  let peak = null;
+  const sample = async () => {
+    const bytes = await readPeakMemory(child.pid);
+    if (bytes !== null && (peak === null || bytes > peak)) peak = bytes;
+  };
+  if (!child.pid) return () => null;
+
+  sample();
+  const timer = setInterval(sample, intervalMs);
+  timer.unref();
+  return () => {
+    clearInterval(timer);
+    return peak;
+  };
+}
+
+module.exports = { readPeakMemory, watchPeakMemory };
@@ -0,0 +1,63 @@
+const sharp = require('sharp');
+
+/**
+ * Stitch a full-resolution region of a DZI pyramid, scaled to width x height, from the deepest
+ * level that is still at least as detailed as the output (so small outputs of large regions only
+ * read low-resolution tiles)
+ * @param {Object} source - Tile source from tileContainer.openTileSource
+ * @param {Object} region - { x, y, width, height } in full-resolution pixels, inside the image
+ * @returns {Promise<{data: Buffer, info: Object}>} Raw RGB pixels, as sharp's toBuffer({ resolveWithObject })
+ */
+async function readPyramidRegion(source, region, width, height) {
+  const { width: fullWidth, height: fullHeight, tileSize } = source.descriptor;
+  const overlap = source.descriptor.overlap || 0;
+  const maxLevel = Math.ceil(Math.log2(Math.max(fullWidth, fullHeight)));
+
+  const reduction = Math.min(region.width / width, region.height / height);
+  const steps = Math.max(0, Math.min(maxLevel, Math.floor(Math.log2(reduction))));
+  const level = maxLevel - steps;
+  const downsample = Math.pow(2, steps);
+  const levelWidth = Math.ceil(fullWidth / downsample);
+  const levelHeight = Math.ceil(fullHeight / downsample);
+
+  // Region in this level's pixels, and the tiles covering it
+  const left = Math.floor(region.x / downsample);
+  const top = Math.floor(region.y / downsample);
+  const right = Math.min(levelWidth, Math.ceil((region.x + region.width) / downsample));
+  const bottom = Math.min(levelHeight, Math.ceil((region.y + region.height) / downsample));
+  const [firstCol, lastCol] = [Math.floor(left / tileSize), Math.floor((right - 1) / tileSize)];
+  const [firstRow, lastRow] = [Math.floor(top / tileSize), Math.floor((bottom - 1) / tileSize)];
+
+  // Canvas spans the covering tiles including their overlap, so every tile lands inside it
+  const originX = firstCol * tileSize - (firstCol > 0 ? overlap : 0);
+  const originY = firstRow * tileSize - (firstRow > 0 ? overlap : 0);
+  const canvasWidth = Math.min(levelWidth, (lastCol + 1) * tileSize + overlap) - originX;
+  const canvasHeight = Math.min(levelHeight, (lastRow + 1) * tileSize + overlap) - originY;
+
+  const tiles = [];
+  for (let col = firstCol; col <= lastCol; col++) {
+    for (let row = firstRow; row <= lastRow; row++) {
+      const tile = await source.readTile(level, col, row);
+      // Sparse pyramids skip blank tiles; those stay background
+      if (!tile) continue;
+      tiles.push({
+        input: tile,
+        left: col * tileSize - (col > 0 ? overlap : 0) - originX,
+        top: row * tileSize - (row > 0 ? overlap : 0) - originY
+      });
+    }
+  }
+
+  const canvas = await sharp({ create: { width: canvasWidth, height: canvasHeight, channels: 3, background: '#ffffff' } })
+    .composite(tiles)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return sharp(canvas.data, { raw: canvas.info })
+    .extract({ left: left - originX, top: top - originY, width: right - left, height: bottom - top })
+    .resize(width, height, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
+
+module.exports = { readPyramidRegion };
@@ -0,0 +1,116 @@
+// Crops of a slide at a chosen magnification, for publications and tumor boards. The region is
+// given in full-resolution pixels; the output scale comes from a Deep Zoom level or a target
+// microns-per-pixel, and the file carries that resolution (DPI) so it prints at true size.
+
+const EXPORT_FORMATS = {
+  png: { mimeType: 'image/png', extension: 'png', encode: image => image.png() },
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg', encode: (image, quality) => image.jpeg({ quality }) },
+  tiff: { mimeType: 'image/tiff', extension: 'tif', encode: (image, quality) => image.tiff({ compression: 'lzw', quality }) }
+};
+const FORMAT_ALIASES = { jpg: 'jpeg', tif: 'tiff' };
+const EXPORT_SOURCES = ['dzi', 'original'];
+
+// Sized so a maximal export stays a few hundred MB while being stitched
+const DEFAULT_EXPORT_LIMITS = { maxWidth: 16384, maxHeight: 16384, maxArea: 64000000, jpegQuality: 92 };
+
+const isNonNegativeInteger = value => /^\d+$/.test(String(value));
+
+/**
+ * Validate and resolve region export query parameters
+ * @param {Object} query - x, y, w, h (full-resolution pixels), level | mpp, format, source, quality
+ * @param {Object} image - { width, height, maxLevel, mpp: { x, y } | null }
+ * @returns {Object} { errors: string[], request: { region, width, height, outputMpp, format, source, quality } }
+ */
+function parseRegionQuery(query, image, limits = DEFAULT_EXPORT_LIMITS) {
+  const errors = [];
+  for (const field of ['x', 'y', 'w', 'h']) {
+    if (query[field] === undefined) errors.push(`${field} is required`);
+    else if (!isNonNegativeInteger(query[field])) errors.push(`${field} must be a non-negative integer`);
+  }
+  if (query.level !== undefined && query.mpp !== undefined) errors.push('Give either level or mpp, not both');
+
+  const format = FORMAT_ALIASES[query.format] || query.format || 'png';
+  if (!EXPORT_FORMATS[format]) errors.push('format must be one of: png, jpeg, tiff');
+  if (query.source !== undefined && !EXPORT_SOURCES.includes(query.source)) {
+    errors.push(`source must be one of: ${EXPORT_SOURCES.join(', ')}`);
+  }
+  const quality = query.quality !== undefined ? Number(query.quality) : limits.jpegQuality;
+  if (!(Number.isInteger(quality) && quality >= 1 && quality <= 100)) errors.push('quality must be an integer from 1 to 100');
+
+  // Output pixels per full-resolution pixel
+  let scale = 1;
+  if (query.level !== undefined) {
+    if (!isNonNegativeInteger(query.level) || Number(query.level) > image.maxLevel) {
+      errors.push(`level must be an integer from 0 to ${image.maxLevel}`);
+    } else {
+      scale = Math.pow(2, Number(query.level) - image.maxLevel);
+    }
+  } else if (query.mpp !== undefined) {
+    const mpp = Number(query.mpp);
+    if (!image.mpp || !image.mpp.x) {
+      errors.push('mpp needs a slide with a recorded pixel size; use level instead');
+    } else if (!(mpp > 0)) {
+      errors.push('mpp must be a positive number');
+    } else if (mpp < image.mpp.x) {
+      errors.push(`mpp ${mpp} is finer than the scan resolution (${image.mpp.x} µm/px)`);
+    } else {
+      scale = image.mpp.x / mpp;
+    }
+  }
+  if (errors.length > 0) return { errors, request: null };
+
+  const [x, y, w, h] = ['x', 'y', 'w', 'h'].map(field => Number(query[field]));
+  if (w === 0 || h === 0) return { errors: ['w and h must be at least 1'], request: null };
+  if (x >= image.width || y >= image.height) {
+    return { errors: [`Region starts outside the ${image.width}x${image.height} image`], request: null };
+  }
+  // Regions running past the edge are cropped to the image
+  const region = { x, y, width: Math.min(w, image.width - x), height: Math.min(h, image.height - y) };
+  const width = Math.max(1, Math.round(region.width * scale));
+  const height = Math.max(1, Math.round(region.height * scale));
+  if (width > limits.maxWidth || height > limits.maxHeight || width * height > limits.maxArea) {
+    return {
+      errors: [`Export of ${width}x${height} pixels exceeds the limits (maxWidth ${limits.maxWidth}, maxHeight ${limits.maxHeight}, maxArea ${limits.maxArea}); choose a lower level or larger mpp`],
+      request: null
+    };
+  }
+
+  return {
+    errors,
+    request: {
+      region,
+      width,
+      height,
+      outputMpp: image.mpp && image.mpp.x ? { x: image.mpp.x / scale, y: (image.mpp.y || image.mpp.x) / scale } : null,
+      format,
+      source: query.source || null,
+      quality
+    }
+  };
+}
+
+/**
+ * Encode an exported region, recording its resolution when the pixel size is known
+ * @param {sharp.Sharp} image
+ * @returns {Promise<Buffer>}
+ */
+function encodeRegion(image, request) {
+  if (request.outputMpp) image = image.withMetadata({ density: 25400 / request.outputMpp.x });
+  return EXPORT_FORMATS[request.format].encode(image, request.quality).toBuffer();
+}
+
+// Download name: slide, region origin and size, and the resolution it was taken at
+function exportFileName(slideName, request) {
+  const { region, outputMpp } = request;
+  const resolution = outputMpp ? `_${Math.round(outputMpp.x * 1000) / 1000}mpp` : `_${request.width}px`;
+  return `${slideName}_x${region.x}_y${region.y}_${region.width}x${region.height}${resolution}.${EXPORT_FORMATS[request.format].extension}`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_SOURCES,
+  DEFAULT_EXPORT_LIMITS,
+  parseRegionQuery,
+  encodeRegion,
+  exportFileName
+};
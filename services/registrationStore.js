@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const { describeTransform, invertMatrix } = require('./slideRegistration');
+
+/**
+ * Slide-pair registrations (moving -> fixed transforms from the registration job), one per
+ * unordered pair of slides. Lookups for the reverse direction return the inverted transform.
+ * Jobs still running on the conversion server are kept as pending, so a restart can pick up
+ * their results. Persisted as a single JSON file in config.dataDir.
+ */
+class RegistrationStore {
+  constructor(config) {
+    this.config = config;
+    this.registrationsPath = path.join(config.dataDir, 'slide-registrations.json');
+    this.registrations = [];
+    this.pending = [];
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.registrationsPath)) return;
+    try {
+      const content = JSON.parse(fs.readFileSync(this.registrationsPath, 'utf8'));
+      this.registrations = Array.isArray(content.registrations) ? content.registrations : [];
+      this.pending = Array.isArray(content.pending) ? content.pending : [];
+    } catch (error) {
+      console.error(`Error loading slide registrations: ${error.message}`);
+    }
+  }
+
+  // Temp file + rename so a crash never leaves a half-written file
+  save() {
+    fs.mkdirSync(path.dirname(this.registrationsPath), { recursive: true });
+    const tempPath = `${this.registrationsPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ updatedAt: new Date().toISOString(), registrations: this.registrations, pending: this.pending }, null, 2));
+    fs.renameSync(tempPath, this.registrationsPath);
+  }
+
+  /**
+   * Remember a job queued on the conversion server until its result is stored or it fails
+   * @param {Object} job - jobId, fixed, moving, method
+   */
+  addPending(job) {
+    this.pending = this.pending.filter(p => p.jobId !== job.jobId);
+    this.pending.push({ ...job, queuedAt: new Date().toISOString() });
+    this.save();
+  }
+
+  removePending(jobId) {
+    const before = this.pending.length;
+    this.pending = this.pending.filter(p => p.jobId !== jobId);
+    if (this.pending.length !== before) this.save();
+  }
+
+  listPending() {
+    return this.pending;
+  }
+
+  list(filter = {}) {
+    if (!filter.slide) return this.registrations;
+    return this.registrations.filter(r => r.fixed === filter.slide || r.moving === filter.slide);
+  }
+
+  get(id) {
+    return this.registrations.find(r => r.id === id) || null;
+  }
+
+  findStored(slideA, slideB) {
+    return this.registrations.find(r =>
+      (r.fixed === slideA && r.moving === slideB) || (r.fixed === slideB && r.moving === slideA)
+    ) || null;
+  }
+
+  /**
+   * Transform mapping `moving` image pixels to `fixed` image pixels, whichever way it was computed
+   * @returns {Object|null} Registration record oriented as requested (inverted: true if flipped)
+   */
+  findPair(fixed, moving) {
+    const stored = this.findStored(fixed, moving);
+    if (!stored) return null;
+    if (stored.fixed === fixed) return { ...stored, inverted: false };
+
+    return {
+      ...stored,
+      ...describeTransform(invertMatrix(stored.matrix), { method: stored.method, score: stored.score, mppRatio: 1 / stored.mppRatio }),
+      fixed,
+      moving,
+      inverted: true
+    };
+  }
+
+  /**
+   * Store a job result, replacing any earlier registration of the same pair
+   */
+  put(fixed, moving, result, jobId) {
+    const previous = this.findStored(fixed, moving);
+    const record = {
+      id: previous ? previous.id : `reg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      fixed,
+      moving,
+      ...result,
+      jobId,
+      createdAt: new Date().toISOString()
+    };
+    this.registrations = this.registrations.filter(r => r !== previous);
+    this.registrations.push(record);
+    this.pending = this.pending.filter(p => p.jobId !== jobId);
+    this.save();
+    return record;
+  }
+
+  remove(id) {
+    const before = this.registrations.length;
+    this.registrations = this.registrations.filter(r => r.id !== id);
+    if (this.registrations.length === before) return false;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Keep pairs in step with slide deletes/renames
+   * @returns {number} Registrations affected
+   */
+  forgetSlide(slideName) {
+    const before = this.registrations.length;
+    this.registrations = this.registrations.filter(r => r.fixed !== slideName && r.moving !== slideName);
+    const removed = before - this.registrations.length;
+    // A pending job for a deleted slide has nowhere to store its result
+    const pendingBefore = this.pending.length;
+    this.pending = this.pending.filter(p => p.fixed !== slideName && p.moving !== slideName);
+    if (removed > 0 || this.pending.length !== pendingBefore) this.save();
+    return removed;
+  }
+
+  renameSlide(oldName, newName) {
+    let changed = 0;
+    for (const registration of [...this.registrations, ...this.pending]) {
+      if (registration.fixed === oldName) { registration.fixed = newName; changed++; }
+      if (registration.moving === oldName) { registration.moving = newName; changed++; }
+    }
+    if (changed > 0) this.save();
+    return changed;
+  }
+}
+
+module.exports = RegistrationStore;
@@ -0,0 +1,89 @@
+// How a failure is treated: transient and unknown failures are retried, the others go straight to
+// the dead-letter list because running the same job again would fail the same way
+const ERROR_CLASSES = {
+  transient: { retryable: true, description: 'Temporary I/O, resource or connection problem' },
+  corrupt_input: { retryable: false, description: 'The slide file is damaged or not readable by libvips' },
+  missing_input: { retryable: false, description: 'The slide file is no longer there' },
+  environment: { retryable: false, description: 'Conversion tooling is missing or misconfigured' },
+  unknown: { retryable: true, description: 'Unrecognised failure' }
+};
+
+// Checked in order against the error code and message (vips writes its reasons to stderr)
+const CLASSIFIERS = [
+  { errorClass: 'environment', pattern: /spawn \S*vips\S* ENOENT/i },
+  { errorClass: 'missing_input', pattern: /input file (?:not found|no longer exists)/i },
+  {
+    errorClass: 'transient',
+    codes: ['EBUSY', 'EAGAIN', 'EMFILE', 'ENFILE', 'ENOSPC', 'EIO', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE'],
+    pattern: /being used by another process|resource temporarily unavailable|no space left|out of memory|cannot allocate|timed? ?out|interrupted by conversion server restart|socket hang up|ECONNREFUSED|ECONNRESET|EBUSY|code null/i
+  },
+  {
+    errorClass: 'corrupt_input',
+    pattern: /not a (?:known file format|tiff)|unsupported (?:image|file) format|TIFFRead|TIFFFetch|openslide|premature end|truncated|corrupt|bad (?:marker|huffman|magic|tile)|unable to (?:open|read)|invalid (?:image|tiff|jpeg)|JPEG2000|read error/i
+  },
+  { errorClass: 'environment', pattern: /VipsOperation: class "[^"]+" not found|unknown (?:operation|action)|no such operation/i }
+];
+
+/**
+ * One retry policy for every conversion path: classify the failure, then retry transient and
+ * unrecognised ones with exponential backoff until the attempts run out.
+ */
+class RetryPolicy {
+  /**
+   * @param {Object} options - maxAttempts (including the first run), baseDelayMs, maxDelayMs,
+   *   factor (backoff multiplier), jitter (0-1, fraction of the delay randomised)
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || 3;
+    this.baseDelayMs = options.baseDelayMs || 30000;
+    this.maxDelayMs = options.maxDelayMs || 15 * 60 * 1000;
+    this.factor = options.factor || 2;
+    this.jitter = options.jitter !== undefined ? options.jitter : 0.2;
+  }
+
+  /**
+   * @param {Error|string} error
+   * @returns {string} One of ERROR_CLASSES
+   */
+  classify(error) {
+    const message = typeof error === 'string' ? error : (error && error.message) || '';
+    const code = error && error.code;
+    const match = CLASSIFIERS.find(classifier =>
+      (code && classifier.codes && classifier.codes.includes(code)) || classifier.pattern.test(message));
+    return match ? match.errorClass : 'unknown';
+  }
+
+  /**
+   * Delay before the next attempt, after `attempts` failed ones
+   */
+  delayFor(attempts) {
+    const delay = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(this.factor, Math.max(0, attempts - 1)));
+    const spread = delay * this.jitter;
+    return Math.round(delay - spread + Math.random() * spread * 2);
+  }
+
+  /**
+   * @param {Error|string} error - The failure
+   * @param {number} attempts - Attempts made so far, including the one that just failed
+   * @returns {Object} { retry, errorClass, delayMs }
+   */
+  decide(error, attempts) {
+    const errorClass = this.classify(error);
+    const retry = ERROR_CLASSES[errorClass].retryable && attempts < this.maxAttempts;
+    return { retry, errorClass, delayMs: retry ? this.delayFor(attempts) : null };
+  }
+
+  toJSON() {
+    return {
+      maxAttempts: this.maxAttempts,
+      baseDelayMs: this.baseDelayMs,
+      maxDelayMs: this.maxDelayMs,
+      factor: this.factor,
+      jitter: this.jitter
+    };
+  }
+}
+
+RetryPolicy.ERROR_CLASSES = ERROR_CLASSES;
+
+module.exports = RetryPolicy;
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const UserStore = require('./userStore');
+const Deidentifier = require('./deidentifier');
+
+const SHARE_SCOPES = ['slide', 'case'];
+const DEFAULT_SHARE_OPTIONS = { defaultHours: 72, maxHours: 720, minPasswordLength: 8 };
+
+function newId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Read-only share links for outside consultants: one slide or one case, with an expiry and an
+ * optional password. Records are kept after they expire or are revoked so admins can see what
+ * was shared; the link tokens themselves are signed by AuthService and never stored.
+ * Persisted as a single JSON file in config.dataDir.
+ */
+class ShareLinkStore {
+  constructor(config) {
+    this.config = config;
+    this.options = { ...DEFAULT_SHARE_OPTIONS, ...(config.appConfig?.security?.shareLinks || {}) };
+    this.linksPath = path.join(config.dataDir, 'share-links.json');
+    this.links = this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.linksPath)) return [];
+    try {
+      const content = JSON.parse(fs.readFileSync(this.linksPath, 'utf8'));
+      return Array.isArray(content.links) ? content.links : [];
+    } catch (error) {
+      console.error(`Error loading share links: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Temp file + rename so a crash never leaves a half-written file
+  save() {
+    fs.mkdirSync(path.dirname(this.linksPath), { recursive: true });
+    const tempPath = `${this.linksPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ updatedAt: new Date().toISOString(), links: this.links }, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.linksPath);
+  }
+
+  // Newest first
+  list() {
+    return [...this.links].sort((a, b) => b.createdAt.localeCompare(a.createdAt)).map(ShareLinkStore.toPublic);
+  }
+
+  get(id) {
+    return this.links.find(l => l.id === id) || null;
+  }
+
+  isActive(link) {
+    return !link.revokedAt && Date.parse(link.expiresAt) > Date.now();
+  }
+
+  /**
+   * @param {Object} data - scope, target (slide name or case ID), label (for the admin list),
+   *   hours, password, note
+   * @param {Object} creator - The signed-in user; the link never shows more than they could see
+   */
+  async create(data, creator) {
+    const now = new Date();
+    const hours = data.hours !== undefined ? Number(data.hours) : this.options.defaultHours;
+    const link = {
+      id: newId('share'),
+      scope: data.scope,
+      target: data.target,
+      label: (data.label || data.target).trim(),
+      note: (data.note || '').trim(),
+      passwordHash: data.password ? await UserStore.hashPassword(data.password) : null,
+      createdBy: creator.username,
+      createdByRole: creator.role,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + hours * 3600000).toISOString(),
+      revokedAt: null,
+      revokedBy: null,
+      lastOpenedAt: null,
+      openCount: 0
+    };
+    this.links.push(link);
+    this.save();
+    return link;
+  }
+
+  revoke(id, username) {
+    const link = this.get(id);
+    if (!link) return null;
+    if (!link.revokedAt) {
+      link.revokedAt = new Date().toISOString();
+      link.revokedBy = username;
+      this.save();
+    }
+    return link;
+  }
+
+  recordOpen(link) {
+    link.lastOpenedAt = new Date().toISOString();
+    link.openCount++;
+    this.save();
+  }
+
+  async checkPassword(link, password) {
+    return UserStore.checkPassword(String(password || ''), link.passwordHash);
+  }
+
+  /**
+   * Validate a new share link
+   * @returns {string[]} List of validation errors (empty when valid); whether the target exists
+   *   and the creator may see it is for the caller to check
+   */
+  validate(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object') return ['Share link must be an object'];
+
+    if (!SHARE_SCOPES.includes(data.scope)) errors.push(`scope must be one of: ${SHARE_SCOPES.join(', ')}`);
+    if (typeof data.target !== 'string' || !data.target) errors.push('target must be a slide name or case ID');
+    if (data.hours !== undefined) {
+      const hours = Number(data.hours);
+      if (!(hours > 0 && hours <= this.options.maxHours)) errors.push(`hours must be more than 0 and at most ${this.options.maxHours}`);
+    }
+    if (data.password !== undefined && data.password !== null && data.password !== '' &&
+        (typeof data.password !== 'string' || data.password.length < this.options.minPasswordLength)) {
+      errors.push(`password must be at least ${this.options.minPasswordLength} characters`);
+    }
+    if (data.note !== undefined && data.note !== null && (typeof data.note !== 'string' || data.note.length > 200)) {
+      errors.push('note must be a string of at most 200 characters');
+    }
+    return errors;
+  }
+
+  // What the API returns for a link: never the password hash
+  static toPublic(link) {
+    const { passwordHash, ...rest } = link;
+    const status = link.revokedAt ? 'revoked' : Date.parse(link.expiresAt) > Date.now() ? 'active' : 'expired';
+    return { ...rest, hasPassword: Boolean(passwordHash), status };
+  }
+
+  /**
+   * A slide as a consultant sees it: tiles, scale and the scanner properties de-identified
+   * exports keep, but no label or macro images (which show the label), barcode, label text,
+   * source path or folder
+   * @param {Object} slide - Catalog entry
+   * @param {string} shareBase - /share/<token>, which the slide's /dzi URL is moved under
+   * @param {string} name - Name the consultant sees (a pseudonym in anonymization mode), also used
+   *   in place of the slide name in its /dzi URL
+   */
+  static redactSlide(slide, shareBase, name = slide.name) {
+    const raw = slide.metadata && slide.metadata.properties && slide.metadata.properties.raw;
+    return {
+      name,
+      dziFile: `${shareBase}${slide.dziFile.split(slide.name).join(name)}`,
+      tileFormat: slide.tileFormat,
+      mpp: slide.mpp || null,
+      vendor: slide.vendor || null,
+      magnification: slide.magnification || null,
+      properties: Deidentifier.stripProperties(raw)
+    };
+  }
+}
+
+ShareLinkStore.SHARE_SCOPES = SHARE_SCOPES;
+
+module.exports = ShareLinkStore;
@@ -0,0 +1,531 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const SlideMetadataExtractor = require('../slideMetadataExtractor');
+const { formatForExtension } = require('./tileFormat');
+const { CONTAINER_EXTENSION, openTileSource } = require('./tileContainer');
+
+const SUPPORTED_FORMATS = ['.svs', '.ndpi', '.tif', '.tiff', '.jp2', '.vms', '.vmu', '.scn'];
+
+// Rewrite the log once it holds this many times more lines than live entries
+const COMPACT_RATIO = 2;
+const COMPACT_MIN_LINES = 500;
+
+async function exists(filePath) {
+  try {
+    await fsp.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Slide name used everywhere else: relative folder with separators -> '_' plus the file's basename
+function getUniqueName(relativeFilePath) {
+  const ext = path.extname(relativeFilePath);
+  const baseName = path.basename(relativeFilePath, ext);
+  const relativeDir = path.dirname(relativeFilePath);
+  return relativeDir && relativeDir !== '.' ? `${relativeDir.replace(/[\\\/]/g, '_')}_${baseName}` : baseName;
+}
+
+function newSlideId() {
+  return `slide_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Slide name as the filesystem compares it: slidesDir and dziDir are usually on a case-insensitive
+// Windows share, where SLIDE.dzi and slide.dzi are the same file
+function foldName(name) {
+  return String(name).normalize('NFC').toLowerCase();
+}
+
+// Microns-per-pixel for a slide from its extracted metadata (older metadata files only have raw props)
+function getSlideMpp(metadata) {
+  if (!metadata || !metadata.properties) return null;
+  return metadata.properties.mpp || SlideMetadataExtractor.parseMpp(metadata.properties.raw);
+}
+
+// Scanner vendor and objective magnification recorded in the slide properties
+function getSlideScannerInfo(metadata) {
+  const raw = (metadata && metadata.properties && metadata.properties.raw) || {};
+  const magnification = parseFloat(raw['openslide.objective-power'] || raw['aperio.AppMag']);
+  return {
+    vendor: raw['openslide.vendor'] || null,
+    magnification: Number.isFinite(magnification) ? magnification : null
+  };
+}
+
+async function readSlideMetadata(metadataJsonPath) {
+  try {
+    return JSON.parse(await fsp.readFile(metadataJsonPath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Failed to read metadata ${path.basename(metadataJsonPath)}:`, error.message);
+    }
+    return null;
+  }
+}
+
+// Tile encoding of converted output (jpeg, webp, ...), from the Format attribute of its .dzi
+// (read from inside the archive for .szi containers)
+async function readTileFormat(dir, name) {
+  try {
+    const source = await openTileSource(dir, name);
+    return source ? formatForExtension(source.descriptor.format) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Persistent index of slides, so listing and lookups don't walk slidesDir on every request.
+ *
+ * Stored as an append-only JSON-lines log in <dataDir>/slide-catalog.jsonl: each line is either
+ * {"op":"put","slide":{...}} or {"op":"delete","name":"..."}, replayed in order on load.
+ * The log is compacted to one "put" per slide whenever it grows too large. It is only rebuilt from
+ * a full scan when it is missing or unreadable, or on request (/api/slides/rescan); otherwise a
+ * restart just checks that the listed files are still there (prune). Entries have the same shape
+ * /api/slides has always returned, plus an `id` that stays with the slide through re-indexing,
+ * rescans and renames (pseudonyms are derived from it).
+ */
+class SlideCatalog {
+  constructor(config) {
+    this.config = config;
+    this.catalogPath = path.join(config.dataDir, 'slide-catalog.jsonl');
+    this.slides = new Map();
+    // Case-folded name -> name, built on first use and dropped whenever the slides change
+    this.foldedNames = null;
+    this.lineCount = 0;
+    this.rebuilding = null;
+    this.touchedDuringRebuild = new Set();
+  }
+
+  /**
+   * Load the catalog from disk. Returns false if there was no catalog file yet, or it can't be
+   * trusted (unreadable, or a damaged line before the end), so the caller should rebuild().
+   */
+  load() {
+    this.slides.clear();
+    this.foldedNames = null;
+    this.lineCount = 0;
+    if (!fs.existsSync(this.catalogPath)) return false;
+
+    let lines;
+    try {
+      lines = fs.readFileSync(this.catalogPath, 'utf8').split('\n').filter(line => line.trim());
+    } catch (error) {
+      console.error(`Failed to read slide catalog: ${error.message}`);
+      return false;
+    }
+    let damaged = false;
+    lines.forEach((line, index) => {
+      this.lineCount++;
+      try {
+        const record = JSON.parse(line);
+        if (record.op === 'put' && record.slide && record.slide.name) {
+          this.slides.set(record.slide.name, record.slide);
+        } else if (record.op === 'delete') {
+          this.slides.delete(record.name);
+        }
+      } catch (error) {
+        // A torn final line from a crash mid-append leaves everything before it valid; anywhere
+        // else, changes after it may be missing
+        console.warn(`Skipping unreadable slide catalog line ${this.lineCount}: ${error.message}`);
+        if (index < lines.length - 1) damaged = true;
+      }
+    });
+    if (damaged) {
+      console.warn('⚠️ Slide catalog is damaged; it will be rebuilt from a scan');
+      return false;
+    }
+
+    // Catalogs written before slides had ids
+    for (const slide of this.slides.values()) {
+      if (!slide.id) this.put({ ...slide, id: newSlideId() });
+    }
+
+    console.log(`📚 Slide catalog loaded: ${this.slides.size} slides (${this.lineCount} log lines)`);
+    this.compactIfNeeded();
+    return true;
+  }
+
+  /**
+   * Drop or update entries whose files went away while the server was down: one existence check
+   * per slide instead of a full scan. Files added meanwhile are reported by the file watcher's
+   * initial scan.
+   * @returns {Promise<number>} Entries changed
+   */
+  async prune() {
+    let changed = 0;
+    for (const slide of [...this.slides.values()]) {
+      const sourcePath = this.getSourcePath(slide);
+      const present = sourcePath
+        ? await exists(sourcePath)
+        : (await this.locateOutputs(slide.name)).hasDzi;
+      if (present) continue;
+      await this.refreshSlide(slide.name).catch(error => console.warn(`Catalog refresh failed for ${slide.name}: ${error.message}`));
+      changed++;
+    }
+    if (changed > 0) console.log(`📚 Slide catalog pruned: ${changed} slides no longer on disk as listed`);
+    return changed;
+  }
+
+  list() {
+    return [...this.slides.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  get(name) {
+    return this.slides.get(name) || null;
+  }
+
+  /**
+   * Look a slide up the way the filesystem would find its files: ignoring case and Unicode
+   * normalization. For names that come from URLs and request paths.
+   */
+  find(name) {
+    if (name === undefined || name === null) return null;
+    const exact = this.slides.get(name);
+    if (exact) return exact;
+    if (!this.foldedNames) {
+      this.foldedNames = new Map([...this.slides.keys()].map(key => [foldName(key), key]));
+    }
+    const key = this.foldedNames.get(foldName(name));
+    return key === undefined ? null : this.slides.get(key) || null;
+  }
+
+  /**
+   * Absolute path of the slide's source file, or null for DZI-only slides
+   */
+  getSourcePath(slide) {
+    if (!slide || !slide.originalFile) return null;
+    return path.join(this.config.slidesDir, slide.originalFile.replace(/^\/slides\//, ''));
+  }
+
+  put(slide) {
+    if (this.rebuilding) this.touchedDuringRebuild.add(slide.name);
+    const existing = this.slides.get(slide.name);
+    slide = { ...slide, id: slide.id || (existing && existing.id) || newSlideId() };
+    if (existing && JSON.stringify(existing) === JSON.stringify(slide)) return slide;
+
+    this.slides.set(slide.name, slide);
+    this.foldedNames = null;
+    this.append({ op: 'put', slide });
+    return slide;
+  }
+
+  remove(name) {
+    if (this.rebuilding) this.touchedDuringRebuild.add(name);
+    if (!this.slides.has(name)) return false;
+
+    this.slides.delete(name);
+    this.foldedNames = null;
+    this.append({ op: 'delete', name });
+    return true;
+  }
+
+  /**
+   * Move an entry to a new name ahead of re-indexing it there, so a renamed slide keeps its id
+   */
+  rename(oldName, newName) {
+    const existing = this.slides.get(oldName);
+    this.remove(oldName);
+    if (existing) this.put({ ...existing, name: newName });
+  }
+
+  /**
+   * Index (or re-index) a source file in slidesDir, e.g. after the file watcher reports it
+   * @returns {Promise<Object|null>} The catalog entry, or null if the file is not a slide
+   */
+  async indexSourceFile(fullPath) {
+    const relativeFilePath = path.relative(this.config.slidesDir, fullPath);
+    if (!this.isSlideFile(relativeFilePath)) return null;
+
+    if (!(await exists(fullPath))) {
+      return this.refreshSlide(getUniqueName(relativeFilePath));
+    }
+    return this.put(await this.buildSourceEntry(fullPath, relativeFilePath));
+  }
+
+  /**
+   * Handle a source file disappearing: the slide stays listed as DZI-only if it was converted
+   */
+  async removeSourceFile(fullPath) {
+    const relativeFilePath = path.relative(this.config.slidesDir, fullPath);
+    if (!this.isSlideFile(relativeFilePath)) return null;
+    return this.refreshSlide(getUniqueName(relativeFilePath));
+  }
+
+  /**
+   * Re-read a slide from disk (after conversion, reconversion or deletion)
+   * @returns {Promise<Object|null>} The updated entry, or null if nothing is left of the slide
+   */
+  async refreshSlide(name) {
+    const existing = this.slides.get(name);
+    const sourcePath = this.getSourcePath(existing) || await this.findTopLevelSource(name);
+    if (sourcePath && await exists(sourcePath)) {
+      return this.put(await this.buildSourceEntry(sourcePath, path.relative(this.config.slidesDir, sourcePath)));
+    }
+
+    const dziEntry = await this.buildDziEntry(name);
+    if (dziEntry) return this.put(dziEntry);
+
+    this.remove(name);
+    return null;
+  }
+
+  // Best guess for a slide not yet in the catalog; subfolder names can't be recovered from the
+  // flattened unique name, so only the top level of slidesDir is checked
+  async findTopLevelSource(name) {
+    for (const ext of SUPPORTED_FORMATS) {
+      const candidate = path.join(this.config.slidesDir, `${name}${ext}`);
+      if (await exists(candidate)) return candidate;
+    }
+    return null;
+  }
+
+  /**
+   * Rebuild the whole catalog from a scan of slidesDir and dziDir.
+   * Runs asynchronously; changes reported while the scan is running are re-applied afterwards.
+   */
+  rebuild() {
+    if (this.rebuilding) return this.rebuilding;
+
+    this.rebuilding = (async () => {
+      const started = Date.now();
+      this.touchedDuringRebuild.clear();
+      const slides = new Map();
+
+      for (const slide of await this.scanSourceFiles(this.config.slidesDir, '')) {
+        slides.set(slide.name, slide);
+      }
+      for (const name of await this.scanDziNames()) {
+        if (slides.has(name)) continue;
+        const dziEntry = await this.buildDziEntry(name);
+        if (dziEntry) slides.set(name, dziEntry);
+      }
+      for (const slide of slides.values()) {
+        const previous = this.slides.get(slide.name);
+        slide.id = (previous && previous.id) || newSlideId();
+      }
+
+      this.slides = slides;
+      this.foldedNames = null;
+      this.writeSnapshot();
+      console.log(`📚 Slide catalog rebuilt: ${slides.size} slides in ${((Date.now() - started) / 1000).toFixed(2)}s`);
+      return slides.size;
+    })();
+
+    return this.rebuilding.finally(async () => {
+      this.rebuilding = null;
+      const touched = [...this.touchedDuringRebuild];
+      this.touchedDuringRebuild.clear();
+      for (const name of touched) {
+        await this.refreshSlide(name).catch(error => console.warn(`Catalog refresh failed for ${name}: ${error.message}`));
+      }
+    });
+  }
+
+  isSlideFile(relativeFilePath) {
+    const fileName = path.basename(relativeFilePath);
+    if (relativeFilePath.startsWith('..') || path.isAbsolute(relativeFilePath)) return false;
+    // Files renamed to __delete_* are on their way out (see DELETE /api/slides/:filename)
+    if (fileName.startsWith('__delete_') || fileName.startsWith('.')) return false;
+    return SUPPORTED_FORMATS.includes(path.extname(fileName).toLowerCase());
+  }
+
+  async scanSourceFiles(dir, relativePath) {
+    let items;
+    try {
+      items = await fsp.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`Catalog scan failed for ${dir}: ${error.message}`);
+      return [];
+    }
+
+    const slides = [];
+    for (const item of items) {
+      const fullPath = path.join(dir, item.name);
+      const relativeFilePath = path.join(relativePath, item.name);
+      if (item.isDirectory()) {
+        slides.push(...await this.scanSourceFiles(fullPath, relativeFilePath));
+      } else if (item.isFile() && this.isSlideFile(relativeFilePath)) {
+        try {
+          slides.push(await this.buildSourceEntry(fullPath, relativeFilePath));
+        } catch (error) {
+          console.warn(`Catalog skipped ${relativeFilePath}: ${error.message}`);
+        }
+      }
+    }
+    return slides;
+  }
+
+  // Names of standalone DZI outputs (organized dzi/<name>/<name>.dzi or .szi, and legacy dzi/<name>.dzi)
+  async scanDziNames() {
+    let entries;
+    try {
+      entries = await fsp.readdir(this.config.dziDir, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+
+    const names = [];
+    for (const entry of entries) {
+      if (entry.isDirectory() && !entry.name.startsWith('_')) {
+        const slideDir = path.join(this.config.dziDir, entry.name);
+        if (await exists(path.join(slideDir, `${entry.name}.dzi`)) || await exists(path.join(slideDir, `${entry.name}${CONTAINER_EXTENSION}`))) {
+          names.push(entry.name);
+        }
+      } else if (entry.isFile() && entry.name.endsWith('.dzi')) {
+        names.push(path.basename(entry.name, '.dzi'));
+      }
+    }
+    return names;
+  }
+
+  // Where a slide's DZI output and metadata live, preferring the organized layout.
+  // .szi containers are only written to the organized layout; dziFile is the same URL either way.
+  async locateOutputs(uniqueName) {
+    const organizedDir = path.join(this.config.dziDir, uniqueName);
+    const organizedDziPath = path.join(organizedDir, `${uniqueName}.dzi`);
+    const organizedContainerPath = path.join(organizedDir, `${uniqueName}${CONTAINER_EXTENSION}`);
+    const legacyDziPath = path.join(this.config.dziDir, `${uniqueName}.dzi`);
+    const containerPath = !await exists(organizedDziPath) && await exists(organizedContainerPath)
+      ? organizedContainerPath : null;
+    const isOrganized = Boolean(containerPath) || await exists(organizedDziPath);
+    const hasDzi = isOrganized || await exists(legacyDziPath);
+    const metadataDir = isOrganized
+      ? path.join(this.config.dziDir, uniqueName, 'metadata')
+      : path.join(this.config.dziDir, 'metadata');
+    const metadataUrl = isOrganized ? `/dzi/${uniqueName}/metadata` : '/dzi/metadata';
+
+    const labelUrl = await exists(path.join(metadataDir, `${uniqueName}_label.jpg`))
+      ? `${metadataUrl}/${uniqueName}_label.jpg` : null;
+    const macroUrl = await exists(path.join(metadataDir, `${uniqueName}_macro.jpg`))
+      ? `${metadataUrl}/${uniqueName}_macro.jpg` : null;
+
+    const dziPath = isOrganized ? organizedDziPath : legacyDziPath;
+    return {
+      hasDzi,
+      isOrganized,
+      dziPath,
+      containerPath,
+      tileContainer: hasDzi ? (containerPath ? 'szi' : 'folder') : null,
+      tileFormat: hasDzi ? await readTileFormat(path.dirname(dziPath), uniqueName) : null,
+      dziFile: hasDzi ? (isOrganized ? `/dzi/${uniqueName}/${uniqueName}.dzi` : `/dzi/${uniqueName}.dzi`) : null,
+      metadataJsonPath: path.join(metadataDir, `${uniqueName}_metadata.json`),
+      labelUrl,
+      macroUrl,
+      thumbnailUrl: macroUrl || labelUrl || null
+    };
+  }
+
+  async buildSourceEntry(fullPath, relativeFilePath) {
+    const ext = path.extname(relativeFilePath).toLowerCase();
+    const baseName = path.basename(relativeFilePath, path.extname(relativeFilePath));
+    const relativeDir = path.dirname(relativeFilePath);
+    const uniqueName = getUniqueName(relativeFilePath);
+    const outputs = await this.locateOutputs(uniqueName);
+    const metadata = await readSlideMetadata(outputs.metadataJsonPath);
+    const stats = await fsp.stat(fullPath);
+
+    return {
+      name: uniqueName,
+      originalName: baseName,
+      folder: relativeDir && relativeDir !== '.' ? relativeDir : 'root',
+      originalFile: `/slides/${relativeFilePath.replace(/\\/g, '/')}`,
+      dziFile: outputs.dziFile,
+      // Tiles read straight from the source file, for viewing before (or instead of) conversion
+      liveDziFile: `/live/${uniqueName}/${uniqueName}.dzi`,
+      format: ext,
+      tileFormat: outputs.tileFormat,
+      tileContainer: outputs.tileContainer,
+      converted: outputs.hasDzi,
+      size: stats.size,
+      modified: stats.mtime.toISOString(),
+      labelUrl: outputs.labelUrl,
+      macroUrl: outputs.macroUrl,
+      thumbnailUrl: outputs.thumbnailUrl,
+      label: metadata ? (metadata.label || metadata.description || metadata.title || null) : null,
+      barcode: metadata && metadata.barcode ? metadata.barcode.value : null,
+      metadata,
+      mpp: getSlideMpp(metadata),
+      ...getSlideScannerInfo(metadata),
+      deidentifiedAt: metadata && metadata.deidentifiedAt ? metadata.deidentifiedAt : null,
+      isOrganized: outputs.isOrganized
+    };
+  }
+
+  // Entry for converted output whose source file is gone (or was never in slidesDir)
+  async buildDziEntry(uniqueName) {
+    const outputs = await this.locateOutputs(uniqueName);
+    if (!outputs.hasDzi) return null;
+    const metadata = await readSlideMetadata(outputs.metadataJsonPath);
+    const stats = await fsp.stat(outputs.containerPath || outputs.dziPath);
+
+    return {
+      name: uniqueName,
+      folder: 'root',
+      originalFile: null,
+      dziFile: outputs.dziFile,
+      format: '.dzi',
+      tileFormat: outputs.tileFormat,
+      tileContainer: outputs.tileContainer,
+      converted: true,
+      size: 0,
+      modified: stats.mtime.toISOString(),
+      labelUrl: outputs.labelUrl,
+      macroUrl: outputs.macroUrl,
+      thumbnailUrl: outputs.thumbnailUrl,
+      barcode: metadata && metadata.barcode ? metadata.barcode.value : null,
+      mpp: getSlideMpp(metadata),
+      ...getSlideScannerInfo(metadata),
+      deidentifiedAt: metadata && metadata.deidentifiedAt ? metadata.deidentifiedAt : null,
+      isOrganized: outputs.isOrganized
+    };
+  }
+
+  append(record) {
+    try {
+      fs.mkdirSync(path.dirname(this.catalogPath), { recursive: true });
+      fs.appendFileSync(this.catalogPath, `${JSON.stringify(record)}\n`);
+      this.lineCount++;
+    } catch (error) {
+      // The in-memory catalog stays correct; the next compaction or rebuild will persist it
+      console.error(`Failed to write slide catalog: ${error.message}`);
+      return;
+    }
+    this.compactIfNeeded();
+  }
+
+  // A rebuild writes its own snapshot when it finishes
+  compactIfNeeded() {
+    if (this.rebuilding) return;
+    if (this.lineCount > COMPACT_MIN_LINES && this.lineCount > this.slides.size * COMPACT_RATIO) {
+      try {
+        this.compact();
+      } catch (error) {
+        console.error(`Failed to compact slide catalog: ${error.message}`);
+      }
+    }
+  }
+
+  compact() {
+    this.writeSnapshot();
+    console.log(`📚 Slide catalog compacted to ${this.lineCount} lines`);
+  }
+
+  // Replace the log with one "put" per slide (temp file + rename so a crash never truncates it)
+  writeSnapshot() {
+    fs.mkdirSync(path.dirname(this.catalogPath), { recursive: true });
+    const tempPath = `${this.catalogPath}.${process.pid}.tmp`;
+    const lines = this.list().map(slide => JSON.stringify({ op: 'put', slide }));
+    fs.writeFileSync(tempPath, lines.length ? `${lines.join('\n')}\n` : '');
+    fs.renameSync(tempPath, this.catalogPath);
+    this.lineCount = lines.length;
+  }
+}
+
+SlideCatalog.getUniqueName = getUniqueName;
+SlideCatalog.foldName = foldName;
+SlideCatalog.SUPPORTED_FORMATS = SUPPORTED_FORMATS;
+
+module.exports = SlideCatalog;
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const TIFF_EXTENSIONS = ['.svs', '.ndpi', '.tif', '.tiff', '.scn'];
+const JP2_SIGNATURE = Buffer.from([0x00, 0x00, 0x00, 0x0c, 0x6a, 0x50, 0x20, 0x20, 0x0d, 0x0a, 0x87, 0x0a]);
+
+// TIFF tags checked for vendor formats
+const TAG_IMAGE_DESCRIPTION = 270;
+const TAG_NDPI_FORMAT_FLAG = 65420;
+
+// Vendor headers sit at the start of ImageDescription; no need to read the whole thing
+const MAX_DESCRIPTION_BYTES = 4096;
+
+class RejectedFileError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function readBytes(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Read the first IFD of a TIFF/BigTIFF: its tag numbers and ImageDescription
+ */
+function readFirstIfd(fd, fileSize) {
+  const header = readBytes(fd, 0, 16);
+  const le = header.toString('latin1', 0, 2) === 'II';
+  const u16 = (buf, off) => le ? buf.readUInt16LE(off) : buf.readUInt16BE(off);
+  const u32 = (buf, off) => le ? buf.readUInt32LE(off) : buf.readUInt32BE(off);
+  const u64 = (buf, off) => Number(le ? buf.readBigUInt64LE(off) : buf.readBigUInt64BE(off));
+
+  const bigTiff = u16(header, 2) === 43;
+  const ifdOffset = bigTiff ? u64(header, 8) : u32(header, 4);
+  if (!ifdOffset || ifdOffset >= fileSize) {
+    throw new RejectedFileError('truncated', 'TIFF directory points past the end of the file', { ifdOffset, fileSize });
+  }
+
+  const countSize = bigTiff ? 8 : 2;
+  const entrySize = bigTiff ? 20 : 12;
+  const countBuffer = readBytes(fd, ifdOffset, countSize);
+  if (countBuffer.length < countSize) {
+    throw new RejectedFileError('truncated', 'TIFF directory is cut off', { ifdOffset, fileSize });
+  }
+  const entryCount = bigTiff ? u64(countBuffer, 0) : u16(countBuffer, 0);
+  if (entryCount === 0 || entryCount > 4096) {
+    throw new RejectedFileError('corrupt', `TIFF directory has an implausible entry count (${entryCount})`);
+  }
+  const entries = readBytes(fd, ifdOffset + countSize, entryCount * entrySize);
+  if (entries.length < entryCount * entrySize) {
+    throw new RejectedFileError('truncated', 'TIFF directory is cut off', { ifdOffset, fileSize });
+  }
+
+  const tags = new Set();
+  let description = null;
+  for (let i = 0; i < entryCount; i++) {
+    const entry = i * entrySize;
+    const tag = u16(entries, entry);
+    tags.add(tag);
+    if (tag !== TAG_IMAGE_DESCRIPTION) continue;
+
+    const count = bigTiff ? u64(entries, entry + 4) : u32(entries, entry + 4);
+    const inlineSize = bigTiff ? 8 : 4;
+    const valueField = entry + (bigTiff ? 12 : 8);
+    const length = Math.min(count, MAX_DESCRIPTION_BYTES);
+    const value = count <= inlineSize
+      ? entries.subarray(valueField, valueField + count)
+      : readBytes(fd, bigTiff ? u64(entries, valueField) : u32(entries, valueField), length);
+    description = value.toString('latin1').replace(/\0+$/, '');
+  }
+  return { bigTiff, tags, description };
+}
+
+/**
+ * Walk the top-level JP2 boxes (signature, ftyp, then jp2h somewhere before the codestream)
+ */
+function readJp2Boxes(fd, fileSize) {
+  const boxes = [];
+  let position = 0;
+  while (position < fileSize && boxes.length < 32) {
+    const header = readBytes(fd, position, 16);
+    if (header.length < 8) break;
+    let length = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    if (length === 1) length = Number(header.readBigUInt64BE(8));
+    else if (length === 0) length = fileSize - position;
+    if (length < 8 || position + length > fileSize) {
+      throw new RejectedFileError('truncated', `JP2 box "${type}" runs past the end of the file`, { position, length, fileSize });
+    }
+    boxes.push({ type, position, length });
+    if (type === 'jp2c') break;
+    position += length;
+  }
+  return boxes;
+}
+
+/**
+ * Checks that an uploaded file really is the slide format its extension claims before it is
+ * accepted into slidesDir: magic bytes and vendor tags first (cheap), then a vipsheader probe
+ * to make sure libvips/OpenSlide can actually open it.
+ */
+class SlideFileValidator {
+  /**
+   * @param {Object} options - probe: run vipsheader (default true); probeTimeoutMs
+   */
+  constructor(options = {}) {
+    this.probeEnabled = options.probe !== false;
+    this.probeTimeoutMs = options.probeTimeoutMs || 60000;
+  }
+
+  /**
+   * Identify the file content and check it against the extension
+   * @returns {Object} { format, bigTiff?, vendor? }
+   */
+  sniff(filePath, extension) {
+    const fileSize = fs.statSync(filePath).size;
+    if (fileSize === 0) throw new RejectedFileError('empty_file', 'File is empty');
+
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      const head = readBytes(fd, 0, 64);
+      const magic = head.toString('latin1', 0, 4);
+      const isTiff = magic === 'II*\0' || magic === 'MM\0*';
+      const isBigTiff = magic === 'II+\0' || magic === 'MM\0+';
+
+      if (TIFF_EXTENSIONS.includes(extension)) {
+        if (!isTiff && !isBigTiff) {
+          throw new RejectedFileError('signature_mismatch', `${extension} files must be TIFF or BigTIFF, but the content is not`, {
+            expected: 'tiff', magic: head.subarray(0, 4).toString('hex')
+          });
+        }
+        const ifd = readFirstIfd(fd, fileSize);
+        const result = { format: ifd.bigTiff ? 'bigtiff' : 'tiff', bigTiff: ifd.bigTiff };
+
+        if (extension === '.ndpi') {
+          if (!ifd.tags.has(TAG_NDPI_FORMAT_FLAG)) {
+            throw new RejectedFileError('vendor_mismatch', 'File is a TIFF but has no Hamamatsu NDPI tags', { expected: 'hamamatsu' });
+          }
+          result.vendor = 'hamamatsu';
+        } else if (extension === '.svs') {
+          if (!ifd.description || !ifd.description.startsWith('Aperio')) {
+            throw new RejectedFileError('vendor_mismatch', 'File is a TIFF but its ImageDescription is not an Aperio SVS header', {
+              expected: 'aperio', description: ifd.description ? ifd.description.slice(0, 80) : null
+            });
+          }
+          result.vendor = 'aperio';
+        } else if (extension === '.scn') {
+          if (!ifd.description || !/<scn\b/i.test(ifd.description)) {
+            throw new RejectedFileError('vendor_mismatch', 'File is a TIFF but has no Leica SCN XML description', { expected: 'leica' });
+          }
+          result.vendor = 'leica';
+        }
+        return result;
+      }
+
+      if (extension === '.jp2') {
+        if (!head.subarray(0, JP2_SIGNATURE.length).equals(JP2_SIGNATURE)) {
+          throw new RejectedFileError('signature_mismatch', 'File does not start with a JPEG 2000 signature box', {
+            expected: 'jp2', magic: head.subarray(0, 12).toString('hex')
+          });
+        }
+        const boxes = readJp2Boxes(fd, fileSize);
+        if (!boxes[1] || boxes[1].type !== 'ftyp') {
+          throw new RejectedFileError('corrupt', 'JPEG 2000 signature is not followed by a file type box');
+        }
+        if (!boxes.some(box => box.type === 'jp2h') || !boxes.some(box => box.type === 'jp2c')) {
+          throw new RejectedFileError('truncated', 'JPEG 2000 file is missing its header or codestream box', {
+            boxes: boxes.map(box => box.type)
+          });
+        }
+        return { format: 'jp2' };
+      }
+
+      if (extension === '.vms' || extension === '.vmu') {
+        const section = extension === '.vms' ? '[Virtual Microscope Specimen]' : '[Uncompressed Virtual Microscope Specimen]';
+        if (!head.toString('latin1').replace(/^\xEF\xBB\xBF/, '').trimStart().startsWith(section)) {
+          throw new RejectedFileError('signature_mismatch', `File is not a Hamamatsu ${extension.slice(1).toUpperCase()} index`, { expected: section });
+        }
+        return { format: extension.slice(1), vendor: 'hamamatsu' };
+      }
+
+      throw new RejectedFileError('unsupported_extension', `Unsupported file type ${extension || '(none)'}`);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Ask libvips to open the file
+   * @returns {Promise<Object>} { width, height, bands, loader } or { skipped: true } without vipsheader
+   */
+  probe(filePath) {
+    return new Promise((resolve, reject) => {
+      execFile('vipsheader', [filePath], { timeout: this.probeTimeoutMs, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error && error.code === 'ENOENT') {
+          if (!this.probeMissingWarned) console.warn('vipsheader not found; accepting uploads without a libvips probe');
+          this.probeMissingWarned = true;
+          resolve({ skipped: true });
+          return;
+        }
+        if (error && error.killed) {
+          reject(new RejectedFileError('probe_timeout', `libvips did not open the file within ${this.probeTimeoutMs / 1000}s`));
+          return;
+        }
+        if (error) {
+          const message = (stderr || error.message).trim().split('\n').slice(0, 5).join('\n');
+          reject(new RejectedFileError('probe_failed', 'libvips could not open the file', { vips: message }));
+          return;
+        }
+
+        // "<path>: 98304x75264 uchar, 4 bands, srgb, openslideload"
+        const match = stdout.match(/: (\d+)x(\d+) (\w+), (\d+) bands?, (\w+), (\w+)/);
+        resolve(match ? {
+          width: Number(match[1]),
+          height: Number(match[2]),
+          bands: Number(match[4]),
+          loader: match[6]
+        } : { raw: stdout.trim() });
+      });
+    });
+  }
+
+  /**
+   * @param {string} filePath - Staged upload
+   * @param {string} originalName - Name the file will get in slidesDir (its extension is the claim checked)
+   * @returns {Promise<Object>} { valid: true, format, vendor, probe } or { valid: false, reason: { code, message, ... } }
+   */
+  async validate(filePath, originalName) {
+    const extension = path.extname(originalName).toLowerCase();
+    try {
+      const sniffed = this.sniff(filePath, extension);
+      const probe = this.probeEnabled ? await this.probe(filePath) : { skipped: true };
+      return { valid: true, ...sniffed, probe };
+    } catch (error) {
+      if (!(error instanceof RejectedFileError)) {
+        return { valid: false, reason: { code: 'unreadable', message: `File could not be read: ${error.message}` } };
+      }
+      return { valid: false, reason: { code: error.code, message: error.message, ...error.details } };
+    }
+  }
+}
+
+SlideFileValidator.RejectedFileError = RejectedFileError;
+
+module.exports = SlideFileValidator;
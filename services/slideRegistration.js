@@ -0,0 +1,328 @@
+// Rigid/affine registration between two converted slides (typically serial sections).
+// Works on a low-resolution level of each DZI pyramid: tissue is separated from background by
+// darkness, then the transform maximizing the normalized cross-correlation of the two tissue maps
+// is found coarse-to-fine with Nelder-Mead. Stains differ between sections, so this aligns tissue
+// shape rather than color.
+//
+// The resulting matrix maps full-resolution image pixels of the moving slide to full-resolution
+// image pixels of the fixed slide: [x_f, y_f] = [[a, b], [c, d]] * [x_m, y_m] + [tx, ty]
+
+const path = require('path');
+const sharp = require('sharp');
+const { openTileSource } = require('./tileContainer');
+
+const REGISTRATION_METHODS = ['rigid', 'affine'];
+// Longest side of the DZI level read from disk, and of the analysis images at each pass
+const OVERVIEW_SIZE = 1024;
+const PYRAMID_SIZES = [64, 128, 256];
+
+/**
+ * Stitch the largest pyramid level that fits in OVERVIEW_SIZE into one image. dziPath names the
+ * slide's descriptor; slides converted to a .szi container are read from the archive beside it.
+ * @returns {Promise<{buffer: Buffer, width: number, height: number, fullWidth: number, fullHeight: number}>}
+ */
+async function loadDziOverview(dziPath, maxSize = OVERVIEW_SIZE) {
+  const source = await openTileSource(path.dirname(dziPath), path.basename(dziPath, '.dzi'));
+  if (!source) throw new Error(`No converted output for ${path.basename(dziPath)}`);
+  const dzi = source.descriptor;
+  if (!dzi.tileSize || !dzi.width || !dzi.height) {
+    throw new Error(`Unreadable DZI descriptor: ${path.basename(dziPath)}`);
+  }
+  const maxLevel = Math.ceil(Math.log2(Math.max(dzi.width, dzi.height)));
+
+  let level = maxLevel;
+  let width = dzi.width;
+  let height = dzi.height;
+  while (Math.max(width, height) > maxSize && level > 0) {
+    level--;
+    width = Math.ceil(width / 2);
+    height = Math.ceil(height / 2);
+  }
+
+  const cols = Math.ceil(width / dzi.tileSize);
+  const rows = Math.ceil(height / dzi.tileSize);
+  const tiles = [];
+  for (let col = 0; col < cols; col++) {
+    for (let row = 0; row < rows; row++) {
+      const tile = await source.readTile(level, col, row);
+      // Sparse pyramids skip empty tiles; those stay background
+      if (!tile) continue;
+      tiles.push({
+        input: tile,
+        left: col === 0 ? 0 : col * dzi.tileSize - (dzi.overlap || 0),
+        top: row === 0 ? 0 : row * dzi.tileSize - (dzi.overlap || 0)
+      });
+    }
+  }
+  if (tiles.length === 0) {
+    throw new Error(`No tiles found for level ${level} of ${path.basename(dziPath)}`);
+  }
+
+  const buffer = await sharp({ create: { width, height, channels: 3, background: '#ffffff' } })
+    .composite(tiles)
+    .png()
+    .toBuffer();
+  return { buffer, width, height, fullWidth: dzi.width, fullHeight: dzi.height };
+}
+
+// Otsu threshold of an 8-bit image
+function otsuThreshold(values) {
+  const histogram = new Array(256).fill(0);
+  for (const v of values) histogram[v]++;
+  const total = values.length;
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = 0;
+  let threshold = 0;
+  for (let i = 0; i < 256; i++) {
+    weightBackground += histogram[i];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+    sumBackground += i * histogram[i];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const between = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = i;
+    }
+  }
+  return threshold;
+}
+
+/**
+ * Tissue map at a given size: darkness (inverted grey) with background below the Otsu threshold zeroed
+ */
+async function tissueMap(overview, width, height) {
+  const { data } = await sharp(overview.buffer)
+    .resize(Math.max(1, Math.round(width)), Math.max(1, Math.round(height)), { fit: 'fill' })
+    .greyscale()
+    .negate({ alpha: false })
+    .blur(1)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const threshold = otsuThreshold(data);
+  const values = new Float32Array(data.length);
+  for (let i = 0; i < data.length; i++) values[i] = data[i] > threshold ? data[i] : 0;
+  return { values, width: Math.round(width), height: Math.round(height) };
+}
+
+// Centroid and principal-axis angle of a tissue map
+function moments(map) {
+  let m = 0, cx = 0, cy = 0;
+  for (let y = 0; y < map.height; y++) {
+    for (let x = 0; x < map.width; x++) {
+      const w = map.values[y * map.width + x];
+      m += w; cx += w * x; cy += w * y;
+    }
+  }
+  if (m === 0) return null;
+  cx /= m; cy /= m;
+
+  let mxx = 0, myy = 0, mxy = 0;
+  for (let y = 0; y < map.height; y++) {
+    for (let x = 0; x < map.width; x++) {
+      const w = map.values[y * map.width + x];
+      mxx += w * (x - cx) ** 2; myy += w * (y - cy) ** 2; mxy += w * (x - cx) * (y - cy);
+    }
+  }
+  return { cx, cy, angle: 0.5 * Math.atan2(2 * mxy, mxx - myy) };
+}
+
+// params -> 2x2 matrix + translation; rigid params are [theta, tx, ty], affine [a, b, c, d, tx, ty]
+function toAffine(params, method) {
+  if (method === 'rigid') {
+    const [theta, tx, ty] = params;
+    const cos = Math.cos(theta);
+    const sin = Math.sin(theta);
+    return { a: cos, b: -sin, c: sin, d: cos, tx, ty };
+  }
+  const [a, b, c, d, tx, ty] = params;
+  return { a, b, c, d, tx, ty };
+}
+
+/**
+ * Normalized cross-correlation between the fixed map and the moving map warped into it
+ */
+function similarity(fixed, moving, transform) {
+  const det = transform.a * transform.d - transform.b * transform.c;
+  if (Math.abs(det) < 1e-6) return -1;
+  // Inverse mapping: sample the moving map at A^-1 (q - t) for every fixed pixel q
+  const ia = transform.d / det, ib = -transform.b / det, ic = -transform.c / det, id = transform.a / det;
+  const mw = moving.width, mh = moving.height, mv = moving.values;
+
+  let sumF = 0, sumM = 0, sumFF = 0, sumMM = 0, sumFM = 0;
+  const n = fixed.width * fixed.height;
+  for (let y = 0; y < fixed.height; y++) {
+    const dy = y - transform.ty;
+    for (let x = 0; x < fixed.width; x++) {
+      const dx = x - transform.tx;
+      const mx = ia * dx + ib * dy;
+      const my = ic * dx + id * dy;
+
+      let m = 0;
+      if (mx >= 0 && my >= 0 && mx < mw - 1 && my < mh - 1) {
+        const x0 = mx | 0, y0 = my | 0;
+        const fx = mx - x0, fy = my - y0;
+        const i = y0 * mw + x0;
+        m = (mv[i] * (1 - fx) + mv[i + 1] * fx) * (1 - fy) + (mv[i + mw] * (1 - fx) + mv[i + mw + 1] * fx) * fy;
+      }
+      const f = fixed.values[y * fixed.width + x];
+      sumF += f; sumM += m; sumFF += f * f; sumMM += m * m; sumFM += f * m;
+    }
+  }
+
+  const covariance = sumFM - (sumF * sumM) / n;
+  const variance = Math.sqrt((sumFF - (sumF * sumF) / n) * (sumMM - (sumM * sumM) / n));
+  return variance > 0 ? covariance / variance : 0;
+}
+
+/**
+ * Minimize f with the Nelder-Mead simplex method
+ * @param {number[]} steps - Initial simplex size per parameter
+ */
+function nelderMead(f, start, steps, maxIterations = 250, tolerance = 1e-5) {
+  let simplex = [start, ...start.map((_, i) => start.map((v, j) => (i === j ? v + steps[i] : v)))]
+    .map(point => ({ point, value: f(point) }));
+  const combine = (p, q, t) => p.map((v, i) => v + t * (q[i] - v));
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    simplex.sort((a, b) => a.value - b.value);
+    const best = simplex[0];
+    const worst = simplex[simplex.length - 1];
+    if (Math.abs(worst.value - best.value) < tolerance) break;
+
+    const centroid = start.map((_, i) => simplex.slice(0, -1).reduce((sum, s) => sum + s.point[i], 0) / (simplex.length - 1));
+    const reflected = combine(centroid, worst.point, -1);
+    const reflectedValue = f(reflected);
+
+    if (reflectedValue < best.value) {
+      const expanded = combine(centroid, worst.point, -2);
+      const expandedValue = f(expanded);
+      simplex[simplex.length - 1] = expandedValue < reflectedValue
+        ? { point: expanded, value: expandedValue }
+        : { point: reflected, value: reflectedValue };
+    } else if (reflectedValue < simplex[simplex.length - 2].value) {
+      simplex[simplex.length - 1] = { point: reflected, value: reflectedValue };
+    } else {
+      const contracted = combine(centroid, worst.point, 0.5);
+      const contractedValue = f(contracted);
+      if (contractedValue < worst.value) {
+        simplex[simplex.length - 1] = { point: contracted, value: contractedValue };
+      } else {
+        simplex = simplex.map((s, i) => (i === 0 ? s : { point: combine(best.point, s.point, 0.5), value: f(combine(best.point, s.point, 0.5)) }));
+      }
+    }
+  }
+
+  simplex.sort((a, b) => a.value - b.value);
+  return simplex[0];
+}
+
+/**
+ * Register two slides from their DZI descriptors
+ * @param {Object} options - method: rigid | affine; fixedMpp/movingMpp: {x, y} to correct for
+ *   different scan resolutions (without them both slides are assumed to share a pixel size)
+ * @returns {Promise<Object>} { method, matrix, rotation, scale, translation, score, mppRatio }
+ */
+async function registerDziSlides(fixedDziPath, movingDziPath, options = {}) {
+  const method = options.method || 'rigid';
+  if (!REGISTRATION_METHODS.includes(method)) {
+    throw new Error(`method must be one of: ${REGISTRATION_METHODS.join(', ')}`);
+  }
+
+  const [fixedOverview, movingOverview] = await Promise.all([
+    loadDziOverview(fixedDziPath),
+    loadDziOverview(movingDziPath)
+  ]);
+  const mppRatio = options.fixedMpp && options.movingMpp ? options.movingMpp.x / options.fixedMpp.x : 1;
+  const fixedLongSide = Math.max(fixedOverview.fullWidth, fixedOverview.fullHeight);
+
+  let params = null;
+  let scale = null;
+  let score = 0;
+  for (const size of PYRAMID_SIZES) {
+    // Analysis pixels per full-resolution fixed pixel; the moving slide is resampled to the same physical scale
+    const nextScale = size / fixedLongSide;
+    const fixed = await tissueMap(fixedOverview, fixedOverview.fullWidth * nextScale, fixedOverview.fullHeight * nextScale);
+    const moving = await tissueMap(movingOverview, movingOverview.fullWidth * nextScale * mppRatio, movingOverview.fullHeight * nextScale * mppRatio);
+    const cost = (p) => -similarity(fixed, moving, toAffine(p, method));
+
+    if (!params) {
+      // Start from the best of the moment-based orientations and the four right angles
+      const fixedMoments = moments(fixed);
+      const movingMoments = moments(moving);
+      if (!fixedMoments || !movingMoments) throw new Error('No tissue found on one of the slides');
+      const principal = fixedMoments.angle - movingMoments.angle;
+      const angles = [principal, principal + Math.PI, 0, Math.PI / 2, Math.PI, -Math.PI / 2];
+      const candidates = angles.map(theta => {
+        const cos = Math.cos(theta), sin = Math.sin(theta);
+        const tx = fixedMoments.cx - (cos * movingMoments.cx - sin * movingMoments.cy);
+        const ty = fixedMoments.cy - (sin * movingMoments.cx + cos * movingMoments.cy);
+        return method === 'rigid' ? [theta, tx, ty] : [cos, -sin, sin, cos, tx, ty];
+      });
+      params = candidates.reduce((best, p) => (cost(p) < cost(best) ? p : best));
+    } else {
+      // Translation is in analysis pixels, so it scales with the pass size
+      const ratio = nextScale / scale;
+      params = method === 'rigid'
+        ? [params[0], params[1] * ratio, params[2] * ratio]
+        : [...params.slice(0, 4), params[4] * ratio, params[5] * ratio];
+    }
+    scale = nextScale;
+
+    const translationStep = size * 0.05;
+    const steps = method === 'rigid'
+      ? [0.05, translationStep, translationStep]
+      : [0.02, 0.02, 0.02, 0.02, translationStep, translationStep];
+    const result = nelderMead(cost, params, steps);
+    params = result.point;
+    score = -result.value;
+  }
+
+  // Back to full-resolution pixels: P_f = (A * mppRatio) P_m + t / scale
+  const t = toAffine(params, method);
+  const matrix = [
+    [t.a * mppRatio, t.b * mppRatio, t.tx / scale],
+    [t.c * mppRatio, t.d * mppRatio, t.ty / scale]
+  ];
+  return describeTransform(matrix, { method, score: Math.round(score * 1000) / 1000, mppRatio });
+}
+
+// Derived rotation (degrees, clockwise on screen since image y points down), scale and translation
+function describeTransform(matrix, extra = {}) {
+  const [[a, b, tx], [c, d, ty]] = matrix;
+  return {
+    ...extra,
+    matrix,
+    rotation: Math.round((Math.atan2(c, a) * 180 / Math.PI) * 100) / 100,
+    scale: Math.sqrt(Math.abs(a * d - b * c)),
+    translation: { x: tx, y: ty }
+  };
+}
+
+/**
+ * Invert a moving->fixed matrix so it maps fixed->moving
+ */
+function invertMatrix(matrix) {
+  const [[a, b, tx], [c, d, ty]] = matrix;
+  const det = a * d - b * c;
+  const ia = d / det, ib = -b / det, ic = -c / det, id = a / det;
+  return [
+    [ia, ib, -(ia * tx + ib * ty)],
+    [ic, id, -(ic * tx + id * ty)]
+  ];
+}
+
+module.exports = {
+  REGISTRATION_METHODS,
+  loadDziOverview,
+  registerDziSlides,
+  describeTransform,
+  invertMatrix
+};
@@ -0,0 +1,187 @@
+// Server-side filtering, sorting and pagination for the slide list.
+// Query parameters (all optional):
+//   q                        case-insensitive substring of name, original name, label, barcode or folder
+//   name                     exact slide name
+//   folder                   folder path; matches the folder and its subfolders ("root" = top level)
+//   format                   comma-separated extensions, e.g. "svs,ndpi"
+//   converted                true | false
+//   vendor                   comma-separated scanner vendors (openslide.vendor), case-insensitive
+//   magnification            comma-separated objective powers, e.g. "20,40"
+//   minMpp, maxMpp           microns-per-pixel range (x axis)
+//   minSize, maxSize         file size range in bytes
+//   modifiedFrom, modifiedTo ISO dates, inclusive
+//   sort                     name | folder | format | size | modified | converted | vendor | magnification | mpp
+//   order                    asc | desc
+//   page, pageSize           1-based page, pageSize up to MAX_PAGE_SIZE
+
+const SORT_FIELDS = ['name', 'folder', 'format', 'size', 'modified', 'converted', 'vendor', 'magnification', 'mpp'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+
+function splitList(value) {
+  return String(value).split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
+function normalizeFolder(folder) {
+  return String(folder || 'root').replace(/\\/g, '/').replace(/^\/+|\/+$/g, '') || 'root';
+}
+
+/**
+ * Validate and normalize query parameters
+ * @returns {{criteria: Object, errors: string[]}}
+ */
+function parseSearchQuery(query = {}) {
+  const errors = [];
+  const criteria = {};
+
+  const number = (key) => {
+    if (query[key] === undefined || query[key] === '') return undefined;
+    const value = Number(query[key]);
+    if (!Number.isFinite(value)) {
+      errors.push(`${key} must be a number`);
+      return undefined;
+    }
+    return value;
+  };
+  const date = (key) => {
+    if (!query[key]) return undefined;
+    const value = new Date(query[key]);
+    if (isNaN(value.getTime())) {
+      errors.push(`${key} must be an ISO date`);
+      return undefined;
+    }
+    return value;
+  };
+
+  if (query.q) criteria.q = String(query.q).trim().toLowerCase();
+  if (query.name) criteria.name = String(query.name);
+  if (query.folder) criteria.folder = normalizeFolder(query.folder);
+  if (query.format) criteria.formats = splitList(query.format).map(f => (f.startsWith('.') ? f : `.${f}`));
+  if (query.vendor) criteria.vendors = splitList(query.vendor);
+
+  if (query.converted !== undefined && query.converted !== '') {
+    if (!['true', 'false'].includes(String(query.converted))) {
+      errors.push('converted must be true or false');
+    } else {
+      criteria.converted = String(query.converted) === 'true';
+    }
+  }
+
+  if (query.magnification) {
+    criteria.magnifications = splitList(query.magnification).map(Number);
+    if (criteria.magnifications.some(m => !Number.isFinite(m))) {
+      errors.push('magnification must be a comma-separated list of numbers');
+    }
+  }
+
+  criteria.minMpp = number('minMpp');
+  criteria.maxMpp = number('maxMpp');
+  criteria.minSize = number('minSize');
+  criteria.maxSize = number('maxSize');
+  criteria.modifiedFrom = date('modifiedFrom');
+  criteria.modifiedTo = date('modifiedTo');
+  // A bare date for modifiedTo means "through the end of that day"
+  if (criteria.modifiedTo && /^\d{4}-\d{2}-\d{2}$/.test(String(query.modifiedTo))) {
+    criteria.modifiedTo = new Date(criteria.modifiedTo.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+
+  criteria.sort = query.sort || 'name';
+  if (!SORT_FIELDS.includes(criteria.sort)) {
+    errors.push(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+  criteria.order = query.order || 'asc';
+  if (!['asc', 'desc'].includes(criteria.order)) {
+    errors.push('order must be asc or desc');
+  }
+
+  const page = number('page');
+  const pageSize = number('pageSize');
+  criteria.page = page === undefined ? 1 : Math.floor(page);
+  criteria.pageSize = pageSize === undefined ? DEFAULT_PAGE_SIZE : Math.floor(pageSize);
+  if (criteria.page < 1) errors.push('page must be 1 or greater');
+  if (criteria.pageSize < 1 || criteria.pageSize > MAX_PAGE_SIZE) {
+    errors.push(`pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  return { criteria, errors };
+}
+
+function matches(slide, criteria) {
+  if (criteria.name && slide.name !== criteria.name) return false;
+
+  if (criteria.q) {
+    const haystack = [slide.name, slide.originalName, slide.label, slide.barcode, slide.folder]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    if (!haystack.includes(criteria.q)) return false;
+  }
+
+  if (criteria.folder) {
+    const folder = normalizeFolder(slide.folder);
+    if (folder !== criteria.folder && !folder.startsWith(`${criteria.folder}/`)) return false;
+  }
+
+  if (criteria.formats && !criteria.formats.includes(String(slide.format).toLowerCase())) return false;
+  if (criteria.converted !== undefined && Boolean(slide.converted) !== criteria.converted) return false;
+  if (criteria.vendors && !criteria.vendors.includes(String(slide.vendor || '').toLowerCase())) return false;
+  if (criteria.magnifications && !criteria.magnifications.includes(slide.magnification)) return false;
+
+  const mpp = slide.mpp ? slide.mpp.x : null;
+  if (criteria.minMpp !== undefined && (mpp === null || mpp < criteria.minMpp)) return false;
+  if (criteria.maxMpp !== undefined && (mpp === null || mpp > criteria.maxMpp)) return false;
+
+  if (criteria.minSize !== undefined && (slide.size || 0) < criteria.minSize) return false;
+  if (criteria.maxSize !== undefined && (slide.size || 0) > criteria.maxSize) return false;
+
+  if (criteria.modifiedFrom || criteria.modifiedTo) {
+    const modified = slide.modified ? new Date(slide.modified) : null;
+    if (!modified) return false;
+    if (criteria.modifiedFrom && modified < criteria.modifiedFrom) return false;
+    if (criteria.modifiedTo && modified > criteria.modifiedTo) return false;
+  }
+
+  return true;
+}
+
+function sortValue(slide, field) {
+  switch (field) {
+    case 'mpp': return slide.mpp ? slide.mpp.x : null;
+    case 'modified': return slide.modified ? Date.parse(slide.modified) : null;
+    case 'converted': return slide.converted ? 1 : 0;
+    default: return slide[field] === undefined ? null : slide[field];
+  }
+}
+
+/**
+ * Filter, sort and paginate a slide list.
+ * Slides missing the sort field always go last, whichever the order.
+ */
+function searchSlides(slides, criteria) {
+  const filtered = slides.filter(slide => matches(slide, criteria));
+  const direction = criteria.order === 'desc' ? -1 : 1;
+
+  filtered.sort((a, b) => {
+    const va = sortValue(a, criteria.sort);
+    const vb = sortValue(b, criteria.sort);
+    if (va === null && vb === null) return a.name.localeCompare(b.name);
+    if (va === null) return 1;
+    if (vb === null) return -1;
+    const cmp = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+    return cmp !== 0 ? cmp * direction : a.name.localeCompare(b.name);
+  });
+
+  const total = filtered.length;
+  const start = (criteria.page - 1) * criteria.pageSize;
+  return {
+    slides: filtered.slice(start, start + criteria.pageSize),
+    total,
+    page: criteria.page,
+    pageSize: criteria.pageSize,
+    totalPages: Math.max(1, Math.ceil(total / criteria.pageSize)),
+    sort: criteria.sort,
+    order: criteria.order
+  };
+}
+
+module.exports = { parseSearchQuery, searchSlides, SORT_FIELDS, MAX_PAGE_SIZE };
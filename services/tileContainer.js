@@ -0,0 +1,306 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { parseDziDescriptor } = require('./tileFormat');
+
+const inflateRaw = promisify(zlib.inflateRaw);
+
+// dzsave --container szi: one zip (stored, not compressed) holding <name>/<name>.dzi and <name>/<name>_files/...
+const CONTAINER_EXTENSION = '.szi';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const ZIP64_EXTRA_ID = 0x0001;
+// End-of-central-directory record plus the longest possible archive comment
+const EOCD_SEARCH_BYTES = 22 + 0xffff;
+
+// Open archives kept around for tile serving; each holds a file handle and its entry index
+const MAX_OPEN_CONTAINERS = 16;
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Read-only view of an .szi tile container. Entries are indexed relative to the slide: the
+ * descriptor is ".dzi" and tiles are "_files/<level>/<col>_<row>.<ext>", whatever name the
+ * slide had when it was converted (so renamed slides keep working).
+ */
+class SziArchive {
+  constructor(filePath, handle, entries, stats) {
+    this.filePath = filePath;
+    this.handle = handle;
+    this.entries = entries;
+    this.size = stats.size;
+    this.mtimeMs = stats.mtimeMs;
+    this.closed = false;
+  }
+
+  /**
+   * @returns {Promise<SziArchive>} Rejects if the file is not a complete zip (e.g. still being written)
+   */
+  static async open(filePath) {
+    const handle = await fsp.open(filePath, 'r');
+    try {
+      const stats = await handle.stat();
+      const { offset, size } = await SziArchive.findCentralDirectory(handle, stats.size);
+      const directory = await readAt(handle, offset, size);
+      if (directory.length < size) throw new Error('Central directory runs past the end of the file');
+      const entries = SziArchive.indexEntries(SziArchive.parseCentralDirectory(directory));
+      if (!entries.has('.dzi')) throw new Error('Container has no .dzi descriptor');
+      return new SziArchive(filePath, handle, entries, stats);
+    } catch (error) {
+      await handle.close();
+      throw new Error(`Unreadable tile container ${path.basename(filePath)}: ${error.message}`);
+    }
+  }
+
+  static async findCentralDirectory(handle, fileSize) {
+    const tailStart = Math.max(0, fileSize - EOCD_SEARCH_BYTES);
+    const tail = await readAt(handle, tailStart, fileSize - tailStart);
+    let eocd = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd === -1) throw new Error('No end of central directory record');
+
+    let size = tail.readUInt32LE(eocd + 12);
+    let offset = tail.readUInt32LE(eocd + 16);
+    // Archives over 4 GB or 65535 entries keep the real values in the ZIP64 record
+    if (size === 0xffffffff || offset === 0xffffffff || tail.readUInt16LE(eocd + 10) === 0xffff) {
+      const locator = eocd - 20;
+      if (locator < 0 || tail.readUInt32LE(locator) !== ZIP64_LOCATOR_SIGNATURE) {
+        throw new Error('Missing ZIP64 locator');
+      }
+      const record = await readAt(handle, Number(tail.readBigUInt64LE(locator + 8)), 56);
+      if (record.length < 56 || record.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+        throw new Error('Missing ZIP64 end of central directory record');
+      }
+      size = Number(record.readBigUInt64LE(40));
+      offset = Number(record.readBigUInt64LE(48));
+    }
+    if (offset + size > fileSize) throw new Error('Central directory points past the end of the file');
+    return { offset, size };
+  }
+
+  static parseCentralDirectory(directory) {
+    const entries = [];
+    let position = 0;
+    while (position + 46 <= directory.length && directory.readUInt32LE(position) === CENTRAL_HEADER_SIGNATURE) {
+      const nameLength = directory.readUInt16LE(position + 28);
+      const extraLength = directory.readUInt16LE(position + 30);
+      const commentLength = directory.readUInt16LE(position + 32);
+      const entry = {
+        name: directory.toString('utf8', position + 46, position + 46 + nameLength),
+        method: directory.readUInt16LE(position + 10),
+        compressedSize: directory.readUInt32LE(position + 20),
+        size: directory.readUInt32LE(position + 24),
+        headerOffset: directory.readUInt32LE(position + 42),
+        dataOffset: null
+      };
+
+      // ZIP64 extra field: only the values that overflowed are present, in this order
+      const extraStart = position + 46 + nameLength;
+      for (let extra = extraStart; extra + 4 <= extraStart + extraLength;) {
+        const id = directory.readUInt16LE(extra);
+        const length = directory.readUInt16LE(extra + 2);
+        if (id === ZIP64_EXTRA_ID) {
+          let field = extra + 4;
+          for (const key of ['size', 'compressedSize', 'headerOffset']) {
+            if (entry[key] === 0xffffffff) {
+              entry[key] = Number(directory.readBigUInt64LE(field));
+              field += 8;
+            }
+          }
+        }
+        extra += 4 + length;
+      }
+
+      entries.push(entry);
+      position = extraStart + extraLength + commentLength;
+    }
+    return entries;
+  }
+
+  // Key entries relative to the slide, dropping the top-level folder and the slide's original name
+  static indexEntries(entries) {
+    const descriptor = entries.find(entry => /^(?:[^/]+\/)?[^/]+\.dzi$/.test(entry.name));
+    if (!descriptor) return new Map();
+    const prefix = descriptor.name.slice(0, -'.dzi'.length);
+    const index = new Map();
+    for (const entry of entries) {
+      if (entry.name.startsWith(prefix) && !entry.name.endsWith('/')) {
+        index.set(entry.name.slice(prefix.length), entry);
+      }
+    }
+    return index;
+  }
+
+  has(relativePath) {
+    return this.entries.has(relativePath);
+  }
+
+  /**
+   * @param {string} relativePath - ".dzi" or "_files/<level>/<col>_<row>.<ext>"
+   * @returns {Promise<Buffer|null>} null if the container has no such entry (sparse pyramids skip blank tiles)
+   */
+  async read(relativePath) {
+    try {
+      return await this.readEntry(relativePath);
+    } catch (error) {
+      // Closed under a caller still holding it (evicted from the cache, or its file replaced):
+      // read once more through the archive openContainer has for the path now
+      if (!this.closed) throw error;
+      return (await openContainer(this.filePath)).read(relativePath);
+    }
+  }
+
+  async readEntry(relativePath) {
+    const entry = this.entries.get(relativePath);
+    if (!entry) return null;
+
+    if (entry.dataOffset === null) {
+      const header = await readAt(this.handle, entry.headerOffset, 30);
+      if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+        throw new Error(`Bad local header for ${entry.name} in ${path.basename(this.filePath)}`);
+      }
+      entry.dataOffset = entry.headerOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    }
+
+    const data = await readAt(this.handle, entry.dataOffset, entry.compressedSize);
+    if (entry.method === 0) return data;
+    if (entry.method === 8) return inflateRaw(data);
+    throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+  }
+
+  close() {
+    this.closed = true;
+    return this.handle.close().catch(() => {});
+  }
+}
+
+// path -> Promise<SziArchive>, least recently used first
+const openContainers = new Map();
+
+/**
+ * Open (or reuse) the archive at filePath; reopened when the file has been replaced
+ */
+async function openContainer(filePath) {
+  const stats = await fsp.stat(filePath);
+  const cached = openContainers.get(filePath);
+  if (cached) {
+    openContainers.delete(filePath);
+    const archive = await cached.catch(() => null);
+    if (archive && archive.size === stats.size && archive.mtimeMs === stats.mtimeMs) {
+      openContainers.set(filePath, cached);
+      return archive;
+    }
+    if (archive) archive.close();
+  }
+
+  const opening = SziArchive.open(filePath);
+  openContainers.set(filePath, opening);
+  // Failed opens (e.g. a container dzsave is still writing) are retried on the next request
+  opening.catch(() => {
+    if (openContainers.get(filePath) === opening) openContainers.delete(filePath);
+  });
+  while (openContainers.size > MAX_OPEN_CONTAINERS) {
+    const [oldestPath, oldest] = openContainers.entries().next().value;
+    openContainers.delete(oldestPath);
+    oldest.then(archive => archive.close(), () => {});
+  }
+  return opening;
+}
+
+// Drop a cached archive before its file is moved or deleted (Windows can't rename open files)
+async function closeContainer(filePath) {
+  const cached = openContainers.get(filePath);
+  if (!cached) return;
+  openContainers.delete(filePath);
+  const archive = await cached.catch(() => null);
+  if (archive) await archive.close();
+}
+
+/**
+ * Where a slide's pyramid lives in a directory: a .dzi descriptor with its _files folder, or a
+ * single .szi container
+ * @returns {Object|null} { type: 'folder', dziPath, tilesDir } | { type: 'container', containerPath }
+ */
+function findSlideOutput(dir, name) {
+  const dziPath = path.join(dir, `${name}.dzi`);
+  if (fs.existsSync(dziPath)) {
+    return { type: 'folder', dziPath, tilesDir: path.join(dir, `${name}_files`) };
+  }
+  const containerPath = path.join(dir, `${name}${CONTAINER_EXTENSION}`);
+  if (fs.existsSync(containerPath)) return { type: 'container', containerPath };
+  return null;
+}
+
+// Every path a slide's pyramid may occupy in a directory, in either layout
+function slideOutputPaths(dir, name) {
+  return [
+    path.join(dir, `${name}.dzi`),
+    path.join(dir, `${name}_files`),
+    path.join(dir, `${name}${CONTAINER_EXTENSION}`)
+  ];
+}
+
+/**
+ * Uniform read access to a slide's pyramid in either layout
+ * @returns {Promise<Object|null>} { type, descriptor: { format, tileSize, overlap, width, height },
+ *   descriptorXml, readTile(level, col, row) -> Promise<Buffer|null> }, or null if there is no output
+ */
+async function openTileSource(dir, name) {
+  const output = findSlideOutput(dir, name);
+  if (!output) return null;
+
+  if (output.type === 'container') {
+    const archive = await openContainer(output.containerPath);
+    const descriptorXml = (await archive.read('.dzi')).toString('utf8');
+    const descriptor = parseDziDescriptor(descriptorXml);
+    if (!descriptor) throw new Error(`Unreadable DZI descriptor in ${path.basename(output.containerPath)}`);
+    return {
+      type: 'container',
+      descriptor,
+      descriptorXml,
+      readTile: (level, col, row) => archive.read(`_files/${level}/${col}_${row}.${descriptor.format}`)
+    };
+  }
+
+  const descriptorXml = await fsp.readFile(output.dziPath, 'utf8');
+  const descriptor = parseDziDescriptor(descriptorXml);
+  if (!descriptor) throw new Error(`Unreadable DZI descriptor: ${path.basename(output.dziPath)}`);
+  return {
+    type: 'folder',
+    descriptor,
+    descriptorXml,
+    readTile: async (level, col, row) => {
+      try {
+        return await fsp.readFile(path.join(output.tilesDir, String(level), `${col}_${row}.${descriptor.format}`));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = {
+  CONTAINER_EXTENSION,
+  SziArchive,
+  openContainer,
+  closeContainer,
+  findSlideOutput,
+  slideOutputPaths,
+  openTileSource
+};
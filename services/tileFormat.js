@@ -0,0 +1,142 @@
+// Tile encodings dzsave can write; the key is what app-config.json and the API use.
+// The extension is both the dzsave --suffix and the Format attribute vips writes into the .dzi.
+const TILE_FORMATS = {
+  jpeg: { extension: 'jpg', mimeType: 'image/jpeg', lossless: false, saveOptions: quality => `Q=${quality},optimize_coding,strip` },
+  webp: { extension: 'webp', mimeType: 'image/webp', lossless: false, saveOptions: quality => `Q=${quality},strip` },
+  avif: { extension: 'avif', mimeType: 'image/avif', lossless: false, saveOptions: quality => `Q=${quality},compression=av1,strip` },
+  jxl: { extension: 'jxl', mimeType: 'image/jxl', lossless: false, saveOptions: quality => `Q=${quality}` },
+  png: { extension: 'png', mimeType: 'image/png', lossless: true, saveOptions: () => 'compression=6,strip' }
+};
+
+// How the pyramid is stored: a .dzi plus a <name>_files folder of tiles, or one .szi zip
+const TILE_CONTAINERS = ['folder', 'szi'];
+
+// Used for anything app-config.json conversion.dzi leaves out. Matches the output dzsave was
+// hard-coded to before tile settings were configurable (.jpg[Q=92,optimize_coding,strip], 256 px
+// tiles, overlap 1); conversion.dzi tileSize and quality used to be ignored and now apply.
+const DEFAULT_TILE_SETTINGS = { format: 'jpeg', quality: 92, tileSize: 256, overlap: 1, container: 'folder', layout: 'dz' };
+
+const TILE_FIELDS = ['format', 'quality', 'tileSize', 'overlap', 'container'];
+
+/**
+ * Check a tile request: a profile name from conversion.dzi.profiles, or an object with any of
+ * profile, format, quality, tileSize, overlap, container
+ * @returns {string[]} List of validation errors (empty when valid)
+ */
+function validateTileRequest(request, dziConfig = {}) {
+  if (request === undefined || request === null) return [];
+  const fields = typeof request === 'string' ? { profile: request } : request;
+  if (typeof fields !== 'object' || Array.isArray(fields)) {
+    return ['tiles must be a profile name or an object'];
+  }
+
+  const errors = [];
+  const profiles = dziConfig.profiles || {};
+  if (fields.profile !== undefined && !Object.prototype.hasOwnProperty.call(profiles, fields.profile)) {
+    const names = Object.keys(profiles);
+    errors.push(`Unknown tile profile "${fields.profile}"${names.length ? ` (available: ${names.join(', ')})` : ''}`);
+  }
+  errors.push(...validateTileSettings(fields));
+  return errors;
+}
+
+/**
+ * Check concrete tile settings (every field optional)
+ * @returns {string[]} List of validation errors (empty when valid)
+ */
+function validateTileSettings(settings) {
+  const errors = [];
+  if (settings.format !== undefined && !TILE_FORMATS[settings.format]) {
+    errors.push(`format must be one of: ${Object.keys(TILE_FORMATS).join(', ')}`);
+  }
+  if (settings.quality !== undefined && !(Number.isInteger(settings.quality) && settings.quality >= 1 && settings.quality <= 100)) {
+    errors.push('quality must be an integer from 1 to 100');
+  }
+  if (settings.tileSize !== undefined && !(Number.isInteger(settings.tileSize) && settings.tileSize >= 64 && settings.tileSize <= 4096)) {
+    errors.push('tileSize must be an integer from 64 to 4096');
+  }
+  if (settings.overlap !== undefined && !(Number.isInteger(settings.overlap) && settings.overlap >= 0 && settings.overlap <= 16)) {
+    errors.push('overlap must be an integer from 0 to 16');
+  }
+  if (settings.container !== undefined && !TILE_CONTAINERS.includes(settings.container)) {
+    errors.push(`container must be one of: ${TILE_CONTAINERS.join(', ')}`);
+  }
+  // The viewer, catalog and atomic moves all expect Deep Zoom naming (<name>.dzi, <name>_files)
+  if (settings.layout !== undefined && settings.layout !== 'dz') {
+    errors.push('layout must be dz');
+  }
+  return errors;
+}
+
+/**
+ * Concrete settings for one conversion: built-in defaults, then conversion.dzi, then the named
+ * profile, then any explicit fields in the request. Validate the request first.
+ * @param {Object} dziConfig - app-config.json conversion.dzi
+ * @param {string|Object} request - Profile name or { profile, format, quality, tileSize, overlap, container }
+ * @returns {Object} { profile, format, extension, quality, tileSize, overlap, container, layout }
+ */
+function resolveTileSettings(dziConfig = {}, request = null) {
+  const fields = typeof request === 'string' ? { profile: request } : (request || {});
+  const profile = fields.profile || null;
+  const settings = { ...DEFAULT_TILE_SETTINGS };
+  for (const source of [dziConfig, (profile && (dziConfig.profiles || {})[profile]) || {}, fields]) {
+    for (const field of TILE_FIELDS) {
+      if (source[field] !== undefined) settings[field] = source[field];
+    }
+  }
+  return { profile, ...settings, extension: TILE_FORMATS[settings.format].extension };
+}
+
+/**
+ * dzsave arguments for the tile settings (layout, suffix with encoder options, overlap, tile size,
+ * container). With the szi container dzsave writes <output>.szi instead of <output>.dzi + _files.
+ */
+function buildDzsaveArgs(settings) {
+  const format = TILE_FORMATS[settings.format];
+  return [
+    '--layout', settings.layout || 'dz',
+    '--suffix', `.${format.extension}[${format.saveOptions(settings.quality)}]`,
+    '--overlap', String(settings.overlap),
+    '--tile-size', String(settings.tileSize),
+    ...(settings.container === 'szi' ? ['--container', 'szi'] : [])
+  ];
+}
+
+/**
+ * Read the attributes of a .dzi descriptor
+ * @returns {Object|null} { format, tileSize, overlap, width, height } or null if it isn't one
+ */
+function parseDziDescriptor(xml) {
+  const image = xml.match(/<Image\b([^>]*)>/);
+  const size = xml.match(/<Size\b([^>]*)\/?>/);
+  if (!image || !size) return null;
+  const attribute = (attributes, name) => {
+    const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`));
+    return match ? match[1] : null;
+  };
+  return {
+    format: attribute(image[1], 'Format'),
+    tileSize: Number(attribute(image[1], 'TileSize')),
+    overlap: Number(attribute(image[1], 'Overlap')),
+    width: Number(attribute(size[1], 'Width')),
+    height: Number(attribute(size[1], 'Height'))
+  };
+}
+
+// Tile format key for a file extension written by dzsave (jpg -> jpeg), or null
+function formatForExtension(extension) {
+  const ext = String(extension || '').replace(/^\./, '').toLowerCase();
+  return Object.keys(TILE_FORMATS).find(name => TILE_FORMATS[name].extension === ext || name === ext) || null;
+}
+
+module.exports = {
+  TILE_FORMATS,
+  TILE_CONTAINERS,
+  DEFAULT_TILE_SETTINGS,
+  validateTileRequest,
+  validateTileSettings,
+  resolveTileSettings,
+  buildDzsaveArgs,
+  parseDziDescriptor,
+  formatForExtension
+};
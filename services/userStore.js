@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles in increasing order of privilege; each role can do everything the ones before it can
+const ROLES = ['viewer', 'technician', 'admin'];
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{2,64}$/;
+const DEFAULT_MIN_PASSWORD_LENGTH = 10;
+
+// scrypt cost parameters, stored with each hash so they can be raised later without a reset
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+function newId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function checkPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * User accounts for signing in to the viewer and management console. Passwords are kept as
+ * salted scrypt hashes; tokenVersion is bumped whenever existing sessions must stop working
+ * (password change, disable). Persisted as a single JSON file in config.dataDir.
+ */
+class UserStore {
+  constructor(config) {
+    this.config = config;
+    this.usersPath = path.join(config.dataDir, 'users.json');
+    this.minPasswordLength = config.appConfig?.security?.auth?.minPasswordLength || DEFAULT_MIN_PASSWORD_LENGTH;
+    this.users = this.load();
+  }
+
+  load() {
+    this.loadedMtimeMs = fs.existsSync(this.usersPath) ? fs.statSync(this.usersPath).mtimeMs : 0;
+    if (!this.loadedMtimeMs) return [];
+    try {
+      const content = JSON.parse(fs.readFileSync(this.usersPath, 'utf8'));
+      return Array.isArray(content.users) ? content.users : [];
+    } catch (error) {
+      console.error(`Error loading users: ${error.message}`);
+      return [];
+    }
+  }
+
+  // For processes that read the file but don't own it (gui-server): pick up the server's changes
+  refresh() {
+    const mtimeMs = fs.existsSync(this.usersPath) ? fs.statSync(this.usersPath).mtimeMs : 0;
+    if (mtimeMs !== this.loadedMtimeMs) this.users = this.load();
+  }
+
+  // Temp file + rename so a crash never leaves a half-written file
+  save() {
+    fs.mkdirSync(path.dirname(this.usersPath), { recursive: true });
+    const tempPath = `${this.usersPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ updatedAt: new Date().toISOString(), users: this.users }, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.usersPath);
+    this.loadedMtimeMs = fs.statSync(this.usersPath).mtimeMs;
+  }
+
+  /**
+   * Create the first admin account when there are no users yet. The password comes from
+   * ADMIN_PASSWORD, or is generated and returned so it can be shown once.
+   * @returns {Promise<{user: Object, password: string|null}|null>} null if users already exist
+   */
+  async ensureAdmin() {
+    if (this.users.length > 0) return null;
+    const generated = process.env.ADMIN_PASSWORD ? null : crypto.randomBytes(12).toString('base64url');
+    const user = await this.create({
+      username: process.env.ADMIN_USERNAME || 'admin',
+      displayName: 'Administrator',
+      role: 'admin',
+      password: process.env.ADMIN_PASSWORD || generated
+    });
+    return { user, password: generated };
+  }
+
+  list() {
+    return [...this.users].sort((a, b) => a.username.localeCompare(b.username)).map(UserStore.toPublic);
+  }
+
+  get(id) {
+    return this.users.find(u => u.id === id) || null;
+  }
+
+  findByUsername(username) {
+    const wanted = String(username || '').trim().toLowerCase();
+    return this.users.find(u => u.username.toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The user if the username and password match an enabled account
+   */
+  async authenticate(username, password) {
+    const user = this.findByUsername(username);
+    // Hash anyway for unknown users so response times don't reveal which usernames exist
+    const valid = await checkPassword(String(password || ''), user ? user.passwordHash : UserStore.DUMMY_HASH);
+    if (!user || !valid || user.disabled) return null;
+    user.lastLoginAt = new Date().toISOString();
+    this.save();
+    return user;
+  }
+
+  async create(data) {
+    const now = new Date().toISOString();
+    const user = {
+      id: newId('user'),
+      username: data.username.trim(),
+      displayName: (data.displayName || '').trim(),
+      role: data.role,
+      passwordHash: await hashPassword(data.password),
+      disabled: Boolean(data.disabled),
+      tokenVersion: 1,
+      createdAt: now,
+      updatedAt: now,
+      lastLoginAt: null
+    };
+    this.users.push(user);
+    this.save();
+    return user;
+  }
+
+  async update(id, data) {
+    const user = this.get(id);
+    if (!user) return null;
+
+    if (data.displayName !== undefined) user.displayName = (data.displayName || '').trim();
+    if (data.role !== undefined) user.role = data.role;
+    if (data.disabled !== undefined && Boolean(data.disabled) !== user.disabled) {
+      user.disabled = Boolean(data.disabled);
+      user.tokenVersion++;
+    }
+    if (data.password !== undefined) {
+      user.passwordHash = await hashPassword(data.password);
+      user.tokenVersion++;
+    }
+    user.updatedAt = new Date().toISOString();
+    this.save();
+    return user;
+  }
+
+  remove(id) {
+    const before = this.users.length;
+    this.users = this.users.filter(u => u.id !== id);
+    if (this.users.length === before) return false;
+    this.save();
+    return true;
+  }
+
+  // Whether a change would leave no enabled admin to manage accounts
+  wouldRemoveLastAdmin(id, data = null) {
+    const user = this.get(id);
+    if (!user || user.role !== 'admin' || user.disabled) return false;
+    const stillAdmin = data && (data.role === undefined || data.role === 'admin') && !data.disabled;
+    if (stillAdmin) return false;
+    return !this.users.some(u => u.id !== id && u.role === 'admin' && !u.disabled);
+  }
+
+  /**
+   * Validate a user payload
+   * @param {boolean} partial - true for updates, where every field is optional
+   * @returns {string[]} List of validation errors (empty when valid)
+   */
+  validate(data, partial = false) {
+    const errors = [];
+    if (!data || typeof data !== 'object') return ['User must be an object'];
+
+    if (!partial) {
+      if (typeof data.username !== 'string' || !USERNAME_PATTERN.test(data.username.trim())) {
+        errors.push('username must be 2-64 letters, numbers or . _ -');
+      } else if (this.findByUsername(data.username)) {
+        errors.push(`username ${data.username.trim()} is already taken`);
+      }
+    } else if (data.username !== undefined) {
+      errors.push('username cannot be changed');
+    }
+    if (data.password !== undefined || !partial) {
+      if (typeof data.password !== 'string' || data.password.length < this.minPasswordLength) {
+        errors.push(`password must be at least ${this.minPasswordLength} characters`);
+      }
+    }
+    if (data.role !== undefined || !partial) {
+      if (!ROLES.includes(data.role)) errors.push(`role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (data.displayName !== undefined && data.displayName !== null &&
+        (typeof data.displayName !== 'string' || data.displayName.length > 100)) {
+      errors.push('displayName must be a string of at most 100 characters');
+    }
+    if (data.disabled !== undefined && typeof data.disabled !== 'boolean') {
+      errors.push('disabled must be true or false');
+    }
+    return errors;
+  }
+
+  // What the API returns for a user: never the password hash
+  static toPublic(user) {
+    const { passwordHash, tokenVersion, ...rest } = user;
+    return rest;
+  }
+}
+
+// Checked against when the username is unknown (never matches a real password)
+UserStore.DUMMY_HASH = `scrypt$${SCRYPT_PARAMS.N}$${SCRYPT_PARAMS.r}$${SCRYPT_PARAMS.p}$${Buffer.alloc(16).toString('base64')}$${Buffer.alloc(SCRYPT_KEY_LENGTH).toString('base64')}`;
+UserStore.ROLES = ROLES;
+UserStore.hashPassword = hashPassword;
+UserStore.checkPassword = checkPassword;
+
+module.exports = UserStore;
@@ -5,6 +5,7 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { exec } = require('child_process');
+const BarcodeReader = require('./services/barcodeReader');
 
 class SlideMetadataExtractor {
   constructor(config) {
@@ -38,6 +39,7 @@ class SlideMetadataExtractor {
       iccProfile: null,
       label: null,
       macro: null,
+      barcode: null,
       properties: {},
       errors: []
     };
@@ -119,6 +121,11 @@ class SlideMetadataExtractor {
         console.log(`No 'macro' associated image advertised by OpenSlide; skipping extraction.`);
       }
 
+      // Decode any barcode printed on the label (accession/specimen ID from the LIS)
+      if (metadata.label) {
+        metadata.barcode = await this.decodeLabelBarcode(metadata.label);
+      }
+
       // Save metadata to JSON file
       const metadataPath = path.join(this.metadataDir, `${baseName}_metadata.json`);
       fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
@@ -130,6 +137,7 @@ class SlideMetadataExtractor {
       console.log(`ICC Profile: ${metadata.iccProfile ? 'Extracted' : 'Not found'}`);
       console.log(`Label: ${metadata.label ? 'Extracted' : 'Not found'}`);
       console.log(`Macro: ${metadata.macro ? 'Extracted' : 'Not found'}`);
+      console.log(`Barcode: ${metadata.barcode ? `${metadata.barcode.value} (${metadata.barcode.format})` : 'Not found'}`);
       console.log(`Metadata saved: ${metadataPath}`);
       console.log(`=====================================\n`);
 
@@ -176,6 +184,7 @@ class SlideMetadataExtractor {
           ...basicInfo,
           openslideSupported: Boolean(Object.keys(props).some(k => k.startsWith('openslide.'))),
           associatedImages,
+          mpp: SlideMetadataExtractor.parseMpp(props),
           raw: props
         });
       });
@@ -344,6 +353,32 @@ class SlideMetadataExtractor {
     });
   }
 
+  /**
+   * Decode barcodes on a label image. Controlled by app-config metadata.barcode (enabled, formats).
+   * @returns {Promise<Object|null>} { value, format, symbols, decodedAt } for the most prominent
+   *   symbol (symbols lists all of them), or null if none was found or decoding is disabled
+   */
+  async decodeLabelBarcode(labelPath) {
+    const barcodeConfig = this.config.appConfig?.metadata?.barcode || {};
+    if (barcodeConfig.enabled === false || !labelPath || !fs.existsSync(labelPath)) return null;
+
+    try {
+      const t0 = Date.now();
+      const symbols = await new BarcodeReader({ formats: barcodeConfig.formats }).decode(labelPath);
+      console.log(`Barcode decoding found ${symbols.length} symbol(s) in ${((Date.now() - t0)/1000).toFixed(2)}s`);
+      if (symbols.length === 0) return null;
+      return {
+        value: symbols[0].value,
+        format: symbols[0].format,
+        symbols,
+        decodedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      console.warn(`Barcode decoding failed for ${path.basename(labelPath)}: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Extract macro image from slide using VIPS
    */
@@ -491,6 +526,23 @@ class SlideMetadataExtractor {
     return properties;
   }
 
+  /**
+   * Microns-per-pixel at full resolution from vipsheader properties.
+   * Prefers the OpenSlide-normalized keys and falls back to the Aperio ImageDescription field.
+   * @returns {{x: number, y: number}|null} null when the scanner did not record a calibration
+   */
+  static parseMpp(props) {
+    if (!props) return null;
+    const parse = (value) => {
+      const n = parseFloat(value);
+      return Number.isFinite(n) && n > 0 ? n : null;
+    };
+
+    const x = parse(props['openslide.mpp-x']) || parse(props['aperio.MPP']);
+    const y = parse(props['openslide.mpp-y']) || parse(props['aperio.MPP']) || x;
+    return x ? { x, y } : null;
+  }
+
   /**
    * Get basic file information as fallback
    */